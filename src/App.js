@@ -19,14 +19,23 @@ import {
   Check,
   AlertCircle,
   X,
-  ExternalLink
+  ExternalLink,
+  SlidersHorizontal,
+  TrendingUp,
+  CloudOff,
+  CloudUpload,
+  History
 } from 'lucide-react';
 
 // Import our new components and services
-import { Staff, Student, Schedule, Assignment, SchedulingUtils } from './types/index.js';
+import { Staff, Student, Schedule, Assignment, SchedulingUtils, ASSIGNMENT_MODES, CONSECUTIVE_DAYS_RULE_DEFAULTS, TRAINER_CAPACITY_DEFAULTS, RULE_ENFORCEMENT, SCHEDULE_CHANGE_TYPES, RolePolicy, Group, LinkedCluster, TrainingPlan, TRAINING_STATUS, SchedulingRules, Sandbox, SANDBOX_STAFF_ATTENDANCE_FIELDS, SANDBOX_STUDENT_ATTENDANCE_FIELDS, RUN_LOG_EVENT_TYPES, ConstraintRegistry, AuditEntry, AUDIT_ACTIONS } from './types/index.js';
 import { SharePointService } from './services/SharePointService.js';
+import { LocalDataStore } from './services/LocalDataStore.js';
+import { DATA_STORE_MODES, ScheduleConflictError, DataStoreOfflineError } from './services/DataStore.js';
+import { OfflineSyncQueue } from './services/OfflineSyncQueue.js';
 import { PeoplePickerService } from './services/PeoplePickerService.js';
 import { AutoAssignmentEngine } from './services/AutoAssignmentEngine.js';
+import { AutoAssignWorkerClient } from './services/AutoAssignWorkerClient.js';
 import { ExcelExportService } from './services/ExcelExportService.js';
 import { 
   ScheduleGrid, 
@@ -47,9 +56,35 @@ import { TrainingTracker } from './components/TrainingTracker.js';
 import LiveScheduleView from './components/LiveScheduleView.js';
 import TeamsGridView from './components/TeamsGridView.js';
 import ScheduleGridView from './components/ScheduleGridView.js';
+import { WeekPlanner } from './components/WeekPlanner.js';
+import { CoverageForecast } from './components/CoverageForecast.js';
+import { RolePolicySettings } from './components/RolePolicySettings.js';
+import { GroupSettings } from './components/GroupSettings.js';
+import { LinkedClusterSettings } from './components/LinkedClusterSettings.js';
+import { ScheduleDiffModal } from './components/ScheduleDiffModal.js';
+import { ScheduleMergeModal } from './components/ScheduleMergeModal.js';
+import { ScheduleAuditLog } from './components/ScheduleAuditLog.js';
+import { SandboxPanel } from './components/SandboxPanel.js';
+import { RunDetailsPanel } from './components/RunDetailsPanel.js';
+import { ConstraintSettings } from './components/ConstraintSettings.js';
+import { DataStoreSettings } from './components/DataStoreSettings.js';
 import { runTests } from './tests/SchedulingTestSuite.js';
 import ErrorBoundary from './components/ErrorBoundary.js';
 
+// Tabs that only read or edit the day's schedule and attendance - usable inside a what-if sandbox
+const SANDBOX_TABS = ['schedule', 'attendance', 'validation'];
+
+// People with the attendance saved in the offline queue; if nothing could be loaded (offline), the queued people
+const applyQueuedAttendance = (people, queuedPeople, fields, PersonClass) => {
+  if (people.length === 0) return queuedPeople;
+  return people.map(person => {
+    const queued = queuedPeople.find(p => p.id === person.id);
+    return queued
+      ? new PersonClass({ ...person, ...Object.fromEntries(fields.map(field => [field, queued[field]])) })
+      : person;
+  });
+};
+
 const ABAScheduler = () => {
   // Helper function to format date in local timezone (avoids UTC conversion issues)
   const formatDateLocal = (date) => {
@@ -71,9 +106,18 @@ const ABAScheduler = () => {
   });
 
   // Services
-  const [sharePointService] = useState(() => new SharePointService(spConfig));
+  // Where data is loaded from and saved to: SharePoint, or this browser only (demos, training)
+  const [dataStore] = useState(() => {
+    const mode = localStorage.getItem('dataStoreMode') || process.env.REACT_APP_DATA_STORE || DATA_STORE_MODES.SHAREPOINT;
+    return mode === DATA_STORE_MODES.LOCAL ? new LocalDataStore() : new SharePointService(spConfig);
+  });
+  const isLocalDataStore = dataStore.mode === DATA_STORE_MODES.LOCAL;
   const [peoplePickerService] = useState(() => new PeoplePickerService(spConfig));
   const [autoAssignEngine] = useState(() => new AutoAssignmentEngine());
+  // Auto Assign and Smart Swap run in a Web Worker so the page stays responsive
+  const [autoAssignWorker] = useState(() => new AutoAssignWorkerClient(autoAssignEngine));
+  // Saves that could not reach the data store wait here (IndexedDB) and sync when the connection is back
+  const [syncQueue] = useState(() => new OfflineSyncQueue(dataStore));
 
 
   // Authentication state
@@ -86,13 +130,56 @@ const ABAScheduler = () => {
   const [currentDate, setCurrentDate] = useState(new Date());
   const [schedule, setSchedule] = useState(new Schedule({ date: new Date() }));
   const [dataLoadedAt, setDataLoadedAt] = useState(null); // Track when data was last loaded from server
+  const [savedSchedule, setSavedSchedule] = useState(null); // The day as last loaded or saved - the base of a merge when someone else saves too
 
   // UI state
   const [activeTab, setActiveTab] = useState('schedule');
   const [loading, setLoading] = useState(false);
   const [saving, setSaving] = useState(false);
   const [autoAssigning, setAutoAssigning] = useState(false);
+  const [engineProgress, setEngineProgress] = useState(null); // Phase the running Auto Assign / Smart Swap is in
+  const [assignmentMode, setAssignmentMode] = useState(ASSIGNMENT_MODES.GREEDY);
+  const [seedInput, setSeedInput] = useState(''); // Blank = new random seed each run
   const [validationResults, setValidationResults] = useState(null);
+  const [consecutiveDaysRule, setConsecutiveDaysRule] = useState(() => {
+    try {
+      const saved = localStorage.getItem('consecutiveDaysRule');
+      return saved ? { ...CONSECUTIVE_DAYS_RULE_DEFAULTS, ...JSON.parse(saved) } : { ...CONSECUTIVE_DAYS_RULE_DEFAULTS };
+    } catch (error) {
+      return { ...CONSECUTIVE_DAYS_RULE_DEFAULTS };
+    }
+  });
+  const [trainerCapacity, setTrainerCapacity] = useState(() => {
+    try {
+      const saved = localStorage.getItem('trainerCapacity');
+      return saved ? { ...TRAINER_CAPACITY_DEFAULTS, ...JSON.parse(saved) } : { ...TRAINER_CAPACITY_DEFAULTS };
+    } catch (error) {
+      return { ...TRAINER_CAPACITY_DEFAULTS };
+    }
+  });
+  const [assignmentHistory, setAssignmentHistory] = useState([]); // DailyAssignments before currentDate
+  const [rolePolicies, setRolePolicies] = useState(() => RolePolicy.getPolicies());
+  const [constraintSettings, setConstraintSettings] = useState(() => ConstraintRegistry.getSettings()); // Site rule toggles (AppSettings 'ConstraintSettings')
+  const [groupDefinitions, setGroupDefinitions] = useState(() => Group.getDefinitions()); // Standing small groups (AppSettings 'ClientGroups')
+  const [linkedClusters, setLinkedClusters] = useState(() => LinkedCluster.getClusters()); // Linked-client clusters (AppSettings 'LinkedClusters')
+  const [trainingPlans, setTrainingPlans] = useState(() => TrainingPlan.getPlans()); // Per-client training plans (AppSettings 'TrainingPlans')
+  const [trainingSignOffs, setTrainingSignOffs] = useState({}); // Supervisor sign-offs per staff-client pair (AppSettings 'TrainingSignOffs')
+  const [pendingPreview, setPendingPreview] = useState(null); // Proposed schedule awaiting review in ScheduleDiffModal
+  const [pendingMerge, setPendingMerge] = useState(null); // Three-way merge awaiting review in ScheduleMergeModal
+  const [pendingAudit, setPendingAudit] = useState([]); // AuditEntry[] for edits since the day was loaded or saved - saved with it
+  const [syncStatus, setSyncStatus] = useState(() => syncQueue.getStatus()); // Offline queue: { pending, conflicts, conflictDates, isSyncing, isOnline, lastError }
+  const [sandboxes, setSandboxes] = useState(() => {
+    try {
+      const saved = localStorage.getItem('scheduleSandboxes');
+      return saved ? JSON.parse(saved).map(data => new Sandbox(data)) : [];
+    } catch (error) {
+      return [];
+    }
+  });
+  // Open sandbox - { sandboxId, live: { schedule, staff, students } } while the live state is parked
+  const [activeSandbox, setActiveSandbox] = useState(null);
+  const [lastRunLog, setLastRunLog] = useState(null); // EngineRunLog of the last Auto Assign run (kept if the run is discarded)
+  const [verboseEngineLogging, setVerboseEngineLogging] = useState(() => localStorage.getItem('engineVerboseLogging') === 'true');
   
   // Modal states
   const [showAddStaff, setShowAddStaff] = useState(false);
@@ -109,23 +196,92 @@ const ABAScheduler = () => {
     initializeApp();
   }, []);
 
+  // Keep the engine and localStorage in sync with the consecutive-days rule
+  useEffect(() => {
+    autoAssignEngine.setConsecutiveDaysRule(consecutiveDaysRule);
+    localStorage.setItem('consecutiveDaysRule', JSON.stringify(consecutiveDaysRule));
+  }, [autoAssignEngine, consecutiveDaysRule]);
+
+  // Same for the Phase 0 trainer limits
+  useEffect(() => {
+    autoAssignEngine.setTrainerCapacity(trainerCapacity);
+    localStorage.setItem('trainerCapacity', JSON.stringify(trainerCapacity));
+  }, [autoAssignEngine, trainerCapacity]);
+
+  // Detailed engine console trace (Run details panel)
+  useEffect(() => {
+    autoAssignEngine.setVerboseLogging(verboseEngineLogging);
+    localStorage.setItem('engineVerboseLogging', String(verboseEngineLogging));
+  }, [autoAssignEngine, verboseEngineLogging]);
+
+  // What-if sandboxes are browser-only
+  useEffect(() => {
+    localStorage.setItem('scheduleSandboxes', JSON.stringify(sandboxes));
+  }, [sandboxes]);
+
+  // The base of a merge is a copy - manual edits change the open schedule's objects in place
+  const rememberSavedSchedule = (saved) => {
+    setSavedSchedule(saved instanceof Schedule ? Sandbox.copySchedule(saved) : null);
+  };
+
+  // Audit trail - edits to the live schedule are recorded as they are made and saved with the day.
+  // Handlers that change the schedule in place pass a copy taken before the change.
+  const recordScheduleChanges = (before, after, action) => {
+    if (activeSandbox) return; // What-if edits are recorded when the sandbox is promoted
+    const entries = AuditEntry.fromSchedules(before, after, { action, changedBy: dataStore.getCurrentUserName() });
+    if (entries.length > 0) {
+      setPendingAudit(prev => [...prev, ...entries]);
+    }
+  };
+
+  // Offline queue status for the header; when the open day's queued save goes through, its new version is the base
+  useEffect(() => {
+    return syncQueue.subscribe((status, event) => {
+      setSyncStatus(status);
+      if (event?.type === 'synced' && event.schedule && event.entry.date === formatDateLocal(currentDate)) {
+        rememberSavedSchedule(event.schedule);
+      }
+    });
+  }, [syncQueue, currentDate]);
+
+  useEffect(() => () => syncQueue.dispose(), [syncQueue]);
+
+  // A queued save that met someone else's save is merged once its day is open
+  useEffect(() => {
+    if (syncStatus.conflicts === 0 || pendingMerge) return;
+
+    syncQueue.takeConflict(formatDateLocal(currentDate)).then(conflict => {
+      if (!conflict) return;
+      setSchedule(conflict.mine);
+      rememberSavedSchedule(conflict.base);
+      setPendingAudit(conflict.auditEntries);
+      setPendingMerge(SchedulingUtils.mergeSchedules(conflict.base, conflict.mine, conflict.theirs));
+    });
+  }, [syncQueue, syncStatus, currentDate, pendingMerge]);
+
 
   // Initialize application
   const initializeApp = async () => {
     try {
-      // First ensure MSAL is initialized before any authentication checks
-      await sharePointService.initializeMSAL();
+      // First ensure the data store (MSAL for SharePoint) is initialized before any authentication checks
+      await dataStore.initialize();
       
-      const isAuth = await sharePointService.checkAuthentication();
+      const isAuth = await dataStore.checkAuthentication();
       setIsAuthenticated(isAuth);
-      setAccessToken(sharePointService.accessToken);
+      setAccessToken(dataStore.accessToken);
       
       // Set access token for People Picker service
-      if (sharePointService.accessToken) {
-        peoplePickerService.setAccessToken(sharePointService.accessToken);
+      if (dataStore.accessToken) {
+        peoplePickerService.setAccessToken(dataStore.accessToken);
       }
       
       if (isAuth) {
+        await loadRolePolicies();
+        await loadConstraintSettings();
+        await loadGroupDefinitions();
+        await loadLinkedClusters();
+        await loadTrainingPlans();
+        await syncQueue.initialize();
         await refreshDataOnly({ reloadSavedSchedule: true });
       }
     } catch (error) {
@@ -138,6 +294,211 @@ const ABAScheduler = () => {
     }
   };
 
+  // Load the site's role policy (falls back to the built-in defaults)
+  const loadRolePolicies = async () => {
+    try {
+      const saved = await dataStore.loadRolePolicies();
+      setRolePolicies(RolePolicy.setPolicies(saved || {}));
+      if (saved) {
+        console.log('🛡️ Applied saved role policies');
+      }
+    } catch (error) {
+      console.error('Failed to load role policies, using defaults:', error);
+    }
+  };
+
+  // Save role policy changes from the Settings tab
+  const handleSaveRolePolicies = async (policies) => {
+    try {
+      const applied = RolePolicy.setPolicies(policies);
+      await dataStore.saveRolePolicies(applied);
+      setRolePolicies(applied);
+      alert('✅ Role policy saved. Auto Assign will use it from the next run.');
+    } catch (error) {
+      // Keep the engine on the policies that are actually saved
+      RolePolicy.setPolicies(rolePolicies);
+      console.error('Error saving role policies:', error);
+      alert(`❌ Failed to save role policy: ${error.message}\n\nCheck that the AppSettings list exists (see ROLE_POLICY_SETTINGS.md).`);
+    }
+  };
+
+  // Load the site's constraint settings (none saved = every rule at its built-in severity)
+  const loadConstraintSettings = async () => {
+    try {
+      const saved = await dataStore.loadConstraintSettings();
+      setConstraintSettings(ConstraintRegistry.setSettings(saved));
+      if (Object.keys(saved).length > 0) {
+        console.log('🧩 Applied saved constraint settings');
+      }
+    } catch (error) {
+      console.error('Failed to load constraint settings, using defaults:', error);
+    }
+  };
+
+  // Save constraint settings from the Settings tab
+  const handleSaveConstraintSettings = async (settings) => {
+    try {
+      const applied = ConstraintRegistry.setSettings(settings);
+      await dataStore.saveConstraintSettings(applied);
+      setConstraintSettings(applied);
+      alert('✅ Scheduling rules saved. Auto Assign and validation will use them from now on.');
+    } catch (error) {
+      // Keep the engine on the settings that are actually saved
+      ConstraintRegistry.setSettings(constraintSettings);
+      console.error('Error saving constraint settings:', error);
+      alert(`❌ Failed to save scheduling rules: ${error.message}\n\nCheck that the AppSettings list exists (see ROLE_POLICY_SETTINGS.md).`);
+    }
+  };
+
+  // Load the site's standing small groups (none saved = any compatible clients may share a group)
+  const loadGroupDefinitions = async () => {
+    try {
+      const saved = await dataStore.loadClientGroups();
+      setGroupDefinitions(Group.setDefinitions(saved));
+      if (saved.length > 0) {
+        console.log(`👥 Applied ${saved.length} standing small group(s)`);
+      }
+    } catch (error) {
+      console.error('Failed to load small groups:', error);
+    }
+  };
+
+  // Save standing small group changes from the Settings tab
+  const handleSaveGroupDefinitions = async (definitions) => {
+    try {
+      const applied = Group.setDefinitions(definitions);
+      await dataStore.saveClientGroups(applied);
+      setGroupDefinitions(applied);
+      alert('✅ Small groups saved. Auto Assign and validation will use them from now on.');
+    } catch (error) {
+      // Keep the engine on the groups that are actually saved
+      Group.setDefinitions(groupDefinitions);
+      console.error('Error saving small groups:', error);
+      alert(`❌ Failed to save small groups: ${error.message}\n\nCheck that the AppSettings list exists (see ROLE_POLICY_SETTINGS.md).`);
+    }
+  };
+
+  // Load the site's linked-client clusters (none saved = only pairedWith pairs)
+  const loadLinkedClusters = async () => {
+    try {
+      const saved = await dataStore.loadLinkedClusters();
+      setLinkedClusters(LinkedCluster.setClusters(saved));
+      if (saved.length > 0) {
+        console.log(`🔗 Applied ${saved.length} linked-client cluster(s)`);
+      }
+    } catch (error) {
+      console.error('Failed to load linked clusters:', error);
+    }
+  };
+
+  // Save linked-client cluster changes from the Settings tab
+  const handleSaveLinkedClusters = async (clusters) => {
+    try {
+      const applied = LinkedCluster.setClusters(clusters);
+      await dataStore.saveLinkedClusters(applied);
+      setLinkedClusters(applied);
+      alert('✅ Linked clusters saved. Auto Assign and validation will use them from now on.');
+    } catch (error) {
+      // Keep the engine on the clusters that are actually saved
+      LinkedCluster.setClusters(linkedClusters);
+      console.error('Error saving linked clusters:', error);
+      alert(`❌ Failed to save linked clusters: ${error.message}\n\nCheck that the AppSettings list exists (see ROLE_POLICY_SETTINGS.md).`);
+    }
+  };
+
+  // Load training plans and supervisor sign-offs (no plans saved = built-in default plan)
+  const loadTrainingPlans = async () => {
+    try {
+      const [savedPlans, savedSignOffs] = await Promise.all([
+        dataStore.loadTrainingPlans(),
+        dataStore.loadTrainingSignOffs()
+      ]);
+      setTrainingPlans(TrainingPlan.setPlans(savedPlans));
+      setTrainingSignOffs(savedSignOffs);
+    } catch (error) {
+      console.error('Failed to load training plans:', error);
+    }
+  };
+
+  // Save training plan changes from the Training tab
+  const handleSaveTrainingPlans = async (plans) => {
+    try {
+      const applied = TrainingPlan.setPlans(plans);
+      await dataStore.saveTrainingPlans(applied);
+      setTrainingPlans(applied);
+      alert('✅ Training plans saved.');
+    } catch (error) {
+      TrainingPlan.setPlans(trainingPlans);
+      console.error('Error saving training plans:', error);
+      alert(`❌ Failed to save training plans: ${error.message}\n\nCheck that the AppSettings list exists (see ROLE_POLICY_SETTINGS.md).`);
+    }
+  };
+
+  // Sign off (or withdraw) one step of a staff member's training plan for a client
+  const handleTrainingSignOff = async (staffId, studentId, step, signed) => {
+    const pairKey = TrainingPlan.getPairKey(staffId, studentId);
+    const signOff = { approvedBy: dataStore.getCurrentUserName(), date: new Date().toISOString() };
+    const applySignOff = (signOffs) => {
+      const pairSignOffs = { ...(signOffs[pairKey] || {}) };
+      if (signed) {
+        pairSignOffs[step] = signOff;
+      } else {
+        delete pairSignOffs[step];
+      }
+      return { ...signOffs, [pairKey]: pairSignOffs };
+    };
+
+    setTrainingSignOffs(applySignOff(trainingSignOffs));
+    try {
+      // Applied to the saved sign-offs, so other supervisors' sign-offs since the page loaded are kept
+      setTrainingSignOffs(await dataStore.updateTrainingSignOffs(applySignOff, trainingSignOffs));
+    } catch (error) {
+      setTrainingSignOffs(trainingSignOffs);
+      console.error('Error saving training sign-off:', error);
+      alert(`❌ Failed to save sign-off: ${error.message}`);
+    }
+  };
+
+  // Supervisor approves a proposed promotion - re-checks the plan against the full history,
+  // moves the pair to solo and records the completion
+  const handleApproveTrainingPromotion = async (studentId, staffId) => {
+    const student = students.find(s => s.id === studentId);
+    const staffMember = staff.find(s => s.id === staffId);
+    if (!student || !staffMember) return;
+
+    const pairKey = TrainingPlan.getPairKey(staffId, studentId);
+    const { count, firstSessionDate, sessions } = await dataStore.getTrainingSessionCount(staffId, studentId);
+    const progress = TrainingPlan.getPlanForStudent(studentId).getProgress(sessions, staff, trainingSignOffs[pairKey]);
+
+    if (!progress.isReady) {
+      alert(`${staffMember.name} is not ready for solo with ${student.name} yet:\n\n• ${progress.missing.join('\n• ')}`);
+      return;
+    }
+    if (!window.confirm(`Approve ${staffMember.name} to work solo with ${student.name}?\n\n${count} overlap session(s) completed.`)) {
+      return;
+    }
+
+    const promoted = await handleUpdateStudentTrainingStatus(studentId, staffId, TRAINING_STATUS.SOLO, { count, firstSessionDate });
+    if (!promoted) {
+      alert(`❌ ${staffMember.name} could not be moved to solo with ${student.name}, so the promotion was not approved.\n\nTheir sign-offs are kept. Check the browser console for details.`);
+      return;
+    }
+
+    // Sign-offs belong to this round of training - a later round starts fresh
+    const completedSignOffs = trainingSignOffs[pairKey];
+    try {
+      const remainingSignOffs = await dataStore.updateTrainingSignOffs(
+        ({ [pairKey]: cleared, ...others }) => others,
+        trainingSignOffs
+      );
+      setTrainingSignOffs(remainingSignOffs);
+    } catch (error) {
+      console.error('Error clearing training sign-offs:', error);
+      alert(`⚠️ ${staffMember.name} is now solo with ${student.name}, but their sign-offs could not be cleared: ${error.message}\n\nWithdraw them on the Training tab before another round of training.`);
+    }
+    console.log(`🎓 Promotion approved: ${staffMember.name} → ${student.name} (sign-offs: ${Object.keys(completedSignOffs || {}).join(', ')})`);
+  };
+
   // Load all data from SharePoint
   const loadData = async (skipConfirmation = false) => {
     // Check if there are unsaved schedule changes (schedule has assignments but no lastModified)
@@ -152,15 +513,15 @@ const ABAScheduler = () => {
     try {
       // Load staff, students, and schedule in parallel
       const [staffData, studentsData, scheduleData] = await Promise.all([
-        sharePointService.loadStaff().catch(err => {
+        dataStore.loadStaff().catch(err => {
           console.error('Failed to load staff:', err);
           return [];
         }),
-        sharePointService.loadStudents().catch(err => {
+        dataStore.loadStudents().catch(err => {
           console.error('Failed to load students:', err);
           return [];
         }),
-        sharePointService.loadSchedule(currentDate).catch(err => {
+        dataStore.loadSchedule(currentDate).catch(err => {
           console.error('Failed to load schedule:', err);
           return { assignments: [], date: currentDate };
         })
@@ -208,6 +569,8 @@ const ABAScheduler = () => {
       }
       
       setSchedule(cleanedSchedule);
+      rememberSavedSchedule(scheduleData);
+      setPendingAudit([]);
       setDataLoadedAt(new Date()); // Track when data was loaded
       
       console.log(`✅ Loaded ${staffData.length} staff, ${studentsData.length} students at ${new Date().toLocaleTimeString()}`);
@@ -240,16 +603,16 @@ const ABAScheduler = () => {
     try {
       // Load staff, students, and optionally the saved schedule for the selected date.
       const [staffData, studentsData, loadedSchedule] = await Promise.all([
-        sharePointService.loadStaff().catch(err => {
+        dataStore.loadStaff().catch(err => {
           console.error('Failed to load staff:', err);
           return [];
         }),
-        sharePointService.loadStudents().catch(err => {
+        dataStore.loadStudents().catch(err => {
           console.error('Failed to load students:', err);
           return [];
         }),
         reloadSavedSchedule
-          ? sharePointService.loadSchedule(currentDate).catch(err => {
+          ? dataStore.loadSchedule(currentDate).catch(err => {
               console.error('Failed to load saved schedule:', err);
               return new Schedule({ date: formatDateLocal(currentDate), assignments: [], traineeAssignments: [], lockedAssignments: new Set(), isFinalized: false });
             })
@@ -285,14 +648,14 @@ const ABAScheduler = () => {
           outOfSessionFullDay: false
         }));
         // Clear stale flags in SharePoint in the background
-        sharePointService.clearAllAttendanceInSharePoint(finalStaffData, finalStudentsData)
+        dataStore.clearAllAttendance(finalStaffData, finalStudentsData)
           .catch(err => console.error('Error clearing stale attendance in SharePoint:', err));
       }
       localStorage.setItem('lastAttendanceDate', today);
 
       // Always hydrate attendance from date-scoped DailyAttendance for selected date.
       // This prevents legacy/stale base-list attendance flags from affecting refresh.
-      const attendanceData = await sharePointService.loadAttendanceForDate(currentDate).catch(err => {
+      const attendanceData = await dataStore.loadAttendanceForDate(currentDate).catch(err => {
         console.error('Failed to load attendance for refresh:', err);
         return null;
       });
@@ -350,11 +713,24 @@ const ABAScheduler = () => {
         }));
       }
 
+      // Saves made on this device that have not synced yet win over what the server has
+      const queuedDay = syncQueue.getQueuedDay(formatDateLocal(currentDate));
+      if (queuedDay?.staff) {
+        console.log('📥 Using changes for this day that are still waiting to sync');
+        finalStaffData = applyQueuedAttendance(finalStaffData, queuedDay.staff, SANDBOX_STAFF_ATTENDANCE_FIELDS, Staff);
+        finalStudentsData = applyQueuedAttendance(finalStudentsData, queuedDay.students, SANDBOX_STUDENT_ATTENDANCE_FIELDS, Student);
+      }
+
       // Update staff and students
       setStaff(finalStaffData);
       setStudents(finalStudentsData);
 
-      const scheduleToUse = reloadSavedSchedule && loadedSchedule ? loadedSchedule : schedule;
+      const reloadedSchedule = reloadSavedSchedule && queuedDay?.schedule ? queuedDay.schedule : loadedSchedule;
+      const scheduleToUse = reloadSavedSchedule && reloadedSchedule ? reloadedSchedule : schedule;
+      if (reloadSavedSchedule && loadedSchedule) {
+        rememberSavedSchedule(queuedDay?.schedule ? queuedDay.base : loadedSchedule);
+        setPendingAudit([]);
+      }
 
       // CRITICAL: Clean up schedule by removing assignments for absent staff/students
       let removedCount = 0;
@@ -420,6 +796,23 @@ const ABAScheduler = () => {
     }
   };
 
+  // Save a day's attendance, or keep it in the offline queue when the server cannot be reached
+  const saveAttendanceOrQueue = async (date, staffToSave, studentsToSave) => {
+    const dateKey = formatDateLocal(date);
+    if (!syncQueue.hasPending(dateKey)) {
+      try {
+        const success = await dataStore.saveAttendanceForDate(date, staffToSave, studentsToSave);
+        if (success || !OfflineSyncQueue.isOffline()) return success;
+      } catch (error) {
+        if (!(error instanceof DataStoreOfflineError)) throw error;
+      }
+    }
+
+    await syncQueue.enqueueAttendance(dateKey, staffToSave, studentsToSave);
+    syncQueue.replay();
+    return true;
+  };
+
   // Handle date change
   const handleDateChange = async (newDate) => {
     if (isAuthenticated) {
@@ -433,7 +826,7 @@ const ABAScheduler = () => {
           
           // Save current day's attendance before changing date (date-scoped DailyAttendance)
           console.log('💾 Saving attendance for', oldDateStr);
-          await sharePointService.saveAttendanceForDate(currentDate, staff, students);
+          await saveAttendanceOrQueue(currentDate, staff, students);
           
           // Clear attendance in local state FIRST
           const clearedStaff = staff.map(s => new Staff({
@@ -471,12 +864,15 @@ const ABAScheduler = () => {
           setCurrentDate(newDate);
           
           // Load schedule for new date
-          const scheduleData = await sharePointService.loadSchedule(newDate);
-          setSchedule(scheduleData);
+          const scheduleData = await dataStore.loadSchedule(newDate);
+          const queuedDay = syncQueue.getQueuedDay(formatDateLocal(newDate));
+          setSchedule(queuedDay?.schedule || scheduleData);
+          rememberSavedSchedule(queuedDay?.schedule ? queuedDay.base : scheduleData);
+          setPendingAudit([]);
           
           // Load attendance data for the new date
           console.log('📥 Loading attendance data for', newDateStr);
-          const attendanceData = await sharePointService.loadAttendanceForDate(newDate);
+          const attendanceData = await dataStore.loadAttendanceForDate(newDate);
           
           if (attendanceData) {
             console.log('✅ Attendance data loaded, applying to staff and students');
@@ -524,6 +920,12 @@ const ABAScheduler = () => {
           } else {
             console.log('ℹ️ No attendance data found for this date - all marked as present');
           }
+
+          // Attendance saved on this device for the new date and not synced yet wins
+          if (queuedDay?.staff) {
+            setStaff(current => applyQueuedAttendance(current, queuedDay.staff, SANDBOX_STAFF_ATTENDANCE_FIELDS, Staff));
+            setStudents(current => applyQueuedAttendance(current, queuedDay.students, SANDBOX_STUDENT_ATTENDANCE_FIELDS, Student));
+          }
         }
       } catch (error) {
         console.error('Error loading schedule for new date:', error);
@@ -565,12 +967,12 @@ const ABAScheduler = () => {
       // Save to SharePoint in background
       const savePromises = [
         ...clearedStaff.map(s => 
-          sharePointService.saveStaff(s, true).catch(err => 
+          dataStore.saveStaff(s, true).catch(err => 
             console.error(`Failed to clear attendance for staff ${s.name}:`, err)
           )
         ),
         ...clearedStudents.map(s => 
-          sharePointService.saveStudent(s, true).catch(err => 
+          dataStore.saveStudent(s, true).catch(err => 
             console.error(`Failed to clear attendance for student ${s.name}:`, err)
           )
         )
@@ -587,15 +989,15 @@ const ABAScheduler = () => {
   const handleLogin = async () => {
     try {
       setLoading(true);
-      const loginSuccessful = await sharePointService.login();
+      const loginSuccessful = await dataStore.login();
       
       if (loginSuccessful) {
         setIsAuthenticated(true);
-        setAccessToken(sharePointService.accessToken);
+        setAccessToken(dataStore.accessToken);
         
         // Set access token for People Picker service
-        if (sharePointService.accessToken) {
-          peoplePickerService.setAccessToken(sharePointService.accessToken);
+        if (dataStore.accessToken) {
+          peoplePickerService.setAccessToken(dataStore.accessToken);
         }
         
         // Load data after successful authentication
@@ -610,7 +1012,7 @@ const ABAScheduler = () => {
   };
 
   const handleLogout = () => {
-    sharePointService.forceLogout();
+    dataStore.logout();
     setIsAuthenticated(false);
     setAccessToken(null);
     setStaff([]);
@@ -618,23 +1020,193 @@ const ABAScheduler = () => {
     setSchedule(new Schedule({ date: currentDate }));
   };
 
+  // Switch storage backend - the page reloads so every service starts on the new one
+  const handleSwitchDataStore = (mode) => {
+    localStorage.setItem('dataStoreMode', mode);
+    window.location.reload();
+  };
+
   // Clear authentication (useful for fixing 401 errors)
   const clearAuthentication = () => {
     localStorage.removeItem('sp_access_token');
     localStorage.removeItem('sp_token_expiry');
-    sharePointService.accessToken = null;
-    sharePointService.tokenExpiry = null;
+    dataStore.accessToken = null;
+    dataStore.tokenExpiry = null;
     setIsAuthenticated(false);
     setAccessToken(null);
     alert('Authentication cache cleared. Please refresh the page and log in again.');
   };
 
+  // Load recent DailyAssignments for the consecutive-days rule
+  const loadAssignmentHistory = useCallback(async () => {
+    if (consecutiveDaysRule.enforcement === RULE_ENFORCEMENT.OFF) {
+      setAssignmentHistory([]);
+      return [];
+    }
+
+    const history = await dataStore.loadAssignmentHistory(currentDate, consecutiveDaysRule.lookbackDays);
+    setAssignmentHistory(history);
+    return history;
+  }, [dataStore, currentDate, consecutiveDaysRule.enforcement, consecutiveDaysRule.lookbackDays]);
+
+  // Overlap sessions each trainer ran and each trainee had earlier this week (saved schedules),
+  // for Phase 0's weekly cap and trainee rotation
+  const loadTrainingWeekCounts = async () => {
+    const counts = { trainerOverlaps: {}, traineeSessions: {} };
+    if (!trainerCapacity.placeTrainingPairs) return counts;
+
+    const monday = new Date(currentDate.getFullYear(), currentDate.getMonth(), currentDate.getDate());
+    monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+    const mondayKey = formatDateLocal(monday);
+    const dayKey = formatDateLocal(currentDate);
+    if (mondayKey === dayKey) return counts;
+
+    // Fetch a day either side and compare date keys, so time zones cannot drop Monday or add today
+    const from = new Date(monday);
+    from.setDate(from.getDate() - 1);
+    const history = await dataStore.getTrainingHistory(from, currentDate);
+
+    history.forEach(entry => {
+      const entryKey = String(entry.ScheduleDate || '').slice(0, 10);
+      if (entryKey < mondayKey || entryKey >= dayKey) return;
+      counts.traineeSessions[entry.StaffId] = (counts.traineeSessions[entry.StaffId] || 0) + 1;
+      if (entry.TrainerId) {
+        counts.trainerOverlaps[entry.TrainerId] = (counts.trainerOverlaps[entry.TrainerId] || 0) + 1;
+      }
+    });
+    return counts;
+  };
+
+  // History for the consecutive-days warnings on the Validation tab
+  useEffect(() => {
+    if (isAuthenticated && activeTab === 'validation') {
+      loadAssignmentHistory();
+    }
+  }, [isAuthenticated, activeTab, loadAssignmentHistory]);
+
+  // Seed typed into the header to reproduce an earlier run (null = let the engine pick one)
+  const getRequestedSeed = () => {
+    const trimmed = seedInput.trim();
+    if (!trimmed) return null;
+
+    const seed = Number(trimmed);
+    if (!Number.isInteger(seed) || seed < 0) {
+      alert('⚠️ Seed must be a whole number (or leave it blank for a random run).');
+      return undefined;
+    }
+    return seed;
+  };
+
+  // A small-group client may share a staff member with a compatible group (see Group.getJoinIssues),
+  // and linked clients share their cluster's staff
+  const canShareStaff = (assignment, staffSessionAssignments) => {
+    const probe = new Schedule({ date: schedule.date, assignments: staffSessionAssignments });
+    if (SchedulingRules.isLinkedClusterShare(assignment, probe)) return true;
+    const joinIssues = SchedulingRules.getGroupJoinIssues(assignment, probe, students);
+    return joinIssues !== null && joinIssues.length === 0;
+  };
+
+  // Split coverage blocks may fall inside the part of the session a late-arriving or early-leaving staff member is here for
+  const isStaffUnavailableForAssignment = (staffMember, assignment) => {
+    if (staffMember.isAvailableForSession(assignment.session)) return false;
+    if (!assignment.isPartial || !assignment.isPartial()) return true;
+
+    const block = SchedulingUtils.getAssignmentWindow(assignment, students);
+    const present = staffMember.getAvailableWindow(String(assignment.session).toUpperCase(), block);
+    return !present || present.start > block.start || present.end < block.end;
+  };
+
+  // Change preview - Auto Assign, Smart Swap and attendance re-plans propose a schedule,
+  // and only the changes the user accepts in ScheduleDiffModal are applied
+  const openSchedulePreview = ({
+    before = schedule,
+    title,
+    summary = '',
+    after,
+    staffList = staff,
+    studentList = students,
+    reasons = [],
+    warnings = [],
+    onDecline = null,
+    applyLabel,
+    declineLabel,
+    auditAction // AUDIT_ACTIONS value the applied changes are recorded with
+  }) => {
+    const changes = SchedulingUtils.diffSchedules(before, after).map(change => {
+      const assignment = change.after || change.before;
+      const match = reasons.find(r =>
+        r.staffId === assignment.staffId && r.studentId === assignment.studentId && r.session === change.session
+      );
+      return match ? { ...change, reason: match.reason } : change;
+    });
+
+    if (changes.length === 0) {
+      console.log(`ℹ️ ${title}: no changes to the schedule`);
+      recordScheduleChanges(before, after, auditAction);
+      setSchedule(after);
+      return;
+    }
+
+    // Removing an absent person's assignment cannot be rejected
+    const requiredIds = changes.filter(({ before, session }) => {
+      if (!before) return false;
+      const staffMember = staffList.find(s => s.id === before.staffId);
+      const student = studentList.find(s => s.id === before.studentId);
+      const isSplitBlock = Boolean(before.startTime || before.endTime);
+      return (staffMember && !staffMember.isAvailableForSession(session) && !isSplitBlock) ||
+        (student && !student.isAvailableForSession(session, currentDate));
+    }).map(change => change.id);
+
+    setPendingPreview({
+      title, summary, before, after, changes, requiredIds, warnings, onDecline, applyLabel, declineLabel, auditAction
+    });
+  };
+
+  const handleApplyPreview = (acceptedIds) => {
+    const { before, after, changes, title, auditAction } = pendingPreview;
+    const applied = SchedulingUtils.applyScheduleChanges(before, after, changes, acceptedIds);
+    recordScheduleChanges(before, applied, auditAction);
+    setSchedule(applied);
+    console.log(`✅ ${title}: applied ${acceptedIds.length} of ${changes.length} change(s)`);
+    setPendingPreview(null);
+  };
+
+  const handleDeclinePreview = () => {
+    if (pendingPreview.onDecline) pendingPreview.onDecline();
+    setPendingPreview(null);
+  };
+
   // Auto-assignment
   const handleAutoAssign = async () => {
+    const requestedSeed = getRequestedSeed();
+    if (requestedSeed === undefined) return;
+
     setAutoAssigning(true);
     
     try {
-      const result = await autoAssignEngine.autoAssignSchedule(schedule, staff, students, currentDate);
+      const history = await loadAssignmentHistory();
+      const trainingCounts = await loadTrainingWeekCounts();
+      // The engine fills the schedule it is given, so give it a copy and keep `schedule` as the preview's "before"
+      const workingSchedule = new Schedule({
+        ...schedule,
+        assignments: [...schedule.assignments],
+        traineeAssignments: [...(schedule.traineeAssignments || [])],
+        lockedAssignments: new Set(schedule.lockedAssignments)
+      });
+      const result = await autoAssignWorker.autoAssignSchedule(workingSchedule, staff, students, currentDate, {
+        mode: assignmentMode,
+        assignmentHistory: history,
+        seed: requestedSeed,
+        ...trainingCounts
+      }, setEngineProgress);
+
+      setLastRunLog(result.runLog);
+
+      if (result.solver) {
+        const { coverage, upperBound, isOptimal, nodeLimitReached, smallGroupsFixed } = result.solver;
+        const limits = [nodeLimitReached && 'node limit reached', smallGroupsFixed && 'small groups chosen first fit'].filter(Boolean);
+        console.log(`🧮 Exact solver: ${coverage}/${upperBound} client sessions fully covered${isOptimal ? ' (proven optimal)' : ` (not proven optimal: ${limits.join(', ')})`}`);
+      }
       
       if (result.assignments.length > 0) {
         // Keep only locked/manual/loaded assignments from the existing schedule
@@ -674,10 +1246,11 @@ const ABAScheduler = () => {
           if (!staffMember) return true; // Keep if staff not found (shouldn't happen)
           
           // Check if staff is unavailable (absent OR out of session)
-          const isUnavailable = !staffMember.isAvailableForSession(assignment.session);
+          const isUnavailable = isStaffUnavailableForAssignment(staffMember, assignment);
             
           if (isUnavailable) {
             console.warn(`⚠️ SAFETY CHECK: Removed assignment for unavailable staff: ${staffMember.name} (${assignment.session})`);
+            result.runLog.add(RUN_LOG_EVENT_TYPES.BLOCKED, `Safety check: ${staffMember.name} unavailable in ${assignment.session} - removed from ${assignment.studentName}`, { rule: 'safety-check' });
             return false;
           }
           return true;
@@ -702,12 +1275,16 @@ const ABAScheduler = () => {
           }
           
           const ratio = session === 'AM' ? student.ratioAM : student.ratioPM;
-          const maxStaff = ratio === '2:1' ? 2 : 1;
+          const cluster = LinkedCluster.getClusterForStudent(student.id);
+          const maxStaff = cluster ? cluster.getRequiredStaff(session) : (ratio === '2:1' ? 2 : 1);
           
           // CRITICAL: Separate main staff from trainees
           // Trainees don't count toward ratio limits - they're always extras
-          const mainStaff = assignments.filter(a => !a.isTrainee);
+          // Split coverage blocks share one staff slot between them, so they are kept as well
+          const isSplitBlock = a => a.isPartial && a.isPartial();
+          const mainStaff = assignments.filter(a => !a.isTrainee && !isSplitBlock(a));
           const trainees = assignments.filter(a => a.isTrainee);
+          const splitBlocks = assignments.filter(a => !a.isTrainee && isSplitBlock(a));
           
           // Limit only main staff based on ratio, prioritize manual/locked/loaded
           const sortedMainStaff = mainStaff.sort((a, b) => {
@@ -720,13 +1297,14 @@ const ABAScheduler = () => {
           const keptMainStaff = sortedMainStaff.slice(0, maxStaff);
           const removedMainStaff = sortedMainStaff.slice(maxStaff);
           
-          // Keep limited main staff + ALL trainees
-          validAssignments.push(...keptMainStaff, ...trainees);
+          // Keep limited main staff + ALL trainees and split blocks
+          validAssignments.push(...keptMainStaff, ...trainees, ...splitBlocks);
           
           if (removedMainStaff.length > 0) {
             console.warn(`⚠️ TRIMMING ${student.name} ${session} MAIN STAFF: ${mainStaff.length} → ${maxStaff} (ratio: ${ratio})`);
             console.warn(`   KEEPING: ${keptMainStaff.map(a => `${a.staffName}(${a.assignedBy})`).join(', ')}`);
             console.warn(`   REMOVED: ${removedMainStaff.map(a => `${a.staffName}(${a.assignedBy})`).join(', ')}`);
+            result.runLog.add(RUN_LOG_EVENT_TYPES.BLOCKED, `Safety check: ${student.name} ${session} trimmed to ${maxStaff} staff - removed ${removedMainStaff.map(a => a.staffName).join(', ')}`, { rule: 'safety-check' });
           }
           if (trainees.length > 0) {
             console.log(`   ✅ KEEPING ${trainees.length} trainee(s): ${trainees.map(a => a.staffName).join(', ')}`);
@@ -738,27 +1316,29 @@ const ABAScheduler = () => {
         const staffDoubleBookings = {};
         
         validAssignments = validAssignments.filter(assignment => {
+          if (assignment.isPartial && assignment.isPartial()) return true; // Split blocks are checked by time window in the engine
           const key = `${assignment.staffId}-${assignment.session}`;
           
           if (staffDoubleBookings[key]) {
             // Staff is already assigned in this session
-            const existingAssignment = staffDoubleBookings[key];
+            const existingAssignment = staffDoubleBookings[key][0];
             const currentStudent = students.find(s => s.id === assignment.studentId);
             const existingStudent = students.find(s => s.id === existingAssignment.studentId);
             
-            // Allow only if students are paired (1:2 ratio)
+            // Allow only if students are paired (1:2 ratio), the student joins a compatible small group, or both are in a linked cluster
             const arePaired = currentStudent && existingStudent && 
               currentStudent.isPaired() && 
               currentStudent.pairedWith === existingStudent.id;
             
-            if (!arePaired) {
+            if (!arePaired && !canShareStaff(assignment, staffDoubleBookings[key])) {
               const staffMember = staff.find(s => s.id === assignment.staffId);
               console.warn(`⚠️ BLOCKED DOUBLE-BOOKING: ${staffMember?.name || 'Staff'} cannot be assigned to ${currentStudent?.name || 'student'} - already assigned to ${existingStudent?.name || 'another student'} in ${assignment.session}`);
+              result.runLog.add(RUN_LOG_EVENT_TYPES.BLOCKED, `Safety check: ${staffMember?.name || 'Staff'} already with ${existingStudent?.name || 'another student'} in ${assignment.session} - not added to ${currentStudent?.name || 'student'}`, { rule: 'safety-check' });
               return false; // Remove this assignment
             }
           }
           
-          staffDoubleBookings[key] = assignment;
+          staffDoubleBookings[key] = [...(staffDoubleBookings[key] || []), assignment];
           return true; // Keep this assignment
         });
         
@@ -769,26 +1349,43 @@ const ABAScheduler = () => {
         const newSchedule = new Schedule({
           date: schedule.date,
           assignments: validAssignments,
-          traineeAssignments: [...(schedule.traineeAssignments || [])], // Preserve trainee assignments
-          lockedAssignments: schedule.lockedAssignments,
-          isFinalized: schedule.isFinalized
+          traineeAssignments: [...(workingSchedule.traineeAssignments || [])], // Preserve trainee assignments (and Phase 0 training pairs)
+          lockedAssignments: workingSchedule.lockedAssignments,
+          isFinalized: schedule.isFinalized,
+          seed: result.seed,
+          runLog: result.runLog
+        });
+        const trainingSummary = result.training
+          ? ` ${result.training.placed.length} training pair(s) placed${result.training.capacity.isOverCapacity ? ', training demand exceeds trainer capacity' : ''}.`
+          : '';
+        openSchedulePreview({
+          title: 'Review Auto Assign',
+          summary: `Seed ${result.seed}. ${result.errors.length} gap(s) or warning(s) from the run.${trainingSummary}`,
+          after: newSchedule,
+          warnings: result.errors,
+          declineLabel: 'Discard Run',
+          auditAction: AUDIT_ACTIONS.AUTO
         });
-        setSchedule(newSchedule);
       }
       
       if (result.errors.length > 0) {
         console.warn('Auto-assignment errors:', result.errors);
       }
     } catch (error) {
+      if (AutoAssignWorkerClient.isCancelled(error)) return;
       console.error('Auto-assignment failed:', error);
       alert('Auto-assignment failed. Please check the console for details.');
     } finally {
       setAutoAssigning(false);
+      setEngineProgress(null);
     }
   };
 
   // Smart Swap Optimization - Fill gaps by finding beneficial swaps
   const handleSmartSwap = async () => {
+    const requestedSeed = getRequestedSeed();
+    if (requestedSeed === undefined) return;
+
     setAutoAssigning(true);
     
     // Preserve current staff/students state (including attendance data)
@@ -827,7 +1424,7 @@ const ABAScheduler = () => {
         const staffMember = staff.find(s => s.id === assignment.staffId);
         if (!staffMember) return true;
 
-        const isUnavailable = !staffMember.isAvailableForSession(assignment.session);
+        const isUnavailable = isStaffUnavailableForAssignment(staffMember, assignment);
         if (isUnavailable) {
           console.warn(`⚠️ ${label} SAFETY 0: Removed ${staffMember.name} → ${assignment.studentName || 'student'} (${assignment.session}) - unavailable`);
           return false;
@@ -856,10 +1453,13 @@ const ABAScheduler = () => {
         }
 
         const ratio = session === 'AM' ? student.ratioAM : student.ratioPM;
-        const maxStaff = ratio === '2:1' ? 2 : 1;
+        const cluster = LinkedCluster.getClusterForStudent(student.id);
+        const maxStaff = cluster ? cluster.getRequiredStaff(session) : (ratio === '2:1' ? 2 : 1);
 
-        const mainStaff = assignments.filter(a => !a.isTrainee);
+        const isSplitBlock = a => a.isPartial && a.isPartial();
+        const mainStaff = assignments.filter(a => !a.isTrainee && !isSplitBlock(a));
         const trainees = assignments.filter(a => a.isTrainee);
+        const splitBlocks = assignments.filter(a => !a.isTrainee && isSplitBlock(a));
 
         const sortedMainStaff = mainStaff.sort((a, b) => {
           const aPriority = (a.assignedBy === 'manual' || a.isLocked) ? 3 : (a.assignedBy === 'loaded') ? 2 : 1;
@@ -870,7 +1470,7 @@ const ABAScheduler = () => {
         const keptMainStaff = sortedMainStaff.slice(0, maxStaff);
         const removedMainStaff = sortedMainStaff.slice(maxStaff);
 
-        validAssignments.push(...keptMainStaff, ...trainees);
+        validAssignments.push(...keptMainStaff, ...trainees, ...splitBlocks);
 
         if (removedMainStaff.length > 0) {
           console.warn(`⚠️ ${label} SAFETY 1 TRIMMING ${student.name} ${session}: ${mainStaff.length} → ${maxStaff} (ratio: ${ratio})`);
@@ -884,10 +1484,11 @@ const ABAScheduler = () => {
       const beforeSafetyCheck2 = validAssignments.length;
       const staffDoubleBookings = {};
       validAssignments = validAssignments.filter(assignment => {
+        if (assignment.isPartial && assignment.isPartial()) return true; // Split blocks are checked by time window in the engine
         const key = `${assignment.staffId}-${assignment.session}`;
 
         if (staffDoubleBookings[key]) {
-          const existingAssignment = staffDoubleBookings[key];
+          const existingAssignment = staffDoubleBookings[key][0];
           const currentStudent = students.find(s => s.id === assignment.studentId);
           const existingStudent = students.find(s => s.id === existingAssignment.studentId);
 
@@ -895,14 +1496,14 @@ const ABAScheduler = () => {
             currentStudent.isPaired() &&
             currentStudent.pairedWith === existingStudent.id;
 
-          if (!arePaired) {
+          if (!arePaired && !canShareStaff(assignment, staffDoubleBookings[key])) {
             const staffMember = staff.find(s => s.id === assignment.staffId);
             console.warn(`⚠️ ${label} BLOCKED DOUBLE-BOOKING: ${staffMember?.name || 'Staff'} cannot be assigned to ${currentStudent?.name || 'student'} - already assigned to ${existingStudent?.name || 'another student'} in ${assignment.session}`);
             return false;
           }
         }
 
-        staffDoubleBookings[key] = assignment;
+        staffDoubleBookings[key] = [...(staffDoubleBookings[key] || []), assignment];
         return true;
       });
       if (beforeSafetyCheck2 !== validAssignments.length) {
@@ -917,7 +1518,9 @@ const ABAScheduler = () => {
       console.log('🔀 Starting Smart Swap Optimization...');
       
       // Use the AutoAssignmentEngine's swap optimization
-      const result = await autoAssignEngine.performSwapOptimization(schedule, preservedStaff, preservedStudents, currentDate);
+      const result = await autoAssignWorker.performSwapOptimization(schedule, preservedStaff, preservedStudents, currentDate, {
+        seed: requestedSeed
+      }, setEngineProgress);
       
       if (result.swapsMade > 0 || result.newAssignments.length > 0) {
         console.log(`✅ Smart Swap Results: ${result.swapsMade} swaps, ${result.gapsFilled} gaps filled`);
@@ -933,7 +1536,7 @@ const ABAScheduler = () => {
           const staffMember = staff.find(s => s.id === assignment.staffId);
           if (!staffMember) return true;
           
-          const isUnavailable = !staffMember.isAvailableForSession(assignment.session);
+          const isUnavailable = isStaffUnavailableForAssignment(staffMember, assignment);
           if (isUnavailable) {
             console.warn(`⚠️ SMART SWAP SAFETY 0: Removed ${staffMember.name} → ${assignment.studentName || 'student'} (${assignment.session}) - unavailable`);
             return false;
@@ -972,17 +1575,23 @@ const ABAScheduler = () => {
           assignments: validAssignments,
           traineeAssignments: [...(schedule.traineeAssignments || [])],
           lockedAssignments: schedule.lockedAssignments,
-          isFinalized: schedule.isFinalized
+          isFinalized: schedule.isFinalized,
+          seed: result.seed
         });
         
-        setSchedule(newSchedule);
+        openSchedulePreview({
+          title: 'Review Smart Swap',
+          summary: `${result.swapsMade} swaps made, ${result.gapsFilled} gaps filled.`,
+          after: newSchedule,
+          declineLabel: 'Discard Swaps',
+          auditAction: AUDIT_ACTIONS.SMART_SWAP
+        });
         
         // CRITICAL: Verify attendance data is still present
         const staffWithAttendance = staff.filter(s => s.absentAM || s.absentPM || s.absentFullDay || s.outOfSessionAM || s.outOfSessionPM || s.outOfSessionFullDay).length;
         const studentsWithAttendance = students.filter(s => s.absentAM || s.absentPM || s.absentFullDay || s.outOfSessionAM || s.outOfSessionPM || s.outOfSessionFullDay).length;
         console.log(`✅ After Smart Swap - Attendance preserved: ${staffWithAttendance} staff, ${studentsWithAttendance} students with attendance flags`);
         
-        alert(`✅ Smart Swap Complete!\n\n${result.swapsMade} swaps made\n${result.gapsFilled} gaps filled\n\nCheck the schedule for improvements.`);
       } else {
         // No swaps found - calculate remaining gaps manually
         const activeStudents = preservedStudents.filter(s => s.isActive && s.isScheduledForDay(currentDate));
@@ -1031,7 +1640,8 @@ const ABAScheduler = () => {
               const otherSession = session === 'AM' ? 'PM' : 'AM';
               const candidates = preservedStaff.filter(s =>
                 targetStudent.teamIds.includes(s.id) &&
-                (s.role === 'RBT' || s.role === 'BS') &&
+                s.canAutoAssign() &&
+                s.canCoverRatio(targetStudent.getSessionRatio(session)) &&
                 s.isAvailableForSession(session)
               );
 
@@ -1139,11 +1749,10 @@ const ABAScheduler = () => {
               assignments: normalizedTraceAssignments,
               traineeAssignments: [...(schedule.traineeAssignments || [])],
               lockedAssignments: schedule.lockedAssignments,
-              isFinalized: schedule.isFinalized
+              isFinalized: schedule.isFinalized,
+              seed: schedule.seed
             });
             
-            setSchedule(newSchedule);
-            
             // Calculate remaining gaps
             const newGaps = [];
             for (const student of activeStudents) {
@@ -1159,22 +1768,33 @@ const ABAScheduler = () => {
               }
             }
             
-            alert(`✅ Trace & Swap Complete!\n\n${totalCleared} assignments cleared\n${totalFilled} gaps filled\n${newGaps.length} gaps remaining\n\n${totalCleared > totalFilled ? 'Some students were unassigned in the process.' : ''}`);
+            openSchedulePreview({
+              title: 'Review Trace & Swap',
+              summary: `${totalCleared} assignments cleared, ${totalFilled} gaps filled, ${newGaps.length} gaps remaining.` +
+                (totalCleared > totalFilled ? '\nSome students were unassigned in the process.' : ''),
+              after: newSchedule,
+              declineLabel: 'Discard Swaps',
+              auditAction: AUDIT_ACTIONS.SMART_SWAP
+            });
           }
         } else {
           alert('ℹ️ No gaps remaining. Schedule is fully assigned!');
         }
       }
     } catch (error) {
+      if (AutoAssignWorkerClient.isCancelled(error)) return;
       console.error('Smart swap failed:', error);
       alert('Smart swap failed. Please check the console for details.');
     } finally {
       setAutoAssigning(false);
+      setEngineProgress(null);
     }
   };
 
 // Assignment management
 const handleAssignmentLock = (assignmentId) => {
+  const before = Sandbox.copySchedule(schedule);
+
   // Check if this is a trainee assignment (starts with 'trainee_')
   if (assignmentId && assignmentId.startsWith('trainee_')) {
     schedule.lockTraineeAssignment(assignmentId);
@@ -1188,13 +1808,17 @@ const handleAssignmentLock = (assignmentId) => {
     assignments: [...schedule.assignments],
     traineeAssignments: [...(schedule.traineeAssignments || [])], // Preserve trainee assignments
     lockedAssignments: new Set(schedule.lockedAssignments),
-    isFinalized: schedule.isFinalized
+    isFinalized: schedule.isFinalized,
+    seed: schedule.seed
   });
   
+  recordScheduleChanges(before, newSchedule, AUDIT_ACTIONS.MANUAL);
   setSchedule(newSchedule);
 };
 
 const handleAssignmentUnlock = (assignmentId) => {
+  const before = Sandbox.copySchedule(schedule);
+
   // Check if this is a trainee assignment (starts with 'trainee_')
   if (assignmentId && assignmentId.startsWith('trainee_')) {
     schedule.unlockTraineeAssignment(assignmentId);
@@ -1208,9 +1832,11 @@ const handleAssignmentUnlock = (assignmentId) => {
     assignments: [...schedule.assignments],
     traineeAssignments: [...(schedule.traineeAssignments || [])], // Preserve trainee assignments
     lockedAssignments: new Set(schedule.lockedAssignments),
-    isFinalized: schedule.isFinalized
+    isFinalized: schedule.isFinalized,
+    seed: schedule.seed
   });
   
+  recordScheduleChanges(before, newSchedule, AUDIT_ACTIONS.MANUAL);
   setSchedule(newSchedule);
 };
 
@@ -1244,20 +1870,22 @@ const handleManualAssignment = ({
 
   // CRITICAL CHECK 2: Prevent double-booking of staff (skip for trainees - they're allowed to overlap)
   // Check if staff is already assigned in this session (any program)
-  const existingStaffAssignment = !isTrainee && schedule.assignments.find(a => 
+  const existingStaffAssignments = isTrainee ? [] : schedule.assignments.filter(a => 
     a.staffId === staffId && a.session === session && !a.isTrainee
   );
+  const existingStaffAssignment = existingStaffAssignments[0];
 
   if (existingStaffAssignment) {
-    // Allow only if the student is 1:2 (paired) and staff is already with their paired partner
+    // Allow only if staff is already with the student's paired partner, runs a group the student can join, or covers their linked cluster
     const isPairedStudent = student.isPaired();
     const existingStudent = students.find(s => s.id === existingStaffAssignment.studentId);
     const isWithPairedPartner = isPairedStudent && existingStudent && 
       student.pairedWith === existingStudent.id;
+    const canShareWithStaff = canShareStaff({ staffId, studentId, session, program }, existingStaffAssignments);
 
-    if (!isWithPairedPartner) {
+    if (!isWithPairedPartner && !canShareWithStaff) {
       const existingStudentName = existingStudent ? existingStudent.name : 'unknown student';
-      alert(`❌ Cannot assign ${staffMember.name} to ${student.name} in ${session} session.\n\n${staffMember.name} is already assigned to ${existingStudentName} in the ${session} session.\n\nStaff can only be assigned to multiple students if they are in a 1:2 paired group.`);
+      alert(`❌ Cannot assign ${staffMember.name} to ${student.name} in ${session} session.\n\n${staffMember.name} is already assigned to ${existingStudentName} in the ${session} session.\n\nStaff can only be assigned to multiple students if they are in a 1:2 paired group, a compatible small group or a linked cluster.`);
       console.warn(`⚠️ Blocked double-booking: ${staffMember.name} already assigned to ${existingStudentName} in ${session}`);
       return;
     }
@@ -1277,6 +1905,8 @@ const handleManualAssignment = ({
     isTrainee: isTrainee // Mark if this is a trainee assignment
   });
 
+  const before = Sandbox.copySchedule(schedule);
+
   // Add assignment to schedule
   // For trainees, add to traineeAssignments array; for regular staff, add to assignments array
   if (isTrainee) {
@@ -1364,15 +1994,18 @@ const handleManualAssignment = ({
     assignments: [...schedule.assignments], // Create new array reference
     traineeAssignments: [...(schedule.traineeAssignments || [])], // Preserve trainee assignments
     lockedAssignments: new Set(schedule.lockedAssignments),
-    isFinalized: schedule.isFinalized
+    isFinalized: schedule.isFinalized,
+    seed: schedule.seed
   });
   
+  recordScheduleChanges(before, newSchedule, AUDIT_ACTIONS.MANUAL);
   setSchedule(newSchedule);
 };
 
 const handleAssignmentRemove = (assignmentId) => {
   console.log('🗑️ Removing assignment:', assignmentId);
   
+  const before = Sandbox.copySchedule(schedule);
   let removedAssignment = null;
   
   // Check if this is a trainee assignment (starts with 'trainee_')
@@ -1437,56 +2070,136 @@ const handleAssignmentRemove = (assignmentId) => {
     assignments: [...schedule.assignments], // Create new array reference
     traineeAssignments: [...(schedule.traineeAssignments || [])], // Preserve trainee assignments
     lockedAssignments: new Set(schedule.lockedAssignments),
-    isFinalized: schedule.isFinalized
+    isFinalized: schedule.isFinalized,
+    seed: schedule.seed
   });
   
+  recordScheduleChanges(before, newSchedule, AUDIT_ACTIONS.MANUAL);
   setSchedule(newSchedule);
   
   console.log('✅ Assignment removed. Total assignments:', newSchedule.assignments.length);
 };
 
-  // Save schedule
-  const handleSaveSchedule = async () => {
-    // Check if schedule was modified after we loaded it
-    if (schedule.lastModified && dataLoadedAt) {
-      const scheduleModifiedAt = new Date(schedule.lastModified);
-      if (scheduleModifiedAt > dataLoadedAt) {
-        const timeDiff = Math.floor((scheduleModifiedAt - dataLoadedAt) / 1000 / 60); // minutes
-        const confirmMessage = `⚠️ WARNING: This schedule was modified by ${schedule.lastModifiedBy} ${timeDiff} minute${timeDiff !== 1 ? 's' : ''} after you loaded the page.\n\nSaving now may overwrite their changes.\n\nRecommendation: Click "Cancel", then click the "Refresh" button to see their changes before making your edits.\n\nDo you want to save anyway and potentially overwrite their work?`;
-
-        if (!window.confirm(confirmMessage)) {
-          return; // User chose not to save
-        }
-      }
+  // Save one day checked against base, or queue it when the server cannot be reached.
+  // attendance ({ staff, students }) is saved with it - only the open day's attendance is known here.
+  // Returns { status: 'saved' | 'queued' | 'failed' } or { status: 'conflict', theirs }
+  const saveDayChecked = async (scheduleToSave, base, auditEntries, attendance = null) => {
+    const queueDay = async () => {
+      await syncQueue.enqueueSchedule(scheduleToSave, base, attendance?.staff ?? null, attendance?.students ?? null, auditEntries);
+      syncQueue.replay();
+      return { status: 'queued' };
+    };
+
+    // Changes for this day still waiting to sync go first - this save joins the queue behind them
+    if (syncQueue.hasPending(scheduleToSave.date)) return queueDay();
+
+    let success;
+    try {
+      success = await dataStore.saveSchedule(
+        scheduleToSave,
+        attendance?.staff ?? null,
+        attendance?.students ?? null,
+        { detectConflicts: true, auditEntries }
+      );
+    } catch (error) {
+      if (error instanceof DataStoreOfflineError) return queueDay();
+      if (!(error instanceof ScheduleConflictError)) throw error;
+      console.warn(`⚠️ Save conflict for ${scheduleToSave.date}:`, error.message);
+      return { status: 'conflict', theirs: error.theirs };
     }
 
+    if (!success && OfflineSyncQueue.isOffline()) return queueDay();
+    return { status: success ? 'saved' : 'failed' };
+  };
+
+  // Save the open day checked against base; on a conflict open the merge with what is saved now
+  // auditEntries are the edits being saved - they go to the audit log with the schedule
+  const saveCheckedSchedule = async (scheduleToSave, base, auditEntries = []) => {
+    // Pass current staff and students so attendance data is saved
+    const outcome = await saveDayChecked(scheduleToSave, base, auditEntries, { staff, students });
+
+    if (outcome.status === 'queued') {
+      setSchedule(scheduleToSave);
+      setPendingAudit(prev => prev.filter(entry => !auditEntries.includes(entry)));
+      alert(`📥 Could not reach the server, so the schedule is saved on this device.\n\nIt will sync automatically when the connection is back (${syncQueue.getStatus().pending} change(s) waiting).`);
+      return;
+    }
+
+    if (outcome.status === 'conflict') {
+      setPendingAudit(auditEntries);
+      setPendingMerge(SchedulingUtils.mergeSchedules(base, scheduleToSave, outcome.theirs));
+      return;
+    }
+
+    if (outcome.status === 'saved') {
+      // Update local schedule state with metadata and the new version
+      setSchedule(scheduleToSave);
+      rememberSavedSchedule(scheduleToSave);
+      setPendingAudit(prev => prev.filter(entry => !auditEntries.includes(entry)));
+      setDataLoadedAt(new Date()); // Reset the load time since we just saved
+      console.log('✅ Schedule saved successfully');
+      alert('Schedule saved successfully! Historical data is now available for rule checking.');
+    } else {
+      console.log('ℹ️ Schedule save failed - check browser console for details');
+      alert('Failed to save schedule. Please check the browser console (F12 → Console) for detailed error information. This might be due to missing SharePoint lists, permissions, or column naming issues.');
+    }
+  };
+
+  const handleSaveMerge = async (choices) => {
+    const merge = pendingMerge;
+    // Checked again here so no caller can write a merge that double-books staff
+    const staffClashes = SchedulingUtils.findMergeStaffClashes(merge, choices);
+    if (staffClashes.length > 0) {
+      alert(`The merged schedule would double-book ${staffClashes.map(clash => `${clash.staffName || `staff ${clash.staffId}`} (${clash.session})`).join(', ')}. Pick the same version for their clients.`);
+      return;
+    }
+    const merged = SchedulingUtils.applyScheduleMerge(merge, choices);
+    // Edits to client sessions where theirs was taken did not make it into the day
+    const auditEntries = SchedulingUtils.filterAuditEntriesForMerge(pendingAudit, merge, choices);
+    setPendingAudit(auditEntries);
+    setPendingMerge(null);
+    setSaving(true);
+    try {
+      // Theirs is the base now - if yet another save lands first, merge against it again
+      await saveCheckedSchedule(merged, merge.theirs, auditEntries);
+    } catch (error) {
+      console.error('❌ Error saving merged schedule:', error);
+      alert(`Error: ${error.message}\n\nFor technical details, check the browser console (F12 → Console).`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleUseTheirSchedule = () => {
+    setSchedule(pendingMerge.theirs);
+    rememberSavedSchedule(pendingMerge.theirs);
+    setPendingAudit([]);
+    setDataLoadedAt(new Date());
+    setPendingMerge(null);
+  };
+
+  // Save schedule
+  // The save is checked against the version last loaded or saved (savedSchedule). If someone else
+  // saved the day meanwhile, the three-way merge opens in ScheduleMergeModal instead of overwriting them.
+  const handleSaveSchedule = async () => {
     setSaving(true);
     try {
       // Get current user info from SharePoint service
-      const currentUser = sharePointService.currentUser?.displayName || 'Unknown User';
+      const currentUser = dataStore.getCurrentUserName();
       const timestamp = new Date().toISOString();
+      const dateKey = formatDateLocal(currentDate);
+      const base = savedSchedule?.date === dateKey ? savedSchedule : new Schedule({ date: dateKey });
 
       // Update schedule with metadata before saving
       const scheduleToSave = new Schedule({
         ...schedule,
-        date: `${currentDate.getFullYear()}-${String(currentDate.getMonth() + 1).padStart(2, '0')}-${String(currentDate.getDate()).padStart(2, '0')}`,
+        date: dateKey,
         lastModified: timestamp,
-        lastModifiedBy: currentUser
+        lastModifiedBy: currentUser,
+        version: base.version
       });
 
-      // Pass current staff and students so attendance data is saved
-      const success = await sharePointService.saveSchedule(scheduleToSave, staff, students);
-
-      if (success) {
-        // Update local schedule state with metadata
-        setSchedule(scheduleToSave);
-        setDataLoadedAt(new Date()); // Reset the load time since we just saved
-        console.log('✅ Schedule saved successfully to SharePoint');
-        alert('Schedule saved successfully! Historical data is now available for rule checking.');
-      } else {
-        console.log('ℹ️ Schedule save failed - check browser console for details');
-        alert('Failed to save schedule. Please check the browser console (F12 → Console) for detailed error information. This might be due to missing SharePoint lists, permissions, or column naming issues.');
-      }
+      await saveCheckedSchedule(scheduleToSave, base, pendingAudit);
     } catch (error) {
       console.error('❌ Error saving schedule:', error);
 
@@ -1508,6 +2221,143 @@ const handleAssignmentRemove = (assignmentId) => {
     }
   };
 
+  // Week planning - builds Mon-Fri together around what each day already has: the open day's
+  // manual/locked assignments, every assignment saved for the other days, and each day's attendance
+  const handlePlanWeek = async () => {
+    const requestedSeed = getRequestedSeed();
+    if (requestedSeed === undefined) return null;
+
+    const monday = new Date(currentDate.getFullYear(), currentDate.getMonth(), currentDate.getDate());
+    monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+    const friday = new Date(monday);
+    friday.setDate(monday.getDate() + 4);
+    const openDateKey = formatDateLocal(currentDate);
+
+    // Each day is saved later against the version it was planned from (its base)
+    const bases = {};
+    const fixedSchedules = {};
+    for (let offset = 0; offset < 5; offset++) {
+      const date = new Date(monday);
+      date.setDate(monday.getDate() + offset);
+      const dateKey = formatDateLocal(date);
+
+      if (dateKey === openDateKey) {
+        // The open day is planned from the schedule on screen, unsaved edits included
+        bases[dateKey] = savedSchedule?.date === dateKey ? savedSchedule : new Schedule({ date: dateKey });
+        fixedSchedules[dateKey] = schedule;
+        continue;
+      }
+
+      // Saves made on this device that have not synced yet win over what the server has
+      const queuedDay = syncQueue.getQueuedDay(dateKey);
+      if (queuedDay?.schedule) {
+        bases[dateKey] = queuedDay.base || new Schedule({ date: dateKey });
+        fixedSchedules[dateKey] = queuedDay.schedule;
+      } else {
+        const saved = await dataStore.loadSchedule(date);
+        bases[dateKey] = saved;
+        fixedSchedules[dateKey] = saved;
+      }
+    }
+
+    const [history, attendanceByDate] = await Promise.all([
+      loadAssignmentHistory(),
+      dataStore.loadAttendanceForRange(monday, friday)
+    ]);
+    const plan = await autoAssignEngine.autoAssignWeek(currentDate, staff, students, {
+      mode: assignmentMode,
+      attendanceDate: currentDate,
+      attendanceByDate,
+      fixedSchedules,
+      assignmentHistory: history,
+      seed: requestedSeed
+    });
+    return { ...plan, days: plan.days.map(day => ({ ...day, base: bases[day.dateKey] })) };
+  };
+
+  // Forecast the weekdays after the selected date with the attendance already entered for them
+  const handleForecastCoverage = async (weeks) => {
+    const startDate = new Date(currentDate.getFullYear(), currentDate.getMonth(), currentDate.getDate() + 1);
+    const endDate = new Date(startDate);
+    endDate.setDate(endDate.getDate() + weeks * 7 - 1);
+
+    const attendanceByDate = await dataStore.loadAttendanceForRange(startDate, endDate);
+    return autoAssignEngine.forecastCoverage(startDate, staff, students, { weeks, attendanceByDate });
+  };
+
+  // Every day is saved with the same version check as Save, against the day it was planned from.
+  // Only the open day's attendance is known, so the other days are saved without attendance.
+  const handleSaveWeekPlan = async (weekPlan) => {
+    const currentUser = dataStore.getCurrentUserName();
+    const openDateKey = formatDateLocal(currentDate);
+    const failedDays = [];
+    const queuedDays = [];
+    const conflictDays = [];
+
+    for (const day of weekPlan.days) {
+      const isOpenDay = day.dateKey === openDateKey;
+      const scheduleToSave = new Schedule({
+        ...day.schedule,
+        lastModified: new Date().toISOString(),
+        lastModifiedBy: currentUser,
+        version: day.base.version
+      });
+
+      // The plan's changes are logged as Auto Assign. The open day was planned from the schedule
+      // on screen, so its unsaved edits (pendingAudit) are saved with it ahead of the plan's changes
+      const auditEntries = isOpenDay
+        ? [...pendingAudit, ...AuditEntry.fromSchedules(schedule, scheduleToSave, { action: AUDIT_ACTIONS.AUTO, changedBy: currentUser })]
+        : AuditEntry.fromSchedules(day.base, scheduleToSave, { action: AUDIT_ACTIONS.AUTO, changedBy: currentUser });
+
+      // A day that throws is reported with the others instead of stopping the rest of the week
+      let outcome;
+      try {
+        outcome = await saveDayChecked(scheduleToSave, day.base, auditEntries, isOpenDay ? { staff, students } : null);
+      } catch (error) {
+        console.error(`❌ Error saving the week plan for ${day.dateKey}:`, error);
+        outcome = { status: 'failed', error };
+      }
+
+      if (outcome.status === 'failed') {
+        failedDays.push(outcome.error ? `${day.dateKey} (${outcome.error.message})` : day.dateKey);
+      } else if (outcome.status === 'conflict') {
+        conflictDays.push(day.dateKey);
+        // The open day can be merged right away; the others are planned again
+        if (isOpenDay) {
+          setPendingAudit(auditEntries);
+          setPendingMerge(SchedulingUtils.mergeSchedules(day.base, scheduleToSave, outcome.theirs));
+        }
+      } else if (isOpenDay) {
+        setSchedule(scheduleToSave);
+        setPendingAudit(prev => prev.filter(entry => !auditEntries.includes(entry)));
+        if (outcome.status === 'saved') {
+          rememberSavedSchedule(scheduleToSave);
+          setDataLoadedAt(new Date());
+        }
+      }
+      if (outcome.status === 'queued') {
+        queuedDays.push(day.dateKey);
+      }
+    }
+
+    const notes = [];
+    if (failedDays.length > 0) {
+      notes.push(`These days could not be saved:\n${failedDays.join('\n')}\n\nCheck the browser console for details.`);
+    }
+    if (conflictDays.length > 0) {
+      notes.push(`Someone else saved these days after the week was planned, so they were not saved over:\n${conflictDays.join('\n')}\n\nPlan the week again to build around their changes.`);
+    }
+    if (queuedDays.length > 0) {
+      notes.push(`Could not reach the server for these days. They are saved on this device and will sync when the connection is back:\n${queuedDays.join('\n')}`);
+    }
+
+    if (notes.length > 0) {
+      alert(`⚠️ Week plan not fully saved.\n\n${notes.join('\n\n')}`);
+    } else {
+      alert(`✅ Week plan saved for ${weekPlan.days.length} days.`);
+    }
+  };
+
   // Load previously saved schedule for the selected date
   const handleLoadSchedule = async () => {
     // Confirm with user before loading
@@ -1525,8 +2375,8 @@ const handleAssignmentRemove = (assignmentId) => {
       // First, reload staff and students from SharePoint to get current attendance
       console.log('📥 Reloading staff and students from SharePoint...');
       const [freshStaff, freshStudents] = await Promise.all([
-        sharePointService.loadStaff(),
-        sharePointService.loadStudents()
+        dataStore.loadStaff(),
+        dataStore.loadStudents()
       ]);
       
       setStaff(freshStaff);
@@ -1534,7 +2384,7 @@ const handleAssignmentRemove = (assignmentId) => {
       console.log('✅ Staff and students reloaded with current attendance');
       
       console.log('📥 Now loading schedule from SharePoint for date:', currentDate);
-      const scheduleData = await sharePointService.loadSchedule(currentDate);
+      const scheduleData = await dataStore.loadSchedule(currentDate);
       console.log('📦 Schedule data received:', scheduleData);
       
       const hasSavedSchedule = !!(
@@ -1547,12 +2397,14 @@ const handleAssignmentRemove = (assignmentId) => {
 
       if (hasSavedSchedule) {
         setSchedule(scheduleData);
+        rememberSavedSchedule(scheduleData);
+        setPendingAudit([]);
         setDataLoadedAt(new Date());
         console.log('✅ Schedule loaded successfully:', scheduleData.assignments.length, 'assignments');
         
         // Also load attendance data for this date from history
         console.log('📥 Loading attendance history for:', currentDate.toLocaleDateString());
-        const attendanceData = await sharePointService.loadAttendanceForDate(currentDate);
+        const attendanceData = await dataStore.loadAttendanceForDate(currentDate);
         
         if (attendanceData) {
           console.log('✅ Attendance data loaded, applying to staff and students');
@@ -1634,6 +2486,7 @@ const handleAssignmentRemove = (assignmentId) => {
       isFinalized: false
     });
     
+    recordScheduleChanges(schedule, clearedSchedule, AUDIT_ACTIONS.CLEAR);
     setSchedule(clearedSchedule);
     const removedCount = schedule.assignments.length - lockedAssignments.length;
     const removedTrainees = (schedule.traineeAssignments || []).length - lockedTrainees.length;
@@ -1657,12 +2510,130 @@ const handleAssignmentRemove = (assignmentId) => {
       isFinalized: false
     });
     
+    recordScheduleChanges(schedule, clearedSchedule, AUDIT_ACTIONS.CLEAR);
     setSchedule(clearedSchedule);
     console.log('🗑️ TOTAL CLEAR - All assignments and trainees removed');
     alert('Total clear complete! Everything has been removed.');
   };
 
   // Export schedule to Excel
+  // What-if sandboxes - while one is open, its schedule and attendance replace the live state,
+  // so the grid, Auto Assign and the Attendance tab work on it unchanged. The live state is
+  // parked in activeSandbox and put back when the sandbox is closed.
+  const openSandbox = (sandbox, live = { schedule, staff, students }) => {
+    setActiveSandbox({ sandboxId: sandbox.id, live });
+    setSchedule(Sandbox.copySchedule(sandbox.schedule));
+    setStaff(sandbox.applyStaffOverrides(live.staff));
+    setStudents(sandbox.applyStudentOverrides(live.students));
+    setActiveTab('schedule');
+  };
+
+  // Store the open sandbox's schedule and attendance changes (against the parked live state)
+  const captureSandbox = () => {
+    const sandbox = sandboxes.find(sb => sb.id === activeSandbox.sandboxId);
+    const updated = new Sandbox({
+      ...sandbox,
+      schedule: Sandbox.copySchedule(schedule),
+      staffOverrides: Sandbox.diffAttendance(activeSandbox.live.staff, staff, SANDBOX_STAFF_ATTENDANCE_FIELDS),
+      studentOverrides: Sandbox.diffAttendance(activeSandbox.live.students, students, SANDBOX_STUDENT_ATTENDANCE_FIELDS),
+      updatedAt: new Date().toISOString()
+    });
+    setSandboxes(prev => prev.map(sb => sb.id === updated.id ? updated : sb));
+    return updated;
+  };
+
+  const restoreLiveState = () => {
+    const { live } = activeSandbox;
+    setSchedule(live.schedule);
+    setStaff(live.staff);
+    setStudents(live.students);
+    setActiveSandbox(null);
+    return live;
+  };
+
+  const handleCreateSandbox = (name) => {
+    const sandbox = new Sandbox({
+      id: `sandbox-${Date.now()}`,
+      name: name.trim() || `What-if ${sandboxes.length + 1}`,
+      date: formatDateLocal(currentDate),
+      schedule: Sandbox.copySchedule(schedule),
+      createdBy: dataStore.getCurrentUserName(),
+      createdAt: new Date().toISOString()
+    });
+    setSandboxes(prev => [...prev, sandbox]);
+    openSandbox(sandbox);
+    console.log(`🧪 Sandbox created: ${sandbox.getLabel()}`);
+  };
+
+  const handleOpenSandbox = (sandboxId) => {
+    const sandbox = sandboxes.find(sb => sb.id === sandboxId);
+    if (!sandbox || activeSandbox) return;
+    if (sandbox.date !== formatDateLocal(currentDate)) {
+      alert(`⚠️ "${sandbox.getLabel()}" is a sandbox for ${sandbox.date}. Switch to that date to open it.`);
+      return;
+    }
+    openSandbox(sandbox);
+  };
+
+  const handleSaveSandbox = () => {
+    const sandbox = captureSandbox();
+    console.log(`💾 Sandbox saved in this browser: ${sandbox.getLabel()} (${sandbox.schedule.assignments.length} assignments, ${sandbox.getOverrideCount()} attendance override(s))`);
+  };
+
+  const handleCloseSandbox = () => {
+    captureSandbox();
+    restoreLiveState();
+  };
+
+  const handleDeleteSandbox = (sandboxId) => {
+    const sandbox = sandboxes.find(sb => sb.id === sandboxId);
+    if (!sandbox || !window.confirm(`Delete the sandbox "${sandbox.getLabel()}"? The live schedule is not affected.`)) return;
+    if (activeSandbox && activeSandbox.sandboxId === sandboxId) {
+      restoreLiveState();
+    }
+    setSandboxes(prev => prev.filter(sb => sb.id !== sandboxId));
+  };
+
+  // Drop the sandbox's attendance overrides - back to the live attendance, schedule untouched
+  const handleResetSandboxAttendance = () => {
+    setStaff(activeSandbox.live.staff);
+    setStudents(activeSandbox.live.students);
+  };
+
+  // Promote the sandbox's schedule through the usual review - attendance overrides are not promoted
+  const handlePromoteSandbox = () => {
+    const sandbox = captureSandbox();
+    const live = restoreLiveState();
+    const after = new Schedule({
+      ...Sandbox.copySchedule(sandbox.schedule),
+      date: live.schedule.date,
+      lastModified: live.schedule.lastModified,
+      lastModifiedBy: live.schedule.lastModifiedBy
+    });
+
+    const warnings = after.assignments.filter(a => {
+      const staffMember = live.staff.find(s => s.id === a.staffId);
+      const student = live.students.find(s => s.id === a.studentId);
+      return (staffMember && !staffMember.isAvailableForSession(a.session)) ||
+        (student && !student.isAvailableForSession(a.session, currentDate));
+    }).map(a => `${a.staffName} with ${a.studentName} (${a.program} ${a.session}) - one of them is absent in the live attendance`);
+    if (sandbox.getOverrideCount() > 0) {
+      warnings.push(`${sandbox.getOverrideCount()} sandbox attendance change(s) are not promoted - record them on the Attendance tab if they are real`);
+    }
+
+    openSchedulePreview({
+      before: live.schedule,
+      title: `Promote Sandbox: ${sandbox.getLabel()}`,
+      summary: 'Replaces the live schedule with the sandbox schedule. Nothing is written to SharePoint until you click Save.',
+      after,
+      staffList: live.staff,
+      studentList: live.students,
+      warnings,
+      applyLabel: 'Promote to Live',
+      auditAction: AUDIT_ACTIONS.SANDBOX
+    });
+  };
+
   const handleExportToExcel = () => {
     try {
       ExcelExportService.exportSchedule(schedule, students, staff, currentDate);
@@ -1678,7 +2649,7 @@ const handleAssignmentRemove = (assignmentId) => {
     setSaving(true);
     try {
       const newStaff = new Staff(staffData);
-      await sharePointService.saveStaff(newStaff);
+      await dataStore.saveStaff(newStaff);
       await refreshDataOnly(); // Smart refresh: Update data without clearing schedule
       setShowAddStaff(false);
       alert('Staff member added successfully!');
@@ -1694,7 +2665,7 @@ const handleAssignmentRemove = (assignmentId) => {
     setSaving(true);
     try {
       const updatedStaff = new Staff({ ...staffData, id: editingStaff.id, listItemId: editingStaff.listItemId });
-      await sharePointService.saveStaff(updatedStaff, true);
+      await dataStore.saveStaff(updatedStaff, true);
       await refreshDataOnly(); // Smart refresh: Update data without clearing schedule
       setEditingStaff(null);
       setShowAddStaff(false);
@@ -1753,13 +2724,13 @@ const handleAssignmentRemove = (assignmentId) => {
         if (studentsToUpdate.length > 0) {
           console.log(`📝 Updating ${studentsToUpdate.length} students in SharePoint...`);
           await Promise.all(
-            studentsToUpdate.map(student => sharePointService.saveStudent(student, true))
+            studentsToUpdate.map(student => dataStore.saveStudent(student, true))
           );
           console.log('✅ Student teams updated');
         }
         
         // Now delete the staff member using the list item ID
-        await sharePointService.deleteStaff(listItemId);
+        await dataStore.deleteStaff(listItemId);
         console.log('✅ Staff member deleted');
         
         // Reload all data to reflect changes
@@ -1776,7 +2747,7 @@ const handleAssignmentRemove = (assignmentId) => {
     setSaving(true);
     try {
       const newStudent = new Student(studentData);
-      await sharePointService.saveStudent(newStudent);
+      await dataStore.saveStudent(newStudent);
       await refreshDataOnly(); // Smart refresh: Update data without clearing schedule
       setShowAddStudent(false);
       alert('Student added successfully!');
@@ -1792,7 +2763,7 @@ const handleAssignmentRemove = (assignmentId) => {
     setSaving(true);
     try {
       const updatedStudent = new Student({ ...studentData, id: editingStudent.id });
-      await sharePointService.saveStudent(updatedStudent, true);
+      await dataStore.saveStudent(updatedStudent, true);
       await refreshDataOnly(); // Smart refresh: Update data without clearing schedule
       setEditingStudent(null);
       setShowAddStudent(false);
@@ -1808,7 +2779,7 @@ const handleAssignmentRemove = (assignmentId) => {
   const handleDeleteStudent = async (studentId) => {
     if (window.confirm('Are you sure you want to delete this student?')) {
       try {
-        await sharePointService.deleteStudent(studentId);
+        await dataStore.deleteStudent(studentId);
         await refreshDataOnly(); // Smart refresh: Update data without clearing schedule
       } catch (error) {
         console.error('Error deleting student:', error);
@@ -1817,6 +2788,46 @@ const handleAssignmentRemove = (assignmentId) => {
   };
 
   // Attendance management
+  // Mid-day changes get a minimal-disruption re-plan; if it refills anything the diff is shown first,
+  // otherwise the affected assignments are just removed as before
+  const proposeAttendanceReplan = async (updatedStaff, updatedStudents, delta, title, removeOnly) => {
+    if (schedule.assignments.length === 0) {
+      removeOnly();
+      return;
+    }
+
+    try {
+      const history = await loadAssignmentHistory().catch(() => assignmentHistory);
+      const plan = await autoAssignEngine.replanForAttendanceChange(
+        schedule, updatedStaff, updatedStudents, currentDate, delta, { assignmentHistory: history }
+      );
+
+      if (!plan.changes.some(change => change.type !== SCHEDULE_CHANGE_TYPES.REMOVE)) {
+        removeOnly();
+        return;
+      }
+      openSchedulePreview({
+        title,
+        summary: `${plan.touchedExisting} existing assignment(s) moved. Locked assignments are never moved.`,
+        after: plan.schedule,
+        staffList: updatedStaff,
+        studentList: updatedStudents,
+        reasons: plan.changes,
+        warnings: plan.unfilled.map(({ student, session, program, window }) =>
+          `${student.name} in ${program} ${session}` +
+          (window ? ` ${SchedulingUtils.formatMinutesAsTime(window.start)}–${SchedulingUtils.formatMinutesAsTime(window.end)}` : '')
+        ),
+        onDecline: removeOnly,
+        applyLabel: 'Apply Re-plan',
+        declineLabel: 'Just Remove (Leave Gaps)',
+        auditAction: AUDIT_ACTIONS.ATTENDANCE
+      });
+    } catch (error) {
+      console.error('Re-plan failed - removing affected assignments only:', error);
+      removeOnly();
+    }
+  };
+
   const handleUpdateStaffAttendance = async (staffId, attendanceData) => {
     try {
       const staffMember = staff.find(s => s.id === staffId);
@@ -1862,17 +2873,28 @@ const handleAssignmentRemove = (assignmentId) => {
         }
 
         // Remove all assignments for this staff in the affected sessions
-        const removedCount = schedule.removeStaffFromSessions(staffId, sessionsToRemove);
-        
-        if (removedCount > 0) {
-          console.log(`  ✅ Removed ${removedCount} assignment(s) for ${staffMember.name}`);
-          // Trigger re-render by updating schedule state
-          setSchedule(new Schedule({ 
-            ...schedule, 
-            assignments: [...schedule.assignments],
-            traineeAssignments: [...schedule.traineeAssignments]
-          }));
-        }
+        const removeOnly = () => {
+          const before = Sandbox.copySchedule(schedule);
+          const removedCount = schedule.removeStaffFromSessions(staffId, sessionsToRemove);
+          
+          if (removedCount > 0) {
+            console.log(`  ✅ Removed ${removedCount} assignment(s) for ${staffMember.name}`);
+            // Trigger re-render by updating schedule state
+            const updatedSchedule = new Schedule({ 
+              ...schedule, 
+              assignments: [...schedule.assignments],
+              traineeAssignments: [...schedule.traineeAssignments]
+            });
+            recordScheduleChanges(before, updatedSchedule, AUDIT_ACTIONS.ATTENDANCE);
+            setSchedule(updatedSchedule);
+          }
+        };
+
+        await proposeAttendanceReplan(
+          updatedStaff, students, { staffIds: [staffId] },
+          `Re-plan: ${staffMember.name} unavailable ${sessionsToRemove.join(' & ')}`,
+          removeOnly
+        );
       }
 
       // DO NOT save to SharePoint here - attendance will be saved when user clicks the main Save button
@@ -1921,17 +2943,28 @@ const handleAssignmentRemove = (assignmentId) => {
         }
 
         // Remove all assignments for this student in the affected sessions
-        const removedCount = schedule.removeStudentFromSessions(studentId, sessionsToRemove);
-        
-        if (removedCount > 0) {
-          console.log(`  ✅ Removed ${removedCount} assignment(s) for ${student.name} - staff are now available`);
-          // Trigger re-render by updating schedule state
-          setSchedule(new Schedule({ 
-            ...schedule, 
-            assignments: [...schedule.assignments],
-            traineeAssignments: [...schedule.traineeAssignments]
-          }));
-        }
+        const removeOnly = () => {
+          const before = Sandbox.copySchedule(schedule);
+          const removedCount = schedule.removeStudentFromSessions(studentId, sessionsToRemove);
+          
+          if (removedCount > 0) {
+            console.log(`  ✅ Removed ${removedCount} assignment(s) for ${student.name} - staff are now available`);
+            // Trigger re-render by updating schedule state
+            const updatedSchedule = new Schedule({ 
+              ...schedule, 
+              assignments: [...schedule.assignments],
+              traineeAssignments: [...schedule.traineeAssignments]
+            });
+            recordScheduleChanges(before, updatedSchedule, AUDIT_ACTIONS.ATTENDANCE);
+            setSchedule(updatedSchedule);
+          }
+        };
+
+        await proposeAttendanceReplan(
+          staff, updatedStudents, { studentIds: [studentId] },
+          `Re-plan: ${student.name} absent ${sessionsToRemove.join(' & ')}`,
+          removeOnly
+        );
       }
 
       // DO NOT save to SharePoint here - attendance will be saved when user clicks the main Save button
@@ -2013,7 +3046,7 @@ const handleAssignmentRemove = (assignmentId) => {
       console.log(`💾 Saving ${updatedStudents.length} students with cleaned teams...`);
       
       for (const student of updatedStudents) {
-        await sharePointService.saveStudent(student, true);
+        await dataStore.saveStudent(student, true);
       }
 
       // Reload data to reflect changes
@@ -2031,52 +3064,59 @@ const handleAssignmentRemove = (assignmentId) => {
   };
 
   // Training management
-  const handleUpdateStudentTrainingStatus = async (studentId, staffId, newStatus) => {
-    try {
-      const student = students.find(s => s.id === studentId);
-      if (!student) {
-        console.error('Student not found:', studentId);
-        return;
-      }
+  // completion - { count, firstSessionDate } when the caller already looked up the session count
+  // Returns true once the new status is saved; on failure the local change is undone and false is returned
+  const handleUpdateStudentTrainingStatus = async (studentId, staffId, newStatus, completion = null) => {
+    const student = students.find(s => s.id === studentId);
+    if (!student) {
+      console.error('Student not found:', studentId);
+      return false;
+    }
 
-      // Get the CURRENT (old) training status before changing
-      const oldStatus = student.getStaffTrainingStatus ? 
-        student.getStaffTrainingStatus(staffId) : 'solo';
+    // Get the CURRENT (old) training status before changing
+    const oldStatus = student.getStaffTrainingStatus ? 
+      student.getStaffTrainingStatus(staffId) : 'solo';
 
-      // Check if this is a completion (moving from overlap to solo)
-      const isCompletion = (oldStatus === 'overlap-bcba' || oldStatus === 'overlap-staff') && 
-                           newStatus === 'solo';
+    // Check if this is a completion (moving from overlap to solo)
+    const isCompletion = (oldStatus === 'overlap-bcba' || oldStatus === 'overlap-staff') && 
+                         newStatus === 'solo';
 
-      // Update local state immediately
-      const updatedStudents = students.map(s => {
-        if (s.id === studentId) {
-          const updatedStudent = new Student({ ...s });
-          updatedStudent.setStaffTrainingStatus(staffId, newStatus);
-          return updatedStudent;
-        }
-        return s;
-      });
-      setStudents(updatedStudents);
+    // Update local state immediately
+    const updatedStudents = students.map(s => {
+      if (s.id === studentId) {
+        const updatedStudent = new Student({ ...s });
+        updatedStudent.setStaffTrainingStatus(staffId, newStatus);
+        return updatedStudent;
+      }
+      return s;
+    });
+    setStudents(updatedStudents);
 
-      // Save to SharePoint in background
+    try {
       const updatedStudent = new Student({ ...student });
       updatedStudent.setStaffTrainingStatus(staffId, newStatus);
-      await sharePointService.saveStudent(updatedStudent, true);
-      
-      console.log('✅ Training status updated:', student.name, staffId, newStatus);
+      await dataStore.saveStudent(updatedStudent, true, { requireTeamSync: true });
+    } catch (error) {
+      console.error('Error updating training status:', error);
+      console.warn('⚠️ Training status not saved to SharePoint - local change undone');
+      setStudents(students);
+      return false;
+    }
 
-      // Record training completion if applicable
-      if (isCompletion) {
-        const staffMember = staff.find(s => s.id === staffId);
-        const staffName = staffMember ? staffMember.name : 'Unknown Staff';
-        
-        console.log(`🎓 Recording training completion: ${staffName} → ${student.name}`);
-        
+    console.log('✅ Training status updated:', student.name, staffId, newStatus);
+
+    // Record training completion if applicable - only once the new status is saved
+    if (isCompletion) {
+      const staffMember = staff.find(s => s.id === staffId);
+      const staffName = staffMember ? staffMember.name : 'Unknown Staff';
+
+      console.log(`🎓 Recording training completion: ${staffName} → ${student.name}`);
+
+      try {
         // Get training session count and first session date
-        const { count, firstSessionDate } = await sharePointService.getTrainingSessionCount(staffId, studentId);
-        
-        // Record the completion (don't await - non-blocking)
-        sharePointService.recordTrainingCompletion({
+        const { count, firstSessionDate } = completion || await dataStore.getTrainingSessionCount(staffId, studentId);
+
+        await dataStore.recordTrainingCompletion({
           staffId,
           staffName,
           clientId: studentId,
@@ -2084,11 +3124,35 @@ const handleAssignmentRemove = (assignmentId) => {
           trainingType: oldStatus,
           totalSessions: count,
           startDate: firstSessionDate
-        }).catch(err => console.warn('Failed to record completion:', err));
+        });
+      } catch (error) {
+        console.warn('Failed to record completion:', error);
       }
+    }
+    return true;
+  };
+
+  // Pair compatibility (preferred / neutral / avoid) - saved to ClientTeamMembers with the team
+  const handleUpdateStudentPairPreference = async (studentId, staffId, preference, notes) => {
+    try {
+      const student = students.find(s => s.id === studentId);
+      if (!student) {
+        console.error('Student not found:', studentId);
+        return;
+      }
+
+      const updatedStudent = new Student({ ...student, teamPairPreferences: { ...student.teamPairPreferences } });
+      updatedStudent.setStaffPairPreference(staffId, preference, notes);
+
+      // Update local state immediately
+      setStudents(students.map(s => s.id === studentId ? updatedStudent : s));
+
+      // Save to SharePoint in background
+      await dataStore.saveStudent(updatedStudent, true);
+      console.log('✅ Pair preference updated:', student.name, staffId, preference);
     } catch (error) {
-      console.error('Error updating training status:', error);
-      console.warn('⚠️ Training status updated locally but not saved to SharePoint');
+      console.error('Error updating pair preference:', error);
+      console.warn('⚠️ Pair preference updated locally but not saved to SharePoint');
     }
   };
 
@@ -2099,12 +3163,21 @@ const handleAssignmentRemove = (assignmentId) => {
 
   const handleGetRecentTrainingPairs = useCallback(async (candidates) => {
     try {
-      return await sharePointService.getMostRecentTrainingPairsForCandidates(candidates);
+      return await dataStore.getMostRecentTrainingPairsForCandidates(candidates);
     } catch (error) {
       console.error('Failed loading recent training pairs:', error);
       return {};
     }
-  }, [sharePointService]);
+  }, [dataStore]);
+
+  // Explain why a student has a gap (used by SessionSummary's "Why?" toggle)
+  const handleDiagnoseStudent = (student, session, program) => {
+    const activeStudents = students.filter(s => s.isActive && s.isScheduledForDay(currentDate));
+    // All staff, so an inactive team member is reported as inactive rather than missing
+    return autoAssignEngine.diagnoseUnassignedStudent(
+      student, session, program, staff, schedule, activeStudents
+    );
+  };
 
   // Test runner
   const handleRunTests = async () => {
@@ -2159,6 +3232,14 @@ const handleAssignmentRemove = (assignmentId) => {
           <div className="mt-6 text-sm text-gray-500 text-center">
             <p>Sign in to access the ABA scheduling system</p>
           </div>
+
+          <button
+            onClick={() => handleSwitchDataStore(DATA_STORE_MODES.LOCAL)}
+            disabled={loading}
+            className="mt-4 w-full text-sm text-blue-600 hover:text-blue-800 disabled:opacity-50"
+          >
+            Try it with demo data (kept in this browser only)
+          </button>
         </div>
       </div>
     );
@@ -2176,6 +3257,33 @@ const handleAssignmentRemove = (assignmentId) => {
               <div>
                 <h1 className="text-lg font-bold text-gray-900">Evoke Daily Schedule</h1>
               </div>
+              {isLocalDataStore && (
+                <span
+                  className="px-2 py-0.5 rounded bg-amber-100 text-amber-800 text-xs font-medium"
+                  title="Data is kept in this browser only and never reaches SharePoint"
+                >
+                  Local data
+                </span>
+              )}
+              {(syncStatus.pending > 0 || syncStatus.conflicts > 0 || !syncStatus.isOnline) && (
+                <button
+                  onClick={() => syncQueue.replay()}
+                  disabled={syncStatus.isSyncing || !syncStatus.isOnline || syncStatus.pending === 0}
+                  className={`px-2 py-0.5 rounded text-xs font-medium flex items-center gap-1 ${
+                    syncStatus.conflicts > 0 || syncStatus.lastError ? 'bg-red-100 text-red-800' : 'bg-blue-100 text-blue-800'
+                  }`}
+                  title={[
+                    syncStatus.isOnline ? 'Click to sync now' : 'Saves are kept on this device until the connection is back',
+                    syncStatus.conflicts > 0 ? `Someone else saved too - open ${syncStatus.conflictDates.join(', ')} to merge` : null,
+                    syncStatus.lastError
+                  ].filter(Boolean).join('\n')}
+                >
+                  {syncStatus.isOnline ? <CloudUpload className="w-3 h-3" /> : <CloudOff className="w-3 h-3" />}
+                  {!syncStatus.isOnline ? 'Offline' : syncStatus.isSyncing ? 'Syncing' : 'Not synced'}
+                  {syncStatus.pending > 0 && ` · ${syncStatus.pending} pending`}
+                  {syncStatus.conflicts > 0 && ` · ${syncStatus.conflicts} to merge`}
+                </button>
+              )}
             </div>
             
             <div className="flex items-center gap-4">
@@ -2194,12 +3302,36 @@ const handleAssignmentRemove = (assignmentId) => {
                     console.log('📅 Date picker changed:', e.target.value, '→', newDate);
                     handleDateChange(newDate);
                   }}
+                  disabled={Boolean(activeSandbox)}
+                  title={activeSandbox ? 'Close the sandbox to change the date' : undefined}
                   className="border border-gray-300 rounded px-3 py-1 text-sm"
                 />
               </div>
               
               {/* Action buttons */}
               <div className="flex items-center gap-2">
+                <select
+                  value={assignmentMode}
+                  onChange={(e) => setAssignmentMode(e.target.value)}
+                  disabled={autoAssigning || loading}
+                  className="border border-gray-300 rounded px-2 py-1.5 text-sm"
+                  title="Greedy is fast with randomized rotation; Exact guarantees the fewest unassigned students"
+                >
+                  <option value={ASSIGNMENT_MODES.GREEDY}>Greedy</option>
+                  <option value={ASSIGNMENT_MODES.EXACT}>Exact</option>
+                </select>
+
+                <input
+                  type="text"
+                  inputMode="numeric"
+                  value={seedInput}
+                  onChange={(e) => setSeedInput(e.target.value)}
+                  disabled={autoAssigning || loading}
+                  placeholder={schedule.seed !== null && schedule.seed !== undefined ? `Seed: ${schedule.seed}` : 'Seed'}
+                  className="border border-gray-300 rounded px-2 py-1.5 text-sm w-28"
+                  title="Leave blank for a new random run. Enter the seed saved with a schedule to reproduce that exact Auto Assign / Smart Swap result."
+                />
+
                 <button
                   onClick={handleAutoAssign}
                   disabled={autoAssigning || loading}
@@ -2219,19 +3351,38 @@ const handleAssignmentRemove = (assignmentId) => {
                   {autoAssigning ? <RefreshCw className="w-3.5 h-3.5 animate-spin" /> : '🔀'}
                   Smart Swap
                 </button>
+
+                {autoAssigning && (
+                  <div className="flex items-center gap-1.5 text-xs text-gray-600">
+                    <span className="max-w-[12rem] truncate" title={engineProgress || undefined}>
+                      {engineProgress || 'Starting…'}
+                    </span>
+                    {autoAssignWorker.canCancel() && (
+                      <button
+                        onClick={() => autoAssignWorker.cancel()}
+                        className="text-red-700 hover:bg-red-50 rounded px-2 py-1 flex items-center gap-1"
+                        title="Stop the run - the schedule is left as it was"
+                      >
+                        <X className="w-3.5 h-3.5" />
+                        Cancel
+                      </button>
+                    )}
+                  </div>
+                )}
                 
                 <button
-                  onClick={handleSaveSchedule}
+                  onClick={activeSandbox ? handleSaveSandbox : handleSaveSchedule}
                   disabled={saving || loading}
                   className="bg-blue-600 text-white px-3 py-1.5 rounded hover:bg-blue-700 disabled:opacity-50 flex items-center gap-1.5 text-sm"
+                  title={activeSandbox ? 'Save the sandbox in this browser - nothing is written to SharePoint' : undefined}
                 >
                   {saving ? <RefreshCw className="w-3.5 h-3.5 animate-spin" /> : <Save className="w-3.5 h-3.5" />}
-                  Save
+                  {activeSandbox ? 'Save Sandbox' : 'Save'}
                 </button>
                 
                 <button
                   onClick={handleLoadSchedule}
-                  disabled={loading}
+                  disabled={loading || Boolean(activeSandbox)}
                   className="bg-indigo-600 text-white px-3 py-1.5 rounded hover:bg-indigo-700 disabled:opacity-50 flex items-center gap-1.5 text-sm"
                   title="Load previously saved schedule for this date"
                 >
@@ -2251,7 +3402,7 @@ const handleAssignmentRemove = (assignmentId) => {
                 
                 <button
                   onClick={() => refreshDataOnly({ reloadSavedSchedule: true })}
-                  disabled={loading}
+                  disabled={loading || Boolean(activeSandbox)}
                   className="bg-gray-600 text-white px-3 py-1.5 rounded hover:bg-gray-700 disabled:opacity-50 flex items-center gap-1.5 text-sm"
                   title="Reload staff, clients, and the saved schedule for this date"
                 >
@@ -2279,23 +3430,25 @@ const handleAssignmentRemove = (assignmentId) => {
                   Total Clear
                 </button>
                 
-                <button
-                  onClick={clearAuthentication}
-                  className="bg-orange-600 text-white px-3 py-1.5 rounded hover:bg-orange-700 flex items-center gap-1.5 text-sm"
-                  title="Clear authentication cache to fix 401 errors"
-                >
-                  🔄 Clear Auth
-                </button>
+                {!isLocalDataStore && (
+                  <button
+                    onClick={clearAuthentication}
+                    className="bg-orange-600 text-white px-3 py-1.5 rounded hover:bg-orange-700 flex items-center gap-1.5 text-sm"
+                    title="Clear authentication cache to fix 401 errors"
+                  >
+                    🔄 Clear Auth
+                  </button>
+                )}
               </div>
               
               {/* User menu */}
               <div className="relative">
                 <button
-                  onClick={handleLogout}
+                  onClick={isLocalDataStore ? () => handleSwitchDataStore(DATA_STORE_MODES.SHAREPOINT) : handleLogout}
                   className="flex items-center gap-2 text-gray-700 hover:text-gray-900"
                 >
                   <LogOut className="w-5 h-5" />
-                  Sign Out
+                  {isLocalDataStore ? 'Leave Demo' : 'Sign Out'}
                 </button>
               </div>
             </div>
@@ -2309,6 +3462,8 @@ const handleAssignmentRemove = (assignmentId) => {
           <div className="flex space-x-8">
             {[
               { id: 'schedule', label: 'Schedule', icon: Clock },
+              { id: 'week-plan', label: 'Week Plan', icon: Calendar },
+              { id: 'forecast', label: 'Forecast', icon: TrendingUp },
               { id: 'teams-grid', label: 'Teams Grid', icon: Users },
               { id: 'live-view', label: 'Live View', icon: ExternalLink },
               { id: 'staff', label: 'Staff', icon: Users },
@@ -2317,15 +3472,21 @@ const handleAssignmentRemove = (assignmentId) => {
               { id: 'attendance', label: 'Attendance', icon: Calendar },
               { id: 'training', label: 'Training', icon: GraduationCap },
               { id: 'validation', label: 'Validation', icon: BarChart3 },
+              { id: 'history', label: 'History', icon: History },
               { id: 'rules', label: 'Rules', icon: Settings },
+              { id: 'settings', label: 'Settings', icon: SlidersHorizontal },
               { id: 'tests', label: 'Tests', icon: Play }
             ].map(tab => {
               const Icon = tab.icon;
+              // Tabs that save staff, clients or settings to SharePoint are closed while a sandbox is open
+              const isLockedBySandbox = Boolean(activeSandbox) && !SANDBOX_TABS.includes(tab.id);
               return (
                 <button
                   key={tab.id}
                   onClick={() => setActiveTab(tab.id)}
-                  className={`py-4 px-1 border-b-2 font-medium text-sm flex items-center gap-2 ${
+                  disabled={isLockedBySandbox}
+                  title={isLockedBySandbox ? 'Close the sandbox to use this tab' : undefined}
+                  className={`py-4 px-1 border-b-2 font-medium text-sm flex items-center gap-2 disabled:opacity-40 disabled:cursor-not-allowed ${
                     activeTab === tab.id
                       ? 'border-blue-500 text-blue-600'
                       : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
@@ -2368,8 +3529,25 @@ const handleAssignmentRemove = (assignmentId) => {
             {/* Schedule Tab */}
             {activeTab === 'schedule' && (
               <div className="space-y-6">
+                <SandboxPanel
+                  sandboxes={sandboxes.filter(sb => sb.date === formatDateLocal(currentDate))}
+                  activeSandbox={activeSandbox ? sandboxes.find(sb => sb.id === activeSandbox.sandboxId) : null}
+                  comparison={activeSandbox ? Sandbox.compareCoverage(
+                    { schedule: activeSandbox.live.schedule, students: activeSandbox.live.students },
+                    { schedule, students },
+                    currentDate
+                  ) : null}
+                  onCreate={handleCreateSandbox}
+                  onOpen={handleOpenSandbox}
+                  onSave={handleSaveSandbox}
+                  onClose={handleCloseSandbox}
+                  onPromote={handlePromoteSandbox}
+                  onDelete={handleDeleteSandbox}
+                  onResetAttendance={handleResetSandboxAttendance}
+                />
+
                 {/* Concurrent User Warning Banner */}
-                {schedule.lastModified && (
+                {!activeSandbox && schedule.lastModified && (
                   <div className="bg-amber-50 border-l-4 border-amber-400 p-4 rounded-r-lg shadow-sm">
                     <div className="flex items-start">
                       <AlertCircle className="w-5 h-5 text-amber-600 mt-0.5 mr-3 flex-shrink-0" />
@@ -2391,7 +3569,7 @@ const handleAssignmentRemove = (assignmentId) => {
                   </div>
                 )}
                 
-                {!schedule.lastModified && (
+                {!activeSandbox && !schedule.lastModified && (
                   <div className="bg-blue-50 border-l-4 border-blue-400 p-4 rounded-r-lg shadow-sm">
                     <div className="flex items-start">
                       <AlertCircle className="w-5 h-5 text-blue-600 mt-0.5 mr-3 flex-shrink-0" />
@@ -2432,6 +3610,7 @@ const handleAssignmentRemove = (assignmentId) => {
                     onManualAssignment={handleManualAssignment}
                     onAssignmentRemove={handleAssignmentRemove}
                     onGetRecentTrainingPairs={handleGetRecentTrainingPairs}
+                    onDiagnoseStudent={handleDiagnoseStudent}
                   />
                   <SessionSummary 
                     schedule={schedule} 
@@ -2443,6 +3622,7 @@ const handleAssignmentRemove = (assignmentId) => {
                     onManualAssignment={handleManualAssignment}
                     onAssignmentRemove={handleAssignmentRemove}
                     onGetRecentTrainingPairs={handleGetRecentTrainingPairs}
+                    onDiagnoseStudent={handleDiagnoseStudent}
                   />
                   <SessionSummary 
                     schedule={schedule} 
@@ -2454,6 +3634,7 @@ const handleAssignmentRemove = (assignmentId) => {
                     onManualAssignment={handleManualAssignment}
                     onAssignmentRemove={handleAssignmentRemove}
                     onGetRecentTrainingPairs={handleGetRecentTrainingPairs}
+                    onDiagnoseStudent={handleDiagnoseStudent}
                   />
                   <SessionSummary 
                     schedule={schedule} 
@@ -2465,9 +3646,16 @@ const handleAssignmentRemove = (assignmentId) => {
                     onManualAssignment={handleManualAssignment}
                     onAssignmentRemove={handleAssignmentRemove}
                     onGetRecentTrainingPairs={handleGetRecentTrainingPairs}
+                    onDiagnoseStudent={handleDiagnoseStudent}
                   />
                 </div>
                 
+                <RunDetailsPanel
+                  runLog={[lastRunLog, schedule.runLog].find(log => log && log.date === formatDateLocal(currentDate)) || null}
+                  verboseLogging={verboseEngineLogging}
+                  onVerboseLoggingChange={setVerboseEngineLogging}
+                />
+
                 {/* Schedule Grid View */}
                 <ScheduleGridView
                   schedule={schedule}
@@ -2694,6 +3882,7 @@ const handleAssignmentRemove = (assignmentId) => {
                 }}
                 onCleanupDeletedStaff={handleCleanupDeletedStaff}
                 onUpdateTrainingStatus={handleUpdateStudentTrainingStatus}
+                onUpdatePairPreference={handleUpdateStudentPairPreference}
               />
             )}
 
@@ -2707,7 +3896,7 @@ const handleAssignmentRemove = (assignmentId) => {
                   currentDate={currentDate}
                   onUpdateStaffAttendance={handleUpdateStaffAttendance}
                   onUpdateStudentAttendance={handleUpdateStudentAttendance}
-                  onResetAllAttendance={clearAllAttendance}
+                  onResetAllAttendance={activeSandbox ? null : clearAllAttendance}
                 />
               </div>
             )}
@@ -2717,7 +3906,12 @@ const handleAssignmentRemove = (assignmentId) => {
               <TrainingTracker
                 staff={staff}
                 students={students}
-                sharePointService={sharePointService}
+                dataStore={dataStore}
+                trainingPlans={trainingPlans}
+                trainingSignOffs={trainingSignOffs}
+                onSaveTrainingPlans={handleSaveTrainingPlans}
+                onSignOff={handleTrainingSignOff}
+                onApprovePromotion={handleApproveTrainingPromotion}
               />
             )}
 
@@ -2728,12 +3922,78 @@ const handleAssignmentRemove = (assignmentId) => {
                 staff={staff}
                 students={students}
                 onValidationChange={handleValidationChange}
+                assignmentHistory={assignmentHistory}
+                consecutiveDaysRule={consecutiveDaysRule}
+                constraintSettings={constraintSettings}
+              />
+            )}
+
+            {/* Schedule History Tab */}
+            {activeTab === 'history' && (
+              <ScheduleAuditLog
+                currentDate={currentDate}
+                students={students}
+                pendingEntries={pendingAudit}
+                dataStore={dataStore}
+              />
+            )}
+
+            {/* Week Plan Tab */}
+            {activeTab === 'week-plan' && (
+              <WeekPlanner
+                currentDate={currentDate}
+                onPlanWeek={handlePlanWeek}
+                onSaveWeek={handleSaveWeekPlan}
+              />
+            )}
+
+            {/* Coverage Forecast Tab */}
+            {activeTab === 'forecast' && (
+              <CoverageForecast
+                currentDate={currentDate}
+                onForecast={handleForecastCoverage}
               />
             )}
 
             {/* Rules Tab */}
             {activeTab === 'rules' && (
-              <ConstraintRulesDisplay />
+              <ConstraintRulesDisplay
+                consecutiveDaysRule={consecutiveDaysRule}
+                onConsecutiveDaysRuleChange={setConsecutiveDaysRule}
+                trainerCapacity={trainerCapacity}
+                onTrainerCapacityChange={setTrainerCapacity}
+                rolePolicies={rolePolicies}
+              />
+            )}
+
+            {/* Settings Tab */}
+            {activeTab === 'settings' && (
+              <div className="space-y-10">
+                <RolePolicySettings
+                  rolePolicies={rolePolicies}
+                  staff={staff}
+                  onSave={handleSaveRolePolicies}
+                />
+                <ConstraintSettings
+                  constraintSettings={constraintSettings}
+                  onSave={handleSaveConstraintSettings}
+                />
+                <GroupSettings
+                  groups={groupDefinitions}
+                  students={students}
+                  onSave={handleSaveGroupDefinitions}
+                />
+                <LinkedClusterSettings
+                  clusters={linkedClusters}
+                  students={students}
+                  onSave={handleSaveLinkedClusters}
+                />
+                <DataStoreSettings
+                  dataStore={dataStore}
+                  onSwitchMode={handleSwitchDataStore}
+                  onDataReplaced={initializeApp}
+                />
+              </div>
             )}
 
             {/* Tests Tab */}
@@ -2884,6 +4144,30 @@ const handleAssignmentRemove = (assignmentId) => {
         />
       )}
 
+      {pendingPreview && (
+        <ScheduleDiffModal
+          title={pendingPreview.title}
+          summary={pendingPreview.summary}
+          changes={pendingPreview.changes}
+          requiredIds={pendingPreview.requiredIds}
+          warnings={pendingPreview.warnings}
+          onApply={handleApplyPreview}
+          onDecline={handleDeclinePreview}
+          applyLabel={pendingPreview.applyLabel}
+          declineLabel={pendingPreview.declineLabel}
+        />
+      )}
+
+      {pendingMerge && (
+        <ScheduleMergeModal
+          merge={pendingMerge}
+          staff={staff}
+          onSave={handleSaveMerge}
+          onUseTheirs={handleUseTheirSchedule}
+          onCancel={() => setPendingMerge(null)}
+        />
+      )}
+
     </div>
   );
 };
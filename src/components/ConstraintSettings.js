@@ -0,0 +1,148 @@
+import React, { useState, useEffect } from 'react';
+import { ShieldCheck, Save, RefreshCw, RotateCcw } from 'lucide-react';
+import { ConstraintRegistry, CONSTRAINT_SEVERITY } from '../types/index.js';
+
+/**
+ * Constraint Settings Component
+ * Switches the site's scheduling rules on/off and sets their severity and weight,
+ * then saves them to SharePoint
+ */
+export const ConstraintSettings = ({ constraintSettings, onSave }) => {
+  const [draft, setDraft] = useState(constraintSettings);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    setDraft(constraintSettings);
+  }, [constraintSettings]);
+
+  // Only rules a site can change are listed; the rest are always on (see the Rules tab)
+  const rules = ConstraintRegistry.getRules().filter(rule => rule.canDisable || rule.canChangeSeverity || rule.getCost);
+  const isDirty = JSON.stringify(draft) !== JSON.stringify(constraintSettings);
+
+  const getSetting = (rule) => ({
+    enabled: true,
+    severity: rule.severity,
+    weight: rule.weight,
+    ...(draft[rule.id] || {})
+  });
+
+  const updateRule = (rule, changes) => {
+    setDraft({ ...draft, [rule.id]: { ...(draft[rule.id] || {}), ...changes } });
+  };
+
+  const handleReset = () => {
+    if (!window.confirm('Reset every rule to the built-in defaults? Nothing is saved until you click Save.')) return;
+    setDraft({});
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      await onSave(draft);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900 flex items-center gap-2">
+            <ShieldCheck className="w-6 h-6 text-blue-600" />
+            Scheduling Rules
+          </h2>
+          <p className="text-sm text-gray-600 mt-1">
+            Hard rules are never broken by Auto Assign and show as errors. Soft rules are weighed when picking staff
+            (higher weight = avoided more) and show as warnings.
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={handleReset}
+            disabled={saving}
+            className="bg-gray-100 text-gray-700 px-4 py-2 rounded hover:bg-gray-200 disabled:opacity-50 flex items-center gap-2 text-sm"
+          >
+            <RotateCcw className="w-4 h-4" />
+            Reset to Defaults
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={!isDirty || saving}
+            className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 disabled:opacity-50 flex items-center gap-2 text-sm"
+          >
+            {saving ? <RefreshCw className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+            Save
+          </button>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow p-4">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500 border-b">
+              <th className="py-2">Rule</th>
+              <th className="py-2 text-center">On</th>
+              <th className="py-2 text-center">Severity</th>
+              <th className="py-2 text-center">Weight</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rules.map(rule => {
+              const setting = getSetting(rule);
+
+              return (
+                <tr key={rule.id} className="border-b last:border-0">
+                  <td className="py-2">
+                    <div className="font-medium text-gray-900">{rule.title}</div>
+                    <div className="text-xs text-gray-500">{rule.description}</div>
+                  </td>
+                  <td className="py-2 text-center">
+                    <input
+                      type="checkbox"
+                      checked={setting.enabled}
+                      disabled={!rule.canDisable}
+                      onChange={(e) => updateRule(rule, { enabled: e.target.checked })}
+                    />
+                  </td>
+                  <td className="py-2 text-center">
+                    <select
+                      value={setting.severity}
+                      disabled={!rule.canChangeSeverity || !setting.enabled}
+                      onChange={(e) => updateRule(rule, { severity: e.target.value })}
+                      className="border border-gray-300 rounded px-2 py-1 text-sm"
+                    >
+                      <option value={CONSTRAINT_SEVERITY.HARD}>Hard</option>
+                      <option value={CONSTRAINT_SEVERITY.SOFT}>Soft</option>
+                    </select>
+                  </td>
+                  <td className="py-2 text-center">
+                    {rule.getCost ? (
+                      <input
+                        type="number"
+                        min="0"
+                        value={setting.weight}
+                        disabled={!setting.enabled || setting.severity !== CONSTRAINT_SEVERITY.SOFT}
+                        onChange={(e) => updateRule(rule, { weight: Math.max(0, parseInt(e.target.value, 10) || 0) })}
+                        className="w-20 border border-gray-300 rounded px-2 py-1 text-sm"
+                      />
+                    ) : (
+                      <span className="text-gray-400">–</span>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <p className="text-xs text-gray-500">
+        Saved to the AppSettings SharePoint list and applied for everyone on this site. The consecutive-days limit and
+        its enforcement are set on the Rules tab.
+      </p>
+    </div>
+  );
+};
+
+export default ConstraintSettings;
@@ -0,0 +1,140 @@
+import React, { useState } from 'react';
+import { TrendingUp, Play, RefreshCw, AlertTriangle } from 'lucide-react';
+
+/**
+ * Coverage Forecast Component
+ * Projects staff demand against available direct-service staff for the weeks ahead,
+ * so short days are spotted before anyone builds their schedules
+ */
+export const CoverageForecast = ({ currentDate, onForecast }) => {
+  const [forecast, setForecast] = useState(null);
+  const [weeks, setWeeks] = useState(2);
+  const [forecasting, setForecasting] = useState(false);
+  const [showShortOnly, setShowShortOnly] = useState(false);
+
+  const handleForecast = async () => {
+    setForecasting(true);
+    try {
+      setForecast(await onForecast(weeks));
+    } catch (error) {
+      console.error('Coverage forecast failed:', error);
+      alert('Coverage forecast failed. Please check the console for details.');
+    } finally {
+      setForecasting(false);
+    }
+  };
+
+  const shortDays = forecast ? forecast.filter(day => day.isShort) : [];
+  const visibleDays = forecast ? (showShortOnly ? shortDays : forecast) : [];
+
+  const renderCount = ({ demand, supply, shortfall }) => (
+    <span className={shortfall > 0 ? 'text-red-600 font-semibold' : 'text-gray-800'}>
+      {demand} / {supply}
+      {shortfall > 0 && ` (short ${shortfall})`}
+    </span>
+  );
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900 flex items-center gap-2">
+            <TrendingUp className="w-6 h-6 text-blue-600" />
+            Coverage Forecast
+          </h2>
+          <p className="text-sm text-gray-600 mt-1">
+            Staff needed vs direct-service staff available for each weekday after {currentDate.toLocaleDateString()}.
+            Uses each client's days, recurring absences and any attendance already entered for those dates.
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <select
+            value={weeks}
+            onChange={(e) => setWeeks(Number(e.target.value))}
+            disabled={forecasting}
+            className="border border-gray-300 rounded px-2 py-2 text-sm"
+          >
+            {[2, 3, 4].map(count => (
+              <option key={count} value={count}>{count} weeks</option>
+            ))}
+          </select>
+          <button
+            onClick={handleForecast}
+            disabled={forecasting}
+            className="bg-green-600 text-white px-4 py-2 rounded hover:bg-green-700 disabled:opacity-50 flex items-center gap-2 text-sm"
+          >
+            {forecasting ? <RefreshCw className="w-4 h-4 animate-spin" /> : <Play className="w-4 h-4" />}
+            {forecasting ? 'Forecasting...' : 'Build Forecast'}
+          </button>
+        </div>
+      </div>
+
+      {forecast && (
+        <>
+          <div className={`rounded-lg p-4 text-sm flex items-center justify-between ${shortDays.length > 0 ? 'bg-red-50 text-red-800' : 'bg-green-50 text-green-800'}`}>
+            <span className="flex items-center gap-2">
+              {shortDays.length > 0 && <AlertTriangle className="w-4 h-4" />}
+              {shortDays.length > 0
+                ? `${shortDays.length} of ${forecast.length} day(s) need more staff than are available: ${shortDays.map(day => day.dateKey).join(', ')}`
+                : `Enough staff on all ${forecast.length} day(s).`}
+            </span>
+            <label className="flex items-center gap-1 text-xs text-gray-700">
+              <input
+                type="checkbox"
+                checked={showShortOnly}
+                onChange={(e) => setShowShortOnly(e.target.checked)}
+              />
+              Short days only
+            </label>
+          </div>
+
+          <div className="bg-white rounded-lg shadow overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs text-gray-500 border-b">
+                  <th className="px-3 py-2">Day</th>
+                  <th className="px-3 py-2">AM needed / available</th>
+                  <th className="px-3 py-2">PM needed / available</th>
+                  <th className="px-3 py-2">By program</th>
+                  <th className="px-3 py-2">Known absences</th>
+                </tr>
+              </thead>
+              <tbody>
+                {visibleDays.map(day => (
+                  <tr key={day.dateKey} className={`border-b last:border-0 align-top ${day.isShort ? 'bg-red-50' : ''}`}>
+                    <td className="px-3 py-2">
+                      <div className="font-medium text-gray-900">
+                        {day.date.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' })}
+                      </div>
+                      <div className="text-xs text-gray-500">{day.dateKey}</div>
+                    </td>
+                    {day.sessions.map(session => (
+                      <td key={session.session} className="px-3 py-2">{renderCount(session)}</td>
+                    ))}
+                    <td className="px-3 py-2 text-xs space-y-0.5">
+                      {day.sessions.map(session => session.programs.map(program => (
+                        <div key={`${session.session}-${program.program}`}>
+                          {program.program} {session.session}: {program.clients} clients, {renderCount(program)}
+                        </div>
+                      )))}
+                    </td>
+                    <td className="px-3 py-2 text-xs text-gray-600">
+                      {day.absences.staff} staff, {day.absences.students} clients
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <p className="text-xs text-gray-500">
+            Needed counts staff, not clients: 2:1 clients need two, small-group clients need one per group and a
+            linked cluster needs its own staff count. Staff who work both programs are counted once in the AM/PM totals.
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CoverageForecast;
@@ -300,6 +300,7 @@ export const StudentForm = ({
     scheduledThursday: student?.scheduledThursday !== false,
     scheduledFriday: student?.scheduledFriday !== false,
     teamTrainingStatus: student?.teamTrainingStatus || {}, // PRESERVE training status data
+    teamPairPreferences: student?.teamPairPreferences || {}, // PRESERVE pair compatibility data
     pairedWith: student?.pairedWith || null // PRESERVE paired student data
   });
 
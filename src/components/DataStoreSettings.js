@@ -0,0 +1,129 @@
+import React, { useState, useRef } from 'react';
+import { Database, Download, Upload, RotateCcw, RefreshCw } from 'lucide-react';
+import { DATA_STORE_MODES } from '../services/DataStore.js';
+
+/**
+ * Data Store Settings Component
+ * Shows where the app keeps its data and switches between SharePoint and this browser.
+ * In browser mode the data can be exported to a JSON file, imported from one, or reset
+ * to the demo data.
+ */
+export const DataStoreSettings = ({ dataStore, onSwitchMode, onDataReplaced }) => {
+  const [busy, setBusy] = useState(false);
+  const fileInputRef = useRef(null);
+  const isLocal = dataStore.mode === DATA_STORE_MODES.LOCAL;
+
+  const runAction = async (action, failureMessage) => {
+    setBusy(true);
+    try {
+      await action();
+    } catch (error) {
+      console.error(failureMessage, error);
+      alert(`${failureMessage}: ${error.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleExport = () => runAction(async () => {
+    const data = await dataStore.exportData();
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `schedule-data_${data.exportedAt.split('T')[0]}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }, 'Failed to export data');
+
+  const handleImport = (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // Let the same file be picked again
+    if (!file) return;
+    if (!window.confirm(`Replace all data in this browser with ${file.name}?`)) return;
+
+    runAction(async () => {
+      await dataStore.importData(JSON.parse(await file.text()));
+      await onDataReplaced();
+    }, 'Failed to import data');
+  };
+
+  const handleReset = () => {
+    if (!window.confirm('Throw away all data in this browser and start again from the demo data?')) return;
+
+    runAction(async () => {
+      await dataStore.reset();
+      await onDataReplaced();
+    }, 'Failed to reset data');
+  };
+
+  const handleSwitch = () => {
+    const message = isLocal
+      ? 'Switch to SharePoint? You will need to sign in. The data in this browser is kept.'
+      : 'Switch to data kept in this browser only? Nothing you do there reaches SharePoint.';
+    if (!window.confirm(message)) return;
+    onSwitchMode(isLocal ? DATA_STORE_MODES.SHAREPOINT : DATA_STORE_MODES.LOCAL);
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900 flex items-center gap-2">
+            <Database className="w-6 h-6 text-blue-600" />
+            Data Storage
+          </h2>
+          <p className="text-sm text-gray-600 mt-1">
+            {isLocal
+              ? 'Data is kept in this browser only - for demos and training. Nothing here reaches SharePoint.'
+              : 'Data is loaded from and saved to the SharePoint site.'}
+          </p>
+        </div>
+        <button
+          onClick={handleSwitch}
+          disabled={busy}
+          className="bg-gray-100 text-gray-700 px-4 py-2 rounded hover:bg-gray-200 disabled:opacity-50 flex items-center gap-2 text-sm"
+        >
+          <RefreshCw className="w-4 h-4" />
+          {isLocal ? 'Switch to SharePoint' : 'Switch to This Browser'}
+        </button>
+      </div>
+
+      {isLocal && (
+        <div className="bg-white rounded-lg shadow p-4 flex flex-wrap items-center gap-2">
+          <button
+            onClick={handleExport}
+            disabled={busy}
+            className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 disabled:opacity-50 flex items-center gap-2 text-sm"
+          >
+            <Download className="w-4 h-4" />
+            Export to File
+          </button>
+          <button
+            onClick={() => fileInputRef.current.click()}
+            disabled={busy}
+            className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 disabled:opacity-50 flex items-center gap-2 text-sm"
+          >
+            <Upload className="w-4 h-4" />
+            Import from File
+          </button>
+          <input ref={fileInputRef} type="file" accept="application/json,.json" onChange={handleImport} className="hidden" />
+          <button
+            onClick={handleReset}
+            disabled={busy}
+            className="bg-gray-100 text-gray-700 px-4 py-2 rounded hover:bg-gray-200 disabled:opacity-50 flex items-center gap-2 text-sm"
+          >
+            <RotateCcw className="w-4 h-4" />
+            Reset to Demo Data
+          </button>
+          <p className="text-xs text-gray-500 w-full mt-1">
+            An exported file holds staff, clients, saved schedules, attendance, training and settings. Import it in
+            another browser to hand over a prepared scenario.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DataStoreSettings;
@@ -0,0 +1,197 @@
+import React, { useState, useEffect } from 'react';
+import { Users, Save, RefreshCw, Plus, Trash2 } from 'lucide-react';
+import { Group, PROGRAMS, RATIOS } from '../types/index.js';
+
+const GROUP_RATIO_OPTIONS = [RATIOS.ONE_TO_TWO, RATIOS.ONE_TO_THREE];
+
+/**
+ * Group Settings Component
+ * Edits the site's standing small groups - name, program, ratio, room and
+ * members - and saves them to SharePoint. Clients in a standing group are only
+ * grouped with the other members of that group.
+ */
+export const GroupSettings = ({ groups, students = [], onSave }) => {
+  const [draft, setDraft] = useState(groups);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    setDraft(groups);
+  }, [groups]);
+
+  const isDirty = JSON.stringify(draft) !== JSON.stringify(groups);
+
+  const updateGroup = (id, changes) => {
+    setDraft(draft.map(group => group.id === id ? new Group({ ...group, ...changes }) : group));
+  };
+
+  const addGroup = () => {
+    setDraft([...draft, new Group({ id: `group-${Date.now()}`, name: `Group ${draft.length + 1}`, program: PROGRAMS.PRIMARY })]);
+  };
+
+  const removeGroup = (id) => {
+    setDraft(draft.filter(group => group.id !== id));
+  };
+
+  // A client can only be in one standing group - ticking them here moves them
+  const toggleMember = (group, studentId) => {
+    if (group.hasStudent(studentId)) {
+      updateGroup(group.id, { studentIds: group.studentIds.filter(id => String(id) !== String(studentId)) });
+      return;
+    }
+    setDraft(draft.map(other => {
+      if (other.id === group.id) return new Group({ ...other, studentIds: [...other.studentIds, studentId] });
+      if (other.hasStudent(studentId)) {
+        return new Group({ ...other, studentIds: other.studentIds.filter(id => String(id) !== String(studentId)) });
+      }
+      return other;
+    }));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      await onSave(draft);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900 flex items-center gap-2">
+            <Users className="w-6 h-6 text-blue-600" />
+            Small Groups
+          </h2>
+          <p className="text-sm text-gray-600 mt-1">
+            Standing 1:2 and 1:3 groups. Auto Assign only puts a client in a group with their standing group's
+            other members, and only when they share a ratio and session times.
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={addGroup}
+            disabled={saving}
+            className="bg-gray-100 text-gray-700 px-4 py-2 rounded hover:bg-gray-200 disabled:opacity-50 flex items-center gap-2 text-sm"
+          >
+            <Plus className="w-4 h-4" />
+            Add Group
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={!isDirty || saving}
+            className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 disabled:opacity-50 flex items-center gap-2 text-sm"
+          >
+            {saving ? <RefreshCw className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+            Save
+          </button>
+        </div>
+      </div>
+
+      {draft.length === 0 && (
+        <div className="bg-white rounded-lg shadow p-4 text-sm text-gray-500">
+          No standing groups. Any small-group clients with the same ratio and times may share a staff member.
+        </div>
+      )}
+
+      {draft.map(group => {
+        const candidates = students.filter(s => s.isActive && s.program === group.program);
+
+        return (
+          <div key={group.id} className="bg-white rounded-lg shadow p-4 space-y-3">
+            <div className="flex flex-wrap items-end gap-3 text-sm">
+              <label className="flex flex-col text-gray-600">
+                Name
+                <input
+                  type="text"
+                  value={group.name}
+                  onChange={(e) => updateGroup(group.id, { name: e.target.value })}
+                  className="border border-gray-300 rounded px-2 py-1 text-sm"
+                />
+              </label>
+              <label className="flex flex-col text-gray-600">
+                Program
+                <select
+                  value={group.program}
+                  onChange={(e) => updateGroup(group.id, { program: e.target.value, studentIds: [] })}
+                  className="border border-gray-300 rounded px-2 py-1 text-sm"
+                >
+                  {Object.values(PROGRAMS).map(program => (
+                    <option key={program} value={program}>{program}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="flex flex-col text-gray-600">
+                Ratio
+                <select
+                  value={group.ratio}
+                  onChange={(e) => updateGroup(group.id, { ratio: e.target.value })}
+                  className="border border-gray-300 rounded px-2 py-1 text-sm"
+                >
+                  {GROUP_RATIO_OPTIONS.map(ratio => (
+                    <option key={ratio} value={ratio}>{ratio}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="flex flex-col text-gray-600">
+                Location
+                <input
+                  type="text"
+                  value={group.location}
+                  placeholder="Room"
+                  onChange={(e) => updateGroup(group.id, { location: e.target.value })}
+                  className="border border-gray-300 rounded px-2 py-1 text-sm"
+                />
+              </label>
+              <label className="flex flex-col text-gray-600">
+                Capacity
+                <input
+                  type="number"
+                  min="2"
+                  value={group.capacity || ''}
+                  placeholder={String(Group.getCapacityForRatio(group.ratio))}
+                  onChange={(e) => updateGroup(group.id, { capacity: parseInt(e.target.value, 10) || null })}
+                  className="w-20 border border-gray-300 rounded px-2 py-1 text-sm"
+                />
+              </label>
+              <button
+                onClick={() => removeGroup(group.id)}
+                className="ml-auto text-red-600 hover:bg-red-50 rounded p-2"
+                title="Remove group"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+
+            <div className="flex flex-wrap gap-x-4 gap-y-1 text-sm">
+              {candidates.map(student => {
+                const isGroupRatio = student.ratioAM === group.ratio || student.ratioPM === group.ratio;
+                return (
+                  <label key={student.id} className={`flex items-center gap-1 ${isGroupRatio ? 'text-gray-800' : 'text-gray-400'}`}>
+                    <input
+                      type="checkbox"
+                      checked={group.hasStudent(student.id)}
+                      onChange={() => toggleMember(group, student.id)}
+                    />
+                    {student.name}
+                    {!isGroupRatio && <span className="text-xs">({student.ratioAM}/{student.ratioPM})</span>}
+                  </label>
+                );
+              })}
+            </div>
+            <div className="text-xs text-gray-500">
+              {group.studentIds.length} member(s), up to {group.getCapacity()} per staff member
+            </div>
+          </div>
+        );
+      })}
+
+      <p className="text-xs text-gray-500">
+        Saved to the AppSettings SharePoint list (key ClientGroups) and applied for everyone on this site.
+      </p>
+    </div>
+  );
+};
+
+export default GroupSettings;
@@ -0,0 +1,177 @@
+import React, { useState, useEffect } from 'react';
+import { Link2, Save, RefreshCw, Plus, Trash2 } from 'lucide-react';
+import { LinkedCluster, PROGRAMS } from '../types/index.js';
+
+/**
+ * Linked Cluster Settings Component
+ * Edits the site's linked-client clusters - clients who are always covered together by
+ * the same staff - and how many staff each cluster needs per session.
+ */
+export const LinkedClusterSettings = ({ clusters, students = [], onSave }) => {
+  const [draft, setDraft] = useState(clusters);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    setDraft(clusters);
+  }, [clusters]);
+
+  const isDirty = JSON.stringify(draft) !== JSON.stringify(clusters);
+
+  const updateCluster = (id, changes) => {
+    setDraft(draft.map(cluster => cluster.id === id ? new LinkedCluster({ ...cluster, ...changes }) : cluster));
+  };
+
+  const addCluster = () => {
+    setDraft([...draft, new LinkedCluster({ id: `cluster-${Date.now()}`, name: `Cluster ${draft.length + 1}`, program: PROGRAMS.PRIMARY })]);
+  };
+
+  const removeCluster = (id) => {
+    setDraft(draft.filter(cluster => cluster.id !== id));
+  };
+
+  // A client can only be in one cluster - ticking them here moves them
+  const toggleMember = (cluster, studentId) => {
+    if (cluster.hasStudent(studentId)) {
+      updateCluster(cluster.id, { studentIds: cluster.studentIds.filter(id => String(id) !== String(studentId)) });
+      return;
+    }
+    setDraft(draft.map(other => {
+      if (other.id === cluster.id) return new LinkedCluster({ ...other, studentIds: [...other.studentIds, studentId] });
+      if (other.hasStudent(studentId)) {
+        return new LinkedCluster({ ...other, studentIds: other.studentIds.filter(id => String(id) !== String(studentId)) });
+      }
+      return other;
+    }));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      await onSave(draft);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderStaffCount = (cluster, field, label) => (
+    <label className="flex flex-col text-gray-600">
+      {label}
+      <input
+        type="number"
+        min="1"
+        max="5"
+        value={cluster[field]}
+        onChange={(e) => updateCluster(cluster.id, { [field]: Math.min(5, Math.max(1, parseInt(e.target.value, 10) || 1)) })}
+        className="w-20 border border-gray-300 rounded px-2 py-1 text-sm"
+      />
+    </label>
+  );
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900 flex items-center gap-2">
+            <Link2 className="w-6 h-6 text-blue-600" />
+            Linked Clients
+          </h2>
+          <p className="text-sm text-gray-600 mt-1">
+            Clients who are always covered together by the same staff, e.g. three clients sharing two staff.
+            Auto Assign staffs the whole cluster at once with staff on every member's team.
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={addCluster}
+            disabled={saving}
+            className="bg-gray-100 text-gray-700 px-4 py-2 rounded hover:bg-gray-200 disabled:opacity-50 flex items-center gap-2 text-sm"
+          >
+            <Plus className="w-4 h-4" />
+            Add Cluster
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={!isDirty || saving}
+            className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 disabled:opacity-50 flex items-center gap-2 text-sm"
+          >
+            {saving ? <RefreshCw className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+            Save
+          </button>
+        </div>
+      </div>
+
+      {draft.length === 0 && (
+        <div className="bg-white rounded-lg shadow p-4 text-sm text-gray-500">
+          No linked clusters. Clients linked on the student form (Paired With) are still assigned as pairs.
+        </div>
+      )}
+
+      {draft.map(cluster => {
+        const candidates = students.filter(s => s.isActive && s.program === cluster.program);
+        const tooSmall = cluster.studentIds.length < 2;
+
+        return (
+          <div key={cluster.id} className="bg-white rounded-lg shadow p-4 space-y-3">
+            <div className="flex flex-wrap items-end gap-3 text-sm">
+              <label className="flex flex-col text-gray-600">
+                Name
+                <input
+                  type="text"
+                  value={cluster.name}
+                  onChange={(e) => updateCluster(cluster.id, { name: e.target.value })}
+                  className="border border-gray-300 rounded px-2 py-1 text-sm"
+                />
+              </label>
+              <label className="flex flex-col text-gray-600">
+                Program
+                <select
+                  value={cluster.program}
+                  onChange={(e) => updateCluster(cluster.id, { program: e.target.value, studentIds: [] })}
+                  className="border border-gray-300 rounded px-2 py-1 text-sm"
+                >
+                  {Object.values(PROGRAMS).map(program => (
+                    <option key={program} value={program}>{program}</option>
+                  ))}
+                </select>
+              </label>
+              {renderStaffCount(cluster, 'staffCountAM', 'Staff AM')}
+              {renderStaffCount(cluster, 'staffCountPM', 'Staff PM')}
+              <button
+                onClick={() => removeCluster(cluster.id)}
+                className="ml-auto text-red-600 hover:bg-red-50 rounded p-2"
+                title="Remove cluster"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+
+            <div className="flex flex-wrap gap-x-4 gap-y-1 text-sm">
+              {candidates.map(student => (
+                <label key={student.id} className="flex items-center gap-1 text-gray-800">
+                  <input
+                    type="checkbox"
+                    checked={cluster.hasStudent(student.id)}
+                    onChange={() => toggleMember(cluster, student.id)}
+                  />
+                  {student.name}
+                  {student.isPaired() && <span className="text-xs text-gray-400">(paired)</span>}
+                </label>
+              ))}
+            </div>
+            <div className={`text-xs ${tooSmall ? 'text-red-600' : 'text-gray-500'}`}>
+              {cluster.studentIds.length} member(s), {cluster.staffCountAM} staff AM / {cluster.staffCountPM} staff PM
+              {tooSmall && ' - add at least two clients'}
+            </div>
+          </div>
+        );
+      })}
+
+      <p className="text-xs text-gray-500">
+        Saved to the AppSettings SharePoint list (key LinkedClusters) and applied for everyone on this site.
+        A cluster replaces Paired With for its members.
+      </p>
+    </div>
+  );
+};
+
+export default LinkedClusterSettings;
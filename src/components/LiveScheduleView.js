@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { ExternalLink, Filter } from 'lucide-react';
+import { SchedulingUtils } from '../types/index.js';
 
 /**
  * Live Schedule View Component
@@ -132,21 +133,26 @@ const LiveScheduleView = ({ schedule, students, staff, currentDate, onUpdateSche
         }
       }
 
-      // Get staff names (formatted as "FirstName L.")
-      const amStaffNames = amAssignments.map(a => {
-        const staffMember = staff.find(s => s.id === a.staffId);
-        const fullName = staffMember ? staffMember.name : 'Unknown';
-        return formatStaffNameShort(fullName);
-      });
-      const pmStaffNames = pmAssignments.map(a => {
-        const staffMember = staff.find(s => s.id === a.staffId);
-        const fullName = staffMember ? staffMember.name : 'Unknown';
-        return formatStaffNameShort(fullName);
-      });
-
-      // Remove duplicates
-      const uniqueAmStaff = [...new Set(amStaffNames)];
-      const uniquePmStaff = [...new Set(pmStaffNames)];
+      // Get staff names (formatted as "FirstName L.") with split coverage block times
+      // Blocks are listed in time order, so 8:45–10:00 comes before 10:00–11:30
+      const toStaffEntries = (assignments) => {
+        const entries = [];
+        [...assignments]
+          .sort((a, b) => (SchedulingUtils.parseTimeToMinutes(a.startTime) || 0) - (SchedulingUtils.parseTimeToMinutes(b.startTime) || 0))
+          .forEach(a => {
+            const staffMember = staff.find(s => s.id === a.staffId);
+            const name = formatStaffNameShort(staffMember ? staffMember.name : 'Unknown');
+            // Remove duplicates
+            if (!entries.some(entry => entry.name === name)) {
+              entries.push({ name, startTime: a.startTime || null, endTime: a.endTime || null });
+            }
+          });
+        return entries;
+      };
+      const amStaffEntries = toStaffEntries(amAssignments);
+      const pmStaffEntries = toStaffEntries(pmAssignments);
+      const uniqueAmStaff = amStaffEntries.map(entry => entry.name);
+      const uniquePmStaff = pmStaffEntries.map(entry => entry.name);
 
       // Check if student is absent/unavailable (pass currentDate to check day-of-week schedule)
       const isAbsentAM = !student.isAvailableForSession('AM', currentDate);
@@ -188,12 +194,12 @@ const LiveScheduleView = ({ schedule, students, staff, currentDate, onUpdateSche
             program: student.program,
             amStaff: rowAmStaff,
             pmStaff: rowPmStaff,
-            amStart: rowData.amStart || (rowAmStaff ? defaultAmStart : ''),
-            amEnd: rowData.amEnd || (rowAmStaff ? defaultAmEnd : ''),
+            amStart: rowData.amStart || (rowAmStaff ? (amStaffEntries[i]?.startTime || defaultAmStart) : ''),
+            amEnd: rowData.amEnd || (rowAmStaff ? (amStaffEntries[i]?.endTime || defaultAmEnd) : ''),
             lunch1Cov: rowData.lunch1Cov || '',
             lunch2Cov: rowData.lunch2Cov || '',
-            pmStart: rowData.pmStart || (rowPmStaff ? defaultPmStart : ''),
-            pmEnd: rowData.pmEnd || (rowPmStaff ? defaultPmEnd : ''),
+            pmStart: rowData.pmStart || (rowPmStaff ? (pmStaffEntries[i]?.startTime || defaultPmStart) : ''),
+            pmEnd: rowData.pmEnd || (rowPmStaff ? (pmStaffEntries[i]?.endTime || defaultPmEnd) : ''),
             rowIndex: i
           });
         }
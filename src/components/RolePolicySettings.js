@@ -0,0 +1,161 @@
+import React, { useState, useEffect } from 'react';
+import { SlidersHorizontal, Save, RefreshCw, RotateCcw } from 'lucide-react';
+import { RolePolicy, DEFAULT_ROLE_POLICIES } from '../types/index.js';
+
+/**
+ * Role Policy Settings Component
+ * Edits the site's role policy - direct-service eligibility, auto-assign,
+ * priority and allowed ratios per role - and saves it to SharePoint
+ */
+export const RolePolicySettings = ({ rolePolicies, staff = [], onSave }) => {
+  const [draft, setDraft] = useState(rolePolicies);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    setDraft(rolePolicies);
+  }, [rolePolicies]);
+
+  // Roles in use on the Staff list that have no policy yet get the restrictive default
+  const unlistedRoles = [...new Set(staff.map(s => s.role).filter(Boolean))]
+    .filter(role => !Object.keys(draft).some(name => name.toLowerCase() === role.toLowerCase()));
+  const roles = [...Object.keys(draft), ...unlistedRoles];
+  const isDirty = JSON.stringify(draft) !== JSON.stringify(rolePolicies);
+
+  const updatePolicy = (role, changes) => {
+    const current = draft[role] || RolePolicy.getDefaultPolicy();
+    setDraft({ ...draft, [role]: { ...current, ...changes } });
+  };
+
+  const toggleRatio = (role, ratio) => {
+    const current = (draft[role] || RolePolicy.getDefaultPolicy()).allowedRatios;
+    const allowedRatios = current.includes(ratio)
+      ? current.filter(r => r !== ratio)
+      : RolePolicy.getAllRatios().filter(r => r === ratio || current.includes(r));
+    updatePolicy(role, { allowedRatios });
+  };
+
+  const handleReset = () => {
+    if (!window.confirm('Reset every role to the built-in defaults? Nothing is saved until you click Save.')) return;
+    setDraft(DEFAULT_ROLE_POLICIES);
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      await onSave(draft);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900 flex items-center gap-2">
+            <SlidersHorizontal className="w-6 h-6 text-blue-600" />
+            Role Policy
+          </h2>
+          <p className="text-sm text-gray-600 mt-1">
+            Controls which roles Auto Assign, Smart Swap, the exact solver and the staff dropdowns treat as eligible.
+            Lower priority numbers are picked first.
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={handleReset}
+            disabled={saving}
+            className="bg-gray-100 text-gray-700 px-4 py-2 rounded hover:bg-gray-200 disabled:opacity-50 flex items-center gap-2 text-sm"
+          >
+            <RotateCcw className="w-4 h-4" />
+            Reset to Defaults
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={!isDirty || saving}
+            className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 disabled:opacity-50 flex items-center gap-2 text-sm"
+          >
+            {saving ? <RefreshCw className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+            Save
+          </button>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow p-4">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500 border-b">
+              <th className="py-2">Role</th>
+              <th className="py-2 text-center">Direct Service</th>
+              <th className="py-2 text-center">Auto Assign</th>
+              <th className="py-2 text-center">Priority</th>
+              <th className="py-2">Allowed Ratios</th>
+              <th className="py-2 text-right">Staff</th>
+            </tr>
+          </thead>
+          <tbody>
+            {roles.map(role => {
+              const policy = draft[role] || RolePolicy.getDefaultPolicy();
+              const staffCount = staff.filter(s => s.role && s.role.toLowerCase() === role.toLowerCase()).length;
+
+              return (
+                <tr key={role} className="border-b last:border-0">
+                  <td className="py-2 font-medium text-gray-900">
+                    {role}
+                    {!draft[role] && <span className="ml-2 text-xs text-orange-600">(no policy - defaults)</span>}
+                  </td>
+                  <td className="py-2 text-center">
+                    <input
+                      type="checkbox"
+                      checked={policy.directService}
+                      onChange={(e) => updatePolicy(role, { directService: e.target.checked })}
+                    />
+                  </td>
+                  <td className="py-2 text-center">
+                    <input
+                      type="checkbox"
+                      checked={policy.autoAssign}
+                      disabled={!policy.directService}
+                      onChange={(e) => updatePolicy(role, { autoAssign: e.target.checked })}
+                    />
+                  </td>
+                  <td className="py-2 text-center">
+                    <input
+                      type="number"
+                      min="0"
+                      value={policy.priority}
+                      onChange={(e) => updatePolicy(role, { priority: Math.max(0, parseInt(e.target.value, 10) || 0) })}
+                      className="w-20 border border-gray-300 rounded px-2 py-1 text-sm"
+                    />
+                  </td>
+                  <td className="py-2">
+                    <div className="flex items-center gap-3">
+                      {RolePolicy.getAllRatios().map(ratio => (
+                        <label key={ratio} className="flex items-center gap-1 text-gray-700">
+                          <input
+                            type="checkbox"
+                            checked={policy.allowedRatios.includes(ratio)}
+                            onChange={() => toggleRatio(role, ratio)}
+                          />
+                          {ratio}
+                        </label>
+                      ))}
+                    </div>
+                  </td>
+                  <td className="py-2 text-right text-gray-600">{staffCount}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <p className="text-xs text-gray-500">
+        Saved to the AppSettings SharePoint list and applied for everyone on this site. Roles without a policy
+        cannot do direct sessions until one is saved.
+      </p>
+    </div>
+  );
+};
+
+export default RolePolicySettings;
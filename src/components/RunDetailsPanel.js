@@ -0,0 +1,129 @@
+import React, { useState } from 'react';
+import { ListTree, Download, ChevronDown, ChevronRight } from 'lucide-react';
+import { RUN_LOG_EVENT_TYPES } from '../types/index.js';
+
+const EVENT_STYLES = {
+  [RUN_LOG_EVENT_TYPES.ASSIGN]: 'text-green-700',
+  [RUN_LOG_EVENT_TYPES.SWAP]: 'text-purple-700',
+  [RUN_LOG_EVENT_TYPES.BLOCKED]: 'text-amber-700',
+  [RUN_LOG_EVENT_TYPES.GAP]: 'text-red-700',
+  [RUN_LOG_EVENT_TYPES.INFO]: 'text-gray-600'
+};
+
+/**
+ * Run Details Component
+ * Collapsible view of an Auto Assign run log - phases with timings, then every
+ * assignment, swap, blocked candidate and gap - with a JSON download for audit
+ */
+export const RunDetailsPanel = ({ runLog, verboseLogging = false, onVerboseLoggingChange }) => {
+  const [expanded, setExpanded] = useState(false);
+  const [typeFilter, setTypeFilter] = useState('all');
+
+  if (!runLog) return null;
+
+  // Works on saved logs too, which come back as plain objects
+  const getEvents = type => runLog.events.filter(event => event.type === type);
+  const formatMs = ms => (ms === null || ms === undefined ? '–' : ms >= 1000 ? `${(ms / 1000).toFixed(1)} s` : `${ms} ms`);
+  const visibleEvents = typeFilter === 'all' ? runLog.events : getEvents(typeFilter);
+
+  const handleDownload = () => {
+    const blob = new Blob([JSON.stringify(runLog, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `auto-assign-run_${runLog.date || 'schedule'}_seed-${runLog.seed}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-4">
+      <div className="flex items-center justify-between">
+        <button
+          onClick={() => setExpanded(!expanded)}
+          className="flex items-center gap-2 text-sm font-semibold text-gray-800"
+        >
+          {expanded ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
+          <ListTree className="w-4 h-4 text-blue-600" />
+          Run details
+          <span className="font-normal text-gray-500">
+            {runLog.mode} · seed {runLog.seed} · {formatMs(runLog.durationMs)} ·{' '}
+            {runLog.totals?.assignments ?? 0} assignments, {runLog.totals?.errors ?? 0} gap(s)/warning(s)
+          </span>
+        </button>
+        <button
+          onClick={handleDownload}
+          className="text-blue-700 hover:bg-blue-50 rounded px-2 py-1 flex items-center gap-1 text-sm"
+          title="Download the run log as JSON"
+        >
+          <Download className="w-4 h-4" />
+          JSON
+        </button>
+      </div>
+
+      {expanded && (
+        <div className="mt-3 space-y-3">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-gray-500 border-b">
+                <th className="py-1 pr-3">Phase</th>
+                <th className="py-1 pr-3">Time</th>
+                <th className="py-1">Result</th>
+              </tr>
+            </thead>
+            <tbody>
+              {runLog.phases.map(phase => (
+                <tr key={phase.name} className="border-b last:border-0">
+                  <td className="py-1 pr-3 text-gray-800">{phase.name}</td>
+                  <td className="py-1 pr-3 text-gray-600">{formatMs(phase.durationMs)}</td>
+                  <td className="py-1 text-xs text-gray-600">
+                    {Object.entries(phase.summary).map(([key, value]) => `${key}: ${value}`).join(' · ')}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div className="flex items-center justify-between text-xs">
+            <select
+              value={typeFilter}
+              onChange={(e) => setTypeFilter(e.target.value)}
+              className="border border-gray-300 rounded px-2 py-1"
+            >
+              <option value="all">All events ({runLog.events.length})</option>
+              {Object.values(RUN_LOG_EVENT_TYPES).map(type => (
+                <option key={type} value={type}>{type} ({getEvents(type).length})</option>
+              ))}
+            </select>
+            {onVerboseLoggingChange && (
+              <label className="flex items-center gap-1 text-gray-600">
+                <input
+                  type="checkbox"
+                  checked={verboseLogging}
+                  onChange={(e) => onVerboseLoggingChange(e.target.checked)}
+                />
+                Also print the detailed trace to the browser console
+              </label>
+            )}
+          </div>
+
+          <div className="max-h-80 overflow-y-auto border border-gray-100 rounded font-mono text-xs">
+            {visibleEvents.map((event, index) => (
+              <div key={index} className="flex gap-2 px-2 py-0.5 odd:bg-gray-50">
+                <span className="text-gray-400 w-16 flex-shrink-0 text-right">{formatMs(event.at)}</span>
+                <span className={`w-16 flex-shrink-0 ${EVENT_STYLES[event.type] || ''}`}>{event.type}</span>
+                <span className="text-gray-800">{event.message}</span>
+              </div>
+            ))}
+            {visibleEvents.length === 0 && <div className="px-2 py-1 text-gray-500">No events.</div>}
+          </div>
+          {runLog.droppedEvents > 0 && (
+            <p className="text-xs text-gray-500">{runLog.droppedEvents} more event(s) were not kept.</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RunDetailsPanel;
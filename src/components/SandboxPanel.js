@@ -0,0 +1,215 @@
+import React, { useState } from 'react';
+import { FlaskConical, Plus, FolderOpen, Save, X, ArrowUpCircle, Trash2, Undo2 } from 'lucide-react';
+
+/**
+ * Sandbox Panel Component
+ * Lists the what-if sandboxes for the selected date and, while one is open, shows its
+ * controls and how its coverage compares with the live schedule.
+ */
+export const SandboxPanel = ({
+  sandboxes = [],
+  activeSandbox = null,
+  comparison = null,
+  onCreate,
+  onOpen,
+  onSave,
+  onClose,
+  onPromote,
+  onDelete,
+  onResetAttendance
+}) => {
+  const [newName, setNewName] = useState('');
+  const [expanded, setExpanded] = useState(false);
+
+  const handleCreate = () => {
+    onCreate(newName);
+    setNewName('');
+  };
+
+  // Change in uncovered clients - fewer is better
+  const renderUncoveredDelta = (live, sandbox) => {
+    const delta = sandbox - live;
+    if (delta === 0) return <span className="text-gray-400">±0</span>;
+    return <span className={delta < 0 ? 'text-green-600' : 'text-red-600'}>{delta > 0 ? `+${delta}` : delta}</span>;
+  };
+
+  if (activeSandbox) {
+    const totalLive = comparison ? comparison.reduce((sum, row) => sum + row.live.uncovered.length, 0) : 0;
+    const totalSandbox = comparison ? comparison.reduce((sum, row) => sum + row.sandbox.uncovered.length, 0) : 0;
+
+    return (
+      <div className="bg-purple-50 border-l-4 border-purple-500 p-4 rounded-r-lg shadow-sm space-y-3">
+        <div className="flex flex-wrap items-start justify-between gap-3">
+          <div>
+            <h3 className="text-sm font-semibold text-purple-900 flex items-center gap-2">
+              <FlaskConical className="w-4 h-4" />
+              Sandbox: {activeSandbox.getLabel()}
+            </h3>
+            <p className="text-sm text-purple-800 mt-1">
+              You are editing a what-if copy. Auto Assign, manual changes and attendance changes stay in this
+              sandbox and are never saved to SharePoint. Save keeps the sandbox in this browser.
+            </p>
+            <p className="text-xs text-purple-700 mt-1">
+              {activeSandbox.getOverrideCount()} attendance override(s) saved · created by {activeSandbox.createdBy || 'unknown'}
+            </p>
+          </div>
+          <div className="flex flex-wrap items-center gap-2">
+            <button
+              onClick={onResetAttendance}
+              className="bg-white text-purple-700 border border-purple-200 px-3 py-1.5 rounded hover:bg-purple-100 flex items-center gap-1.5 text-sm"
+              title="Go back to the live attendance (the sandbox schedule is kept)"
+            >
+              <Undo2 className="w-3.5 h-3.5" />
+              Live Attendance
+            </button>
+            <button
+              onClick={onSave}
+              className="bg-purple-600 text-white px-3 py-1.5 rounded hover:bg-purple-700 flex items-center gap-1.5 text-sm"
+            >
+              <Save className="w-3.5 h-3.5" />
+              Save Sandbox
+            </button>
+            <button
+              onClick={onPromote}
+              className="bg-green-600 text-white px-3 py-1.5 rounded hover:bg-green-700 flex items-center gap-1.5 text-sm"
+              title="Review the sandbox schedule as changes to the live schedule"
+            >
+              <ArrowUpCircle className="w-3.5 h-3.5" />
+              Promote to Live
+            </button>
+            <button
+              onClick={onClose}
+              className="bg-gray-600 text-white px-3 py-1.5 rounded hover:bg-gray-700 flex items-center gap-1.5 text-sm"
+              title="Save the sandbox and go back to the live schedule"
+            >
+              <X className="w-3.5 h-3.5" />
+              Close
+            </button>
+          </div>
+        </div>
+
+        {comparison && (
+          <div className="bg-white rounded-md border border-purple-100 overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs text-gray-500 border-b">
+                  <th className="px-3 py-2">Session</th>
+                  <th className="px-3 py-2">Covered (live → sandbox)</th>
+                  <th className="px-3 py-2">Uncovered</th>
+                  <th className="px-3 py-2">Staff used</th>
+                  <th className="px-3 py-2">Changes</th>
+                </tr>
+              </thead>
+              <tbody>
+                {comparison.map(row => (
+                  <tr key={`${row.program}-${row.session}`} className="border-b last:border-0 align-top">
+                    <td className="px-3 py-2 font-medium text-gray-800">{row.program} {row.session}</td>
+                    <td className="px-3 py-2">
+                      {row.live.covered}/{row.live.present} → {row.sandbox.covered}/{row.sandbox.present}
+                    </td>
+                    <td className="px-3 py-2">
+                      {row.live.uncovered.length} → {row.sandbox.uncovered.length}{' '}
+                      ({renderUncoveredDelta(row.live.uncovered.length, row.sandbox.uncovered.length)})
+                    </td>
+                    <td className="px-3 py-2">{row.live.staffUsed} → {row.sandbox.staffUsed}</td>
+                    <td className="px-3 py-2 text-xs">
+                      {row.newlyUncovered.length > 0 && (
+                        <div className="text-red-600">Uncovered: {row.newlyUncovered.map(s => s.name).join(', ')}</div>
+                      )}
+                      {row.newlyCovered.length > 0 && (
+                        <div className="text-green-600">Covered: {row.newlyCovered.map(s => s.name).join(', ')}</div>
+                      )}
+                      {row.newlyUncovered.length === 0 && row.newlyCovered.length === 0 && (
+                        <span className="text-gray-400">No change</span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div className="px-3 py-2 text-xs text-gray-600 border-t">
+              Uncovered clients for the day: {totalLive} live, {totalSandbox} in this sandbox.
+            </div>
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow p-4">
+      <button
+        onClick={() => setExpanded(!expanded)}
+        className="w-full flex items-center justify-between text-sm font-semibold text-gray-800"
+      >
+        <span className="flex items-center gap-2">
+          <FlaskConical className="w-4 h-4 text-purple-600" />
+          What-if Sandboxes ({sandboxes.length})
+        </span>
+        <span className="text-xs text-gray-500">{expanded ? 'Hide' : 'Show'}</span>
+      </button>
+
+      {expanded && (
+        <div className="mt-3 space-y-3">
+          <p className="text-xs text-gray-600">
+            Try changes - staff out, a client moved to PM only, a different Auto Assign run - on a copy of
+            the schedule for this date. Sandboxes are kept in this browser and never touch SharePoint.
+          </p>
+          <div className="flex items-center gap-2">
+            <input
+              type="text"
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              placeholder="e.g. Sarah out, Sam PM only"
+              className="flex-1 border border-gray-300 rounded px-2 py-1 text-sm"
+            />
+            <button
+              onClick={handleCreate}
+              className="bg-purple-600 text-white px-3 py-1.5 rounded hover:bg-purple-700 flex items-center gap-1.5 text-sm"
+              title="Copy the current schedule into a new sandbox"
+            >
+              <Plus className="w-3.5 h-3.5" />
+              New Sandbox
+            </button>
+          </div>
+
+          {sandboxes.length === 0 ? (
+            <div className="text-sm text-gray-500">No sandboxes for this date.</div>
+          ) : (
+            <ul className="divide-y divide-gray-100">
+              {sandboxes.map(sandbox => (
+                <li key={sandbox.id} className="flex items-center justify-between py-2 text-sm">
+                  <div>
+                    <div className="font-medium text-gray-800">{sandbox.getLabel()}</div>
+                    <div className="text-xs text-gray-500">
+                      {sandbox.schedule.assignments.length} assignments · {sandbox.getOverrideCount()} attendance override(s)
+                      {sandbox.updatedAt && ` · saved ${new Date(sandbox.updatedAt).toLocaleString()}`}
+                    </div>
+                  </div>
+                  <div className="flex items-center gap-1">
+                    <button
+                      onClick={() => onOpen(sandbox.id)}
+                      className="text-purple-700 hover:bg-purple-50 rounded px-2 py-1 flex items-center gap-1"
+                    >
+                      <FolderOpen className="w-4 h-4" />
+                      Open
+                    </button>
+                    <button
+                      onClick={() => onDelete(sandbox.id)}
+                      className="text-red-600 hover:bg-red-50 rounded p-2"
+                      title="Delete sandbox"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SandboxPanel;
@@ -0,0 +1,198 @@
+import React, { useState, useEffect } from 'react';
+import { History, RefreshCw, Lock, Unlock, Plus, Minus, ArrowRightLeft, Clock } from 'lucide-react';
+import { AUDIT_ACTIONS, AUDIT_CHANGE_TYPES } from '../types/index.js';
+
+const ACTION_STYLES = {
+  [AUDIT_ACTIONS.MANUAL]: { label: 'Manual', className: 'bg-gray-100 text-gray-700' },
+  [AUDIT_ACTIONS.AUTO]: { label: 'Auto Assign', className: 'bg-green-100 text-green-800' },
+  [AUDIT_ACTIONS.AUTO_TRAINING]: { label: 'Auto (training)', className: 'bg-purple-100 text-purple-800' },
+  [AUDIT_ACTIONS.SMART_SWAP]: { label: 'Smart Swap', className: 'bg-blue-100 text-blue-800' },
+  [AUDIT_ACTIONS.ATTENDANCE]: { label: 'Attendance', className: 'bg-yellow-100 text-yellow-800' },
+  [AUDIT_ACTIONS.SANDBOX]: { label: 'Sandbox', className: 'bg-indigo-100 text-indigo-800' },
+  [AUDIT_ACTIONS.CLEAR]: { label: 'Clear', className: 'bg-red-100 text-red-800' }
+};
+
+const CHANGE_ICONS = {
+  [AUDIT_CHANGE_TYPES.ADD]: Plus,
+  [AUDIT_CHANGE_TYPES.REMOVE]: Minus,
+  [AUDIT_CHANGE_TYPES.MOVE]: ArrowRightLeft,
+  [AUDIT_CHANGE_TYPES.RETIME]: Clock,
+  [AUDIT_CHANGE_TYPES.LOCK]: Lock,
+  [AUDIT_CHANGE_TYPES.UNLOCK]: Unlock
+};
+
+const HISTORY_DAYS = [14, 30, 90];
+
+const toDateKey = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+/**
+ * Schedule Audit Log Component
+ * Shows the append-only change log (AuditEntry) two ways: the open day's timeline, with the
+ * edits not saved yet on top, and one client's history over the last few weeks.
+ */
+export const ScheduleAuditLog = ({ currentDate, students = [], pendingEntries = [], dataStore }) => {
+  const [view, setView] = useState('day');
+  const [studentId, setStudentId] = useState('');
+  const [days, setDays] = useState(30);
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [reloadCount, setReloadCount] = useState(0);
+  const dateKey = toDateKey(currentDate);
+
+  useEffect(() => {
+    if (view === 'client' && studentId === '') {
+      setEntries([]);
+      return undefined;
+    }
+
+    let isCurrent = true;
+    const filter = view === 'day'
+      ? { date: dateKey }
+      : { studentId, days };
+
+    setLoading(true);
+    dataStore.loadAuditLog(filter)
+      .then(loaded => {
+        if (isCurrent) setEntries(loaded);
+      })
+      .catch(error => {
+        console.error('Error loading the audit log:', error);
+        if (isCurrent) setEntries([]);
+      })
+      .finally(() => {
+        if (isCurrent) setLoading(false);
+      });
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [dataStore, view, dateKey, studentId, days, reloadCount]);
+
+  const unsaved = view === 'day'
+    ? pendingEntries.filter(entry => entry.date === dateKey)
+    : pendingEntries.filter(entry => studentId !== '' && entry.involvesStudent(studentId));
+
+  const renderEntry = (entry, isUnsaved = false) => {
+    const Icon = CHANGE_ICONS[entry.changeType] || History;
+    const action = ACTION_STYLES[entry.action] || { label: entry.action, className: 'bg-gray-100 text-gray-700' };
+    return (
+      <li key={entry.id} className={`flex items-start gap-3 py-2 ${isUnsaved ? 'opacity-70' : ''}`}>
+        <span className="text-xs text-gray-500 w-16 shrink-0 pt-0.5">
+          {new Date(entry.changedAt).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}
+        </span>
+        <Icon className="w-4 h-4 text-gray-500 shrink-0 mt-0.5" />
+        <div className="flex-1 min-w-0">
+          <div className="text-sm text-gray-900">{entry.describe()}</div>
+          <div className="text-xs text-gray-500">
+            {entry.program} {entry.session} · {entry.changedBy}{isUnsaved ? ' · not saved yet' : ''}
+          </div>
+        </div>
+        <span className={`text-xs px-2 py-0.5 rounded shrink-0 ${action.className}`}>{action.label}</span>
+      </li>
+    );
+  };
+
+  // Client history is read newest day first, each day as a timeline
+  const entriesByDate = entries.reduce((groups, entry) => {
+    (groups[entry.date] = groups[entry.date] || []).push(entry);
+    return groups;
+  }, {});
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-start">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900 flex items-center gap-2">
+            <History className="w-6 h-6 text-blue-600" />
+            Schedule History
+          </h2>
+          <p className="text-sm text-gray-600 mt-1">
+            Every assignment added, removed, moved, re-timed, locked or unlocked - who did it, when and how.
+            Changes are recorded when the schedule is saved and never edited afterwards.
+          </p>
+        </div>
+        <button
+          onClick={() => setReloadCount(count => count + 1)}
+          disabled={loading}
+          className="bg-gray-100 text-gray-700 px-4 py-2 rounded hover:bg-gray-200 disabled:opacity-50 flex items-center gap-2 text-sm"
+        >
+          <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+          Refresh
+        </button>
+      </div>
+
+      <div className="flex items-center gap-2 text-sm">
+        {[
+          { id: 'day', label: `Day timeline (${currentDate.toLocaleDateString()})` },
+          { id: 'client', label: 'Client history' }
+        ].map(option => (
+          <button
+            key={option.id}
+            onClick={() => setView(option.id)}
+            className={`px-3 py-1.5 rounded ${view === option.id ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+          >
+            {option.label}
+          </button>
+        ))}
+
+        {view === 'client' && (
+          <>
+            <select
+              value={studentId}
+              onChange={(e) => setStudentId(e.target.value)}
+              className="border border-gray-300 rounded px-2 py-1.5 ml-4"
+            >
+              <option value="">Choose a client...</option>
+              {[...students].sort((a, b) => a.name.localeCompare(b.name)).map(student => (
+                <option key={student.id} value={String(student.id)}>{student.name}</option>
+              ))}
+            </select>
+            <select
+              value={days}
+              onChange={(e) => setDays(Number(e.target.value))}
+              className="border border-gray-300 rounded px-2 py-1.5"
+            >
+              {HISTORY_DAYS.map(count => (
+                <option key={count} value={count}>Last {count} days</option>
+              ))}
+            </select>
+          </>
+        )}
+      </div>
+
+      {unsaved.length > 0 && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4">
+          <h3 className="font-semibold text-yellow-900 text-sm">Not saved yet ({unsaved.length})</h3>
+          <p className="text-xs text-yellow-800">Recorded in the log when you click Save.</p>
+          <ul className="divide-y divide-yellow-100">
+            {[...unsaved].reverse().map(entry => renderEntry(entry, true))}
+          </ul>
+        </div>
+      )}
+
+      {view === 'client' && studentId === '' ? (
+        <p className="text-gray-500 text-sm">Choose a client to see their schedule changes.</p>
+      ) : !loading && entries.length === 0 ? (
+        <p className="text-gray-500 text-sm">
+          No saved changes {view === 'day' ? 'for this day' : `for this client in the last ${days} days`}.
+        </p>
+      ) : (
+        Object.entries(entriesByDate).sort(([a], [b]) => b.localeCompare(a)).map(([date, dayEntries]) => (
+          <div key={date} className="bg-white rounded-lg shadow p-4">
+            {view === 'client' && (
+              <h3 className="font-semibold text-gray-900 text-sm mb-1">
+                {new Date(`${date}T00:00:00`).toLocaleDateString([], { weekday: 'short', month: 'short', day: 'numeric' })}
+              </h3>
+            )}
+            <ul className="divide-y divide-gray-100">
+              {dayEntries.map(entry => renderEntry(entry))}
+            </ul>
+          </div>
+        ))
+      )}
+    </div>
+  );
+};
+
+export default ScheduleAuditLog;
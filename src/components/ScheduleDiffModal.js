@@ -0,0 +1,208 @@
+import React, { useState, useEffect } from 'react';
+import { GitCompare, Check, X, AlertTriangle, Lock } from 'lucide-react';
+import { SCHEDULE_CHANGE_TYPES, PROGRAMS } from '../types/index.js';
+
+const CHANGE_STYLES = {
+  [SCHEDULE_CHANGE_TYPES.ADD]: { label: 'Add', className: 'bg-green-100 text-green-800' },
+  [SCHEDULE_CHANGE_TYPES.MOVE]: { label: 'Move', className: 'bg-blue-100 text-blue-800' },
+  [SCHEDULE_CHANGE_TYPES.RETIME]: { label: 'Retime', className: 'bg-yellow-100 text-yellow-800' },
+  [SCHEDULE_CHANGE_TYPES.REMOVE]: { label: 'Remove', className: 'bg-red-100 text-red-800' }
+};
+
+const formatTimes = (assignment) => (assignment.startTime || assignment.endTime)
+  ? ` ${assignment.startTime || 'start'}–${assignment.endTime || 'end'}`
+  : '';
+
+// Changes reachable through dependsOn (forward) or through the changes that depend on it (backward)
+const collectLinked = (changes, id, forward) => {
+  const linked = new Set();
+  const visit = (currentId) => {
+    const next = forward
+      ? (changes.find(c => c.id === currentId)?.dependsOn || [])
+      : changes.filter(c => c.dependsOn.includes(currentId)).map(c => c.id);
+    next.forEach(nextId => {
+      if (linked.has(nextId)) return;
+      linked.add(nextId);
+      visit(nextId);
+    });
+  };
+  visit(id);
+  return linked;
+};
+
+/**
+ * Schedule Diff Modal Component
+ * Previews the changes from SchedulingUtils.diffSchedules grouped by session and program,
+ * and lets the user accept all, reject all or pick changes one by one. Accepting a change
+ * also accepts the changes it depends on; rejecting one also rejects the changes that need it.
+ */
+export const ScheduleDiffModal = ({
+  title,
+  summary = '',
+  changes,
+  requiredIds = [],
+  warnings = [],
+  onApply,
+  onDecline,
+  applyLabel = 'Apply Selected',
+  declineLabel = 'Cancel'
+}) => {
+  const [acceptedIds, setAcceptedIds] = useState(() => new Set(changes.map(c => c.id)));
+
+  useEffect(() => {
+    setAcceptedIds(new Set(changes.map(c => c.id)));
+  }, [changes]);
+
+  // A change is locked on if it is required or something required depends on it
+  const lockedIds = new Set(requiredIds);
+  requiredIds.forEach(id => collectLinked(changes, id, true).forEach(linked => lockedIds.add(linked)));
+
+  const toggleChange = (id) => {
+    const next = new Set(acceptedIds);
+    if (next.has(id)) {
+      next.delete(id);
+      collectLinked(changes, id, false).forEach(linked => next.delete(linked));
+    } else {
+      next.add(id);
+      collectLinked(changes, id, true).forEach(linked => next.add(linked));
+    }
+    setAcceptedIds(next);
+  };
+
+  const groups = [];
+  [PROGRAMS.PRIMARY, PROGRAMS.SECONDARY].forEach(program => {
+    ['AM', 'PM'].forEach(session => {
+      groups.push({
+        label: `${program} ${session}`,
+        changes: changes.filter(c => !c.isTrainee && c.program === program && c.session === session)
+      });
+    });
+  });
+  groups.push({ label: 'Trainee Changes', changes: changes.filter(c => c.isTrainee) });
+  const otherChanges = changes.filter(c => !groups.some(group => group.changes.includes(c)));
+  if (otherChanges.length > 0) groups.push({ label: 'Other', changes: otherChanges });
+
+  const describeChange = (change) => {
+    const { before, after } = change;
+    switch (change.type) {
+      case SCHEDULE_CHANGE_TYPES.MOVE:
+        return `${before.studentName}${formatTimes(before)} → ${after.studentName}${formatTimes(after)}`;
+      case SCHEDULE_CHANGE_TYPES.RETIME:
+        return `${after.studentName}:${formatTimes(before) || ' whole session'} →${formatTimes(after) || ' whole session'}`;
+      case SCHEDULE_CHANGE_TYPES.REMOVE:
+        return `${before.studentName}${formatTimes(before)}`;
+      default:
+        return `${after.studentName}${formatTimes(after)}`;
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-xl max-w-3xl w-full max-h-[85vh] overflow-hidden">
+        <div className="bg-blue-600 text-white px-6 py-4 flex items-center gap-2">
+          <GitCompare className="w-5 h-5" />
+          <h3 className="text-lg font-bold">{title}</h3>
+        </div>
+
+        <div className="p-6 overflow-y-auto max-h-[60vh] space-y-4">
+          {summary && <p className="text-sm text-gray-700 whitespace-pre-line">{summary}</p>}
+
+          <div className="flex justify-between items-center text-sm">
+            <span className="text-gray-600">
+              {acceptedIds.size} of {changes.length} change(s) selected
+            </span>
+            <div className="flex gap-2">
+              <button
+                onClick={() => setAcceptedIds(new Set(changes.map(c => c.id)))}
+                className="text-blue-600 hover:underline"
+              >
+                Accept All
+              </button>
+              <button
+                onClick={() => setAcceptedIds(new Set(lockedIds))}
+                className="text-blue-600 hover:underline"
+              >
+                Reject All
+              </button>
+            </div>
+          </div>
+
+          {groups.filter(group => group.changes.length > 0).map(group => (
+            <div key={group.label}>
+              <h4 className="font-semibold text-gray-900 text-sm mb-1">{group.label}</h4>
+              <table className="w-full text-sm">
+                <tbody>
+                  {group.changes.map(change => {
+                    const style = CHANGE_STYLES[change.type];
+                    const staffName = (change.after || change.before).staffName;
+                    const isLocked = lockedIds.has(change.id);
+
+                    return (
+                      <tr key={change.id} className="border-b last:border-0">
+                        <td className="py-1 w-8">
+                          {isLocked ? (
+                            <span title="Required - cannot be rejected">
+                              <Lock className="w-4 h-4 text-gray-400" />
+                            </span>
+                          ) : (
+                            <input
+                              type="checkbox"
+                              checked={acceptedIds.has(change.id)}
+                              onChange={() => toggleChange(change.id)}
+                            />
+                          )}
+                        </td>
+                        <td className="py-1 w-20">
+                          <span className={`px-2 py-0.5 rounded text-xs font-medium ${style.className}`}>{style.label}</span>
+                        </td>
+                        <td className="py-1 font-medium text-gray-900">{staffName}</td>
+                        <td className="py-1 text-gray-700">{describeChange(change)}</td>
+                        <td className="py-1 text-xs text-gray-500">
+                          {change.reason}
+                          {change.dependsOn.length > 0 && (
+                            <span className="block text-gray-400">Needs {change.dependsOn.length} other change(s)</span>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          ))}
+
+          {warnings.length > 0 && (
+            <div className="bg-red-50 border border-red-200 rounded p-3 text-sm text-red-700 space-y-0.5">
+              <div className="flex items-center gap-1 font-medium">
+                <AlertTriangle className="w-4 h-4" />
+                Still uncovered
+              </div>
+              {warnings.map((warning, index) => (
+                <div key={index}>{warning}</div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <div className="px-6 py-4 border-t flex justify-end gap-2">
+          <button
+            onClick={onDecline}
+            className="bg-gray-100 text-gray-700 px-4 py-2 rounded hover:bg-gray-200 flex items-center gap-2 text-sm"
+          >
+            <X className="w-4 h-4" />
+            {declineLabel}
+          </button>
+          <button
+            onClick={() => onApply([...acceptedIds])}
+            className="bg-green-600 text-white px-4 py-2 rounded hover:bg-green-700 flex items-center gap-2 text-sm"
+          >
+            <Check className="w-4 h-4" />
+            {applyLabel} ({acceptedIds.size})
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ScheduleDiffModal;
@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
-import { ExternalLink, Filter, Lock, Unlock, User, Maximize2, Minimize2 } from 'lucide-react';
+import { ExternalLink, Filter, Lock, Unlock, User, Users, Maximize2, Minimize2, Clock, X } from 'lucide-react';
+import { SchedulingUtils } from '../types/index.js';
 
 /**
  * Schedule Grid View Component
@@ -78,6 +79,9 @@ const ScheduleGridView = ({
     .filter(s => s.isActive && s.program === 'Secondary')
     .sort((a, b) => (a?.name || '').localeCompare(b?.name || ''));
 
+  // Small groups (1:2 / 1:3) on this schedule, checked as units
+  const scheduleGroups = typeof schedule.getGroups === 'function' ? schedule.getGroups(students) : [];
+
   // Calculate staff usage and determine highlighting colors
   const getStaffHighlighting = () => {
     const staffUsage = {}; // { staffId: { count, sessions: [{studentId, session, student}], sameKidAMPM: bool, twiceInSameSession: bool } }
@@ -122,7 +126,10 @@ const ScheduleGridView = ({
         staffUsage[staffId].count++;
       }
 
-      staffUsage[staffId].sessions.push({ studentId, session, student, isTrainee });
+      staffUsage[staffId].sessions.push({
+        studentId, session, student, isTrainee,
+        window: SchedulingUtils.getAssignmentWindow(assignment, students)
+      });
       
       // Track if ANY assignment for this staff is a trainee
       if (isTrainee) {
@@ -151,7 +158,10 @@ const ScheduleGridView = ({
           staffUsage[staffId].count++;
         }
 
-        staffUsage[staffId].sessions.push({ studentId, session, student, isTrainee: true });
+        staffUsage[staffId].sessions.push({
+          studentId, session, student, isTrainee: true,
+          window: SchedulingUtils.getAssignmentWindow(assignment, students)
+        });
         staffUsage[staffId].isTrainee = true;
       });
     }
@@ -257,7 +267,24 @@ const ScheduleGridView = ({
             }
           }
           
-          if (!isAllowedPairedCase) {
+          // A valid small group (compatible clients, within capacity) is one unit, not double-booking
+          const sessionEntries = sessions.filter(entry => entry.session === session);
+          const staffGroup = scheduleGroups.find(group => String(group.staffId) === String(staffId) && group.session === session);
+          if (!isAllowedPairedCase && staffGroup &&
+              sessionEntries.every(entry => !entry.isTrainee && staffGroup.hasStudent(entry.studentId)) &&
+              staffGroup.getIssues(students).length === 0) {
+            console.log(`  ✅ ${staffName}: Running ${staffGroup.name || 'a small group'} (${staffGroup.studentIds.length}/${staffGroup.getCapacity()}) in ${session} - ALLOWED`);
+            isAllowedPairedCase = true;
+            hasAllowedPairedUsage = true;
+          }
+
+          // Split coverage blocks at different times in the same session are not double-booking
+          const sessionWindows = sessions.filter(entry => entry.session === session).map(entry => entry.window);
+          const isSplitCoverage = sessionWindows.every((window, index) =>
+            sessionWindows.slice(index + 1).every(other => !SchedulingUtils.windowsOverlap(window, other))
+          );
+
+          if (!isAllowedPairedCase && !isSplitCoverage) {
             // If we get here, either more than 2 students, or 2 students who aren't paired
             console.log(`  🔴 ${staffName}: Used ${sessionCounts[session]} times in ${session} - NOT with a paired group`);
             shouldBeRed = true;
@@ -608,6 +635,60 @@ const ScheduleGridView = ({
     });
   };
 
+  // Split coverage blocks (assignments with start/end times) under the staff dropdowns
+  const renderTimeBlocks = (staffAssignments, disabled) => {
+    const timedAssignments = staffAssignments.filter(a => a.startTime || a.endTime);
+    if (timedAssignments.length === 0) return null;
+
+    return (
+      <div className="space-y-0.5">
+        {[...timedAssignments]
+          .sort((a, b) => (SchedulingUtils.parseTimeToMinutes(a.startTime) || 0) - (SchedulingUtils.parseTimeToMinutes(b.startTime) || 0))
+          .map(assignment => (
+            <div key={assignment.id} className="flex items-center gap-1 text-[10px] text-indigo-700 bg-indigo-50 rounded px-1">
+              <Clock className="w-3 h-3" />
+              <span>{assignment.startTime || 'start'}–{assignment.endTime || 'end'}</span>
+              <span className="font-semibold">{formatNameShort(assignment.staffName || staff.find(s => s.id === assignment.staffId)?.name || '')}</span>
+              {!disabled && (
+                <button
+                  onClick={() => onAssignmentRemove(assignment.id)}
+                  className="text-indigo-400 hover:text-red-600"
+                  title="Remove this time block"
+                >
+                  <X className="w-3 h-3" />
+                </button>
+              )}
+            </div>
+          ))}
+      </div>
+    );
+  };
+
+  // Small group badge under the staff dropdown - name, room and fill; red when the group has issues
+  const renderGroupBadge = (student, session) => {
+    const group = scheduleGroups.find(g => g.session === session && g.hasStudent(student.id));
+    if (!group) return null;
+
+    const issues = group.getIssues(students);
+    const others = group.getMembers(students).filter(member => member.id !== student.id).map(member => member.name);
+    const title = [
+      others.length > 0 ? `With ${others.join(', ')}` : 'No other clients yet',
+      ...issues
+    ].join('\n');
+
+    return (
+      <div
+        className={`flex items-center gap-1 text-[10px] rounded px-1 ${issues.length > 0 ? 'text-red-700 bg-red-50' : 'text-teal-700 bg-teal-50'}`}
+        title={title}
+      >
+        <Users className="w-3 h-3" />
+        <span className="font-semibold">{group.name || `${group.ratio} group`}</span>
+        {group.location && <span>· {group.location}</span>}
+        <span>· {group.studentIds.length}/{group.getCapacity()}</span>
+      </div>
+    );
+  };
+
   // Toggle lock on assignment
   const toggleLock = (student, session) => {
     // Get only staff assignments (not trainees) since the lock icon is next to staff dropdown
@@ -1186,6 +1267,8 @@ const ScheduleGridView = ({
                               )}
                             </div>
                           )}
+                          {renderTimeBlocks(staffAssignments, isRowAbsent)}
+                          {renderGroupBadge(student, 'AM')}
                         </div>
                       );
                     })()}
@@ -1365,6 +1448,8 @@ const ScheduleGridView = ({
                               )}
                             </div>
                           )}
+                          {renderTimeBlocks(staffAssignments, isRowAbsent)}
+                          {renderGroupBadge(student, 'PM')}
                         </div>
                       );
                     })()}
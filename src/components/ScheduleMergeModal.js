@@ -0,0 +1,185 @@
+import React, { useState, useEffect } from 'react';
+import { GitMerge, Check, X, Download, AlertTriangle } from 'lucide-react';
+import { SchedulingUtils } from '../types/index.js';
+
+const SIDE_LABELS = {
+  base: 'When you loaded',
+  mine: 'Yours',
+  theirs: 'Theirs'
+};
+
+const formatTimes = (assignment) => (assignment.startTime || assignment.endTime)
+  ? ` ${assignment.startTime || 'start'}–${assignment.endTime || 'end'}`
+  : '';
+
+/**
+ * Schedule Merge Modal Component
+ * Shown when saving finds that someone else saved the same day after it was loaded.
+ * Walks through the three-way merge from SchedulingUtils.mergeSchedules: clients only one side
+ * changed are merged automatically; for clients both sides changed the user keeps theirs or
+ * their own version. Nothing is saved until Save Merged, which waits until the choices leave nobody
+ * double-booked between client sessions taken from different versions.
+ */
+export const ScheduleMergeModal = ({ merge, staff = [], onSave, onUseTheirs, onCancel }) => {
+  const [choices, setChoices] = useState({});
+
+  useEffect(() => {
+    setChoices(Object.fromEntries(merge.conflicts.map(unit => [unit.key, 'mine'])));
+  }, [merge]);
+
+  const staffNameOf = (assignment) => assignment.staffName ||
+    staff.find(s => s.id === assignment.staffId)?.name ||
+    `Staff ${assignment.staffId}`;
+
+  const describeSide = (schedule, list) => {
+    if (list.length === 0) return <span className="text-gray-400">Nobody</span>;
+    return list.map((assignment, index) => (
+      <div key={index}>
+        {staffNameOf(assignment)}
+        {(schedule?.traineeAssignments || []).includes(assignment) && <span className="text-purple-600"> (trainee)</span>}
+        <span className="text-gray-500">{formatTimes(assignment)}</span>
+      </div>
+    ));
+  };
+
+  const theirName = merge.theirs.lastModifiedBy || 'Someone else';
+  const savedAt = merge.theirs.lastModified ? new Date(merge.theirs.lastModified).toLocaleTimeString() : null;
+  const mergedFromMine = merge.units.filter(unit => unit.status === 'mine');
+  const mergedFromTheirs = merge.units.filter(unit => unit.status === 'theirs');
+  const unitLabel = unit => `${unit.studentName || `Client ${unit.studentId}`} – ${unit.program} ${unit.session}`;
+  const staffClashes = SchedulingUtils.findMergeStaffClashes(merge, choices);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-xl max-w-4xl w-full max-h-[85vh] overflow-hidden">
+        <div className="bg-orange-600 text-white px-6 py-4 flex items-center gap-2">
+          <GitMerge className="w-5 h-5" />
+          <h3 className="text-lg font-bold">Someone Else Saved This Day</h3>
+        </div>
+
+        <div className="p-6 overflow-y-auto max-h-[60vh] space-y-4 text-sm">
+          <p className="text-gray-700">
+            {theirName} saved the schedule for {merge.theirs.date}{savedAt ? ` at ${savedAt}` : ''}, after you loaded it.
+            Your changes and theirs have been merged below – nothing is saved until you click Save Merged.
+          </p>
+
+          <div className="grid grid-cols-2 gap-2">
+            <div className="bg-blue-50 border border-blue-200 rounded p-3">
+              <div className="font-medium text-blue-900">{mergedFromMine.length} client session(s) only you changed</div>
+              <div className="text-blue-700 text-xs">Your version is kept</div>
+            </div>
+            <div className="bg-green-50 border border-green-200 rounded p-3">
+              <div className="font-medium text-green-900">{mergedFromTheirs.length} client session(s) only {theirName} changed</div>
+              <div className="text-green-700 text-xs">Their version is taken</div>
+            </div>
+          </div>
+
+          {merge.conflicts.length > 0 ? (
+            <div>
+              <h4 className="font-semibold text-gray-900 mb-1 flex items-center gap-1">
+                <AlertTriangle className="w-4 h-4 text-orange-600" />
+                Changed by both of you ({merge.conflicts.length})
+              </h4>
+              <table className="w-full">
+                <thead>
+                  <tr className="text-left text-xs text-gray-500 border-b">
+                    <th className="py-1">Client</th>
+                    <th className="py-1">{SIDE_LABELS.base}</th>
+                    <th className="py-1">{SIDE_LABELS.mine}</th>
+                    <th className="py-1">{SIDE_LABELS.theirs}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {merge.conflicts.map(unit => (
+                    <tr key={unit.key} className="border-b last:border-0 align-top">
+                      <td className="py-2 font-medium text-gray-900">{unitLabel(unit)}</td>
+                      <td className="py-2 text-gray-600">{describeSide(merge.base, unit.base)}</td>
+                      {['mine', 'theirs'].map(side => (
+                        <td key={side} className="py-2">
+                          <label className={`flex gap-2 cursor-pointer rounded p-1 ${choices[unit.key] === side ? 'bg-orange-50 ring-1 ring-orange-300' : ''}`}>
+                            <input
+                              type="radio"
+                              name={unit.key}
+                              checked={choices[unit.key] === side}
+                              onChange={() => setChoices({ ...choices, [unit.key]: side })}
+                            />
+                            <div>{describeSide(merge[side], unit[side])}</div>
+                          </label>
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <p className="text-gray-600">No client session was changed by both of you – the merge needs no decisions.</p>
+          )}
+
+          {(mergedFromMine.length > 0 || mergedFromTheirs.length > 0) && (
+            <details>
+              <summary className="cursor-pointer text-gray-700">Merged automatically</summary>
+              <ul className="mt-1 space-y-0.5 text-gray-600">
+                {[...mergedFromMine, ...mergedFromTheirs].map(unit => (
+                  <li key={unit.key}>
+                    <span className="font-medium">{unitLabel(unit)}</span>
+                    {' – '}{unit.status === 'mine' ? 'yours' : 'theirs'}
+                  </li>
+                ))}
+              </ul>
+            </details>
+          )}
+
+          {staffClashes.length > 0 && (
+            <div className="bg-red-50 border border-red-200 rounded p-3 text-red-800">
+              <div className="font-medium flex items-center gap-1">
+                <AlertTriangle className="w-4 h-4" />
+                These choices double-book staff - pick the same version for their clients
+              </div>
+              <ul className="mt-1 text-xs space-y-0.5">
+                {staffClashes.map(clash => (
+                  <li key={`${clash.staffId}-${clash.session}`}>
+                    {clash.staffName || staffNameOf(clash)} ({clash.session}):{' '}
+                    {clash.unitKeys.map(key => unitLabel(merge.units.find(unit => unit.key === key))).join(', ')}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <p className="text-xs text-gray-500">
+            Each client session is merged as a whole. Client sessions that would double-book a staff member
+            when taken from different versions are listed above as changed by both of you.
+          </p>
+        </div>
+
+        <div className="px-6 py-4 border-t flex justify-end gap-2">
+          <button
+            onClick={onCancel}
+            className="bg-gray-100 text-gray-700 px-4 py-2 rounded hover:bg-gray-200 flex items-center gap-2 text-sm"
+          >
+            <X className="w-4 h-4" />
+            Keep Editing
+          </button>
+          <button
+            onClick={onUseTheirs}
+            className="bg-gray-100 text-gray-700 px-4 py-2 rounded hover:bg-gray-200 flex items-center gap-2 text-sm"
+          >
+            <Download className="w-4 h-4" />
+            Discard Mine, Load Theirs
+          </button>
+          <button
+            onClick={() => onSave(choices)}
+            disabled={staffClashes.length > 0}
+            className="bg-green-600 text-white px-4 py-2 rounded hover:bg-green-700 disabled:opacity-50 flex items-center gap-2 text-sm"
+          >
+            <Check className="w-4 h-4" />
+            Save Merged
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ScheduleMergeModal;
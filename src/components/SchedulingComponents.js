@@ -1,6 +1,6 @@
 import React, { useState, useEffect, useMemo } from 'react';
 import { Lock, Unlock, Users, Clock, AlertTriangle, CheckCircle, GraduationCap, Star, ChevronDown, ChevronUp } from 'lucide-react';
-import { SESSION_TIMES, RATIOS, TRAINING_STATUS } from '../types/index.js';
+import { SESSION_TIMES, RATIOS, TRAINING_STATUS, EXCLUSION_RULES } from '../types/index.js';
 
 /**
  * Interactive Assignment Table - Pre-assignment with team dropdowns
@@ -582,7 +582,8 @@ export const ScheduleTableView = ({
     const ratioColors = {
       [RATIOS.ONE_TO_ONE]: 'bg-blue-100 text-blue-800',
       [RATIOS.TWO_TO_ONE]: 'bg-red-100 text-red-800', 
-      [RATIOS.ONE_TO_TWO]: 'bg-green-100 text-green-800'
+      [RATIOS.ONE_TO_TWO]: 'bg-green-100 text-green-800',
+      [RATIOS.ONE_TO_THREE]: 'bg-teal-100 text-teal-800'
     };
     
     return (
@@ -600,6 +601,7 @@ export const ScheduleTableView = ({
         return 2;
       case RATIOS.ONE_TO_ONE:
       case RATIOS.ONE_TO_TWO:
+      case RATIOS.ONE_TO_THREE:
       default:
         return 1;
     }
@@ -1594,6 +1596,7 @@ const AssignmentCard = ({ assignment, onLock, onUnlock, onRemove }) => {
     switch (ratio) {
       case RATIOS.TWO_TO_ONE: return 'bg-red-100 text-red-800';
       case RATIOS.ONE_TO_TWO: return 'bg-green-100 text-green-800';
+      case RATIOS.ONE_TO_THREE: return 'bg-teal-100 text-teal-800';
       default: return 'bg-blue-100 text-blue-800';
     }
   };
@@ -2251,13 +2254,14 @@ const TrainingPairFinder = ({
 /**
  * Session Summary Component - Shows summary statistics for a session
  */
-export const SessionSummary = ({ schedule, staff, students, session, program, selectedDate, onManualAssignment, onAssignmentRemove, onGetRecentTrainingPairs }) => {
+export const SessionSummary = ({ schedule, staff, students, session, program, selectedDate, onManualAssignment, onAssignmentRemove, onGetRecentTrainingPairs, onDiagnoseStudent }) => {
   // State for collapsible sections
   const [isAbsentStaffOpen, setIsAbsentStaffOpen] = useState(false);
   const [isAbsentStudentsOpen, setIsAbsentStudentsOpen] = useState(false);
   const [isOutStaffOpen, setIsOutStaffOpen] = useState(false);
   const [isOutStudentsOpen, setIsOutStudentsOpen] = useState(false);
   const [isAvailableStaffOpen, setIsAvailableStaffOpen] = useState(false);
+  const [diagnosedStudentId, setDiagnosedStudentId] = useState(null);
   
   // Load temp team additions from localStorage
   const getTempTeamStorageKey = () => {
@@ -2556,8 +2560,8 @@ export const SessionSummary = ({ schedule, staff, students, session, program, se
     
     if (!worksWithProgram) return false;
     
-    // Only count RBT and BS (direct staff roles)
-    if (staffMember.role !== 'RBT' && staffMember.role !== 'BS') return false;
+    // Only count auto-assign roles from the role policy (RBT and BS by default)
+    if (!staffMember.canAutoAssign()) return false;
     
     return true;
   });
@@ -2576,7 +2580,7 @@ export const SessionSummary = ({ schedule, staff, students, session, program, se
       if (tempStaff.sessions && tempStaff.sessions.includes(session)) {
         // Find the staff member to check role and program
         const staffMember = staff.find(s => s.id === tempStaff.staffId);
-        if (staffMember && (staffMember.role === 'RBT' || staffMember.role === 'BS')) {
+        if (staffMember && staffMember.canAutoAssign()) {
           // Check if staff normally works with THIS program
           const staffWorksWithThisProgram = program === 'Primary' 
             ? staffMember.primaryProgram 
@@ -2702,7 +2706,7 @@ export const SessionSummary = ({ schedule, staff, students, session, program, se
   const nonDirectStaffAssignedIds = new Set();
   assignments.forEach(assignment => {
     const staffMember = staff.find(s => s.id === assignment.staffId);
-    if (staffMember && staffMember.role !== 'RBT' && staffMember.role !== 'BS') {
+    if (staffMember && !staffMember.canAutoAssign()) {
       // This is a non-direct staff (BCBA, etc.) who is assigned to a client
       const worksWithProgram = program === 'Primary' 
         ? staffMember.primaryProgram 
@@ -2913,17 +2917,50 @@ export const SessionSummary = ({ schedule, staff, students, session, program, se
       {unassignedStudents.length > 0 && (
         <div className="mt-3 border-t pt-3">
           <div className="text-xs font-medium text-gray-600 mb-2">Unassigned Students:</div>
-          <div className="space-y-1 max-h-20 overflow-y-auto">
+          <div className={`space-y-1 overflow-y-auto ${diagnosedStudentId ? 'max-h-64' : 'max-h-20'}`}>
             {unassignedStudents.map(student => {
               const ratio = session === 'AM' ? student.ratioAM : student.ratioPM;
               const required = ratio === '2:1' ? 2 : 1;
               const actual = studentAssignmentCounts[student.id] || 0;
+              const isDiagnosed = diagnosedStudentId === student.id;
+              const diagnosis = isDiagnosed && onDiagnoseStudent
+                ? onDiagnoseStudent(student, session, program)
+                : null;
               return (
-                <div key={student.id} className="text-xs text-gray-700 flex justify-between">
-                  <span>{student.name}</span>
-                  <span className="text-gray-500">
-                    {actual}:{required}
-                  </span>
+                <div key={student.id}>
+                  <div className="text-xs text-gray-700 flex justify-between items-center">
+                    <span>{student.name}</span>
+                    <span className="flex items-center gap-2">
+                      {onDiagnoseStudent && (
+                        <button
+                          onClick={() => setDiagnosedStudentId(isDiagnosed ? null : student.id)}
+                          className="text-blue-600 hover:text-blue-800 underline"
+                          title="Show which rule excluded each team member"
+                        >
+                          {isDiagnosed ? 'Hide' : 'Why?'}
+                        </button>
+                      )}
+                      <span className="text-gray-500">
+                        {actual}:{required}
+                      </span>
+                    </span>
+                  </div>
+                  {diagnosis && (
+                    <div className="ml-2 mt-1 mb-2 pl-2 border-l-2 border-blue-200 space-y-0.5">
+                      {diagnosis.teamMembers.length === 0 ? (
+                        <div className="text-xs text-red-600">No team members assigned to this client</div>
+                      ) : (
+                        diagnosis.teamMembers.map(member => (
+                          <div key={member.staffId} className="text-xs flex justify-between gap-2">
+                            <span className="text-gray-700">{member.staffName}</span>
+                            <span className={member.rule === EXCLUSION_RULES.ELIGIBLE ? 'text-green-600' : 'text-red-600'}>
+                              {member.detail}
+                            </span>
+                          </div>
+                        ))
+                      )}
+                    </div>
+                  )}
                 </div>
               );
             })}
@@ -1,6 +1,6 @@
 import React, { useState, useMemo, useEffect } from 'react';
 import { Users, User, Search, Filter, Edit, Eye, GraduationCap, RefreshCw, Clock } from 'lucide-react';
-import { TRAINING_STATUS } from '../types/index.js';
+import { TRAINING_STATUS, PAIR_PREFERENCE, LinkedCluster } from '../types/index.js';
 
 /**
  * Team Management Component - Allows viewing clients by staff and staff by client
@@ -13,7 +13,8 @@ export const TeamManagement = ({
   onEditStudent,
   onEditStaff,
   onCleanupDeletedStaff,
-  onUpdateTrainingStatus
+  onUpdateTrainingStatus,
+  onUpdatePairPreference
 }) => {
   // Restore view preferences from localStorage or use defaults
   const [view, setView] = useState(() => {
@@ -227,6 +228,22 @@ export const TeamManagement = ({
     return clients.filter(client => client.getSessionRatio(session) === ratio).length;
   };
 
+  // Linked-client cluster chip - the cluster's name, staff per session and other members
+  const renderClusterBadge = (student) => {
+    const cluster = LinkedCluster.getClusterForStudent(student.id);
+    if (!cluster) return null;
+
+    const others = cluster.getMembers(students).filter(member => member.id !== student.id).map(member => member.name);
+    return (
+      <span
+        className="text-xs bg-purple-100 text-purple-800 px-2 py-1 rounded"
+        title={`Always covered with ${others.join(', ') || 'no other clients'}`}
+      >
+        {cluster.getLabel()}: {cluster.staffCountAM}/{cluster.staffCountPM} staff with {others.join(', ') || '—'}
+      </span>
+    );
+  };
+
   const getStaffRoleColor = (role) => {
     const colors = {
       'RBT': 'bg-purple-100 text-purple-700 font-bold',
@@ -269,6 +286,21 @@ export const TeamManagement = ({
     }
   };
 
+  const getPairPreferenceColor = (preference) => {
+    const colors = {
+      [PAIR_PREFERENCE.PREFERRED]: 'bg-green-100 text-green-800 border-green-300',
+      [PAIR_PREFERENCE.NEUTRAL]: 'bg-white text-gray-700 border-gray-300',
+      [PAIR_PREFERENCE.AVOID]: 'bg-red-100 text-red-800 border-red-300'
+    };
+    return colors[preference] || colors[PAIR_PREFERENCE.NEUTRAL];
+  };
+
+  const handlePairPreferenceChange = async (student, staffId, preference, notes) => {
+    if (!onUpdatePairPreference) return;
+    if (preference === student.getStaffPairPreference(staffId) && notes === student.getStaffPairNotes(staffId)) return;
+    await onUpdatePairPreference(student.id, staffId, preference, notes);
+  };
+
   return (
     <div className="bg-white rounded-lg shadow-lg">
       <div className="bg-indigo-600 text-white p-4 rounded-t-lg">
@@ -418,12 +450,14 @@ export const TeamManagement = ({
                             <span className="text-xs text-gray-500">
                               AM: {getClientCountByRatio(item.clients, '1:1', 'AM')} (1:1), 
                               {getClientCountByRatio(item.clients, '2:1', 'AM')} (2:1), 
-                              {getClientCountByRatio(item.clients, '1:2', 'AM')} (1:2)
+                              {getClientCountByRatio(item.clients, '1:2', 'AM')} (1:2), 
+                              {getClientCountByRatio(item.clients, '1:3', 'AM')} (1:3)
                             </span>
                             <span className="text-xs text-gray-500">
                               PM: {getClientCountByRatio(item.clients, '1:1', 'PM')} (1:1), 
                               {getClientCountByRatio(item.clients, '2:1', 'PM')} (2:1), 
-                              {getClientCountByRatio(item.clients, '1:2', 'PM')} (1:2)
+                              {getClientCountByRatio(item.clients, '1:2', 'PM')} (1:2), 
+                              {getClientCountByRatio(item.clients, '1:3', 'PM')} (1:3)
                             </span>
                           </>
                         )}
@@ -468,6 +502,7 @@ export const TeamManagement = ({
                             <span className="text-xs bg-green-200 text-green-700 px-2 py-1 rounded">
                               PM: {item.student.ratioPM}
                             </span>
+                            {renderClusterBadge(item.student)}
                           </div>
                         </div>
                       </div>
@@ -490,6 +525,8 @@ export const TeamManagement = ({
                         <div className="space-y-2">
                           {item.teamMembers.map((staffMember, index) => {
                             const trainingStatus = item.student.getStaffTrainingStatus ? item.student.getStaffTrainingStatus(staffMember.id) : TRAINING_STATUS.SOLO;
+                            const pairPreference = item.student.getStaffPairPreference ? item.student.getStaffPairPreference(staffMember.id) : PAIR_PREFERENCE.NEUTRAL;
+                            const pairNotes = item.student.getStaffPairNotes ? item.student.getStaffPairNotes(staffMember.id) : '';
                             
                             return (
                               <div key={`${staffMember.id || 'staff'}-${staffMember.email || staffMember.name || 'member'}-${index}`} className="flex items-center justify-between bg-indigo-50 rounded-lg px-4 py-3 border border-indigo-200">
@@ -520,6 +557,28 @@ export const TeamManagement = ({
                                     <option value={TRAINING_STATUS.OVERLAP_STAFF}>🔷 Overlap Staff</option>
                                     <option value={TRAINING_STATUS.SOLO}>✓ Solo</option>
                                   </select>
+
+                                  {/* Pair Compatibility */}
+                                  <select
+                                    value={pairPreference}
+                                    onChange={(e) => handlePairPreferenceChange(item.student, staffMember.id, e.target.value, pairNotes)}
+                                    disabled={!onUpdatePairPreference}
+                                    title="How auto-assign weighs this pair"
+                                    className={`text-xs px-3 py-1.5 rounded-md border font-medium focus:outline-none focus:ring-2 focus:ring-indigo-500 ${getPairPreferenceColor(pairPreference)}`}
+                                  >
+                                    <option value={PAIR_PREFERENCE.PREFERRED}>👍 Preferred</option>
+                                    <option value={PAIR_PREFERENCE.NEUTRAL}>Neutral</option>
+                                    <option value={PAIR_PREFERENCE.AVOID}>⚠️ Avoid if possible</option>
+                                  </select>
+                                  <input
+                                    key={`${staffMember.id}-${pairNotes}`}
+                                    type="text"
+                                    defaultValue={pairNotes}
+                                    onBlur={(e) => handlePairPreferenceChange(item.student, staffMember.id, pairPreference, e.target.value.trim())}
+                                    disabled={!onUpdatePairPreference}
+                                    placeholder="Pair notes"
+                                    className="text-xs px-2 py-1.5 rounded-md border border-gray-300 w-40 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                                  />
                                 </div>
                               </div>
                             );
@@ -1,19 +1,35 @@
 import React, { useState, useEffect } from 'react';
-import { GraduationCap, Calendar, CheckCircle, Clock, TrendingUp, Award, Users } from 'lucide-react';
-import { TRAINING_STATUS } from '../types/index.js';
+import { GraduationCap, Calendar, CheckCircle, Clock, TrendingUp, Award, Users, ClipboardList, Save, RotateCcw } from 'lucide-react';
+import { TRAINING_STATUS, TrainingPlan } from '../types/index.js';
 
 /**
  * Training Tracker Component
- * Shows staff members in training with their training history
- * Also shows recently completed training
+ * Shows staff members in training with their training history and progress
+ * against the client's training plan, proposes pairs that are ready for solo,
+ * and shows recently completed training
  */
-export const TrainingTracker = ({ staff, students, sharePointService }) => {
+export const TrainingTracker = ({
+  staff,
+  students,
+  dataStore,
+  trainingPlans = {},
+  trainingSignOffs = {},
+  onSaveTrainingPlans,
+  onSignOff,
+  onApprovePromotion
+}) => {
   const [trainingData, setTrainingData] = useState([]);
   const [completions, setCompletions] = useState([]);
   const [loading, setLoading] = useState(true);
   const [filterProgram, setFilterProgram] = useState('All');
   const [sortBy, setSortBy] = useState('name'); // name, sessions, date
-  const [activeTab, setActiveTab] = useState('current'); // 'current' or 'completed'
+  const [activeTab, setActiveTab] = useState('current'); // 'current', 'completed' or 'plans'
+  const [planDraft, setPlanDraft] = useState(trainingPlans);
+  const [approving, setApproving] = useState(null); // Pair key being approved
+
+  useEffect(() => {
+    setPlanDraft(trainingPlans);
+  }, [trainingPlans]);
 
   useEffect(() => {
     loadTrainingData();
@@ -28,10 +44,18 @@ export const TrainingTracker = ({ staff, students, sharePointService }) => {
       const ninetyDaysAgo = new Date();
       ninetyDaysAgo.setDate(ninetyDaysAgo.getDate() - 90);
       
-      const trainingHistory = await sharePointService.getTrainingHistory(ninetyDaysAgo, new Date());
+      const history = await dataStore.getTrainingHistory(ninetyDaysAgo, new Date());
+
+      // Older entries have no trainer - infer it for pairs still in training so they count toward the plan
+      const isInTraining = (entry) => {
+        const student = students.find(s => s.id === entry.StudentId);
+        const status = student && student.getStaffTrainingStatus ? student.getStaffTrainingStatus(entry.StaffId) : null;
+        return status === TRAINING_STATUS.OVERLAP_STAFF || status === TRAINING_STATUS.OVERLAP_BCBA;
+      };
+      const trainingHistory = await dataStore.inferTrainingHistoryTrainers(history.filter(isInTraining));
       
       // Load completions
-      const completionData = await sharePointService.loadTrainingCompletions(90);
+      const completionData = await dataStore.loadTrainingCompletions(90);
       
       // Get client names for completions
       const completionsWithNames = completionData.map(c => {
@@ -149,6 +173,53 @@ export const TrainingTracker = ({ staff, students, sharePointService }) => {
     return filtered;
   };
 
+  // Progress of a staff-client pair against the client's plan (history from the last 90 days)
+  const getPairProgress = (staffId, client) => {
+    const plan = TrainingPlan.getPlanForStudent(client.studentId);
+    const signOffs = trainingSignOffs[TrainingPlan.getPairKey(staffId, client.studentId)] || {};
+    return { plan, signOffs, ...plan.getProgress(client.sessions, staff, signOffs) };
+  };
+
+  // Pairs that met their plan - proposed for promotion to solo
+  const proposals = trainingData.flatMap(staffData => staffData.clients
+    .filter(client => getPairProgress(staffData.staffId, client).isReady)
+    .map(client => ({ ...client, staffId: staffData.staffId, staffName: staffData.staffName })));
+
+  const handleApprove = async (proposal) => {
+    if (!onApprovePromotion) return;
+    setApproving(TrainingPlan.getPairKey(proposal.staffId, proposal.studentId));
+    try {
+      await onApprovePromotion(proposal.studentId, proposal.staffId);
+    } finally {
+      setApproving(null);
+    }
+  };
+
+  const updatePlan = (key, changes) => {
+    const current = planDraft[key] || { ...(planDraft.default || TrainingPlan.getDefaultPlan()), studentId: key === 'default' ? null : key };
+    setPlanDraft({ ...planDraft, [key]: { ...current, ...changes } });
+  };
+
+  const resetPlan = (key) => {
+    const { [key]: removed, ...rest } = planDraft;
+    setPlanDraft(rest);
+  };
+
+  const handleSavePlans = () => {
+    if (!onSaveTrainingPlans) return;
+    // Sign-off steps are edited as comma-separated text
+    const plans = {};
+    Object.entries(planDraft).forEach(([key, plan]) => {
+      plans[key] = {
+        ...plan,
+        signOffSteps: typeof plan.signOffSteps === 'string' ? plan.signOffSteps.split(',') : plan.signOffSteps
+      };
+    });
+    onSaveTrainingPlans(plans);
+  };
+
+  const isPlanDraftDirty = JSON.stringify(planDraft) !== JSON.stringify(trainingPlans);
+
   const getRoleColor = (role) => {
     const colors = {
       'RBT': 'bg-purple-100 text-purple-800',
@@ -249,6 +320,19 @@ export const TrainingTracker = ({ staff, students, sharePointService }) => {
               Recent Completions ({completions.length})
             </div>
           </button>
+          <button
+            onClick={() => setActiveTab('plans')}
+            className={`px-4 py-2 font-medium text-sm border-b-2 transition-colors ${
+              activeTab === 'plans'
+                ? 'border-purple-600 text-purple-600'
+                : 'border-transparent text-gray-500 hover:text-gray-700'
+            }`}
+          >
+            <div className="flex items-center gap-2">
+              <ClipboardList className="w-4 h-4" />
+              Training Plans
+            </div>
+          </button>
         </div>
 
         {/* Filters */}
@@ -284,6 +368,36 @@ export const TrainingTracker = ({ staff, students, sharePointService }) => {
       {/* Current Training Tab */}
       {activeTab === 'current' && (
         <>
+          {proposals.length > 0 && (
+            <div className="bg-green-50 border border-green-200 rounded-lg p-4 space-y-2">
+              <h3 className="text-sm font-semibold text-green-900 flex items-center gap-2">
+                <Award className="w-4 h-4" />
+                Ready for Solo ({proposals.length})
+              </h3>
+              <p className="text-xs text-green-800">
+                These pairs met their training plan. A supervisor's approval moves them to Solo and records the completion.
+              </p>
+              {proposals.map(proposal => {
+                const pairKey = TrainingPlan.getPairKey(proposal.staffId, proposal.studentId);
+                return (
+                  <div key={pairKey} className="flex items-center justify-between bg-white rounded px-3 py-2 text-sm">
+                    <span>
+                      <span className="font-medium">{proposal.staffName}</span> → {proposal.studentName}
+                      <span className="text-gray-500 ml-2">({proposal.sessionsCompleted} overlap sessions)</span>
+                    </span>
+                    <button
+                      onClick={() => handleApprove(proposal)}
+                      disabled={approving === pairKey}
+                      className="px-3 py-1 bg-green-600 text-white rounded hover:bg-green-700 disabled:opacity-50 text-xs"
+                    >
+                      {approving === pairKey ? 'Approving...' : 'Approve Solo'}
+                    </button>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+
           {trainingData.length === 0 ? (
             <div className="bg-white rounded-lg shadow p-8 text-center">
               <GraduationCap className="w-16 h-16 mx-auto text-gray-400 mb-4" />
@@ -320,6 +434,9 @@ export const TrainingTracker = ({ staff, students, sharePointService }) => {
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                       Sessions Completed
                     </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Plan Progress
+                    </th>
                   </tr>
                 </thead>
                 <tbody className="bg-white divide-y divide-gray-200">
@@ -370,11 +487,47 @@ export const TrainingTracker = ({ staff, students, sharePointService }) => {
                             }`}>
                               {client.sessionsCompleted}
                             </span>
-                            {client.sessionsCompleted >= 6 && (
-                              <CheckCircle className="w-4 h-4 text-green-600" title="6+ sessions completed" />
+                            {client.sessionsCompleted >= TrainingPlan.getPlanForStudent(client.studentId).targetOverlaps && (
+                              <CheckCircle className="w-4 h-4 text-green-600" title="Overlap target reached" />
                             )}
                           </div>
                         </td>
+                        <td className="px-6 py-4">
+                          {(() => {
+                            const progress = getPairProgress(staffData.staffId, client);
+                            return (
+                              <div className="space-y-1 text-xs">
+                                <div className="text-gray-700">
+                                  {progress.total}/{progress.plan.targetOverlaps} overlaps ·
+                                  BCBA {progress.bcba}/{progress.plan.requiredBcbaOverlaps} ·
+                                  Staff {progress.staff}/{progress.plan.requiredStaffOverlaps}
+                                  {progress.unclassified > 0 && (
+                                    <span className="text-gray-400"> · {progress.unclassified} without trainer</span>
+                                  )}
+                                </div>
+                                {progress.plan.signOffSteps.map(step => (
+                                  <label key={step} className="flex items-center gap-1 text-gray-600" title={progress.signOffs[step] ? `${progress.signOffs[step].approvedBy}, ${new Date(progress.signOffs[step].date).toLocaleDateString()}` : ''}>
+                                    <input
+                                      type="checkbox"
+                                      checked={Boolean(progress.signOffs[step])}
+                                      disabled={!onSignOff}
+                                      onChange={(e) => onSignOff(staffData.staffId, client.studentId, step, e.target.checked)}
+                                    />
+                                    {step}
+                                    {progress.signOffs[step] && (
+                                      <span className="text-gray-400">({progress.signOffs[step].approvedBy})</span>
+                                    )}
+                                  </label>
+                                ))}
+                                {progress.isReady ? (
+                                  <span className="inline-block px-2 py-0.5 bg-green-100 text-green-700 rounded font-medium">Ready for solo</span>
+                                ) : (
+                                  <span className="block text-gray-400">Needs: {progress.missing.join(', ')}</span>
+                                )}
+                              </div>
+                            );
+                          })()}
+                        </td>
                       </tr>
                     ))
                   ))}
@@ -497,6 +650,90 @@ export const TrainingTracker = ({ staff, students, sharePointService }) => {
         </>
       )}
 
+      {/* Training Plans Tab */}
+      {activeTab === 'plans' && (
+        <div className="bg-white rounded-lg shadow overflow-hidden">
+          <div className="flex items-center justify-between px-6 py-4 border-b">
+            <p className="text-sm text-gray-600">
+              Overlap targets and sign-off steps per client. Clients without their own plan use the default.
+              Separate sign-off steps with commas.
+            </p>
+            <button
+              onClick={handleSavePlans}
+              disabled={!isPlanDraftDirty || !onSaveTrainingPlans}
+              className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50 flex items-center gap-2 text-sm"
+            >
+              <Save className="w-4 h-4" />
+              Save Plans
+            </button>
+          </div>
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Client</th>
+                <th className="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Target Overlaps</th>
+                <th className="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">BCBA Overlaps</th>
+                <th className="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Staff Overlaps</th>
+                <th className="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Sign-off Steps</th>
+                <th className="px-3 py-3"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {[{ key: 'default', name: 'Default plan', program: 'All' }, ...students
+                .filter(s => s.isActive && (filterProgram === 'All' || s.program === filterProgram))
+                .sort((a, b) => a.name.localeCompare(b.name))
+                .map(s => ({ key: String(s.id), name: s.name, program: s.program }))
+              ].map(row => {
+                const hasOwnPlan = Boolean(planDraft[row.key]);
+                const plan = planDraft[row.key] || planDraft.default || TrainingPlan.getDefaultPlan();
+                const steps = Array.isArray(plan.signOffSteps) ? plan.signOffSteps.join(', ') : plan.signOffSteps;
+
+                return (
+                  <tr key={row.key} className={row.key === 'default' ? 'bg-blue-50' : ''}>
+                    <td className="px-6 py-2">
+                      <div className="font-medium text-gray-900">{row.name}</div>
+                      <div className="text-xs text-gray-500">
+                        {row.key === 'default' ? 'Used by clients without their own plan' : `${row.program}${hasOwnPlan ? '' : ' · default'}`}
+                      </div>
+                    </td>
+                    {['targetOverlaps', 'requiredBcbaOverlaps', 'requiredStaffOverlaps'].map(field => (
+                      <td key={field} className="px-3 py-2">
+                        <input
+                          type="number"
+                          min="0"
+                          value={plan[field]}
+                          onChange={(e) => updatePlan(row.key, { [field]: Math.max(0, parseInt(e.target.value, 10) || 0) })}
+                          className={`w-20 border border-gray-300 rounded px-2 py-1 text-sm ${hasOwnPlan ? '' : 'text-gray-400'}`}
+                        />
+                      </td>
+                    ))}
+                    <td className="px-3 py-2">
+                      <input
+                        type="text"
+                        value={steps}
+                        onChange={(e) => updatePlan(row.key, { signOffSteps: e.target.value })}
+                        className={`w-full border border-gray-300 rounded px-2 py-1 text-sm ${hasOwnPlan ? '' : 'text-gray-400'}`}
+                      />
+                    </td>
+                    <td className="px-3 py-2">
+                      {hasOwnPlan && (
+                        <button
+                          onClick={() => resetPlan(row.key)}
+                          className="text-gray-500 hover:text-gray-800"
+                          title={row.key === 'default' ? 'Back to the built-in default' : 'Use the default plan'}
+                        >
+                          <RotateCcw className="w-4 h-4" />
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
       {/* Summary Stats */}
       <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
         <div className="bg-white rounded-lg shadow p-6">
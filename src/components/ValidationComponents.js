@@ -1,11 +1,19 @@
 import React, { useState, useEffect } from 'react';
 import { AlertTriangle, CheckCircle, XCircle, Info, RefreshCw } from 'lucide-react';
-import { SchedulingRules, RATIOS } from '../types/index.js';
+import { SchedulingRules, CONSECUTIVE_DAYS_RULE_DEFAULTS, RULE_ENFORCEMENT, RolePolicy, LinkedCluster, ConstraintRegistry, CONSTRAINT_IDS, CONSTRAINT_SEVERITY } from '../types/index.js';
 
 /**
  * Validation Panel Component - Shows scheduling validation results and constraints
  */
-export const ValidationPanel = ({ schedule, staff, students, onValidationChange }) => {
+export const ValidationPanel = ({
+  schedule,
+  staff,
+  students,
+  onValidationChange,
+  assignmentHistory = [],
+  consecutiveDaysRule = CONSECUTIVE_DAYS_RULE_DEFAULTS,
+  constraintSettings = null
+}) => {
   const [validationResults, setValidationResults] = useState({
     errors: [],
     warnings: [],
@@ -15,26 +23,20 @@ export const ValidationPanel = ({ schedule, staff, students, onValidationChange
   const [isValidating, setIsValidating] = useState(false);
   const [showDetails, setShowDetails] = useState(false);
 
-  // Run validation when schedule, staff, or students change
+  // Run validation when schedule, staff, students or the site's rule settings change
   useEffect(() => {
     validateSchedule();
-  }, [schedule, staff, students]);
+  }, [schedule, staff, students, assignmentHistory, consecutiveDaysRule, constraintSettings]);
 
   const validateSchedule = async () => {
     setIsValidating(true);
     
     try {
-      const errors = [];
-      const warnings = [];
-
-      // Run comprehensive validation
-      const scheduleErrors = SchedulingRules.validateSchedule(schedule, staff, students);
-      errors.push(...scheduleErrors);
-
-      // Additional constraint checks
-      const constraintResults = validateConstraints();
-      errors.push(...constraintResults.errors);
-      warnings.push(...constraintResults.warnings);
+      // Same constraint registry the engine schedules with - hard rules are errors, soft rules warnings
+      const { errors, warnings } = SchedulingRules.evaluateSchedule(schedule, staff, students, {
+        assignmentHistory,
+        consecutiveDaysRule
+      });
 
       const results = {
         errors,
@@ -62,223 +64,6 @@ export const ValidationPanel = ({ schedule, staff, students, onValidationChange
     }
   };
 
-  const validateConstraints = () => {
-    const errors = [];
-    const warnings = [];
-    const activeStudents = students.filter(s => s.isActive);
-    const activeStaff = staff.filter(s => s.isActive);
-
-    // Check ratio requirements
-    const ratioViolations = checkRatioRequirements();
-    errors.push(...ratioViolations);
-
-    // Check same-day restrictions
-    const sameDayViolations = checkSameDayRestrictions();
-    errors.push(...sameDayViolations);
-
-    // Check staff availability and capacity
-    const capacityIssues = checkStaffCapacity();
-    warnings.push(...capacityIssues);
-
-    // Check program assignments
-    const programIssues = checkProgramAssignments();
-    errors.push(...programIssues);
-
-    // Check for unassigned students
-    const unassignedIssues = checkUnassignedStudents();
-    warnings.push(...unassignedIssues);
-
-    // Check staff workload balance
-    const workloadWarnings = checkWorkloadBalance();
-    warnings.push(...workloadWarnings);
-
-    return { errors, warnings };
-  };
-
-  const checkRatioRequirements = () => {
-    const errors = [];
-    const activeStudents = students.filter(s => s.isActive);
-
-    for (const student of activeStudents) {
-      const studentAssignments = schedule.getStudentAssignments(student.id);
-      
-      for (const session of ['AM', 'PM']) {
-        // Normalize session for case-insensitive comparison
-        const normalizedSession = String(session || '').trim().toUpperCase();
-        const sessionAssignments = studentAssignments.filter(a => 
-          String(a.session || '').trim().toUpperCase() === normalizedSession
-        );
-        const requiredStaff = student.ratio === RATIOS.TWO_TO_ONE ? 2 : 1;
-        
-        if (sessionAssignments.length > 0 && sessionAssignments.length < requiredStaff) {
-          errors.push(
-            `${student.name} requires ${requiredStaff} staff but has only ${sessionAssignments.length} assigned in ${session} session`
-          );
-        }
-      }
-    }
-
-    return errors;
-  };
-
-  const checkSameDayRestrictions = () => {
-    const errors = [];
-    const activeStudents = students.filter(s => s.isActive);
-
-    for (const student of activeStudents) {
-      const studentAssignments = schedule.getStudentAssignments(student.id);
-      
-      // Group assignments by session to check for same staff across different sessions
-      const normalizeSession = (session) => String(session || '').trim().toUpperCase();
-      const sessionGroups = {};
-      
-      studentAssignments.forEach(assignment => {
-        const sessionKey = normalizeSession(assignment.session);
-        if (!sessionGroups[sessionKey]) {
-          sessionGroups[sessionKey] = [];
-        }
-        // Normalize staff ID to string for consistent comparison
-        sessionGroups[sessionKey].push(String(assignment.staffId));
-      });
-      
-      // Find staff IDs that appear in multiple sessions
-      const allSessions = Object.keys(sessionGroups);
-      if (allSessions.length > 1) {
-        const staffInMultipleSessions = [];
-        
-        // Check each session's staff against other sessions
-        for (let i = 0; i < allSessions.length; i++) {
-          for (let j = i + 1; j < allSessions.length; j++) {
-            const session1Staff = sessionGroups[allSessions[i]];
-            const session2Staff = sessionGroups[allSessions[j]];
-            
-            // Find staff that appear in both sessions (with normalized comparison)
-            const duplicates = session1Staff.filter(id => session2Staff.includes(id));
-            staffInMultipleSessions.push(...duplicates);
-          }
-        }
-        
-        if (staffInMultipleSessions.length > 0) {
-          const uniqueDuplicates = [...new Set(staffInMultipleSessions)];
-          const duplicateStaffNames = uniqueDuplicates.map(id => {
-            const staffMember = staff.find(s => String(s.id) === String(id));
-            return staffMember ? staffMember.name : `Staff ID ${id}`;
-          });
-          
-          errors.push(
-            `${student.name} has the same staff member(s) assigned multiple times: ${duplicateStaffNames.join(', ')}`
-          );
-        }
-      }
-    }
-
-    return errors;
-  };
-
-  const checkStaffCapacity = () => {
-    const warnings = [];
-    const activeStaff = staff.filter(s => s.isActive);
-
-    for (const staffMember of activeStaff) {
-      const assignments = schedule.getStaffAssignments(staffMember.id);
-      
-      // Check for overallocation
-      const sessionCounts = { AM: 0, PM: 0 };
-      assignments.forEach(assignment => {
-        // Normalize session to ensure consistent counting
-        const normalizedSession = String(assignment.session || '').trim().toUpperCase();
-        if (sessionCounts.hasOwnProperty(normalizedSession)) {
-          sessionCounts[normalizedSession]++;
-        }
-      });
-
-      Object.entries(sessionCounts).forEach(([session, count]) => {
-        if (count > staffMember.maxStudents) {
-          warnings.push(
-            `${staffMember.name} is assigned to ${count} students in ${session} session (max: ${staffMember.maxStudents})`
-          );
-        }
-      });
-
-      // Check for underutilization
-      if (assignments.length === 0) {
-        warnings.push(`${staffMember.name} has no assignments`);
-      }
-    }
-
-    return warnings;
-  };
-
-  const checkProgramAssignments = () => {
-    const errors = [];
-
-    for (const assignment of schedule.assignments) {
-      const staffMember = staff.find(s => s.id === assignment.staffId);
-      const student = students.find(s => s.id === assignment.studentId);
-
-      if (staffMember && student) {
-        if (!staffMember.canWorkProgram(assignment.program)) {
-          errors.push(
-            `${staffMember.name} is assigned to ${student.name} in ${assignment.program} program, but is not qualified for this program`
-          );
-        }
-
-        if (student.program !== assignment.program) {
-          errors.push(
-            `${student.name} is assigned to ${assignment.program} program but belongs to ${student.program} program`
-          );
-        }
-      }
-    }
-
-    return errors;
-  };
-
-  const checkUnassignedStudents = () => {
-    const warnings = [];
-    const activeStudents = students.filter(s => s.isActive);
-
-    for (const student of activeStudents) {
-      const assignments = schedule.getStudentAssignments(student.id);
-      const sessions = ['AM', 'PM'];
-      
-      for (const session of sessions) {
-        // Normalize session for case-insensitive comparison
-        const normalizedSession = String(session || '').trim().toUpperCase();
-        const sessionAssignments = assignments.filter(a => 
-          String(a.session || '').trim().toUpperCase() === normalizedSession
-        );
-        if (sessionAssignments.length === 0) {
-          warnings.push(`${student.name} has no assignment for ${session} session`);
-        }
-      }
-    }
-
-    return warnings;
-  };
-
-  const checkWorkloadBalance = () => {
-    const warnings = [];
-    const activeStaff = staff.filter(s => s.isActive);
-    const assignmentCounts = activeStaff.map(staffMember => ({
-      name: staffMember.name,
-      count: schedule.getStaffAssignments(staffMember.id).length
-    }));
-
-    if (assignmentCounts.length > 0) {
-      const maxAssignments = Math.max(...assignmentCounts.map(s => s.count));
-      const minAssignments = Math.min(...assignmentCounts.map(s => s.count));
-      
-      if (maxAssignments - minAssignments > 2) {
-        warnings.push(
-          `Uneven workload distribution: some staff have ${maxAssignments} assignments while others have ${minAssignments}`
-        );
-      }
-    }
-
-    return warnings;
-  };
-
   const getValidationIcon = () => {
     if (isValidating) return <RefreshCw className="w-5 h-5 animate-spin" />;
     if (validationResults.isValid && validationResults.warnings.length === 0) {
@@ -343,6 +128,8 @@ export const ValidationPanel = ({ schedule, staff, students, onValidationChange
             students={students} 
           />
 
+          <LinkedClusterSummary schedule={schedule} students={students} />
+
           {/* Errors */}
           {validationResults.errors.length > 0 && (
             <div className="space-y-2">
@@ -398,6 +185,42 @@ export const ValidationPanel = ({ schedule, staff, students, onValidationChange
   );
 };
 
+/**
+ * Linked Cluster Summary Component - Each linked cluster's staff per session
+ */
+const LinkedClusterSummary = ({ schedule, students }) => {
+  const clusters = LinkedCluster.getClusters();
+  if (clusters.length === 0) return null;
+
+  const getSessionStaff = (cluster, session) => {
+    const names = new Set(schedule.assignments
+      .filter(a => cluster.hasStudent(a.studentId) && a.session === session && !a.isTrainee)
+      .map(a => a.staffName));
+    return names.size > 0 ? [...names].join(', ') : 'Not covered';
+  };
+
+  return (
+    <div className="space-y-1">
+      <h4 className="font-medium text-gray-900 text-sm">Linked Clusters</h4>
+      {clusters.map(cluster => {
+        const issues = ['AM', 'PM'].flatMap(session => cluster.getCoverageIssues(schedule, students, session));
+        return (
+          <div
+            key={cluster.id}
+            className={`text-sm p-2 rounded ${issues.length > 0 ? 'bg-red-50 text-red-700' : 'bg-purple-50 text-purple-900'}`}
+            title={issues.join('\n')}
+          >
+            <span className="font-medium">{cluster.getLabel()}</span>
+            {' '}({cluster.getMembers(students).map(m => m.name).join(', ')})
+            {' · '}AM: {getSessionStaff(cluster, 'AM')}
+            {' · '}PM: {getSessionStaff(cluster, 'PM')}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
 /**
  * Validation Summary Component - Shows high-level validation statistics
  */
@@ -469,38 +292,27 @@ const ValidationSummary = ({ schedule, staff, students }) => {
 
 /**
  * Constraint Rules Display Component - Shows the rules being enforced
+ * Rules come from the constraint registry; sites switch them on/off on the Settings tab
  */
-export const ConstraintRulesDisplay = () => {
-  const rules = [
-    {
-      title: 'Staff-Student Ratios',
-      description: 'Each student must have the correct number of staff assigned based on their ratio requirement',
-      examples: ['1:1 ratio = 1 staff member', '2:1 ratio = 2 staff members', '1:2 ratio = 1 staff for up to 2 students']
-    },
-    {
-      title: 'Same-Day Restriction',
-      description: 'No staff member can be assigned to the same student for both AM and PM sessions',
-      examples: ['If John works with Student A in AM, he cannot work with Student A in PM']
-    },
-    {
-      title: 'Program Qualifications',
-      description: 'Staff can only be assigned to programs they are qualified for',
-      examples: ['Primary program staff cannot be assigned to Secondary program students']
-    },
-    {
-      title: 'Role Hierarchy',
-      description: 'Staff assignments follow the established hierarchy for optimal matches',
-      examples: ['RBT → BS → BCBA → EA → MHA → CC → Teacher → Director']
-    },
-    {
-      title: 'Session Times',
-      description: 'Assignments must respect program-specific session times',
-      examples: [
-        'Primary AM: 8:45-11:30, PM: 12:00-15:00',
-        'Secondary AM: 8:45-12:00, PM: 12:30-15:00'
-      ]
-    }
-  ];
+export const ConstraintRulesDisplay = ({
+  consecutiveDaysRule = null,
+  onConsecutiveDaysRuleChange = null,
+  trainerCapacity = null,
+  onTrainerCapacityChange = null,
+  rolePolicies = RolePolicy.getPolicies()
+}) => {
+  // Direct-service roles in priority order (lower priority score first)
+  const roleOrder = Object.entries(rolePolicies)
+    .filter(([, policy]) => policy.directService)
+    .sort(([, a], [, b]) => a.priority - b.priority)
+    .map(([role]) => role);
+
+  // Same rule set the engine and the validation panel use, with the site's settings applied
+  const rules = ConstraintRegistry.getRules().map(rule => (
+    rule.id === CONSTRAINT_IDS.ROLE_HIERARCHY
+      ? { ...rule, examples: [roleOrder.length > 0 ? roleOrder.join(' → ') : 'No direct-service roles configured'] }
+      : rule
+  ));
 
   return (
     <div className="bg-white rounded-lg shadow-lg p-6">
@@ -510,9 +322,18 @@ export const ConstraintRulesDisplay = () => {
       </h3>
       
       <div className="space-y-6">
-        {rules.map((rule, index) => (
-          <div key={index} className="border-l-4 border-blue-500 pl-4">
-            <h4 className="font-medium text-gray-900 mb-2">{rule.title}</h4>
+        {rules.map(rule => (
+          <div key={rule.id} className={`border-l-4 pl-4 ${rule.enabled ? 'border-blue-500' : 'border-gray-300 opacity-60'}`}>
+            <h4 className="font-medium text-gray-900 mb-2 flex items-center gap-2">
+              {rule.title}
+              <span className={`text-xs font-normal px-1.5 py-0.5 rounded ${rule.severity === CONSTRAINT_SEVERITY.HARD ? 'bg-red-50 text-red-700' : 'bg-yellow-50 text-yellow-700'}`}>
+                {rule.severity === CONSTRAINT_SEVERITY.HARD ? 'Hard' : 'Soft'}
+              </span>
+              {rule.getCost && rule.severity === CONSTRAINT_SEVERITY.SOFT && (
+                <span className="text-xs font-normal text-gray-500">weight {rule.weight}</span>
+              )}
+              {!rule.enabled && <span className="text-xs font-normal text-gray-500">Off for this site</span>}
+            </h4>
             <p className="text-sm text-gray-600 mb-2">{rule.description}</p>
             <ul className="text-xs text-gray-500 space-y-1">
               {rule.examples.map((example, exIndex) => (
@@ -524,6 +345,127 @@ export const ConstraintRulesDisplay = () => {
             </ul>
           </div>
         ))}
+
+        <div className="border-l-4 border-blue-500 pl-4">
+          <h4 className="font-medium text-gray-900 mb-2">Role Policy</h4>
+          <p className="text-sm text-gray-600 mb-2">
+            Which roles can work directly with clients, which ones Auto Assign may pick, and the ratios each role may cover
+          </p>
+          <table className="text-xs text-gray-600">
+            <thead>
+              <tr className="text-left text-gray-500 border-b">
+                <th className="py-1 pr-4">Role</th>
+                <th className="py-1 pr-4">Direct Service</th>
+                <th className="py-1 pr-4">Auto Assign</th>
+                <th className="py-1 pr-4">Priority</th>
+                <th className="py-1">Ratios</th>
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(rolePolicies).map(([role, policy]) => (
+                <tr key={role} className="border-b last:border-0">
+                  <td className="py-1 pr-4 font-medium text-gray-900">{role}</td>
+                  <td className="py-1 pr-4">{policy.directService ? 'Yes' : 'No'}</td>
+                  <td className="py-1 pr-4">{policy.directService && policy.autoAssign ? 'Yes' : 'No'}</td>
+                  <td className="py-1 pr-4">{policy.priority}</td>
+                  <td className="py-1">{policy.allowedRatios.join(', ') || 'None'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {consecutiveDaysRule && (
+          <div className="border-l-4 border-blue-500 pl-4">
+            <h4 className="font-medium text-gray-900 mb-2">Consecutive Days</h4>
+            <p className="text-sm text-gray-600 mb-2">
+              Rotate staff so nobody works with the same client on more than {consecutiveDaysRule.maxDays} school days in a row
+              (weekends and days with no saved schedule are skipped)
+            </p>
+            <div className="flex items-center gap-4 text-sm">
+              <label className="flex items-center gap-2 text-gray-700">
+                Max days
+                <input
+                  type="number"
+                  min="1"
+                  max="10"
+                  value={consecutiveDaysRule.maxDays}
+                  disabled={!onConsecutiveDaysRuleChange}
+                  onChange={(e) => onConsecutiveDaysRuleChange({
+                    ...consecutiveDaysRule,
+                    maxDays: Math.max(1, parseInt(e.target.value, 10) || 1)
+                  })}
+                  className="w-16 border border-gray-300 rounded px-2 py-1"
+                />
+              </label>
+              <label className="flex items-center gap-2 text-gray-700">
+                Enforcement
+                <select
+                  value={consecutiveDaysRule.enforcement}
+                  disabled={!onConsecutiveDaysRuleChange}
+                  onChange={(e) => onConsecutiveDaysRuleChange({ ...consecutiveDaysRule, enforcement: e.target.value })}
+                  className="border border-gray-300 rounded px-2 py-1"
+                >
+                  <option value={RULE_ENFORCEMENT.OFF}>Off</option>
+                  <option value={RULE_ENFORCEMENT.SOFT}>Soft - prefer other staff</option>
+                  <option value={RULE_ENFORCEMENT.HARD}>Hard - never auto-assign</option>
+                </select>
+              </label>
+            </div>
+          </div>
+        )}
+
+        {trainerCapacity && (
+          <div className="border-l-4 border-blue-500 pl-4">
+            <h4 className="font-medium text-gray-900 mb-2">Trainer Capacity</h4>
+            <p className="text-sm text-gray-600 mb-2">
+              Auto Assign can place trainees with a TRAINER-status staff member before filling the day. Each trainer runs at
+              most {trainerCapacity.maxOverlapsPerDay} overlap session(s) a day and {trainerCapacity.maxOverlapsPerWeek} a week,
+              and trainees are spread across the trainers with the fewest overlaps
+            </p>
+            <div className="flex items-center gap-4 text-sm">
+              <label className="flex items-center gap-2 text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={trainerCapacity.placeTrainingPairs}
+                  disabled={!onTrainerCapacityChange}
+                  onChange={(e) => onTrainerCapacityChange({ ...trainerCapacity, placeTrainingPairs: e.target.checked })}
+                />
+                Place training pairs
+              </label>
+              <label className="flex items-center gap-2 text-gray-700">
+                Max per day
+                <input
+                  type="number"
+                  min="1"
+                  max="2"
+                  value={trainerCapacity.maxOverlapsPerDay}
+                  disabled={!onTrainerCapacityChange}
+                  onChange={(e) => onTrainerCapacityChange({
+                    ...trainerCapacity,
+                    maxOverlapsPerDay: Math.min(2, Math.max(1, parseInt(e.target.value, 10) || 1))
+                  })}
+                  className="w-16 border border-gray-300 rounded px-2 py-1"
+                />
+              </label>
+              <label className="flex items-center gap-2 text-gray-700">
+                Max per week
+                <input
+                  type="number"
+                  min="1"
+                  max="10"
+                  value={trainerCapacity.maxOverlapsPerWeek}
+                  disabled={!onTrainerCapacityChange}
+                  onChange={(e) => onTrainerCapacityChange({
+                    ...trainerCapacity,
+                    maxOverlapsPerWeek: Math.min(10, Math.max(1, parseInt(e.target.value, 10) || 1))
+                  })}
+                  className="w-16 border border-gray-300 rounded px-2 py-1"
+                />
+              </label>
+            </div>
+          </div>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,199 @@
+import React, { useState } from 'react';
+import { Calendar, Play, Save, RefreshCw, AlertTriangle, Users } from 'lucide-react';
+
+/**
+ * Week Planner Component
+ * Builds Monday-Friday schedules together with rotation fairness and
+ * reports how many sessions each staff-client pair gets over the week
+ */
+export const WeekPlanner = ({ currentDate, onPlanWeek, onSaveWeek }) => {
+  const [weekPlan, setWeekPlan] = useState(null);
+  const [planning, setPlanning] = useState(false);
+  const [savingWeek, setSavingWeek] = useState(false);
+  const [pairFilter, setPairFilter] = useState('');
+
+  const handlePlan = async () => {
+    setPlanning(true);
+    try {
+      const plan = await onPlanWeek();
+      setWeekPlan(plan);
+    } catch (error) {
+      console.error('Week planning failed:', error);
+      alert('Week planning failed. Please check the console for details.');
+    } finally {
+      setPlanning(false);
+    }
+  };
+
+  const handleSave = async () => {
+    if (!weekPlan) return;
+    const confirmed = window.confirm(
+      `💾 Save all ${weekPlan.days.length} days of this plan?\n\n` +
+      'Each day is checked against what was saved when the week was planned. Days someone else has saved since are not saved over.'
+    );
+    if (!confirmed) return;
+
+    setSavingWeek(true);
+    try {
+      await onSaveWeek(weekPlan);
+    } catch (error) {
+      console.error('Saving the week plan failed:', error);
+      alert(`Saving the week plan failed: ${error.message}\n\nCheck the console for details.`);
+    } finally {
+      setSavingWeek(false);
+    }
+  };
+
+  const filteredPairs = weekPlan
+    ? weekPlan.pairCounts.filter(pair => {
+        const term = pairFilter.trim().toLowerCase();
+        if (!term) return true;
+        return pair.staffName.toLowerCase().includes(term) || pair.studentName.toLowerCase().includes(term);
+      })
+    : [];
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900 flex items-center gap-2">
+            <Calendar className="w-6 h-6 text-blue-600" />
+            Week Plan
+          </h2>
+          <p className="text-sm text-gray-600 mt-1">
+            Plans Monday–Friday for the week of {currentDate.toLocaleDateString()} and spreads each
+            staff member's sessions evenly across their team clients.
+          </p>
+          {weekPlan && (
+            <p className="text-xs text-gray-500 mt-1">
+              Seed {weekPlan.seed} – enter it in the header Seed box and plan again to reproduce this week
+            </p>
+          )}
+        </div>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={handlePlan}
+            disabled={planning || savingWeek}
+            className="bg-green-600 text-white px-4 py-2 rounded hover:bg-green-700 disabled:opacity-50 flex items-center gap-2 text-sm"
+          >
+            {planning ? <RefreshCw className="w-4 h-4 animate-spin" /> : <Play className="w-4 h-4" />}
+            {planning ? 'Planning...' : 'Plan Week'}
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={!weekPlan || planning || savingWeek}
+            className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 disabled:opacity-50 flex items-center gap-2 text-sm"
+          >
+            {savingWeek ? <RefreshCw className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+            Save Week
+          </button>
+        </div>
+      </div>
+
+      {weekPlan && (
+        <>
+          {/* Per-day summary */}
+          <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
+            {weekPlan.days.map(day => (
+              <div key={day.dateKey} className="bg-white rounded-lg shadow p-4">
+                <div className="font-semibold text-gray-900">
+                  {day.date.toLocaleDateString(undefined, { weekday: 'long' })}
+                </div>
+                <div className="text-xs text-gray-500 mb-2">{day.dateKey}</div>
+                <div className="text-sm text-gray-700">
+                  {day.schedule.assignments.length} assignments
+                </div>
+                {day.errors.length > 0 ? (
+                  <div className="mt-2 text-xs text-red-600 space-y-0.5">
+                    <div className="flex items-center gap-1 font-medium">
+                      <AlertTriangle className="w-3 h-3" />
+                      {day.errors.length} gap(s)
+                    </div>
+                    {day.errors.map((error, index) => (
+                      <div key={index}>{error}</div>
+                    ))}
+                  </div>
+                ) : (
+                  <div className="mt-2 text-xs text-green-600">No gaps</div>
+                )}
+              </div>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            {/* Per-pair session counts */}
+            <div className="bg-white rounded-lg shadow p-4">
+              <div className="flex justify-between items-center mb-3">
+                <h3 className="font-semibold text-gray-900 flex items-center gap-2">
+                  <Users className="w-4 h-4" />
+                  Sessions per Staff–Client Pair
+                </h3>
+                <input
+                  type="text"
+                  value={pairFilter}
+                  onChange={(e) => setPairFilter(e.target.value)}
+                  placeholder="Filter by name..."
+                  className="border border-gray-300 rounded px-2 py-1 text-sm"
+                />
+              </div>
+              <div className="max-h-96 overflow-y-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-500 border-b">
+                      <th className="py-1">Staff</th>
+                      <th className="py-1">Client</th>
+                      <th className="py-1 text-right">Sessions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {filteredPairs.map(pair => (
+                      <tr key={`${pair.staffId}-${pair.studentId}`} className="border-b last:border-0">
+                        <td className="py-1">{pair.staffName}</td>
+                        <td className="py-1">{pair.studentName}</td>
+                        <td className="py-1 text-right font-medium">{pair.sessions}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+
+            {/* Rotation spread per staff member */}
+            <div className="bg-white rounded-lg shadow p-4">
+              <h3 className="font-semibold text-gray-900 mb-1">Rotation Spread by Staff</h3>
+              <p className="text-xs text-gray-500 mb-3">
+                Spread = most minus fewest sessions across a staff member's team clients (0 is perfectly even)
+              </p>
+              <div className="max-h-96 overflow-y-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-500 border-b">
+                      <th className="py-1">Staff</th>
+                      <th className="py-1 text-right">Team Clients</th>
+                      <th className="py-1 text-right">Sessions</th>
+                      <th className="py-1 text-right">Spread</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {weekPlan.staffSpread.map(entry => (
+                      <tr key={entry.staffId} className="border-b last:border-0">
+                        <td className="py-1">{entry.staffName}</td>
+                        <td className="py-1 text-right">{entry.teamClients}</td>
+                        <td className="py-1 text-right">{entry.totalSessions}</td>
+                        <td className={`py-1 text-right font-medium ${entry.spread > 2 ? 'text-orange-600' : 'text-gray-900'}`}>
+                          {entry.spread}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default WeekPlanner;
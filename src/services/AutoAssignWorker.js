@@ -0,0 +1,41 @@
+import { AutoAssignmentEngine } from './AutoAssignmentEngine.js';
+import { EngineSnapshot } from '../types/index.js';
+
+/**
+ * Auto Assign Web Worker
+ * Runs autoAssignSchedule / performSwapOptimization off the page's thread (see AutoAssignWorkerClient).
+ *
+ * Messages in:  { id, method, snapshot, engineSettings, selectedDate, options }
+ * Messages out: { id, type: 'progress', phase } while running, then
+ *               { id, type: 'done', result, schedule } or { id, type: 'error', message }
+ */
+const RUNNABLE_METHODS = ['autoAssignSchedule', 'performSwapOptimization'];
+
+const engine = new AutoAssignmentEngine();
+
+// Worker-scoped handler and postMessage - this module only ever runs inside the worker
+onmessage = async ({ data }) => {
+  const { id, method, snapshot, engineSettings = {}, selectedDate, options } = data;
+
+  try {
+    if (!RUNNABLE_METHODS.includes(method)) {
+      throw new Error(`Unknown engine method: ${method}`);
+    }
+
+    const { schedule, staff, students } = EngineSnapshot.restore(snapshot);
+    engine.setConsecutiveDaysRule(engineSettings.consecutiveDaysRule);
+    engine.setTrainerCapacity(engineSettings.trainerCapacity);
+    engine.setVerboseLogging(Boolean(engineSettings.verboseLogging));
+    engine.setProgressHandler(phase => postMessage({ id, type: 'progress', phase }));
+
+    const result = await engine[method](schedule, staff, students, selectedDate, options);
+
+    // The engine updates the schedule it is given - send it back so the page sees the same changes
+    postMessage({ id, type: 'done', result, schedule: EngineSnapshot.fromSchedule(schedule) });
+  } catch (error) {
+    console.error('❌ Auto Assign worker run failed:', error);
+    postMessage({ id, type: 'error', message: error.message });
+  } finally {
+    engine.setProgressHandler(null);
+  }
+};
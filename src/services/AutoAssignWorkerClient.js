@@ -0,0 +1,168 @@
+import { EngineSnapshot } from '../types/index.js';
+
+/**
+ * Auto Assign Worker Client
+ * Runs the auto-assign engine in a Web Worker so long Auto Assign / Smart Swap runs do not
+ * freeze the page. Same calls and results as the engine - including the changes the engine
+ * makes to the schedule it is given - plus per-phase progress and cancel.
+ * Where workers are not available (tests, very old browsers) the engine runs in the page.
+ */
+export class AutoAssignWorkerClient {
+  /**
+   * @param {AutoAssignmentEngine} engine - The page's engine: its settings are sent with every
+   *   run, and it does the work itself when no worker can be started
+   */
+  constructor(engine) {
+    this.engine = engine;
+    this.worker = null;
+    this.currentRun = null; // { id, resolve, reject, onProgress, schedule } while a worker run is going
+    this.nextRunId = 1;
+  }
+
+  static isSupported() {
+    return typeof Worker !== 'undefined';
+  }
+
+  /**
+   * True for the error a run rejects with when it is cancelled
+   */
+  static isCancelled(error) {
+    return Boolean(error && error.cancelled);
+  }
+
+  /**
+   * Same as engine.autoAssignSchedule
+   * @param {Function} [onProgress] - Called with each phase name as the run moves on
+   */
+  autoAssignSchedule(schedule, staff, students, selectedDate, options = {}, onProgress = null) {
+    return this.run('autoAssignSchedule', schedule, staff, students, selectedDate, options, onProgress);
+  }
+
+  /**
+   * Same as engine.performSwapOptimization
+   * @param {Function} [onProgress] - Called with each program/session as the pass moves on
+   */
+  performSwapOptimization(schedule, staff, students, selectedDate, options = {}, onProgress = null) {
+    return this.run('performSwapOptimization', schedule, staff, students, selectedDate, options, onProgress);
+  }
+
+  async run(method, schedule, staff, students, selectedDate, options, onProgress) {
+    if (this.currentRun) {
+      throw new Error('An Auto Assign run is already in progress');
+    }
+
+    const worker = await this.getWorker();
+    if (!worker) {
+      return this.runInPage(method, schedule, staff, students, selectedDate, options, onProgress);
+    }
+
+    return new Promise((resolve, reject) => {
+      const id = this.nextRunId++;
+      this.currentRun = { id, resolve, reject, onProgress, schedule };
+      worker.postMessage({
+        id,
+        method,
+        snapshot: EngineSnapshot.capture({ schedule, staff, students }),
+        engineSettings: {
+          consecutiveDaysRule: this.engine.consecutiveDaysRule,
+          trainerCapacity: this.engine.trainerCapacity,
+          verboseLogging: this.engine.verboseLogging
+        },
+        selectedDate,
+        options
+      });
+    });
+  }
+
+  async runInPage(method, schedule, staff, students, selectedDate, options, onProgress) {
+    this.engine.setProgressHandler(onProgress);
+    try {
+      return await this.engine[method](schedule, staff, students, selectedDate, options);
+    } finally {
+      this.engine.setProgressHandler(null);
+    }
+  }
+
+  /**
+   * The worker, started on first use. Null when workers are not available here.
+   */
+  async getWorker() {
+    if (this.worker || !AutoAssignWorkerClient.isSupported()) return this.worker;
+
+    try {
+      const { createAutoAssignWorker } = await import('./createAutoAssignWorker.js');
+      this.worker = createAutoAssignWorker();
+      this.worker.onmessage = event => this.handleMessage(event.data);
+      this.worker.onerror = event => {
+        console.error('❌ Auto Assign worker error:', event.message);
+        this.stopWorker();
+        this.finishRun(null, new Error(event.message || 'The Auto Assign worker stopped unexpectedly'));
+      };
+    } catch (error) {
+      console.warn('⚠️ Could not start the Auto Assign worker - running in the page instead:', error);
+      this.worker = null;
+    }
+    return this.worker;
+  }
+
+  handleMessage({ id, type, phase, result, schedule, message }) {
+    const run = this.currentRun;
+    if (!run || run.id !== id) return; // Left over from a cancelled run
+
+    if (type === 'progress') {
+      if (run.onProgress) run.onProgress(phase);
+      return;
+    }
+
+    if (type === 'error') {
+      this.finishRun(null, new Error(message));
+      return;
+    }
+
+    // Same changes the engine would have made to the schedule in the page
+    Object.assign(run.schedule, EngineSnapshot.toSchedule(schedule));
+    this.finishRun(EngineSnapshot.toResult(result));
+  }
+
+  finishRun(result, error = null) {
+    const run = this.currentRun;
+    if (!run) return;
+
+    this.currentRun = null;
+    if (error) {
+      run.reject(error);
+    } else {
+      run.resolve(result);
+    }
+  }
+
+  /**
+   * Whether the current run can be stopped (runs in the page cannot)
+   */
+  canCancel() {
+    return Boolean(this.currentRun && this.worker);
+  }
+
+  /**
+   * Stop the current run. Its promise rejects with an error AutoAssignWorkerClient.isCancelled() accepts,
+   * and the schedule it was given is left as it was.
+   * @returns {boolean} Whether there was a run to stop
+   */
+  cancel() {
+    if (!this.canCancel()) return false;
+
+    // The engine has no stopping points, so the worker itself is ended; the next run starts a new one
+    this.stopWorker();
+    const error = new Error('Auto Assign was cancelled');
+    error.cancelled = true;
+    this.finishRun(null, error);
+    console.log('⏹️ Auto Assign run cancelled');
+    return true;
+  }
+
+  stopWorker() {
+    if (!this.worker) return;
+    this.worker.terminate();
+    this.worker = null;
+  }
+}
@@ -1,11 +1,32 @@
 import { 
   Assignment, 
+  Schedule,
+  Staff,
+  Student,
   PROGRAMS, 
   RATIOS, 
   TRAINING_STATUS,
+  PAIR_PREFERENCE,
+  ASSIGNMENT_MODES,
+  CONSECUTIVE_DAYS_RULE_DEFAULTS,
+  TRAINER_CAPACITY_DEFAULTS,
+  RULE_ENFORCEMENT,
+  EXCLUSION_RULES,
+  SCHEDULE_CHANGE_TYPES,
+  RUN_LOG_EVENT_TYPES,
+  CONSTRAINT_IDS,
+  EngineRunLog,
+  ConstraintRegistry,
+  RolePolicy,
+  Group,
+  LinkedCluster,
   SchedulingUtils, 
   SchedulingRules 
 } from '../types/index.js';
+import { ConstraintSolver } from './ConstraintSolver.js';
+
+// Shortest split coverage block worth scheduling (minutes)
+const MIN_SPLIT_BLOCK_MINUTES = 15;
 
 /**
  * ULTIMATE Auto-assignment algorithm for ABA scheduling
@@ -14,23 +35,46 @@ import {
  * - Strong randomization for staff selection to create rotation/variability
  * - Caseload balancing to distribute work evenly
  * - Team membership and role hierarchy enforcement
+ * - Primary and Secondary planned together per session, so staff who work both programs
+ *   are kept for the clients nobody else can cover
  * 
- * CONSOLE LOGGING:
- * - Critical logs (eligibility, blocking, assignments) always show
- * - Verbose logs (detailed breakdowns) can be toggled with this.verboseLogging
- * - To enable verbose logging: Set this.verboseLogging = true in constructor
+ * LOGGING:
+ * - Each auto-assign run returns a structured run log (EngineRunLog) with phase timings,
+ *   assignments, swaps, blocked candidates and gaps - see the Run details panel
+ * - The detailed console trace is off unless setVerboseLogging(true) is called
  */
 export class AutoAssignmentEngine {
   constructor() {
     this.debugMode = false; // Enhanced debug mode
     this.maxIterations = 50; // Ultimate iteration limit
     this.maxChainDepth = 5; // How deep to search for swap chains
-    this.verboseLogging = false; // Set to TRUE to see detailed assignment logs
+    this.verboseLogging = false; // Detailed console trace (setVerboseLogging)
+    this.runLog = null; // EngineRunLog of the run in progress - set on the run's own context (autoAssignSchedule)
+    this.onProgress = null; // Called with each phase name as a run moves on (setProgressHandler)
+    this.floatingPlan = null; // Phase 1 - { session, schedule, reservations } for staff who work both programs
+    this.consecutiveDaysRule = { ...CONSECUTIVE_DAYS_RULE_DEFAULTS };
+    this.consecutiveStreaks = new Map(); // "staffId__studentId" -> consecutive days before the day being scheduled
+    this.trainerCapacity = { ...TRAINER_CAPACITY_DEFAULTS };
+    this.seed = null; // Seed of the current run (each auto-assign run sets its own)
+    this.random = Math.random; // Replaced by a seeded generator at the start of every run
+  }
+
+  /**
+   * Seed the engine's randomness so a run can be reproduced exactly
+   * @param {number|null} seed - Seed to reuse, or null for a new one
+   * @returns {number} The seed in use
+   */
+  setSeed(seed = null) {
+    this.seed = seed === null || seed === undefined || seed === ''
+      ? SchedulingUtils.generateSeed()
+      : Number(seed) >>> 0;
+    this.random = SchedulingUtils.createSeededRandom(this.seed);
+    return this.seed;
   }
   
   /**
-   * Conditional logging - only logs if verbose mode is enabled
-   * Critical logs always show regardless
+   * Console trace - only printed when verbose logging is turned on (Run details panel).
+   * What a run decided is recorded in its structured run log instead (logEvent).
    */
   verboseLog(...args) {
     if (this.verboseLogging) {
@@ -38,36 +82,77 @@ export class AutoAssignmentEngine {
     }
   }
 
+  setVerboseLogging(enabled) {
+    this.verboseLogging = Boolean(enabled);
+  }
+
+  /**
+   * Record a decision in the current run's log (no-op outside an auto-assign run)
+   * @param {string} type - One of RUN_LOG_EVENT_TYPES
+   * @param {string} message - Human-readable line
+   * @param {Object} details - Extra fields, e.g. { staffId, studentId, session, program, rule }
+   */
+  logEvent(type, message, details = {}) {
+    if (this.runLog) this.runLog.add(type, message, details);
+  }
+
+  beginPhase(name) {
+    if (this.runLog) this.runLog.startPhase(name);
+    this.reportProgress(name);
+  }
+
+  /**
+   * Report which phase a run is in (progress text while Auto Assign / Smart Swap run)
+   * @param {Function|null} handler - Called with the phase name, or null to stop reporting
+   */
+  setProgressHandler(handler) {
+    this.onProgress = handler;
+  }
+
+  reportProgress(phase) {
+    if (this.onProgress) this.onProgress(phase);
+  }
+
+  endPhase(summary = {}) {
+    if (this.runLog) this.runLog.endPhase(summary);
+  }
+
+  logAssignments(assignments, reason) {
+    assignments.forEach(a => this.logEvent(
+      RUN_LOG_EVENT_TYPES.ASSIGN,
+      `${a.staffName} → ${a.studentName} (${a.program} ${a.session})${a.isPartial && a.isPartial() ? ` ${a.startTime || ''}–${a.endTime || ''}` : ''}`,
+      { staffId: a.staffId, studentId: a.studentId, session: a.session, program: a.program, reason }
+    ));
+  }
+
+  logGaps(errors) {
+    errors.forEach(error => this.logEvent(RUN_LOG_EVENT_TYPES.GAP, error));
+  }
+
+  // Team members kept off each unfilled client, with the rule that excluded them
+  logBlockedCandidates(diagnostics) {
+    diagnostics.forEach(d => d.teamMembers
+      .filter(member => member.rule !== EXCLUSION_RULES.ELIGIBLE)
+      .forEach(member => this.logEvent(
+        RUN_LOG_EVENT_TYPES.BLOCKED,
+        `${member.staffName} for ${d.studentName} (${d.program} ${d.session}): ${member.detail || member.rule}`,
+        { staffId: member.staffId, studentId: d.studentId, session: d.session, program: d.program, rule: member.rule }
+      )));
+  }
+
   /**
      * Get staff priority score - LOWER is BETTER
-     * RBT should be strongly preferred over BS, both preferred over BCBAs/EAs
-     * Hierarchy: RBT > BS > BCBA > EA > MH Specialist/Coordinator/Clinician > CC
+     * Read from the role policy (RBT 1, BS 50 by default - BS only used when no RBTs available)
      */
   getStaffPriorityScore(staffMember) {
-    const hierarchy = {
-      'RBT': 1,
-      'BS': 50,      // Much lower priority — only used when no RBTs available
-      'BCBA': 999,   // Never used in auto-assign
-      'EA': 999,     // Never used in auto-assign
-      'CC': 999,
-      'MH Specialist': 21,
-      'MH Coordinator': 21,
-      'MH Clinician': 21,
-      'Teacher': 999,   // Should never be used
-      'Director': 999,  // Should never be used
-      'TEACHER': 999,
-      'DIRECTOR': 999
-    };
-
-    return hierarchy[staffMember.role] || 50;
+    return RolePolicy.get(staffMember.role).priority;
   }
 
   /**
-   * Check if staff can do direct service (blocks Teachers/Directors completely)
+   * Check if staff can do direct service (role policy - blocks Teachers/Directors by default)
    */
   canStaffDoDirectService(staffMember) {
-    const blockedRoles = ['Teacher', 'Director', 'TEACHER', 'DIRECTOR'];
-    return !blockedRoles.includes(staffMember.role) && staffMember.canDoDirectSessions();
+    return staffMember.canDoDirectSessions();
   }
 
   /**
@@ -77,7 +162,7 @@ export class AutoAssignmentEngine {
    */
   isStaffInTrainingForStudent(staffMember, student) {
     if (!student.getStaffTrainingStatus) {
-      console.log(`  ⚠️ No getStaffTrainingStatus method for ${student.name} - cannot check training status for ${staffMember.name}`);
+      this.verboseLog(`  ⚠️ No getStaffTrainingStatus method for ${student.name} - cannot check training status for ${staffMember.name}`);
       return false; // No training status tracking for this student
     }
     
@@ -86,12 +171,131 @@ export class AutoAssignmentEngine {
                          trainingStatus === TRAINING_STATUS.OVERLAP_BCBA;
     
     if (isInTraining) {
-      console.log(`  🎓 BLOCKING: ${staffMember.name} is in training for ${student.name} (${trainingStatus}) - CANNOT be main staff`);
+      this.verboseLog(`  🎓 BLOCKING: ${staffMember.name} is in training for ${student.name} (${trainingStatus}) - CANNOT be main staff`);
     }
     
     return isInTraining;
   }
 
+  /**
+   * Compatibility rank for sorting - LOWER is BETTER
+   * Preferred pairs first, avoid-if-possible pairs only when nobody else is left
+   */
+  getPairPreferenceRank(staffMember, student) {
+    const preference = student.getStaffPairPreference
+      ? student.getStaffPairPreference(staffMember.id)
+      : PAIR_PREFERENCE.NEUTRAL;
+    if (preference === PAIR_PREFERENCE.PREFERRED) return 0;
+    if (preference === PAIR_PREFERENCE.AVOID) return 2;
+    return 1;
+  }
+
+  /**
+   * Weighted cost of the soft constraints (compatibility, consecutive days, same-day when soft)
+   * for this staff member with this student - LOWER is BETTER
+   */
+  getSoftConstraintCost(staffMember, student, schedule = null) {
+    return ConstraintRegistry.getCandidateCost({
+      staffMember,
+      student,
+      schedule,
+      overConsecutiveDays: this.isOverConsecutiveDays(staffMember, student),
+      floatingDemand: this.getFloatingDemand(staffMember, student)
+    });
+  }
+
+  /**
+   * Staff member can work both programs, so Primary and Secondary compete for them
+   */
+  isFloatingStaff(staffMember) {
+    return staffMember.canWorkProgram(PROGRAMS.PRIMARY) && staffMember.canWorkProgram(PROGRAMS.SECONDARY);
+  }
+
+  /**
+   * Phase 1: find the clients whose only possible cover includes floating staff. While such a
+   * client is uncovered, those staff are sorted last for the other program's clients this session
+   * @param {Student[]} sessionStudents - Clients of both programs still needing cover this session
+   */
+  planFloatingStaff(session, sessionStudents, staff, schedule, students) {
+    const reservations = new Map(); // staffId -> [{ studentId, program }]
+
+    sessionStudents.forEach(student => {
+      const eligible = SchedulingUtils.getAvailableStaffForStudent(student, session, student.program, staff, schedule, students)
+        .filter(s => s.canAutoAssign() && this.canStaffDoDirectService(s) &&
+          !SchedulingRules.isSameDayBlocked(schedule, s.id, student.id) && !this.isConsecutiveDaysBlocked(s, student));
+      if (eligible.length > this.getRequiredStaffCount(student, session)) return; // Others can cover them
+
+      eligible.filter(s => this.isFloatingStaff(s)).forEach(s => {
+        reservations.set(s.id, [...(reservations.get(s.id) || []), { studentId: student.id, program: student.program }]);
+      });
+    });
+
+    this.floatingPlan = { session, schedule, reservations };
+    if (reservations.size > 0) {
+      const names = staff.filter(s => reservations.has(s.id)).map(s => s.name);
+      this.verboseLog(`🔀 Floating staff needed by hard-to-cover clients in ${session}: ${names.join(', ')}`);
+      this.logEvent(RUN_LOG_EVENT_TYPES.INFO, `${session}: kept ${names.join(', ')} for clients nobody else can cover`, { session });
+    }
+  }
+
+  /**
+   * Uncovered clients in the other program who depend on this floating staff member (0 = free to use)
+   */
+  getFloatingDemand(staffMember, student) {
+    if (!this.floatingPlan) return 0;
+
+    const { session, schedule, reservations } = this.floatingPlan;
+    return (reservations.get(staffMember.id) || []).filter(reservation =>
+      reservation.program !== student.program &&
+      !this.isStudentAssigned(reservation.studentId, session, reservation.program, schedule)
+    ).length;
+  }
+
+  /**
+   * Configure the consecutive-days rule ({ maxDays, lookbackDays, enforcement })
+   */
+  setConsecutiveDaysRule(rule = {}) {
+    this.consecutiveDaysRule = { ...CONSECUTIVE_DAYS_RULE_DEFAULTS, ...rule };
+  }
+
+  /**
+   * Set the Phase 0 trainer limits (TRAINER_CAPACITY_DEFAULTS shape)
+   * @param {Object} capacity - { placeTrainingPairs, maxOverlapsPerDay, maxOverlapsPerWeek }
+   */
+  setTrainerCapacity(capacity = {}) {
+    this.trainerCapacity = { ...TRAINER_CAPACITY_DEFAULTS, ...capacity };
+  }
+
+  /**
+   * Consecutive school days this staff member has worked with this student before the day being scheduled
+   */
+  getConsecutiveDays(staffId, studentId) {
+    return this.consecutiveStreaks.get(`${staffId}__${studentId}`) || 0;
+  }
+
+  /**
+   * Another day together would push the pair past the consecutive-days limit
+   */
+  isOverConsecutiveDays(staffMember, student) {
+    if (this.consecutiveDaysRule.enforcement === RULE_ENFORCEMENT.OFF) return false;
+    return this.getConsecutiveDays(staffMember.id, student.id) >= this.consecutiveDaysRule.maxDays;
+  }
+
+  /**
+   * Hard enforcement of the consecutive-days rule - staff over the limit must NOT be auto-assigned
+   * With soft enforcement they stay eligible and are only sorted last (see sorting helpers)
+   */
+  isConsecutiveDaysBlocked(staffMember, student) {
+    if (this.consecutiveDaysRule.enforcement !== RULE_ENFORCEMENT.HARD) return false;
+
+    const isBlocked = this.isOverConsecutiveDays(staffMember, student);
+    if (isBlocked) {
+      this.verboseLog(`  📆 BLOCKING: ${staffMember.name} has worked with ${student.name} ${this.getConsecutiveDays(staffMember.id, student.id)} consecutive days (max ${this.consecutiveDaysRule.maxDays})`);
+    }
+
+    return isBlocked;
+  }
+
   /**
    * Check if staff has at least ONE solo/certified case with ANY student
    * Training-only staff (who have NO solo cases) should NEVER be auto-assigned
@@ -127,24 +331,30 @@ export class AutoAssignmentEngine {
       if (aIsTeamMember && !bIsTeamMember) return -1;
       if (!aIsTeamMember && bIsTeamMember) return 1;
 
-      // 2. Strict role hierarchy (RBT/BS >> EA >> others)
+      // 2-3. Soft constraints - preferred pairs first, avoid-if-possible pairs and staff over
+      // the consecutive-days limit last (weights from the constraint registry)
+      const aCost = this.getSoftConstraintCost(a, student, schedule);
+      const bCost = this.getSoftConstraintCost(b, student, schedule);
+      if (aCost !== bCost) return aCost - bCost;
+
+      // 4. Strict role hierarchy (RBT/BS >> EA >> others)
       const aScore = this.getStaffPriorityScore(a);
       const bScore = this.getStaffPriorityScore(b);
       if (aScore !== bScore) return aScore - bScore;
 
-      // 3. NEW: Prioritize staff with smaller caseloads (fewer current assignments)
+      // 5. NEW: Prioritize staff with smaller caseloads (fewer current assignments)
       if (schedule) {
         const aAssignments = schedule.getStaffAssignments(a.id).length;
         const bAssignments = schedule.getStaffAssignments(b.id).length;
         if (aAssignments !== bAssignments) return aAssignments - bAssignments;
       }
 
-      // 4. For PM sessions, add slight randomization within same priority level
+      // 6. For PM sessions, add slight randomization within same priority level
       if (session === 'PM' && aScore === bScore) {
-        return Math.random() - 0.5;
+        return this.random() - 0.5;
       }
 
-      // 5. Alphabetically for consistency
+      // 7. Alphabetically for consistency
       return (a?.name || '').localeCompare(b?.name || '');
     });
   }
@@ -158,8 +368,8 @@ export class AutoAssignmentEngine {
 
     students.filter(s => s.isActive).forEach(student => {
       sessions.forEach(session => {
-        // Skip if student is absent for this session
-        if (!student.isAvailableForSession(session)) {
+        // Skip if student is absent for this session (or not scheduled on the day being planned)
+        if (!student.isAvailableForSession(session, this.currentDate)) {
           return;
         }
         
@@ -178,17 +388,19 @@ export class AutoAssignmentEngine {
   findReplacementStaff(student, session, program, staff, schedule, excludeIds = []) {
     const availableStaff = staff.filter(s => {
       if (!s.isActive) return false;
-      if (!['RBT', 'BS'].includes(s.role)) return false; // Only RBT/BS in auto-assign/swap
+      if (!s.canAutoAssign()) return false; // Only auto-assign roles (RBT/BS by default) in auto-assign/swap
+      if (!s.canCoverRatio(student.getSessionRatio(session))) return false;
       if (!s.isAvailableForSession(session)) return false; // Check attendance
       if (!s.canWorkProgram(program)) return false;
       if (excludeIds.includes(s.id)) return false;
       if (!student.teamIds.includes(s.id)) return false;
       if (!this.canStaffDoDirectService(s)) return false;
       if (!schedule.isStaffAvailable(s.id, session, program)) return false;
-      if (schedule.hasStaffWorkedWithStudentToday(s.id, student.id)) return false;
+      if (SchedulingRules.isSameDayBlocked(schedule, s.id, student.id)) return false;
       
       // EXCLUDE staff who are in training for this student
       if (this.isStaffInTrainingForStudent(s, student)) return false;
+      if (this.isConsecutiveDaysBlocked(s, student)) return false;
       
       return true;
     });
@@ -204,14 +416,14 @@ export class AutoAssignmentEngine {
      * This is more efficient than deep chain recursion
      */
   async findSimpleSwapWithUnassignedStaff(targetStudent, targetSession, targetProgram, staff, students, schedule) {
-    console.log(`    💡 SMART STRATEGY: Looking for unassigned staff who can enable swaps...`);
+    this.verboseLog(`    💡 SMART STRATEGY: Looking for unassigned staff who can enable swaps...`);
 
     // Find ALL unassigned RBT/BS staff in the target session/program who are NOT on the target student's team
     const unassignedRbtBs = staff.filter(s => {
       if (!s.isActive) return false;
       if (!s.canWorkProgram(targetProgram)) return false;
       if (!this.canStaffDoDirectService(s)) return false;
-      if (!['RBT', 'BS'].includes(s.role)) return false;
+      if (!s.canAutoAssign()) return false;
       if (targetStudent.teamIds.includes(s.id)) return false; // Not on target student's team
       if (this.isStaffInTrainingForStudent(s, targetStudent)) return false; // Not in training for target student
       
@@ -224,27 +436,30 @@ export class AutoAssignmentEngine {
       );
       
       if (isAssignedAsTrainee) {
-        console.log(`    🎓 Excluding ${s.name} - assigned as trainee in ${targetSession}`);
+        this.verboseLog(`    🎓 Excluding ${s.name} - assigned as trainee in ${targetSession}`);
         return false;
       }
       
       return true;
     });
 
-    console.log(`    📊 Found ${unassignedRbtBs.length} unassigned RBT/BS not on ${targetStudent.name}'s team in ${targetProgram} ${targetSession}`);
+    this.verboseLog(`    📊 Found ${unassignedRbtBs.length} unassigned RBT/BS not on ${targetStudent.name}'s team in ${targetProgram} ${targetSession}`);
 
     // For each of target student's busy team members
     const targetTeam = staff.filter(s =>
       targetStudent.teamIds.includes(s.id) &&
       this.canStaffDoDirectService(s) &&
-      !this.isStaffInTrainingForStudent(s, targetStudent) // Don't try to free staff who are in training
+      s.canCoverRatio(targetStudent.getSessionRatio(targetSession)) &&
+      s.isAvailableForSession(targetSession) && // Late arrivals / early departures only get split coverage
+      !this.isStaffInTrainingForStudent(s, targetStudent) && // Don't try to free staff who are in training
+      !this.isConsecutiveDaysBlocked(s, targetStudent)
     );
 
 
     for (const busyTeamMember of targetTeam) {
       // Skip if already available
       if (schedule.isStaffAvailable(busyTeamMember.id, targetSession, targetProgram)) {
-        console.log(`    ⏭️ ${busyTeamMember.name} is already available in ${targetSession} ${targetProgram}`);
+        this.verboseLog(`    ⏭️ ${busyTeamMember.name} is already available in ${targetSession} ${targetProgram}`);
         continue;
       }
 
@@ -256,7 +471,7 @@ export class AutoAssignmentEngine {
       );
       
       if (alreadyWithTargetStudent) {
-        console.log(`    🚫 ${busyTeamMember.name} is already assigned to ${targetStudent.name} in another session - skipping to avoid double assignment`);
+        this.verboseLog(`    🚫 ${busyTeamMember.name} is already assigned to ${targetStudent.name} in another session - skipping to avoid double assignment`);
         continue;
       }
 
@@ -268,42 +483,46 @@ export class AutoAssignmentEngine {
       );
 
       if (currentAssignments.length === 0) {
-        console.log(`    ⚠️ No assignments found for ${busyTeamMember.name} in ${targetSession} ${targetProgram}`);
+        this.verboseLog(`    ⚠️ No assignments found for ${busyTeamMember.name} in ${targetSession} ${targetProgram}`);
         continue;
       }
 
       for (const currentAssignment of currentAssignments) {
         // CRITICAL CHECK: Skip locked assignments - they should NOT be swapped
         if (currentAssignment.isLocked || schedule.isAssignmentLocked(currentAssignment.id)) {
-          console.log(`    🔒 BLOCKED - Assignment is locked, skipping ${busyTeamMember.name} with student ID ${currentAssignment.studentId}`);
+          this.verboseLog(`    🔒 BLOCKED - Assignment is locked, skipping ${busyTeamMember.name} with student ID ${currentAssignment.studentId}`);
           continue;
         }
 
         const currentStudent = students.find(s => s.id === currentAssignment.studentId);
         if (!currentStudent) {
-          console.log(`    ⚠️ Could not find student with id ${currentAssignment.studentId}`);
+          this.verboseLog(`    ⚠️ Could not find student with id ${currentAssignment.studentId}`);
           continue;
         }
 
-        console.log(`    🔍 ${busyTeamMember.name} is with ${currentStudent.name}`);
+        this.verboseLog(`    🔍 ${busyTeamMember.name} is with ${currentStudent.name}`);
 
         // Check if any unassigned RBT/BS (not on targetStudent's team) is on currentStudent's team
         let foundEligible = false;
         for (const unassignedStaffMember of unassignedRbtBs) {
           if (!currentStudent.teamIds.includes(unassignedStaffMember.id)) {
-            console.log(`      ⏭️ ${unassignedStaffMember.name} is NOT on ${currentStudent.name}'s team`);
+            this.verboseLog(`      ⏭️ ${unassignedStaffMember.name} is NOT on ${currentStudent.name}'s team`);
             continue;
           }
 
           // CRITICAL: Don't use staff who are in training for currentStudent
           // They should only be assigned as trainees, not primary staff
           if (this.isStaffInTrainingForStudent(unassignedStaffMember, currentStudent)) {
-            console.log(`      🎓 EXCLUDING ${unassignedStaffMember.name} - in training for ${currentStudent.name} (trainee only)`);
+            this.verboseLog(`      🎓 EXCLUDING ${unassignedStaffMember.name} - in training for ${currentStudent.name} (trainee only)`);
+            continue;
+          }
+
+          if (this.isConsecutiveDaysBlocked(unassignedStaffMember, currentStudent)) {
             continue;
           }
 
           foundEligible = true;
-          console.log(`      💡 ${unassignedStaffMember.name} (unassigned, not on ${targetStudent.name}'s team) IS on ${currentStudent.name}'s team! Attempting swap...`);
+          this.verboseLog(`      💡 ${unassignedStaffMember.name} (unassigned, not on ${targetStudent.name}'s team) IS on ${currentStudent.name}'s team! Attempting swap...`);
 
           // CRITICAL: Before validating, temporarily remove conflicting assignments
           // We need to simulate the swap to validate properly
@@ -332,7 +551,7 @@ export class AutoAssignmentEngine {
             }
           });
 
-          console.log(`      🔧 Temporarily removed ${tempRemovals.length} conflicting assignment(s) for validation`);
+          this.verboseLog(`      🔧 Temporarily removed ${tempRemovals.length} conflicting assignment(s) for validation`);
 
           // Create the simple swap
           const replacementAssignment = new Assignment({
@@ -362,17 +581,17 @@ export class AutoAssignmentEngine {
           });
 
           // Validate both with conflicts removed
-          console.log(`      🔍 Validating: ${unassignedStaffMember.name} → ${currentStudent.name}`);
+          this.verboseLog(`      🔍 Validating: ${unassignedStaffMember.name} → ${currentStudent.name}`);
           const errors1 = SchedulingRules.validateAssignment(replacementAssignment, schedule, staff, [currentStudent]);
 
-          console.log(`      🔍 Validating: ${busyTeamMember.name} → ${targetStudent.name}`);
+          this.verboseLog(`      🔍 Validating: ${busyTeamMember.name} → ${targetStudent.name}`);
           const errors2 = SchedulingRules.validateAssignment(newAssignment, schedule, staff, [targetStudent]);
 
           // ALWAYS restore original assignments after validation
           schedule.assignments = originalAssignments;
 
           if (errors1.length === 0 && errors2.length === 0) {
-            console.log(`      ✅ SMART SWAP SUCCESS! ${unassignedStaffMember.name} → ${currentStudent.name}, ${busyTeamMember.name} → ${targetStudent.name}`);
+            this.verboseLog(`      ✅ SMART SWAP SUCCESS! ${unassignedStaffMember.name} → ${currentStudent.name}, ${busyTeamMember.name} → ${targetStudent.name}`);
 
             return {
               success: true,
@@ -388,17 +607,17 @@ export class AutoAssignmentEngine {
               description: `${unassignedStaffMember.name} → ${currentStudent.name}, ${busyTeamMember.name} → ${targetStudent.name}`
             };
           } else {
-            console.log(`      ❌ Validation failed: ${[...errors1, ...errors2].join(', ')}`);
+            this.verboseLog(`      ❌ Validation failed: ${[...errors1, ...errors2].join(', ')}`);
           }
         }
 
         if (!foundEligible) {
-          console.log(`      ❌ No eligible unassigned RBT/BS found for ${currentStudent.name}`);
+          this.verboseLog(`      ❌ No eligible unassigned RBT/BS found for ${currentStudent.name}`);
         }
       }
     }
 
-    console.log(`    ❌ No simple swaps found with unassigned RBT/BS not on ${targetStudent.name}'s team`);
+    this.verboseLog(`    ❌ No simple swaps found with unassigned RBT/BS not on ${targetStudent.name}'s team`);
     return { success: false };
   }
   /**
@@ -409,36 +628,39 @@ export class AutoAssignmentEngine {
      * Tries to free up staff for unassigned students through chain reactions
      */
   async findAndSwapUnderutilizedStaff(targetStudent, targetSession, targetProgram, staff, students, schedule) {
-    console.log(`    🔍 ULTRA-AGGRESSIVE: Looking for swap chains for ${targetStudent.name}...`);
+    this.verboseLog(`    🔍 ULTRA-AGGRESSIVE: Looking for swap chains for ${targetStudent.name}...`);
 
     const requiredStaffCount = this.getRequiredStaffCount(targetStudent, targetSession);
 
     // Get ALL of target student's team members (even if busy) — RBT/BS only
     const teamStaff = staff.filter(s =>
       targetStudent.teamIds.includes(s.id) &&
-      ['RBT', 'BS'].includes(s.role) &&
-      this.canStaffDoDirectService(s)
+      s.canAutoAssign() &&
+      s.canCoverRatio(targetStudent.getSessionRatio(targetSession)) &&
+      s.isAvailableForSession(targetSession) &&
+      this.canStaffDoDirectService(s) &&
+      !this.isConsecutiveDaysBlocked(s, targetStudent)
     );
 
-    console.log(`    📊 ${targetStudent.name} has ${teamStaff.length} team members total`);
+    this.verboseLog(`    📊 ${targetStudent.name} has ${teamStaff.length} team members total`);
 
     if (teamStaff.length === 0) {
-      console.log(`    ❌ No team members at all - cannot proceed`);
+      this.verboseLog(`    ❌ No team members at all - cannot proceed`);
       return { success: false };
     }
 
     // Try each team member systematically
     for (const teamMember of teamStaff) {
-      console.log(`\n    🔄 Trying to free up: ${teamMember.name} (${teamMember.role})`);
+      this.verboseLog(`\n    🔄 Trying to free up: ${teamMember.name} (${teamMember.role})`);
 
       // Check if this team member is available in target session
       if (schedule.isStaffAvailable(teamMember.id, targetSession, targetProgram)) {
         // Skip if they already worked with this student in the other session (no same-student all day)
-        if (schedule.hasStaffWorkedWithStudentToday(teamMember.id, targetStudent.id)) {
-          console.log(`      ⛔ ${teamMember.name} already worked with ${targetStudent.name} today — skipping`);
+        if (SchedulingRules.isSameDayBlocked(schedule, teamMember.id, targetStudent.id)) {
+          this.verboseLog(`      ⛔ ${teamMember.name} already worked with ${targetStudent.name} today — skipping`);
           continue;
         }
-        console.log(`      ✅ ${teamMember.name} is already available!`);
+        this.verboseLog(`      ✅ ${teamMember.name} is already available!`);
 
         // Create direct assignment
         const assignment = new Assignment({
@@ -456,7 +678,7 @@ export class AutoAssignmentEngine {
 
         const errors = SchedulingRules.validateAssignment(assignment, schedule, staff, [targetStudent]);
         if (errors.length === 0) {
-          console.log(`      ✅ DIRECT ASSIGNMENT SUCCESS!`);
+          this.verboseLog(`      ✅ DIRECT ASSIGNMENT SUCCESS!`);
           return {
             success: true,
             swaps: [{ description: `Direct assignment: ${teamMember.name} → ${targetStudent.name}` }],
@@ -480,12 +702,12 @@ export class AutoAssignmentEngine {
       );
 
       if (swapChainResult.success) {
-        console.log(`      ✅ SWAP CHAIN SUCCESS! Chain length: ${swapChainResult.chain.length}`);
+        this.verboseLog(`      ✅ SWAP CHAIN SUCCESS! Chain length: ${swapChainResult.chain.length}`);
         return swapChainResult;
       }
     }
 
-    console.log(`    ❌ Could not free any of ${teamStaff.length} team members`);
+    this.verboseLog(`    ❌ Could not free any of ${teamStaff.length} team members`);
     return { success: false };
   }
 
@@ -494,7 +716,7 @@ export class AutoAssignmentEngine {
    * Uses recursive depth-first search to find valid swap chains
    */
   async findSwapChain(targetStaff, finalStudent, finalSession, finalProgram, staff, students, schedule, maxDepth, visited = new Set()) {
-    console.log(`      🔗 Finding swap chain for ${targetStaff.name} (depth ${maxDepth})`);
+    this.verboseLog(`      🔗 Finding swap chain for ${targetStaff.name} (depth ${maxDepth})`);
 
     // Prevent infinite loops
     if (visited.has(targetStaff.id) || maxDepth <= 0) {
@@ -517,11 +739,11 @@ export class AutoAssignmentEngine {
 
       // Skip if this is already in the target session/program (no point swapping)
       if (currentAssignment.session === finalSession && currentAssignment.program === finalProgram) {
-        console.log(`        ⏭️ ${targetStaff.name} already in ${finalSession} ${finalProgram}, checking next...`);
+        this.verboseLog(`        ⏭️ ${targetStaff.name} already in ${finalSession} ${finalProgram}, checking next...`);
         continue;
       }
 
-      console.log(`        📌 ${targetStaff.name} currently with ${currentStudent.name} (${currentAssignment.program} ${currentAssignment.session})`);
+      this.verboseLog(`        📌 ${targetStaff.name} currently with ${currentStudent.name} (${currentAssignment.program} ${currentAssignment.session})`);
 
       // Find replacement for current student
       const replacements = this.findPotentialReplacements(
@@ -533,15 +755,15 @@ export class AutoAssignmentEngine {
         [targetStaff.id] // Exclude the staff we're trying to free
       );
 
-      console.log(`        🔍 Found ${replacements.length} potential replacements for ${currentStudent.name}`);
+      this.verboseLog(`        🔍 Found ${replacements.length} potential replacements for ${currentStudent.name}`);
 
       for (const replacement of replacements) {
-        console.log(`          💡 Trying ${replacement.name} (${replacement.role}) as replacement`);
+        this.verboseLog(`          💡 Trying ${replacement.name} (${replacement.role}) as replacement`);
 
         // Check if replacement is available
         if (schedule.isStaffAvailable(replacement.id, currentAssignment.session, currentAssignment.program)) {
           // Direct swap possible!
-          console.log(`          ✅ Direct swap available!`);
+          this.verboseLog(`          ✅ Direct swap available!`);
 
           const chain = this.createSwapChain(
             targetStaff,
@@ -561,7 +783,7 @@ export class AutoAssignmentEngine {
           }
         } else {
           // Replacement is also busy - try recursive chain
-          console.log(`          🔄 ${replacement.name} is busy, trying recursive chain...`);
+          this.verboseLog(`          🔄 ${replacement.name} is busy, trying recursive chain...`);
 
           const subChain = await this.findSwapChain(
             replacement,
@@ -577,7 +799,7 @@ export class AutoAssignmentEngine {
 
           if (subChain.success) {
             // Combine chains
-            console.log(`          ✅ Recursive chain found! Combining...`);
+            this.verboseLog(`          ✅ Recursive chain found! Combining...`);
 
             // Add our swap to the chain
             const ourSwap = this.createSwapChain(
@@ -617,12 +839,14 @@ export class AutoAssignmentEngine {
   findPotentialReplacements(student, session, program, staff, schedule, excludeIds = []) {
     const replacements = staff.filter(s => {
       if (!s.isActive) return false;
-      if (!['RBT', 'BS'].includes(s.role)) return false; // Only RBT/BS in auto-assign/swap
+      if (!s.canAutoAssign()) return false; // Only auto-assign roles (RBT/BS by default) in auto-assign/swap
+      if (!s.canCoverRatio(student.getSessionRatio(session))) return false;
       if (!s.canWorkProgram(program)) return false;
       if (excludeIds.includes(s.id)) return false;
       if (!student.teamIds.includes(s.id)) return false;
       if (!this.canStaffDoDirectService(s)) return false;
-      if (schedule.hasStaffWorkedWithStudentToday(s.id, student.id)) return false; // No same-student all day
+      if (SchedulingRules.isSameDayBlocked(schedule, s.id, student.id)) return false; // No same-student all day
+      if (this.isConsecutiveDaysBlocked(s, student)) return false;
       // Don't check availability here - we want ALL team members
       return true;
     });
@@ -635,9 +859,9 @@ export class AutoAssignmentEngine {
    * NEW: Create a swap chain structure
    */
   createSwapChain(targetStaff, finalStudent, finalSession, finalProgram, currentStudent, currentAssignment, replacementStaff, schedule, staff, students) {
-    console.log(`          🔨 Creating swap chain:`);
-    console.log(`             1. ${replacementStaff.name} → ${currentStudent.name} (${currentAssignment.program} ${currentAssignment.session})`);
-    console.log(`             2. ${targetStaff.name} → ${finalStudent.name} (${finalProgram} ${finalSession})`);
+    this.verboseLog(`          🔨 Creating swap chain:`);
+    this.verboseLog(`             1. ${replacementStaff.name} → ${currentStudent.name} (${currentAssignment.program} ${currentAssignment.session})`);
+    this.verboseLog(`             2. ${targetStaff.name} → ${finalStudent.name} (${finalProgram} ${finalSession})`);
 
     // CRITICAL: Check if targetStaff is already assigned to finalStudent in ANY session
     const alreadyWithFinalStudent = schedule.assignments.some(a =>
@@ -646,7 +870,7 @@ export class AutoAssignmentEngine {
     );
     
     if (alreadyWithFinalStudent) {
-      console.log(`          🚫 BLOCKED: ${targetStaff.name} is already assigned to ${finalStudent.name} in another session`);
+      this.verboseLog(`          🚫 BLOCKED: ${targetStaff.name} is already assigned to ${finalStudent.name} in another session`);
       return { success: false };
     }
 
@@ -683,12 +907,12 @@ export class AutoAssignmentEngine {
     const errors2 = SchedulingRules.validateAssignment(finalAssignment, schedule, staff, [finalStudent]);
 
     if (errors1.length > 0) {
-      console.log(`          ❌ Replacement validation failed: ${errors1.join(', ')}`);
+      this.verboseLog(`          ❌ Replacement validation failed: ${errors1.join(', ')}`);
       return { success: false };
     }
 
     if (errors2.length > 0) {
-      console.log(`          ❌ Final validation failed: ${errors2.join(', ')}`);
+      this.verboseLog(`          ❌ Final validation failed: ${errors2.join(', ')}`);
       return { success: false };
     }
 
@@ -715,7 +939,7 @@ export class AutoAssignmentEngine {
    * Redistribute from students who have more staff than needed
    */
   async redistributeFromOverAssigned(targetStudent, targetSession, targetProgram, staff, students, schedule) {
-    console.log(`    🔍 Looking for over-assigned students...`);
+    this.verboseLog(`    🔍 Looking for over-assigned students...`);
 
     // This would handle cases where a 1:1 student somehow has 2 staff, etc.
     // For now, return failure as this is less common
@@ -726,8 +950,8 @@ export class AutoAssignmentEngine {
    * Complete schedule reshuffle - tries to reassign EVERYTHING to fill gaps
    */
   async performFullScheduleReshuffle(schedule, staff, students) {
-    console.log('\n🔄 ========== FULL SCHEDULE RESHUFFLE ==========');
-    console.log('📊 Starting comprehensive reassignment to eliminate all gaps...');
+    this.verboseLog('\n🔄 ========== FULL SCHEDULE RESHUFFLE ==========');
+    this.verboseLog('📊 Starting comprehensive reassignment to eliminate all gaps...');
 
     const sessions = ['AM', 'PM'];
     const programs = [PROGRAMS.PRIMARY, PROGRAMS.SECONDARY];
@@ -737,8 +961,13 @@ export class AutoAssignmentEngine {
     for (const program of programs) {
       for (const session of sessions) {
         students.filter(s => s.isActive && s.program === program).forEach(student => {
-          // Skip students who are absent for this session
-          if (!student.isAvailableForSession(session)) {
+          // Skip students who are absent for this session (or not scheduled on the day being planned)
+          if (!student.isAvailableForSession(session, this.currentDate)) {
+            return;
+          }
+
+          // Linked clusters are only ever assigned as a whole (Phase 1)
+          if (LinkedCluster.getClusterForStudent(student.id)) {
             return;
           }
           
@@ -750,13 +979,13 @@ export class AutoAssignmentEngine {
     }
 
     if (unassignedStudents.length === 0) {
-      console.log('✅ No unassigned students - schedule is complete!');
+      this.verboseLog('✅ No unassigned students - schedule is complete!');
       return { success: true, swaps: [] };
     }
 
-    console.log(`📋 Found ${unassignedStudents.length} unassigned student-sessions`);
+    this.verboseLog(`📋 Found ${unassignedStudents.length} unassigned student-sessions`);
     unassignedStudents.forEach(u => {
-      console.log(`  - ${u.student.name} (${u.program} ${u.session})`);
+      this.verboseLog(`  - ${u.student.name} (${u.program} ${u.session})`);
     });
 
     // For each unassigned student, try increasingly aggressive strategies
@@ -767,12 +996,12 @@ export class AutoAssignmentEngine {
 
     while (unassignedStudents.length > 0 && iteration < maxIterations) {
       iteration++;
-      console.log(`\n🔄 Reshuffle Iteration ${iteration}/${maxIterations}`);
+      this.verboseLog(`\n🔄 Reshuffle Iteration ${iteration}/${maxIterations}`);
 
       const currentUnassigned = { ...unassignedStudents[0] };
       const { student, session, program } = currentUnassigned;
 
-      console.log(`\n🎯 Attempting to assign: ${student.name} (${program} ${session})`);
+      this.verboseLog(`\n🎯 Attempting to assign: ${student.name} (${program} ${session})`);
 
       // NEW Strategy 1: Try simple swap with unassigned staff FIRST
       const smartSwap = await this.findSimpleSwapWithUnassignedStaff(
@@ -780,7 +1009,7 @@ export class AutoAssignmentEngine {
       );
 
       if (smartSwap.success) {
-        console.log(`  ✅ SUCCESS via smart swap: ${smartSwap.description}`);
+        this.verboseLog(`  ✅ SUCCESS via smart swap: ${smartSwap.description}`);
         allSwaps.push(...smartSwap.swaps);
         allNewAssignments.push(...smartSwap.newAssignments);
 
@@ -799,7 +1028,7 @@ export class AutoAssignmentEngine {
       );
 
       if (swapResult.success) {
-        console.log(`  ✅ SUCCESS via swap: ${swapResult.description}`);
+        this.verboseLog(`  ✅ SUCCESS via swap: ${swapResult.description}`);
         allSwaps.push(...swapResult.swaps);
         allNewAssignments.push(...swapResult.newAssignments);
 
@@ -820,7 +1049,7 @@ export class AutoAssignmentEngine {
       );
 
       if (redistributeResult.success) {
-        console.log(`  ✅ SUCCESS via redistribution: ${redistributeResult.description}`);
+        this.verboseLog(`  ✅ SUCCESS via redistribution: ${redistributeResult.description}`);
         allSwaps.push(...redistributeResult.swaps);
         allNewAssignments.push(...redistributeResult.newAssignments);
 
@@ -834,21 +1063,21 @@ export class AutoAssignmentEngine {
       }
 
       // If we get here, this student truly cannot be assigned
-      console.log(`  ❌ Cannot assign ${student.name} - moving to end of queue`);
+      this.verboseLog(`  ❌ Cannot assign ${student.name} - moving to end of queue`);
       unassignedStudents.push(unassignedStudents.shift());
 
       // If we've cycled through all students without progress, break
       if (iteration % unassignedStudents.length === 0) {
-        console.log(`  🛑 No progress after full cycle - stopping reshuffle`);
+        this.verboseLog(`  🛑 No progress after full cycle - stopping reshuffle`);
         break;
       }
     }
 
-    console.log(`\n🎯 RESHUFFLE COMPLETE:`);
-    console.log(`  Iterations: ${iteration}`);
-    console.log(`  Swaps made: ${allSwaps.length}`);
-    console.log(`  New assignments: ${allNewAssignments.length}`);
-    console.log(`  Remaining unassigned: ${unassignedStudents.length}`);
+    this.verboseLog(`\n🎯 RESHUFFLE COMPLETE:`);
+    this.verboseLog(`  Iterations: ${iteration}`);
+    this.verboseLog(`  Swaps made: ${allSwaps.length}`);
+    this.verboseLog(`  New assignments: ${allNewAssignments.length}`);
+    this.verboseLog(`  Remaining unassigned: ${unassignedStudents.length}`);
 
     return {
       success: unassignedStudents.length === 0,
@@ -861,13 +1090,13 @@ export class AutoAssignmentEngine {
   /**
    * Phase 0: Place a single training pair (trainee + trainer) into the schedule and lock both.
    * Adds the trainee to schedule.traineeAssignments and the trainer to schedule.assignments.
-   * Returns true on success, false if the trainer slot is no longer available.
+   * Returns the trainer's assignment, or null if the trainer slot is no longer available.
    */
   placeTrainingPair(trainee, trainer, student, session, schedule) {
     // Re-check trainer availability at placement time (state may have changed during loop)
     if (!schedule.isStaffAvailable(trainer.id, session, student.program)) {
-      console.log(`  ⚠️ Trainer ${trainer.name} no longer available for ${session} — skipping`);
-      return false;
+      this.verboseLog(`  ⚠️ Trainer ${trainer.name} no longer available for ${session} — skipping`);
+      return null;
     }
 
     // Add trainee as a locked trainee assignment
@@ -904,8 +1133,8 @@ export class AutoAssignmentEngine {
     schedule.addAssignment(trainerAssignment);
     schedule.lockAssignment(trainerAssignment.id);
 
-    console.log(`  ✅ Locked pair: ${trainee.name} (trainee) + ${trainer.name} (trainer) → ${student.name} ${session}`);
-    return true;
+    this.verboseLog(`  ✅ Locked pair: ${trainee.name} (trainee) + ${trainer.name} (trainer) → ${student.name} ${session}`);
+    return trainerAssignment;
   }
 
   /**
@@ -919,18 +1148,44 @@ export class AutoAssignmentEngine {
    *   (e.g. Student A AM → Student B PM with the same trainer).
    * - Any manually pre-placed training assignments are respected and not overridden.
    * - All placed pairs are locked.
+   * - A trainer runs at most maxOverlapsPerDay overlap sessions today and maxOverlapsPerWeek
+   *   this week (options.weeklyOverlaps holds the overlaps from earlier days), so their own
+   *   clients are not left uncovered day after day.
    *
    * Priority for trainer selection:
-   *   1. Same trainer the trainee is already paired with today (keeps pairs together cross-session)
-   *   2. Designated trainer (TRAINER status) for that specific training student
-   *   3. Any staff with TRAINER status who is on the training student's team and available
+   *   1. Designated trainer (TRAINER status) for that specific training student
+   *   2. Any staff with TRAINER status who is on the training student's team and available
+   * Within each priority the trainer with the fewest overlaps this week is used, which
+   * spreads trainees across the eligible trainers. When trainers are short, trainees with
+   * fewer overlap sessions this week go first.
+   *
+   * @param {Object} options - { weeklyOverlaps: { [trainerId]: overlaps run earlier this week },
+   *   weeklyTraineeSessions: { [traineeId]: overlap sessions had earlier this week } }
+   * @returns {Object} { placed, skipped, assignments, capacity }
    */
-  autoAssignTrainingPairs(schedule, staff, students, selectedDate = new Date()) {
-    console.log('\n🎓 ========== PHASE 0: TRAINING PAIR ASSIGNMENT ==========');
+  autoAssignTrainingPairs(schedule, staff, students, selectedDate = new Date(), options = {}) {
+    this.verboseLog('\n🎓 ========== PHASE 0: TRAINING PAIR ASSIGNMENT ==========');
 
+    const { maxOverlapsPerDay, maxOverlapsPerWeek } = this.trainerCapacity;
+    const weeklyOverlaps = options.weeklyOverlaps || {};
+    const weeklyTraineeSessions = options.weeklyTraineeSessions || {};
     const activeStaff = staff.filter(s => s.isActive);
     const activeStudents = students.filter(s => s.isActive && s.isScheduledForDay(selectedDate));
 
+    // Overlaps already on today's schedule (manual or placed earlier in this run) count against the caps
+    const getOverlapsToday = trainerId => (schedule.traineeAssignments || [])
+      .filter(ta => String(ta.trainerId) === String(trainerId)).length;
+    const getOverlapsThisWeek = trainerId => (weeklyOverlaps[trainerId] || 0) + getOverlapsToday(trainerId);
+    const hasCapacity = trainer => getOverlapsToday(trainer.id) < maxOverlapsPerDay &&
+      getOverlapsThisWeek(trainer.id) < maxOverlapsPerWeek;
+    const byTrainerLoad = (a, b) =>
+      getOverlapsThisWeek(a.id) - getOverlapsThisWeek(b.id) ||
+      schedule.getStaffAssignments(a.id).length - schedule.getStaffAssignments(b.id).length;
+
+    const isTrainerFor = (staffMember, student) =>
+      (student.getStaffTrainingStatus ? student.getStaffTrainingStatus(staffMember.id) : null) === TRAINING_STATUS.TRAINER;
+    const trainerPool = activeStaff.filter(s => activeStudents.some(student => isTrainerFor(s, student)));
+
     // Identify all trainees: staff who are overlap-staff or overlap-bcba for at least one student
     const trainees = activeStaff.filter(trainee =>
       activeStudents.some(student => {
@@ -939,32 +1194,49 @@ export class AutoAssignmentEngine {
       })
     );
 
+    const buildCapacityReport = (demand, blocked) => ({
+      limits: { maxOverlapsPerDay, maxOverlapsPerWeek },
+      demand,
+      blocked,
+      trainerLoad: trainerPool.map(trainer => ({
+        trainerId: trainer.id,
+        trainerName: trainer.name,
+        today: getOverlapsToday(trainer.id),
+        week: getOverlapsThisWeek(trainer.id)
+      })),
+      isOverCapacity: blocked.length > 0
+    });
+
     if (trainees.length === 0) {
-      console.log('  ℹ️ No trainees found — skipping Phase 0');
-      return { placed: [], skipped: [] };
+      this.verboseLog('  ℹ️ No trainees found — skipping Phase 0');
+      return { placed: [], skipped: [], assignments: [], capacity: buildCapacityReport(0, []) };
     }
 
-    console.log(`  📊 Found ${trainees.length} trainee(s)`);
+    this.verboseLog(`  📊 Found ${trainees.length} trainee(s), ${trainerPool.length} trainer(s) - max ${maxOverlapsPerDay}/day, ${maxOverlapsPerWeek}/week each`);
 
     // Sort: trainees with NO solo cases first — they have stricter requirements
+    // Then the trainees with the fewest overlap sessions this week, so limited trainers rotate between them
     trainees.sort((a, b) => {
       const aHasSolo = this.staffHasAnySoloCase(a, students);
       const bHasSolo = this.staffHasAnySoloCase(b, students);
       if (!aHasSolo && bHasSolo) return -1;
       if (aHasSolo && !bHasSolo) return 1;
-      return 0;
+      return (weeklyTraineeSessions[a.id] || 0) - (weeklyTraineeSessions[b.id] || 0);
     });
 
     const placed = [];
     const skipped = [];
+    const assignments = [];
+    const blocked = []; // Trainee sessions whose only eligible trainers were at their cap
+    let demand = 0; // Trainee sessions that wanted a trainer
 
     for (const trainee of trainees) {
       const hasSoloCases = this.staffHasAnySoloCase(trainee, students);
-      console.log(`\n  👤 ${trainee.name} (has solo cases: ${hasSoloCases})`);
+      this.verboseLog(`\n  👤 ${trainee.name} (has solo cases: ${hasSoloCases})`);
 
       for (const session of ['AM', 'PM']) {
         if (!trainee.isAvailableForSession(session)) {
-          console.log(`    ⏭️ Unavailable for ${session}`);
+          this.verboseLog(`    ⏭️ Unavailable for ${session}`);
           continue;
         }
 
@@ -972,7 +1244,7 @@ export class AutoAssignmentEngine {
         const alreadyPlaced = schedule.traineeAssignments &&
           schedule.traineeAssignments.some(ta => ta.staffId === trainee.id && ta.session === session);
         if (alreadyPlaced) {
-          console.log(`    ✅ Already placed as trainee in ${session} — skipping`);
+          this.verboseLog(`    ✅ Already placed as trainee in ${session} — skipping`);
           continue;
         }
 
@@ -986,42 +1258,48 @@ export class AutoAssignmentEngine {
           return true;
         });
 
-        console.log(`    🔍 ${session}: ${trainingCandidates.length} training candidate(s)`);
+        this.verboseLog(`    🔍 ${session}: ${trainingCandidates.length} training candidate(s)`);
 
         if (trainingCandidates.length === 0) {
           if (!hasSoloCases) {
-            console.log(`    ⚠️ No candidates and no solo cases — ${trainee.name} unplaceable in ${session}`);
+            this.verboseLog(`    ⚠️ No candidates and no solo cases — ${trainee.name} unplaceable in ${session}`);
             skipped.push({ trainee: trainee.name, session, reason: 'No training candidates available' });
           }
           continue;
         }
 
+        demand++;
         let placedThisSession = false;
+        const trainersAtCapacity = new Set();
 
-        // ── Priority 1: Designated trainer (TRAINER status) for this specific student ──
-        // Trainer-trainee pairing is per student, not per day.
-        // Each student has its own designated trainer(s); we always use that student's trainer.
-        for (const student of trainingCandidates) {
-          const designatedTrainers = activeStaff.filter(s => {
-            const trainerStatus = student.getStaffTrainingStatus ? student.getStaffTrainingStatus(s.id) : null;
-            if (trainerStatus !== TRAINING_STATUS.TRAINER) return false;
+        // Eligible trainers are free this session and not with the student in the other session;
+        // the ones at their overlap cap are noted for the capacity report
+        const pickTrainer = (candidates, student) => {
+          const eligible = candidates.filter(s => {
             if (!s.isAvailableForSession(session)) return false;
             if (!schedule.isStaffAvailable(s.id, session, student.program)) return false;
             // Trainer cannot work with the same student AM + PM
-            if (schedule.hasStaffWorkedWithStudentToday(s.id, student.id)) return false;
+            if (SchedulingRules.isSameDayBlocked(schedule, s.id, student.id)) return false;
             return true;
           });
+          eligible.filter(s => !hasCapacity(s)).forEach(s => trainersAtCapacity.add(s));
+          return eligible.filter(hasCapacity).sort(byTrainerLoad)[0] || null;
+        };
 
-          if (designatedTrainers.length === 0) continue;
-
-          // Pick trainer with the lightest current load
-          designatedTrainers.sort((a, b) =>
-            schedule.getStaffAssignments(a.id).length - schedule.getStaffAssignments(b.id).length
-          );
+        const tryPlace = (trainer, student, note = null) => {
+          const trainerAssignment = this.placeTrainingPair(trainee, trainer, student, session, schedule);
+          if (!trainerAssignment) return false;
+          assignments.push(trainerAssignment);
+          placed.push({ trainee: trainee.name, trainer: trainer.name, student: student.name, session, ...(note ? { note } : {}) });
+          return true;
+        };
 
-          const success = this.placeTrainingPair(trainee, designatedTrainers[0], student, session, schedule);
-          if (success) {
-            placed.push({ trainee: trainee.name, trainer: designatedTrainers[0].name, student: student.name, session });
+        // ── Priority 1: Designated trainer (TRAINER status) for this specific student ──
+        // Trainer-trainee pairing is per student, not per day.
+        // Each student has its own designated trainer(s); we always use that student's trainer.
+        for (const student of trainingCandidates) {
+          const trainer = pickTrainer(trainerPool.filter(s => isTrainerFor(s, student)), student);
+          if (trainer && tryPlace(trainer, student)) {
             placedThisSession = true;
             break;
           }
@@ -1032,199 +1310,1273 @@ export class AutoAssignmentEngine {
         // Used as fallback — especially critical when trainee has no solo cases.
         if (!hasSoloCases) {
           for (const student of trainingCandidates) {
-            const anyTrainer = activeStaff.find(s => {
-              // Must have TRAINER designation for at least one active student
-              const isTrainer = activeStudents.some(st => {
-                const st_status = st.getStaffTrainingStatus ? st.getStaffTrainingStatus(s.id) : null;
-                return st_status === TRAINING_STATUS.TRAINER;
-              });
-              if (!isTrainer) return false;
-              if (!student.teamIds.includes(s.id)) return false;
-              if (!s.isAvailableForSession(session)) return false;
-              if (!schedule.isStaffAvailable(s.id, session, student.program)) return false;
-              if (schedule.hasStaffWorkedWithStudentToday(s.id, student.id)) return false;
-              return true;
-            });
-
-            if (anyTrainer) {
-              const success = this.placeTrainingPair(trainee, anyTrainer, student, session, schedule);
-              if (success) {
-                placed.push({ trainee: trainee.name, trainer: anyTrainer.name, student: student.name, session, note: 'non-usual trainer' });
-                placedThisSession = true;
-                break;
-              }
+            const trainer = pickTrainer(trainerPool.filter(s => student.teamIds.includes(s.id)), student);
+            if (trainer && tryPlace(trainer, student, 'non-usual trainer')) {
+              placedThisSession = true;
+              break;
             }
           }
         }
 
         if (!placedThisSession) {
+          if (trainersAtCapacity.size > 0) {
+            blocked.push({
+              trainee: trainee.name,
+              session,
+              hasSoloCases,
+              trainers: [...trainersAtCapacity].map(t => `${t.name} (${getOverlapsToday(t.id)}/${maxOverlapsPerDay} today, ${getOverlapsThisWeek(t.id)}/${maxOverlapsPerWeek} this week)`)
+            });
+          }
           if (!hasSoloCases) {
-            console.log(`    ⚠️ UNPLACED: ${trainee.name} has no solo cases and no trainer found for ${session}`);
-            skipped.push({ trainee: trainee.name, session, reason: 'No trainer available' });
+            this.verboseLog(`    ⚠️ UNPLACED: ${trainee.name} has no solo cases and no trainer found for ${session}`);
+            skipped.push({ trainee: trainee.name, session, reason: trainersAtCapacity.size > 0 ? 'Trainers at capacity' : 'No trainer available' });
           } else {
-            console.log(`    ℹ️ ${trainee.name} not placed in training for ${session} — has solo cases, can work solo`);
+            this.verboseLog(`    ℹ️ ${trainee.name} not placed in training for ${session} — has solo cases, can work solo`);
           }
         }
       }
     }
 
-    console.log(`\n  ✅ PHASE 0 COMPLETE: ${placed.length} training pair(s) placed`);
-    placed.forEach(p =>
-      console.log(`    🎓 ${p.trainee} + ${p.trainer} → ${p.student} ${p.session}${p.note ? ` (${p.note})` : ''}`)
-    );
-    if (skipped.length > 0) {
-      console.log(`  ⚠️ ${skipped.length} trainee(s) could not be placed:`);
-      skipped.forEach(s => console.log(`    ❌ ${s.trainee} ${s.session}: ${s.reason}`));
-    }
+    const capacity = buildCapacityReport(demand, blocked);
+
+    this.verboseLog(`\n  ✅ PHASE 0 COMPLETE: ${placed.length} training pair(s) placed`);
+    placed.forEach(p =>
+      this.verboseLog(`    🎓 ${p.trainee} + ${p.trainer} → ${p.student} ${p.session}${p.note ? ` (${p.note})` : ''}`)
+    );
+    if (skipped.length > 0) {
+      this.verboseLog(`  ⚠️ ${skipped.length} trainee(s) could not be placed:`);
+      skipped.forEach(s => this.verboseLog(`    ❌ ${s.trainee} ${s.session}: ${s.reason}`));
+    }
+    if (capacity.isOverCapacity) {
+      this.verboseLog(`  ⚠️ Training demand exceeds trainer capacity: ${blocked.length} of ${demand} overlap session(s) blocked by trainer limits`);
+    }
+
+    return { placed, skipped, assignments, capacity };
+  }
+
+  /**
+   * Explain why a student is not (fully) covered in a session
+   * Walks every team member and reports the first rule that excludes them, in the same
+   * order the auto-assign filters apply them.
+   * @param {Student} student - Student with the gap
+   * @param {string} session - AM or PM
+   * @param {string} program - Primary or Secondary
+   * @param {Staff[]} staff - All staff
+   * @param {Schedule} schedule - Schedule to diagnose against
+   * @param {Student[]} students - All students (for training-only check)
+   * @returns {Object} { studentId, studentName, session, program, required, assigned, teamMembers }
+   */
+  diagnoseUnassignedStudent(student, session, program, staff, schedule, students) {
+    const sessionRatio = session === 'AM' ? student.ratioAM : student.ratioPM;
+    const assigned = schedule.getAssignmentsForSession(session, program)
+      .filter(a => a.studentId === student.id && !a.isTrainee).length;
+
+    const teamMembers = (student.teamIds || []).map(staffId => {
+      const staffMember = staff.find(s => s.id === staffId);
+      const exclusion = this.getStaffExclusion(staffMember, student, session, program, sessionRatio, schedule, students);
+
+      return {
+        staffId,
+        staffName: staffMember?.name || `Staff #${staffId}`,
+        role: staffMember?.role || '',
+        ...exclusion
+      };
+    });
+
+    return {
+      studentId: student.id,
+      studentName: student.name,
+      session,
+      program,
+      required: this.getRequiredStaffCount(student, session),
+      assigned,
+      teamMembers
+    };
+  }
+
+  /**
+   * Diagnose every client session still not fully covered, for the end of a run
+   * Pass all staff, inactive included, so an inactive team member is reported as such
+   * @param {Schedule} schedule - The schedule as the run leaves it
+   * @param {Staff[]} staff - All staff
+   * @param {Student[]} students - Students scheduled for the day
+   * @returns {Object[]} One diagnoseUnassignedStudent result per gap
+   */
+  diagnoseRemainingGaps(schedule, staff, students) {
+    const diagnostics = [];
+    students.forEach(student => {
+      ['AM', 'PM'].forEach(session => {
+        if (!student.isAvailableForSession(session, this.currentDate)) return;
+        if (this.isStudentAssigned(student.id, session, student.program, schedule)) return;
+        diagnostics.push(this.diagnoseUnassignedStudent(student, session, student.program, staff, schedule, students));
+      });
+    });
+    return diagnostics;
+  }
+
+  /**
+   * First rule that excludes a team member from a student's session
+   * @returns {Object} { rule, detail } - rule is one of EXCLUSION_RULES
+   */
+  getStaffExclusion(staffMember, student, session, program, sessionRatio, schedule, students) {
+    if (!staffMember) {
+      return { rule: EXCLUSION_RULES.NOT_FOUND, detail: 'Not in the staff list' };
+    }
+    if (!staffMember.isActive) {
+      return { rule: EXCLUSION_RULES.INACTIVE, detail: 'Inactive' };
+    }
+
+    const isOutOfSession = staffMember.outOfSessionFullDay ||
+      (session === 'AM' ? staffMember.outOfSessionAM : staffMember.outOfSessionPM);
+    if (isOutOfSession) {
+      return { rule: EXCLUSION_RULES.OUT_OF_SESSION, detail: `Out of session ${session}` };
+    }
+    if (!staffMember.isAvailableForSession(session)) {
+      const partial = staffMember.getAvailableWindow(session, student.getSessionWindow(session));
+      return {
+        rule: EXCLUSION_RULES.ABSENT,
+        detail: partial
+          ? `Absent ${session} - here ${SchedulingUtils.formatMinutesAsTime(partial.start)}–${SchedulingUtils.formatMinutesAsTime(partial.end)} (split coverage only)`
+          : `Absent ${session}`
+      };
+    }
+    if (!staffMember.canWorkProgram(program)) {
+      return { rule: EXCLUSION_RULES.WRONG_PROGRAM, detail: `Not in ${program} program` };
+    }
+    if (this.isStaffInTrainingForStudent(staffMember, student)) {
+      return {
+        rule: EXCLUSION_RULES.IN_TRAINING,
+        detail: `In training (${student.getStaffTrainingStatus(staffMember.id)}) - trainee only`
+      };
+    }
+    if (!this.staffHasAnySoloCase(staffMember, students)) {
+      return { rule: EXCLUSION_RULES.TRAINING_ONLY, detail: 'No solo cases - training-only staff' };
+    }
+    if (!this.canStaffDoDirectService(staffMember)) {
+      return { rule: EXCLUSION_RULES.ROLE_BLOCKED, detail: `${staffMember.role} cannot do direct sessions` };
+    }
+    if (!staffMember.canCoverRatio(sessionRatio)) {
+      return { rule: EXCLUSION_RULES.ROLE_BLOCKED, detail: `${staffMember.role} cannot do ${sessionRatio} sessions` };
+    }
+    if (!staffMember.canAutoAssign()) {
+      return { rule: EXCLUSION_RULES.ROLE_BLOCKED, detail: `${staffMember.role} is not auto-assigned (role policy)` };
+    }
+    if (!schedule.isStaffAvailable(staffMember.id, session, program)) {
+      const booking = schedule.assignments.find(a =>
+        a.staffId === staffMember.id && String(a.session).toUpperCase() === session
+      );
+      return {
+        rule: EXCLUSION_RULES.ALREADY_BOOKED,
+        detail: booking ? `Already with ${booking.studentName} in ${session}` : `Already booked in ${session}`
+      };
+    }
+    if (SchedulingRules.isSameDayBlocked(schedule, staffMember.id, student.id)) {
+      return { rule: EXCLUSION_RULES.WORKED_TODAY, detail: `Already worked with ${student.name} today` };
+    }
+    if (this.isConsecutiveDaysBlocked(staffMember, student)) {
+      return {
+        rule: EXCLUSION_RULES.CONSECUTIVE_DAYS,
+        detail: `${this.getConsecutiveDays(staffMember.id, student.id)} consecutive days with ${student.name} (max ${this.consecutiveDaysRule.maxDays})`
+      };
+    }
+
+    if (this.getPairPreferenceRank(staffMember, student) === 2) {
+      const notes = student.getStaffPairNotes(staffMember.id);
+      return { rule: EXCLUSION_RULES.ELIGIBLE, detail: `Eligible (avoid if possible${notes ? `: ${notes}` : ''})` };
+    }
+
+    return { rule: EXCLUSION_RULES.ELIGIBLE, detail: 'Eligible' };
+  }
+
+  /**
+   * Team members who could cover part of a student's session
+   * Same rules as getStaffExclusion, except attendance and bookings are left to the time windows
+   */
+  canCoverPartOfSession(staffMember, student, session, program, schedule, students) {
+    if (!staffMember.isActive || !student.teamIds.includes(staffMember.id)) return false;
+    if (staffMember.outOfSessionFullDay || (session === 'AM' ? staffMember.outOfSessionAM : staffMember.outOfSessionPM)) return false;
+    if (!staffMember.canWorkProgram(program)) return false;
+    if (!staffMember.canAutoAssign() || !staffMember.canCoverRatio(student.getSessionRatio(session))) return false;
+    if (this.isStaffInTrainingForStudent(staffMember, student)) return false;
+    if (!this.staffHasAnySoloCase(staffMember, students)) return false;
+    if (SchedulingRules.isSameDayBlocked(schedule, staffMember.id, student.id)) return false;
+    if (this.isConsecutiveDaysBlocked(staffMember, student)) return false;
+    return true;
+  }
+
+  /**
+   * Free time a staff member has inside a window: attendance window minus bookings this session
+   * @returns {Array} [{ start, end }] in minutes, sorted, each at least MIN_SPLIT_BLOCK_MINUTES long
+   */
+  getStaffFreeWindows(staffMember, session, window, schedule, students) {
+    const present = staffMember.getAvailableWindow(session, window);
+    if (!present) return [];
+
+    const busy = [...schedule.assignments, ...(schedule.traineeAssignments || [])]
+      .filter(a => a.staffId === staffMember.id && String(a.session || '').toUpperCase() === session)
+      .map(a => SchedulingUtils.getAssignmentWindow(a, students))
+      .sort((a, b) => a.start - b.start);
+
+    const free = [];
+    let cursor = present.start;
+    busy.forEach(block => {
+      if (block.start > cursor) free.push({ start: cursor, end: Math.min(block.start, present.end) });
+      cursor = Math.max(cursor, block.end);
+    });
+    if (cursor < present.end) free.push({ start: cursor, end: present.end });
+
+    return free.filter(w => w.end - w.start >= MIN_SPLIT_BLOCK_MINUTES);
+  }
+
+  /**
+   * Cover one window of a student's session with back-to-back time blocks
+   * Greedy interval cover: from the current time, take whoever stays free the longest.
+   * Blocks are added to the schedule as timed assignments.
+   * @returns {Object} { assignments, uncovered: [{ start, end }] }
+   */
+  coverWindowWithBlocks(student, session, program, window, schedule, activeStaff, activeStudents) {
+    const candidates = this.sortStaffForStudentStrict(
+      student,
+      activeStaff.filter(s => this.canCoverPartOfSession(s, student, session, program, schedule, activeStudents)),
+      session,
+      schedule
+    ).map(staffMember => ({
+      staffMember,
+      free: this.getStaffFreeWindows(staffMember, session, window, schedule, activeStudents)
+    })).filter(c => c.free.length > 0);
+
+    const blocks = [];
+    const uncovered = [];
+    let cursor = window.start;
+    while (cursor < window.end) {
+      const from = cursor;
+      let best = null;
+      candidates.forEach(candidate => {
+        if (blocks.some(b => b.staffMember.id === candidate.staffMember.id)) return;
+        const slot = candidate.free.find(w => w.start <= from && w.end > from);
+        if (slot && (!best || slot.end > best.end)) {
+          best = { staffMember: candidate.staffMember, end: Math.min(slot.end, window.end) };
+        }
+      });
+
+      if (best) {
+        blocks.push({ staffMember: best.staffMember, start: cursor, end: best.end });
+        cursor = best.end;
+        continue;
+      }
+
+      const nextStarts = candidates
+        .filter(c => !blocks.some(b => b.staffMember.id === c.staffMember.id))
+        .flatMap(c => c.free.map(w => w.start))
+        .filter(start => start > from && start < window.end);
+      const next = nextStarts.length > 0 ? Math.min(...nextStarts) : window.end;
+      uncovered.push({ start: cursor, end: next });
+      cursor = next;
+    }
+
+    const assignments = blocks.map(block => {
+      const assignment = new Assignment({
+        id: SchedulingUtils.generateAssignmentId(),
+        staffId: block.staffMember.id,
+        staffName: block.staffMember.name,
+        studentId: student.id,
+        studentName: student.name,
+        session,
+        program,
+        date: schedule.date,
+        isLocked: false,
+        assignedBy: 'auto',
+        startTime: SchedulingUtils.formatMinutesAsTime(block.start),
+        endTime: SchedulingUtils.formatMinutesAsTime(block.end)
+      });
+      schedule.addAssignment(assignment);
+      return assignment;
+    });
+
+    if (assignments.length > 0) {
+      const summary = assignments.map(a => `${a.staffName} ${a.startTime}–${a.endTime}`).join(', ');
+      this.verboseLog(`  ⏱️ Split coverage for ${student.name} ${program} ${session}: ${summary}`);
+    }
+
+    return { assignments, uncovered };
+  }
+
+  /**
+   * Split coverage: fill a student's session with back-to-back time blocks
+   * Used for gaps the full-session phases could not fill - e.g. a late-arriving RBT covers from
+   * 10:00 and another team member who is free until then covers 8:45–10:00. Only single-staff
+   * sessions are split; paired 2:1 and 1:2 groups share staff across students.
+   * @param {Array|null} studentIds - Only try these students (null = every gap)
+   * @returns {Object} { assignments, covered: [{ student, session, program }], partial: [{ student, session, program, uncovered }] }
+   */
+  assignSplitCoverage(schedule, staff, students, selectedDate, studentIds = null) {
+    const assignments = [];
+    const covered = [];
+    const partial = [];
+    const activeStaff = staff.filter(s => s.isActive);
+    const activeStudents = students.filter(s => s.isActive && s.isScheduledForDay(selectedDate));
+
+    for (const program of [PROGRAMS.PRIMARY, PROGRAMS.SECONDARY]) {
+      for (const session of ['AM', 'PM']) {
+        const gapStudents = activeStudents.filter(student =>
+          (!studentIds || studentIds.includes(student.id)) &&
+          student.program === program &&
+          student.isAvailableForSession(session, selectedDate) &&
+          !student.isSmallGroup(session) &&
+          this.getRequiredStaffCount(student, session) === 1 &&
+          !this.isStudentAssigned(student.id, session, program, schedule)
+        );
+
+        for (const student of gapStudents) {
+          const result = this.coverWindowWithBlocks(
+            student, session, program, student.getSessionWindow(session), schedule, activeStaff, activeStudents
+          );
+          if (result.assignments.length === 0) continue;
+
+          assignments.push(...result.assignments);
+          if (result.uncovered.length > 0) {
+            partial.push({ student, session, program, uncovered: result.uncovered });
+          } else {
+            covered.push({ student, session, program });
+          }
+        }
+      }
+    }
+
+    return { assignments, covered, partial };
+  }
+
+  /**
+   * Apply split coverage after a full auto-assign run and rewrite its gap errors
+   * Filled gaps lose their "Final gap" line, part-filled ones get a "Partial gap" line instead
+   */
+  applySplitCoverage(schedule, staff, students, selectedDate, errors) {
+    const split = this.assignSplitCoverage(schedule, staff, students, selectedDate);
+    if (split.assignments.length === 0) return { assignments: [], errors };
+
+    this.verboseLog(`\n⏱️ PHASE 4: ${split.assignments.length} split coverage blocks created`);
+
+    const filled = [...split.covered, ...split.partial];
+    const remainingErrors = errors.filter(error => !filled.some(({ student, session, program }) =>
+      error === `Final gap: ${student.name} in ${program} ${session}` ||
+      error === `Could not assign: ${student.name} in ${program} ${session}`
+    ));
+    split.partial.forEach(({ student, session, program, uncovered }) => {
+      const times = uncovered
+        .map(w => `${SchedulingUtils.formatMinutesAsTime(w.start)}–${SchedulingUtils.formatMinutesAsTime(w.end)}`)
+        .join(', ');
+      remainingErrors.push(`Partial gap: ${student.name} in ${program} ${session} uncovered ${times}`);
+    });
+
+    return { assignments: split.assignments, errors: remainingErrors };
+  }
+
+  /**
+   * Minimal-disruption re-plan after attendance changes mid-day
+   * Only the slots the change opens are refilled; everything else stays put. Per slot:
+   * 1. a free eligible team member, 2. one move of a booked team member whose client a free
+   * staff member can take over (locked and trainee assignments are never moved), 3. split coverage.
+   * Late arrivals and early departures keep the part of the session they are here for.
+   * The schedule passed in is not changed.
+   * @param {Object} delta - { staffIds, studentIds } whose attendance changed; staff and students already carry the new attendance
+   * @param {Object} options - { assignmentHistory, seed }
+   * @returns {Object} { schedule, changes, unfilled, touchedExisting }
+   */
+  async replanForAttendanceChange(schedule, staff, students, selectedDate, delta = {}, options = {}) {
+    this.consecutiveStreaks = SchedulingUtils.getConsecutiveDayStreaks(options.assignmentHistory || [], selectedDate);
+    this.setSeed(options.seed);
+
+    const activeStaff = staff.filter(s => s.isActive);
+    const activeStudents = students.filter(s => s.isActive && s.isScheduledForDay(selectedDate));
+    this.currentStudents = activeStudents;
+    this.currentDate = selectedDate;
+
+    const working = new Schedule({
+      ...schedule,
+      assignments: [...schedule.assignments],
+      traineeAssignments: [...(schedule.traineeAssignments || [])],
+      lockedAssignments: new Set(schedule.lockedAssignments || [])
+    });
+    const staffIds = delta.staffIds || [];
+    const studentIds = delta.studentIds || [];
+    const changes = [];
+    const slots = []; // { student, session, program, window } - window null = whole session
+    const freedStaff = []; // { staffMember, session, program }
+
+    const describe = (type, assignment, extra = {}) => ({
+      type,
+      staffId: assignment.staffId,
+      staffName: assignment.staffName,
+      studentId: assignment.studentId,
+      studentName: assignment.studentName,
+      session: assignment.session,
+      program: assignment.program,
+      startTime: assignment.startTime,
+      endTime: assignment.endTime,
+      isTrainee: Boolean(assignment.isTrainee),
+      ...extra
+    });
+    const removeFromWorking = assignment => {
+      working.assignments = working.assignments.filter(a => a !== assignment);
+      working.traineeAssignments = working.traineeAssignments.filter(a => a !== assignment);
+    };
+    const addSlot = (student, session, program, window) => {
+      if (!student || !student.isAvailableForSession(session, selectedDate)) return;
+      if (slots.some(s => s.student.id === student.id && s.session === session && s.program === program && !s.window && !window)) return;
+      slots.push({ student, session, program, window });
+    };
+
+    this.verboseLog(`\n🩹 ========== RE-PLAN: ${staffIds.length} staff, ${studentIds.length} students changed ==========`);
+
+    // STEP 1: Take out (or trim) assignments the attendance change breaks
+    [...working.assignments, ...working.traineeAssignments]
+      .filter(a => staffIds.includes(a.staffId))
+      .forEach(assignment => {
+        const staffMember = activeStaff.find(s => s.id === assignment.staffId);
+        const session = String(assignment.session).toUpperCase();
+        if (staffMember && staffMember.isAvailableForSession(session)) return;
+
+        const student = activeStudents.find(s => s.id === assignment.studentId);
+        const booked = SchedulingUtils.getAssignmentWindow(assignment, activeStudents);
+        const present = staffMember && student ? staffMember.getAvailableWindow(session, booked) : null;
+        if (present && present.start <= booked.start && present.end >= booked.end) return; // Here for the whole block
+        const canTrim = present && !assignment.isTrainee &&
+          !student.isSmallGroup(session) && this.getRequiredStaffCount(student, session) === 1 &&
+          present.end - present.start >= MIN_SPLIT_BLOCK_MINUTES;
+
+        removeFromWorking(assignment);
+        if (assignment.isTrainee) {
+          changes.push(describe(SCHEDULE_CHANGE_TYPES.REMOVE, assignment, { reason: `${assignment.staffName} unavailable ${session} (trainee)` }));
+          return;
+        }
+
+        if (!canTrim) {
+          changes.push(describe(SCHEDULE_CHANGE_TYPES.REMOVE, assignment, { reason: `${assignment.staffName} unavailable ${session}` }));
+          addSlot(student, session, assignment.program, assignment.isPartial() ? booked : null);
+          return;
+        }
+
+        const trimmed = new Assignment({
+          ...assignment,
+          startTime: SchedulingUtils.formatMinutesAsTime(present.start),
+          endTime: SchedulingUtils.formatMinutesAsTime(present.end)
+        });
+        working.addAssignment(trimmed);
+        changes.push(describe(SCHEDULE_CHANGE_TYPES.RETIME, trimmed, { reason: `${assignment.staffName} only here ${trimmed.startTime}–${trimmed.endTime}` }));
+        if (present.start > booked.start) addSlot(student, session, assignment.program, { start: booked.start, end: present.start });
+        if (present.end < booked.end) addSlot(student, session, assignment.program, { start: present.end, end: booked.end });
+      });
+
+    [...working.assignments, ...working.traineeAssignments]
+      .filter(a => studentIds.includes(a.studentId))
+      .forEach(assignment => {
+        const student = students.find(s => s.id === assignment.studentId);
+        const session = String(assignment.session).toUpperCase();
+        if (student && student.isActive && student.isAvailableForSession(session, selectedDate)) return;
+
+        removeFromWorking(assignment);
+        changes.push(describe(SCHEDULE_CHANGE_TYPES.REMOVE, assignment, { reason: `${assignment.studentName} absent ${session}` }));
+        const staffMember = activeStaff.find(s => s.id === assignment.staffId);
+        if (staffMember && !assignment.isTrainee) freedStaff.push({ staffMember, session, program: assignment.program });
+      });
+
+    // Staff freed by an absent client may pick up a client who was already uncovered
+    freedStaff.forEach(({ session, program }) => {
+      activeStudents
+        .filter(student => student.program === program && student.isAvailableForSession(session, selectedDate) &&
+          !this.isStudentAssigned(student.id, session, program, working))
+        .forEach(student => addSlot(student, session, program, null));
+    });
+
+    const isFree = (staffMember, student, session, program) =>
+      this.getStaffExclusion(staffMember, student, session, program, student.getSessionRatio(session), working, activeStudents)
+        .rule === EXCLUSION_RULES.ELIGIBLE;
+    const isMovable = assignment =>
+      !assignment.isTrainee && !assignment.isLocked && !assignment.isPartial() &&
+      !working.isAssignmentLocked(assignment.id);
+    const addNew = (assignment, reason) => {
+      working.addAssignment(assignment);
+      changes.push(describe(SCHEDULE_CHANGE_TYPES.ADD, assignment, { reason }));
+    };
+
+    // STEP 2-4: Fill each open slot, cheapest change first
+    const unfilled = [];
+    let touchedExisting = 0;
+    const handled = new Set();
+
+    for (const slot of slots) {
+      const { student, session, program } = slot;
+      const slotKey = `${student.id}-${session}-${program}-${slot.window ? slot.window.start : 'all'}`;
+      if (handled.has(slotKey)) continue;
+      handled.add(slotKey);
+
+      if (slot.window) {
+        const result = this.coverWindowWithBlocks(student, session, program, slot.window, working, activeStaff, activeStudents);
+        result.assignments.forEach(a => changes.push(describe(SCHEDULE_CHANGE_TYPES.ADD, a, { reason: 'Covers the time the original staff member is out' })));
+        result.uncovered.forEach(window => unfilled.push({ student, session, program, window }));
+        continue;
+      }
+
+      if (this.isStudentAssigned(student.id, session, program, working)) continue;
+
+      // Paired and small-group clients go through the regular assignment rules
+      const pairedStudent = student.isPaired() ? student.getPairedStudent(activeStudents) : null;
+      if (pairedStudent && !this.isStudentAssigned(pairedStudent.id, session, program, working) &&
+          pairedStudent.isAvailableForSession(session, selectedDate)) {
+        handled.add(`${pairedStudent.id}-${session}-${program}-all`);
+        const assignments = await this.assignPairedStudents(student, pairedStudent, session, program, activeStaff, working, activeStudents);
+        assignments.forEach(a => addNew(a, 'Free team member for the pair'));
+        if (assignments.length === 0) unfilled.push({ student, session, program, window: null }, { student: pairedStudent, session, program, window: null });
+        continue;
+      }
+      if (student.isSmallGroup(session)) {
+        const assignments = this.assignSmallGroupStudent(student, session, program, activeStaff, working, activeStudents);
+        assignments.forEach(a => addNew(a, 'Free team member'));
+        if (assignments.length === 0) unfilled.push({ student, session, program, window: null });
+        continue;
+      }
+
+      while (!this.isStudentAssigned(student.id, session, program, working)) {
+        const free = this.sortStaffForStudentStrict(
+          student,
+          activeStaff.filter(s => student.teamIds.includes(s.id) && isFree(s, student, session, program)),
+          session,
+          working
+        );
+        if (free.length > 0) {
+          addNew(this.createReplanAssignment(free[0], student, session, program, working), 'Free team member');
+          continue;
+        }
+
+        // One move: a booked team member switches over if a free staff member can take their client
+        let moved = false;
+        for (const candidate of activeStaff.filter(s => student.teamIds.includes(s.id))) {
+          const booking = working.assignments.find(a =>
+            a.staffId === candidate.id && String(a.session).toUpperCase() === session && isMovable(a)
+          );
+          if (!booking) continue;
+          const bookedStudent = activeStudents.find(s => s.id === booking.studentId);
+          if (!bookedStudent || bookedStudent.isPaired() || bookedStudent.isSmallGroup(session)) continue;
+
+          removeFromWorking(booking);
+          if (!isFree(candidate, student, session, program)) {
+            working.addAssignment(booking);
+            continue;
+          }
+          const backfill = this.sortStaffForStudentStrict(
+            bookedStudent,
+            activeStaff.filter(s => s.id !== candidate.id && bookedStudent.teamIds.includes(s.id) &&
+              isFree(s, bookedStudent, session, booking.program)),
+            session,
+            working
+          )[0];
+          if (!backfill) {
+            working.addAssignment(booking);
+            continue;
+          }
+
+          const moveAssignment = this.createReplanAssignment(candidate, student, session, program, working);
+          working.addAssignment(moveAssignment);
+          changes.push(describe(SCHEDULE_CHANGE_TYPES.MOVE, moveAssignment, { fromStudentName: booking.studentName, reason: `Moved from ${booking.studentName}` }));
+          addNew(
+            this.createReplanAssignment(backfill, bookedStudent, session, booking.program, working),
+            `Takes over ${bookedStudent.name} from ${candidate.name}`
+          );
+          touchedExisting++;
+          moved = true;
+          break;
+        }
+        if (!moved) break;
+      }
+
+      if (this.isStudentAssigned(student.id, session, program, working)) continue;
+
+      if (this.getRequiredStaffCount(student, session) === 1) {
+        const result = this.coverWindowWithBlocks(
+          student, session, program, student.getSessionWindow(session), working, activeStaff, activeStudents
+        );
+        result.assignments.forEach(a => changes.push(describe(SCHEDULE_CHANGE_TYPES.ADD, a, { reason: 'Split coverage' })));
+        if (result.assignments.length > 0) {
+          result.uncovered.forEach(window => unfilled.push({ student, session, program, window }));
+          continue;
+        }
+      }
+      unfilled.push({ student, session, program, window: null });
+    }
+
+    this.verboseLog(`🩹 Re-plan: ${changes.length} change(s), ${touchedExisting} existing assignment(s) moved, ${unfilled.length} slot(s) still open`);
+
+    return { schedule: working, changes, unfilled, touchedExisting };
+  }
+
+  /**
+   * New full-session assignment for the re-plan (not added to the schedule)
+   */
+  createReplanAssignment(staffMember, student, session, program, schedule) {
+    return new Assignment({
+      id: SchedulingUtils.generateAssignmentId(),
+      staffId: staffMember.id,
+      staffName: staffMember.name,
+      studentId: student.id,
+      studentName: student.name,
+      session,
+      program,
+      date: schedule.date,
+      isLocked: false,
+      assignedBy: 'auto'
+    });
+  }
+
+  /**
+   * Auto-assign all unassigned students for a given date
+   * @param {Schedule} schedule - Current schedule
+   * @param {Staff[]} staff - Array of staff members
+   * @param {Student[]} students - Array of students
+   * @param {Date} selectedDate - Day being scheduled
+   * @param {Object} options - { mode: ASSIGNMENT_MODES.GREEDY | ASSIGNMENT_MODES.EXACT, assignmentHistory: [{ date, staffId, studentId }], seed,
+   *   trainerOverlaps: { [trainerId]: overlaps run earlier this week }, traineeSessions: { [traineeId]: overlaps had earlier this week } }
+   * @returns {Object} { assignments, errors, diagnostics, seed, training, runLog }
+   */
+  async autoAssignSchedule(schedule, staff, students, selectedDate = new Date(), options = {}) {
+    // Each run works in its own context on top of the engine, so its run log, seed and per-day
+    // state are its own - runs that overlap on one engine cannot finish or clear each other's
+    const run = Object.create(this);
+    return run.runAutoAssign(schedule, staff, students, selectedDate, options);
+  }
+
+  /**
+   * One auto-assign run - called on the run's own context by autoAssignSchedule
+   */
+  async runAutoAssign(schedule, staff, students, selectedDate, options) {
+    // Consecutive-days streaks from DailyAssignments history (empty map = rule has nothing to check)
+    this.consecutiveStreaks = SchedulingUtils.getConsecutiveDayStreaks(options.assignmentHistory || [], selectedDate);
+
+    const seed = this.setSeed(options.seed);
+    this.verboseLog(`🎲 Auto-assign seed: ${seed}`);
+    const runLog = new EngineRunLog({
+      mode: options.mode || ASSIGNMENT_MODES.GREEDY,
+      seed,
+      date: this.formatDayKey(selectedDate)
+    });
+    this.runLog = runLog;
+
+    // PHASE 0: Training pairs go in first (when turned on) so the trainers' places are locked
+    let training = null;
+    if (this.trainerCapacity.placeTrainingPairs) {
+      this.beginPhase('Phase 0: Training pairs');
+      training = this.autoAssignTrainingPairs(schedule, staff, students, selectedDate, {
+        weeklyOverlaps: options.trainerOverlaps,
+        weeklyTraineeSessions: options.traineeSessions
+      });
+      this.logAssignments(training.assignments, 'Trainer for a training pair');
+      this.logGaps(training.skipped.map(skip => `Training not placed: ${skip.trainee} ${skip.session} (${skip.reason})`));
+      this.endPhase({ placed: training.placed.length, skipped: training.skipped.length });
+    }
+
+    const result = options.mode === ASSIGNMENT_MODES.EXACT
+      ? { ...await this.autoAssignScheduleExact(schedule, staff, students, selectedDate), seed }
+      : await this.autoAssignScheduleGreedy(schedule, staff, students, selectedDate, seed);
+    const final = this.addTrainingResult(result, training);
 
-    return { placed, skipped };
+    return {
+      ...final,
+      runLog: runLog.finish({
+        assignments: final.assignments.length,
+        errors: final.errors.length,
+        swaps: runLog.getEvents(RUN_LOG_EVENT_TYPES.SWAP).length,
+        blocked: runLog.getEvents(RUN_LOG_EVENT_TYPES.BLOCKED).length
+      })
+    };
   }
 
   /**
-   * Auto-assign all unassigned students for a given date
-   * @param {Schedule} schedule - Current schedule
-   * @param {Staff[]} staff - Array of staff members
-   * @param {Student[]} students - Array of students
-   * @returns {Assignment[]} Array of new assignments created
+   * Greedy auto-assignment - Phases 1-4 (initial pass, reshuffle, swaps, split coverage).
+   * Mutates the passed schedule.
+   * @returns {Object} { assignments, errors, diagnostics, seed }
    */
-  async autoAssignSchedule(schedule, staff, students, selectedDate = new Date()) {
+  async autoAssignScheduleGreedy(schedule, staff, students, selectedDate, seed) {
     const newAssignments = [];
     const errors = [];
+    const diagnostics = []; // Why each Phase 1 gap could not be filled - for the run log only
 
-    console.log('\n🚀 ========== STARTING AUTO-ASSIGNMENT ==========');
+    this.verboseLog('\n🚀 ========== STARTING AUTO-ASSIGNMENT ==========');
 
     const activeStaff = staff.filter(s => s.isActive);
     const activeStudents = students.filter(s => s.isActive && s.isScheduledForDay(selectedDate));
     
-    // Store students for use in isStudentAssigned
+    // Store students for use in isStudentAssigned, and the day for date-aware availability
     this.currentStudents = activeStudents;
+    this.currentDate = selectedDate;
 
-    console.log(`📊 Active: ${activeStaff.length} staff, ${activeStudents.length} students`);
-    console.log(`📊 Attendance - Staff absent AM: ${activeStaff.filter(s => s.absentAM || s.absentFullDay).length}, PM: ${activeStaff.filter(s => s.absentPM || s.absentFullDay).length}`);
-    console.log(`📊 Attendance - Students absent AM: ${activeStudents.filter(s => s.absentAM || s.absentFullDay).length}, PM: ${activeStudents.filter(s => s.absentPM || s.absentFullDay).length}`);
+    this.verboseLog(`📊 Active: ${activeStaff.length} staff, ${activeStudents.length} students`);
+    this.verboseLog(`📊 Attendance - Staff absent AM: ${activeStaff.filter(s => s.absentAM || s.absentFullDay).length}, PM: ${activeStaff.filter(s => s.absentPM || s.absentFullDay).length}`);
+    this.verboseLog(`📊 Attendance - Students absent AM: ${activeStudents.filter(s => s.absentAM || s.absentFullDay).length}, PM: ${activeStudents.filter(s => s.absentPM || s.absentFullDay).length}`);
 
     // PHASE 1: Initial assignment pass
+    this.logEvent(RUN_LOG_EVENT_TYPES.INFO, `${activeStaff.length} staff, ${activeStudents.length} clients scheduled today`);
+    this.beginPhase('Phase 1: Initial pass');
     const sessions = ['AM', 'PM'];
-    const programs = [PROGRAMS.PRIMARY, PROGRAMS.SECONDARY];
 
-    for (const program of programs) {
-      for (const session of sessions) {
-        console.log(`\n📋 ===== ${program} ${session} =====`);
-
-        const programStudents = activeStudents.filter(student =>
-          student.program === program &&
-          student.isAvailableForSession(session) && // Check attendance
-          !this.isStudentAssigned(student.id, session, program, schedule)
-        );
+    // Both programs are planned together per session, so staff who work both programs
+    // are not used up by Primary before Secondary is looked at
+    for (const session of sessions) {
+      this.verboseLog(`\n📋 ===== ${session} (Primary + Secondary) =====`);
 
-        const prioritizedStudents = this.prioritizeStudents(programStudents, session);
+      const sessionStudents = activeStudents.filter(student =>
+        student.isAvailableForSession(session, selectedDate) && // Check attendance, schedule days and recurring absences
+        !this.isStudentAssigned(student.id, session, student.program, schedule)
+      );
 
-        for (const student of prioritizedStudents) {
-          try {
-            if (student.isPaired()) {
-              const pairedStudent = student.getPairedStudent(activeStudents);
-              if (pairedStudent && programStudents.includes(pairedStudent)) {
-                const assignments = await this.assignPairedStudents(
-                  student, pairedStudent, session, program, activeStaff, schedule, activeStudents
-                );
+      this.planFloatingStaff(session, sessionStudents, activeStaff, schedule, activeStudents);
 
-                if (assignments.length > 0) {
-                  newAssignments.push(...assignments);
-                  assignments.forEach(a => schedule.addAssignment(a));
+      const prioritizedStudents = this.prioritizeStudents(sessionStudents, session);
 
-                  const pairedIndex = prioritizedStudents.indexOf(pairedStudent);
-                  if (pairedIndex > -1) prioritizedStudents.splice(pairedIndex, 1);
-                } else {
-                  errors.push(`Could not assign paired: ${student.name} & ${pairedStudent.name}`);
-                }
-                continue;
-              }
-            }
+      for (const student of prioritizedStudents) {
+        const program = student.program;
+        const programStudents = sessionStudents.filter(s => s.program === program);
 
-            const assignments = await this.assignStudent(
-              student, session, program, activeStaff, schedule, activeStudents
+        try {
+          const cluster = LinkedCluster.getClusterForStudent(student.id);
+          if (cluster) {
+            // Members still needing cover this session; the rest of the cluster is skipped below
+            const members = cluster.getMembers(programStudents);
+            const assignments = await this.assignLinkedCluster(
+              cluster, members, session, program, activeStaff, schedule, activeStudents
             );
 
             if (assignments.length > 0) {
-              // Validate each assignment before adding to schedule
-              const validAssignments = [];
-              for (const assignment of assignments) {
-                const validationErrors = SchedulingRules.validateAssignment(
-                  assignment, schedule, activeStaff, activeStudents
+              newAssignments.push(...assignments);
+              assignments.forEach(a => schedule.addAssignment(a));
+            } else {
+              errors.push(`Could not assign linked cluster: ${cluster.getLabel()} (${members.map(m => m.name).join(', ')}) in ${program} ${session}`);
+              diagnostics.push(...members.map(member =>
+                this.diagnoseUnassignedStudent(member, session, program, activeStaff, schedule, activeStudents)
+              ));
+            }
+
+            members.filter(member => member !== student).forEach(member => {
+              const memberIndex = prioritizedStudents.indexOf(member);
+              if (memberIndex > -1) prioritizedStudents.splice(memberIndex, 1);
+            });
+            continue;
+          }
+
+          if (student.isPaired()) {
+            const pairedStudent = student.getPairedStudent(activeStudents);
+            if (pairedStudent && programStudents.includes(pairedStudent)) {
+              const assignments = await this.assignPairedStudents(
+                student, pairedStudent, session, program, activeStaff, schedule, activeStudents
+              );
+
+              if (assignments.length > 0) {
+                newAssignments.push(...assignments);
+                assignments.forEach(a => schedule.addAssignment(a));
+
+                const pairedIndex = prioritizedStudents.indexOf(pairedStudent);
+                if (pairedIndex > -1) prioritizedStudents.splice(pairedIndex, 1);
+              } else {
+                errors.push(`Could not assign paired: ${student.name} & ${pairedStudent.name}`);
+                diagnostics.push(
+                  this.diagnoseUnassignedStudent(student, session, program, activeStaff, schedule, activeStudents),
+                  this.diagnoseUnassignedStudent(pairedStudent, session, program, activeStaff, schedule, activeStudents)
                 );
+              }
+              continue;
+            }
+          }
+
+          const assignments = await this.assignStudent(
+            student, session, program, activeStaff, schedule, activeStudents
+          );
+
+          if (assignments.length > 0) {
+            // Validate each assignment before adding to schedule
+            const validAssignments = [];
+            for (const assignment of assignments) {
+              const validationErrors = SchedulingRules.validateAssignment(
+                assignment, schedule, activeStaff, activeStudents
+              );
                 
-                if (validationErrors.length === 0) {
-                  schedule.addAssignment(assignment);
-                  validAssignments.push(assignment);
-                } else {
-                  console.log(`  🚫 BLOCKED assignment of ${assignment.staffName} to ${assignment.studentName}: ${validationErrors.join(', ')}`);
-                }
+              if (validationErrors.length === 0) {
+                schedule.addAssignment(assignment);
+                validAssignments.push(assignment);
+              } else {
+                this.verboseLog(`  🚫 BLOCKED assignment of ${assignment.staffName} to ${assignment.studentName}: ${validationErrors.join(', ')}`);
+                this.logEvent(
+                  RUN_LOG_EVENT_TYPES.BLOCKED,
+                  `${assignment.staffName} for ${assignment.studentName} (${program} ${session}): ${validationErrors.join(', ')}`,
+                  { staffId: assignment.staffId, studentId: assignment.studentId, session, program, rule: 'validation' }
+                );
               }
+            }
               
-              newAssignments.push(...validAssignments);
+            newAssignments.push(...validAssignments);
               
-              if (validAssignments.length === 0) {
-                errors.push(`Could not assign: ${student.name} in ${program} ${session} (validation failed)`);
-              }
-            } else {
-              errors.push(`Could not assign: ${student.name} in ${program} ${session}`);
+            if (validAssignments.length === 0) {
+              errors.push(`Could not assign: ${student.name} in ${program} ${session} (validation failed)`);
+              diagnostics.push(this.diagnoseUnassignedStudent(student, session, program, activeStaff, schedule, activeStudents));
             }
-          } catch (error) {
-            errors.push(`Error: ${student.name} - ${error.message}`);
+          } else {
+            errors.push(`Could not assign: ${student.name} in ${program} ${session}`);
+            diagnostics.push(this.diagnoseUnassignedStudent(student, session, program, activeStaff, schedule, activeStudents));
           }
+        } catch (error) {
+          errors.push(`Error: ${student.name} - ${error.message}`);
         }
       }
     }
+    this.floatingPlan = null;
 
-    console.log(`\n✅ PHASE 1 COMPLETE: ${newAssignments.length} assignments created`);
+    this.verboseLog(`\n✅ PHASE 1 COMPLETE: ${newAssignments.length} assignments created`);
+    this.logAssignments(newAssignments, 'Team member');
+    this.logGaps(errors);
+    this.logBlockedCandidates(diagnostics);
+    this.endPhase({ assignments: newAssignments.length, gaps: errors.length });
+    const loggedErrors = new Set(errors);
 
     // PHASE 2: Check for gaps and perform FULL RESHUFFLE if needed
     const unassignedCount = this.countUnassignedStudents(schedule, students);
 
     if (unassignedCount > 0) {
-      console.log(`\n🔄 PHASE 2: ${unassignedCount} gaps found - initiating FULL RESHUFFLE`);
+      this.beginPhase('Phase 2: Reshuffle');
+      this.verboseLog(`\n🔄 PHASE 2: ${unassignedCount} gaps found - initiating FULL RESHUFFLE`);
 
       const reshuffleResults = await this.performFullScheduleReshuffle(
         schedule, staff, students
       );
 
       if (reshuffleResults.success) {
-        console.log(`\n🎉 RESHUFFLE SUCCESS: All students assigned!`);
+        this.verboseLog(`\n🎉 RESHUFFLE SUCCESS: All students assigned!`);
         newAssignments.push(...reshuffleResults.newAssignments);
+        this.logAssignments(reshuffleResults.newAssignments, 'Reshuffle');
       } else {
-        console.log(`\n⚠️ RESHUFFLE INCOMPLETE: ${reshuffleResults.remainingUnassigned.length} still unassigned`);
+        this.verboseLog(`\n⚠️ RESHUFFLE INCOMPLETE: ${reshuffleResults.remainingUnassigned.length} still unassigned`);
         reshuffleResults.remainingUnassigned.forEach(u => {
           errors.push(`Final gap: ${u.student.name} in ${u.program} ${u.session}`);
         });
       }
+      this.endPhase({
+        gapsBefore: unassignedCount,
+        assignments: reshuffleResults.success ? reshuffleResults.newAssignments.length : 0,
+        remaining: reshuffleResults.success ? 0 : reshuffleResults.remainingUnassigned.length
+      });
     } else {
-      console.log(`\n✅ PHASE 2: No gaps found - schedule is perfect!`);
+      this.verboseLog(`\n✅ PHASE 2: No gaps found - schedule is perfect!`);
     }
 
     // PHASE 3: Swap Optimization - Try to fill remaining gaps by swapping available staff
     const remainingUnassignedCount = this.countUnassignedStudents(schedule, students);
     
     if (remainingUnassignedCount > 0) {
-      console.log(`\n🔀 PHASE 3: ${remainingUnassignedCount} gaps remain - attempting SWAP OPTIMIZATION`);
+      this.verboseLog(`\n🔀 PHASE 3: ${remainingUnassignedCount} gaps remain - attempting SWAP OPTIMIZATION`);
+      this.beginPhase('Phase 3: Swaps');
       
-      const swapResults = await this.performSwapOptimization(schedule, staff, students);
+      const swapResults = await this.performSwapOptimization(schedule, staff, students, selectedDate, { seed });
+      const swapsKept = swapResults.swapsMade > 0;
       
-      if (swapResults.swapsMade > 0) {
-        console.log(`\n✅ SWAP OPTIMIZATION: Made ${swapResults.swapsMade} swaps, filled ${swapResults.gapsFilled} gaps`);
+      if (swapsKept) {
+        this.verboseLog(`\n✅ SWAP OPTIMIZATION: Made ${swapResults.swapsMade} swaps, filled ${swapResults.gapsFilled} gaps`);
         newAssignments.push(...swapResults.newAssignments);
+        swapResults.swaps.forEach(swap => this.logEvent(RUN_LOG_EVENT_TYPES.SWAP, swap.description));
+        this.logAssignments(swapResults.newAssignments, 'Swap');
         swapResults.swaps.forEach(swap => {
-          console.log(`  ✓ ${swap.description}`);
+          this.verboseLog(`  ✓ ${swap.description}`);
         });
       } else {
-        console.log(`\n⚠️ SWAP OPTIMIZATION: No beneficial swaps found`);
+        this.verboseLog(`\n⚠️ SWAP OPTIMIZATION: No beneficial swaps found`);
+      }
+      this.endPhase({ gapsBefore: remainingUnassignedCount, swaps: swapResults.swapsMade, gapsFilled: swapsKept ? swapResults.gapsFilled : 0 });
+    }
+
+    // PHASE 4: Split coverage - part-session staff (late arrival / early departure) fill what is left
+    this.beginPhase('Phase 4: Split coverage');
+    const split = this.applySplitCoverage(schedule, activeStaff, students, selectedDate, errors);
+    newAssignments.push(...split.assignments);
+    this.logAssignments(split.assignments, 'Split coverage');
+    this.logGaps(split.errors.filter(error => !loggedErrors.has(error)));
+    this.endPhase({ assignments: split.assignments.length, errors: split.errors.length });
+
+    this.verboseLog(`\n🎯 ========== AUTO-ASSIGNMENT COMPLETE ==========`);
+    this.verboseLog(`📊 Total assignments: ${newAssignments.length}`);
+    this.verboseLog(`❌ Errors: ${split.errors.length}`);
+
+    // Phases 2-4 fill some Phase 1 gaps and re-book staff, so the result explains the gaps left at the end
+    const finalDiagnostics = this.diagnoseRemainingGaps(schedule, staff, activeStudents);
+
+    return { assignments: newAssignments, errors: split.errors, diagnostics: finalDiagnostics, seed };
+  }
+
+  /**
+   * Fold the Phase 0 result into an auto-assign result: the locked trainer assignments are
+   * returned with the rest, and unplaced trainees and trainer-capacity shortfalls become errors
+   */
+  addTrainingResult(result, training) {
+    if (!training) return result;
+
+    const { limits, demand, blocked } = training.capacity;
+    const trainingErrors = training.skipped
+      .filter(s => s.reason !== 'Trainers at capacity')
+      .map(s => `Training not placed: ${s.trainee} ${s.session} (${s.reason})`);
+
+    if (training.capacity.isOverCapacity) {
+      trainingErrors.push(
+        `Training demand exceeds trainer capacity: ${blocked.length} of ${demand} overlap session(s) not placed (max ${limits.maxOverlapsPerDay}/day, ${limits.maxOverlapsPerWeek}/week per trainer)`,
+        ...blocked.map(b => `Trainer capacity: ${b.trainee} ${b.session}${b.hasSoloCases ? ' works solo' : ' has no trainer'} - ${b.trainers.join(', ')}`)
+      );
+    }
+
+    return {
+      ...result,
+      assignments: [...training.assignments, ...result.assignments],
+      errors: [...trainingErrors, ...result.errors],
+      training
+    };
+  }
+
+  /**
+   * Exact-mode auto-assignment using the constraint solver
+   * Re-plans all non-fixed assignments for the day so the fewest students are left unassigned.
+   * Unlike greedy mode, the passed schedule is not mutated.
+   * @param {Schedule} schedule - Current schedule
+   * @param {Staff[]} staff - Array of staff members
+   * @param {Student[]} students - Array of students
+   * @param {Date} selectedDate - Day being scheduled
+   * @returns {Object} { assignments, errors, diagnostics, solver }
+   */
+  async autoAssignScheduleExact(schedule, staff, students, selectedDate = new Date()) {
+    this.verboseLog('\n🚀 ========== STARTING AUTO-ASSIGNMENT (EXACT MODE) ==========');
+
+    this.currentStudents = students.filter(s => s.isActive && s.isScheduledForDay(selectedDate));
+    this.currentDate = selectedDate;
+
+    this.beginPhase('Exact solver');
+    const solver = new ConstraintSolver(this);
+    const result = solver.solveDay(schedule, staff, students, selectedDate);
+    this.logAssignments(result.assignments, 'Exact solver');
+    this.endPhase({
+      assignments: result.assignments.length,
+      coverage: result.coverage,
+      upperBound: result.upperBound,
+      isOptimal: result.isOptimal,
+      nodeLimitReached: result.nodeLimitReached,
+      smallGroupsFixed: result.smallGroupsFixed,
+      nodesExplored: result.nodesExplored
+    });
+
+    // Split coverage runs on the solver's working schedule, after the full-session plan
+    this.beginPhase('Phase 4: Split coverage');
+    const split = this.applySplitCoverage(
+      result.schedule, staff, students, selectedDate,
+      result.unassigned.map(u => `Final gap: ${u.student.name} in ${u.program} ${u.session}`)
+    );
+    const errors = split.errors;
+    // After split coverage, so only the gaps still open are explained
+    const diagnostics = this.diagnoseRemainingGaps(result.schedule, staff, this.currentStudents);
+    this.logAssignments(split.assignments, 'Split coverage');
+    this.logGaps(errors);
+    this.logBlockedCandidates(diagnostics);
+    this.endPhase({ assignments: split.assignments.length, errors: errors.length });
+
+    if (result.nodeLimitReached) {
+      errors.push(`Exact solver stopped at its search limit - ${result.coverage}/${result.upperBound} client sessions fully covered may not be optimal`);
+    }
+
+    this.verboseLog(`\n🎯 ========== AUTO-ASSIGNMENT COMPLETE (EXACT MODE) ==========`);
+    this.verboseLog(`📊 Total assignments: ${result.assignments.length + split.assignments.length}`);
+    this.verboseLog(`❌ Errors: ${errors.length}`);
+
+    return {
+      assignments: [...result.assignments, ...split.assignments],
+      errors,
+      diagnostics,
+      solver: {
+        mode: ASSIGNMENT_MODES.EXACT,
+        coverage: result.coverage,
+        upperBound: result.upperBound,
+        isOptimal: result.isOptimal,
+        nodeLimitReached: result.nodeLimitReached,
+        smallGroupsFixed: result.smallGroupsFixed,
+        nodesExplored: result.nodesExplored
+      }
+    };
+  }
+
+  /**
+   * Week-planning mode: build Monday-Friday schedules together
+   * Days are planned in order and every staff-student session placed is counted, so later
+   * days prefer the team member who has spent the least time with that client this week.
+   * Students are filtered per day with isScheduledForDay and recurringAbsentAM/PM. The loaded
+   * attendance flags apply to options.attendanceDate; other days use the attendance already
+   * entered for them (options.attendanceByDate), and everyone else is assumed present.
+   * Trainer overlaps are also counted day by day, so Phase 0's weekly cap holds across the plan.
+   * @param {Date} weekStart - Any date in the week to plan
+   * @param {Staff[]} staff - Array of staff members
+   * @param {Student[]} students - Array of students
+   * @param {Object} options - { mode, attendanceDate, attendanceByDate: { 'YYYY-MM-DD': { staff, students } },
+   *   fixedSchedules: { 'YYYY-MM-DD': Schedule }, assignmentHistory, seed }
+   * @returns {Object} { days: [{ date, dateKey, schedule, errors, diagnostics, runLog }], pairCounts, staffSpread, seed }
+   */
+  async autoAssignWeek(weekStart, staff, students, options = {}) {
+    const {
+      mode = ASSIGNMENT_MODES.GREEDY,
+      attendanceDate = null,
+      attendanceByDate = {},
+      fixedSchedules = {},
+      assignmentHistory = []
+    } = options;
+    // Each day runs with weekSeed + day offset, so the whole week is reproducible from one seed
+    const weekSeed = this.setSeed(options.seed);
+
+    const monday = new Date(weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate());
+    monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+
+    this.verboseLog(`\n📅 ========== WEEK PLAN: week of ${this.formatDayKey(monday)} (${mode}, seed ${weekSeed}) ==========`);
+
+    this.rotationCounts = new Map();
+    const days = [];
+    // Planned days replace anything saved for this week and count towards consecutive-days streaks
+    const mondayKey = this.formatDayKey(monday);
+    const history = assignmentHistory.filter(entry => entry.date < mondayKey);
+    const trainerOverlaps = {}; // trainerId -> overlap sessions run on the days planned so far
+    const traineeSessions = {}; // traineeId -> overlap sessions had on the days planned so far
+
+    try {
+      for (let offset = 0; offset < 5; offset++) {
+        const date = new Date(monday);
+        date.setDate(monday.getDate() + offset);
+        const dateKey = this.formatDayKey(date);
+
+        const isAttendanceDay = attendanceDate && this.formatDayKey(attendanceDate) === dateKey;
+        const roster = isAttendanceDay
+          ? { staff, students }
+          : this.getPlanningRoster(staff, students, attendanceByDate[dateKey]);
+
+        // Only keep assignments a person placed on purpose; auto ones are re-planned
+        const existing = fixedSchedules[dateKey];
+        const keptAssignments = existing
+          ? existing.assignments.filter(a => a.assignedBy === 'manual' || a.assignedBy === 'loaded' || a.isLocked)
+          : [];
+        const daySchedule = new Schedule({
+          date: dateKey,
+          assignments: [...keptAssignments],
+          traineeAssignments: [...(existing?.traineeAssignments || [])]
+        });
+
+        const result = await this.autoAssignSchedule(daySchedule, roster.staff, roster.students, date, {
+          mode,
+          assignmentHistory: history,
+          seed: (weekSeed + offset) >>> 0,
+          trainerOverlaps: { ...trainerOverlaps },
+          traineeSessions: { ...traineeSessions }
+        });
+
+        const finalSchedule = new Schedule({
+          date: dateKey,
+          assignments: [...keptAssignments, ...result.assignments],
+          traineeAssignments: [...daySchedule.traineeAssignments],
+          seed: result.seed,
+          runLog: result.runLog
+        });
+
+        finalSchedule.assignments
+          .filter(a => !a.isTrainee)
+          .forEach(a => {
+            const key = `${a.staffId}__${a.studentId}`;
+            this.rotationCounts.set(key, (this.rotationCounts.get(key) || 0) + 1);
+            history.push({ date: dateKey, staffId: a.staffId, studentId: a.studentId, session: a.session, program: a.program });
+          });
+        finalSchedule.traineeAssignments.forEach(ta => {
+          traineeSessions[ta.staffId] = (traineeSessions[ta.staffId] || 0) + 1;
+          if (ta.trainerId) trainerOverlaps[ta.trainerId] = (trainerOverlaps[ta.trainerId] || 0) + 1;
+        });
+
+        days.push({
+          date,
+          dateKey,
+          schedule: finalSchedule,
+          errors: result.errors,
+          diagnostics: result.diagnostics || [],
+          runLog: result.runLog
+        });
       }
+
+      const pairCounts = this.buildPairCounts(staff, students, this.rotationCounts);
+      const staffSpread = this.buildStaffSpread(staff, students, this.rotationCounts);
+
+      this.verboseLog(`📅 WEEK PLAN COMPLETE: ${days.reduce((sum, d) => sum + d.schedule.assignments.length, 0)} assignments, ${pairCounts.length} staff-client pairs`);
+
+      return { days, pairCounts, staffSpread, seed: weekSeed };
+    } finally {
+      this.rotationCounts = null;
+    }
+  }
+
+  /**
+   * Sessions a staff member has had with a student so far in the week being planned
+   * (always 0 outside week-planning mode)
+   */
+  getRotationCount(staffId, studentId) {
+    if (!this.rotationCounts) return 0;
+    return this.rotationCounts.get(`${staffId}__${studentId}`) || 0;
+  }
+
+  /**
+   * Copies of staff/students with one-off attendance cleared, for days other than the
+   * day the attendance was entered for, then that day's own attendance applied if it is known
+   * @param {Object} attendance - { staff: { id: flags }, students: { id: flags } } from loadAttendanceForRange
+   */
+  getPlanningRoster(staff, students, attendance = null) {
+    const clearedAttendance = {
+      absentAM: false,
+      absentPM: false,
+      absentFullDay: false
+    };
+
+    const staffAttendance = attendance?.staff || {};
+    const studentAttendance = attendance?.students || {};
+
+    return {
+      staff: staff.map(s => new Staff({
+        ...s,
+        ...clearedAttendance,
+        absentAMArrivalTime: '',
+        absentPMDepartureTime: '',
+        outOfSessionAM: false,
+        outOfSessionPM: false,
+        outOfSessionFullDay: false,
+        ...staffAttendance[s.id]
+      })),
+      students: students.map(s => new Student({ ...s, ...clearedAttendance, ...studentAttendance[s.id] }))
+    };
+  }
+
+  /**
+   * Coverage forecast: projected staff demand against available direct-service staff for
+   * the weekdays ahead, before anyone builds those schedules. Clients are filtered per day
+   * with isScheduledForDay and recurringAbsentAM/PM; one-off attendance comes from
+   * options.attendanceByDate (known future absences) - everyone else is assumed present.
+   * Demand counts staff, not clients: small groups share one staff per group, and a linked
+   * cluster needs its own staff count once.
+   * @param {Date} startDate - First day to forecast
+   * @param {Staff[]} staff - Array of staff members
+   * @param {Student[]} students - Array of students
+   * @param {Object} options - { weeks, attendanceByDate: { 'YYYY-MM-DD': { staff, students } } }
+   * @returns {Object[]} One entry per weekday - { date, dateKey, sessions, absences: { staff, students }, isShort }
+   *   where each session is { session, demand, supply, shortfall, programs: [{ program, clients, demand, supply, shortfall }] }
+   */
+  forecastCoverage(startDate, staff, students, options = {}) {
+    const { weeks = 2, attendanceByDate = {} } = options;
+    const days = [];
+    const date = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate());
+    const lastDate = new Date(date);
+    lastDate.setDate(lastDate.getDate() + weeks * 7 - 1);
+
+    for (; date <= lastDate; date.setDate(date.getDate() + 1)) {
+      if (date.getDay() === 0 || date.getDay() === 6) continue;
+      const dayDate = new Date(date);
+      const dateKey = this.formatDayKey(dayDate);
+      const attendance = attendanceByDate[dateKey] || { staff: {}, students: {} };
+
+      const { staff: dayStaff, students: dayStudents } = this.getPlanningRoster(staff, students, attendance);
+
+      const sessions = ['AM', 'PM'].map(session => {
+        const directStaff = dayStaff.filter(s => s.canDoDirectSessions() && s.isAvailableForSession(session));
+
+        const programs = Object.values(PROGRAMS).map(program => {
+          const present = dayStudents.filter(s => s.program === program && s.isAvailableForSession(session, dayDate));
+          const groupCounts = {};
+          const countedClusters = new Set();
+          let demand = 0;
+
+          present.forEach(student => {
+            const cluster = LinkedCluster.getClusterForStudent(student.id);
+            if (cluster) {
+              if (!countedClusters.has(cluster.id)) demand += cluster.getRequiredStaff(session);
+              countedClusters.add(cluster.id);
+            } else if (student.isSmallGroup(session)) {
+              const ratio = student.getSessionRatio(session);
+              groupCounts[ratio] = (groupCounts[ratio] || 0) + 1;
+            } else {
+              demand += this.getRequiredStaffCount(student, session);
+            }
+          });
+          Object.entries(groupCounts).forEach(([ratio, count]) => {
+            demand += Math.ceil(count / Group.getCapacityForRatio(ratio));
+          });
+
+          const supply = directStaff.filter(s => s.canWorkProgram(program)).length;
+          return { program, clients: present.length, demand, supply, shortfall: Math.max(0, demand - supply) };
+        });
+
+        // Staff who work both programs count once towards the session total
+        const demand = programs.reduce((sum, p) => sum + p.demand, 0);
+        const supply = directStaff.filter(s => Object.values(PROGRAMS).some(program => s.canWorkProgram(program))).length;
+        return { session, demand, supply, shortfall: Math.max(0, demand - supply), programs };
+      });
+
+      days.push({
+        date: dayDate,
+        dateKey,
+        sessions,
+        absences: {
+          staff: Object.values(attendance.staff).filter(flags => Object.values(flags).some(Boolean)).length,
+          students: Object.values(attendance.students).filter(flags => Object.values(flags).some(Boolean)).length
+        },
+        isShort: sessions.some(s => s.shortfall > 0 || s.programs.some(p => p.shortfall > 0))
+      });
     }
 
-    console.log(`\n🎯 ========== AUTO-ASSIGNMENT COMPLETE ==========`);
-    console.log(`📊 Total assignments: ${newAssignments.length}`);
-    console.log(`❌ Errors: ${errors.length}`);
+    return days;
+  }
+
+  /**
+   * Per-pair session counts for the week, most sessions first
+   */
+  buildPairCounts(staff, students, rotationCounts) {
+    return [...rotationCounts.entries()]
+      .map(([key, sessions]) => {
+        const [staffId, studentId] = key.split('__');
+        const staffMember = staff.find(s => String(s.id) === staffId);
+        const student = students.find(s => String(s.id) === studentId);
+        return {
+          staffId: staffMember ? staffMember.id : staffId,
+          staffName: staffMember?.name || `Staff #${staffId}`,
+          studentId: student ? student.id : studentId,
+          studentName: student?.name || `Client #${studentId}`,
+          sessions
+        };
+      })
+      .sort((a, b) => b.sessions - a.sessions || a.staffName.localeCompare(b.staffName));
+  }
+
+  /**
+   * How evenly each staff member's week is spread over their team clients
+   * spread = max - min sessions across the clients whose team they are on (0 is perfectly even)
+   */
+  buildStaffSpread(staff, students, rotationCounts) {
+    return staff
+      .filter(s => s.isActive && s.canAutoAssign())
+      .map(staffMember => {
+        const teamClients = students.filter(st => st.isActive && st.teamIds.includes(staffMember.id));
+        const counts = teamClients.map(st => rotationCounts.get(`${staffMember.id}__${st.id}`) || 0);
+        const total = counts.reduce((sum, c) => sum + c, 0);
+        return {
+          staffId: staffMember.id,
+          staffName: staffMember.name,
+          teamClients: teamClients.length,
+          totalSessions: total,
+          spread: counts.length > 0 ? Math.max(...counts) - Math.min(...counts) : 0
+        };
+      })
+      .filter(entry => entry.totalSessions > 0)
+      .sort((a, b) => b.spread - a.spread || a.staffName.localeCompare(b.staffName));
+  }
 
-    return { assignments: newAssignments, errors };
+  /**
+   * Local YYYY-MM-DD key for a date (avoids UTC shifts from toISOString)
+   */
+  formatDayKey(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
   }
 
   /**
@@ -1241,7 +2593,7 @@ export class AutoAssignmentEngine {
     const assignments = [];
     const staffCount = this.getRequiredStaffCount(student, session);
 
-    console.log(`\n🎯 Assigning ${student.name} for ${program} ${session} (needs ${staffCount} staff)`);
+    this.verboseLog(`\n🎯 Assigning ${student.name} for ${program} ${session} (needs ${staffCount} staff)`);
 
     if (student.isSmallGroup(session)) {
       return this.assignSmallGroupStudent(student, session, program, staff, schedule, students);
@@ -1264,15 +2616,8 @@ export class AutoAssignmentEngine {
 
       if (!isInTeam) return false;
 
-      // Block Teachers and Directors completely
-      const blockedRoles = ['Teacher', 'Director', 'TEACHER', 'DIRECTOR'];
-      if (blockedRoles.includes(staffMember.role)) {
-        this.verboseLog(`  🚫 BLOCKING ${staffMember.name}: ${staffMember.role} cannot do direct service`);
-        return false;
-      }
-
       if (!staffMember.canDoDirectSessions()) {
-        this.verboseLog(`  🚫 BLOCKING ${staffMember.name}: Cannot do direct sessions`);
+        this.verboseLog(`  🚫 BLOCKING ${staffMember.name}: ${staffMember.role} cannot do direct service`);
         return false;
       }
 
@@ -1280,7 +2625,11 @@ export class AutoAssignmentEngine {
       // They should only be assigned as trainees, not main staff
       if (this.isStaffInTrainingForStudent(staffMember, student)) {
         const trainingStatus = student.getStaffTrainingStatus(staffMember.id);
-        console.log(`  🚫 EXCLUDING ${staffMember.name}: In training for ${student.name} (status: ${trainingStatus}) - trainee only`);
+        this.verboseLog(`  🚫 EXCLUDING ${staffMember.name}: In training for ${student.name} (status: ${trainingStatus}) - trainee only`);
+        return false;
+      }
+
+      if (this.isConsecutiveDaysBlocked(staffMember, student)) {
         return false;
       }
 
@@ -1288,8 +2637,8 @@ export class AutoAssignmentEngine {
       // Check if this staff member has at least ONE solo/certified case with ANY student
       const hasAnySoloCase = this.staffHasAnySoloCase(staffMember, students);
       if (!hasAnySoloCase) {
-        console.log(`  🚫 BLOCKING ${staffMember.name}: NO SOLO CASES - training-only staff cannot be auto-assigned`);
-        console.log(`     Staff ${staffMember.name} team assignments:`, students
+        this.verboseLog(`  🚫 BLOCKING ${staffMember.name}: NO SOLO CASES - training-only staff cannot be auto-assigned`);
+        this.verboseLog(`     Staff ${staffMember.name} team assignments:`, students
           .filter(s => s.teamIds && s.teamIds.includes(staffMember.id))
           .map(s => `${s.name}:${s.getStaffTrainingStatus(staffMember.id)}`)
           .join(', '));
@@ -1298,24 +2647,23 @@ export class AutoAssignmentEngine {
       
       // Log for staff who PASSED all checks
       const trainingStatus = student.getStaffTrainingStatus(staffMember.id);
-      console.log(`  ✅ ${staffMember.name} ELIGIBLE for ${student.name} (status: ${trainingStatus})`);
+      this.verboseLog(`  ✅ ${staffMember.name} ELIGIBLE for ${student.name} (status: ${trainingStatus})`);
 
       return true;
     });
 
     this.verboseLog(`  📊 Team staff breakdown:`);
     this.verboseLog(`    Total available: ${availableStaff.length}`);
-    console.log(`  📊 Team members available for ${student.name} ${session}: ${teamStaff.length}`);
+    this.verboseLog(`  📊 Team members available for ${student.name} ${session}: ${teamStaff.length}`);
 
-    // STRICT ROLE FILTER: Only RBT and BS are eligible for auto-assign
-    const finalTeamStaff = teamStaff.filter(s => s.role === 'RBT' || s.role === 'BS');
+    // STRICT ROLE FILTER: Only auto-assign roles from the role policy (RBT and BS by default)
+    const finalTeamStaff = teamStaff.filter(s => s.canAutoAssign());
 
-    this.verboseLog(`    RBT: ${finalTeamStaff.filter(s => s.role === 'RBT').length}`);
-    this.verboseLog(`    BS (fallback): ${finalTeamStaff.filter(s => s.role === 'BS').length}`);
-    this.verboseLog(`    Excluded (non-RBT/BS): ${teamStaff.length - finalTeamStaff.length}`);
+    this.verboseLog(`    Auto-assign roles: ${finalTeamStaff.length}`);
+    this.verboseLog(`    Excluded by role policy: ${teamStaff.length - finalTeamStaff.length}`);
 
     if (finalTeamStaff.length < staffCount) {
-      console.log(`  ❌ INSUFFICIENT for ${student.name}: Need ${staffCount}, have ${finalTeamStaff.length} team members`);
+      this.verboseLog(`  ❌ INSUFFICIENT for ${student.name}: Need ${staffCount}, have ${finalTeamStaff.length} team members`);
       return [];
     }
 
@@ -1328,10 +2676,12 @@ export class AutoAssignmentEngine {
     });
 
     // CRITICAL: Before we start assigning, filter out any staff already with this student in the other session
+    // (only while the same-day rule is hard - a soft rule is weighed in the sort instead)
     const otherSession = session === 'AM' ? 'PM' : 'AM';
+    const sameDayIsHard = ConstraintRegistry.isHard(CONSTRAINT_IDS.SAME_DAY);
     const staffAlreadyWithStudentInOtherSession = new Set(
       schedule.assignments
-        .filter(a => a.studentId === student.id && a.session === otherSession)
+        .filter(a => sameDayIsHard && a.studentId === student.id && a.session === otherSession)
         .map(a => a.staffId)
     );
     
@@ -1340,7 +2690,7 @@ export class AutoAssignmentEngine {
         .filter(s => staffAlreadyWithStudentInOtherSession.has(s.id))
         .map(s => s.name)
         .join(', ');
-      console.log(`  🚫 PRE-FILTERING: ${blockedStaffNames} already with ${student.name} in ${otherSession}`);
+      this.verboseLog(`  🚫 PRE-FILTERING: ${blockedStaffNames} already with ${student.name} in ${otherSession}`);
     }
 
     // Assign exactly the number needed
@@ -1358,7 +2708,7 @@ export class AutoAssignmentEngine {
       
       // Skip if already filtered out
       if (staffAlreadyWithStudentInOtherSession.has(currentStaff.id)) {
-        console.log(`  🚫 SAME-DAY SKIP: ${currentStaff.name} already with ${student.name} in ${otherSession} (pre-filtered)`);
+        this.verboseLog(`  🚫 SAME-DAY SKIP: ${currentStaff.name} already with ${student.name} in ${otherSession} (pre-filtered)`);
         continue;
       }
       
@@ -1375,10 +2725,11 @@ export class AutoAssignmentEngine {
         a.session === otherSession
       );
       
-      const alreadyWithStudentInOtherSession = alreadyWithStudentInOtherSessionInSchedule || alreadyWithStudentInOtherSessionInCurrentRun;
+      const alreadyWithStudentInOtherSession = sameDayIsHard &&
+        (alreadyWithStudentInOtherSessionInSchedule || alreadyWithStudentInOtherSessionInCurrentRun);
       
       if (alreadyWithStudentInOtherSession) {
-        console.log(`  🚫 SAME-DAY SKIP: ${currentStaff.name} already with ${student.name} in ${otherSession}`);
+        this.verboseLog(`  🚫 SAME-DAY SKIP: ${currentStaff.name} already with ${student.name} in ${otherSession}`);
         continue; // Skip this staff, try the next one
       }
       
@@ -1411,18 +2762,20 @@ export class AutoAssignmentEngine {
     
     // Summary log after all assignments
     if (assignments.length === 0) {
-      console.log(`  ❌ NO STAFF assigned to ${student.name} ${session} (needed ${staffCount})`);
+      this.verboseLog(`  ❌ NO STAFF assigned to ${student.name} ${session} (needed ${staffCount})`);
     } else if (assignedCount < staffCount) {
-      console.log(`  ⚠️ PARTIAL ${student.name} ${session}: ${assignments.length}/${staffCount} - ${assignments.map(a => a.staffName).join(', ')}`);
+      this.verboseLog(`  ⚠️ PARTIAL ${student.name} ${session}: ${assignments.length}/${staffCount} - ${assignments.map(a => a.staffName).join(', ')}`);
     } else {
-      console.log(`  ✅ ${student.name} ${session}: ${assignments.map(a => a.staffName).join(', ')}`);
+      this.verboseLog(`  ✅ ${student.name} ${session}: ${assignments.map(a => a.staffName).join(', ')}`);
     }
 
     return assignments;
   }
 
   /**
-   * Handle small group (1:2) student assignment
+   * Handle small group (1:2 / 1:3) student assignment
+   * Joins an existing group the student is compatible with (see Group.getJoinIssues),
+   * otherwise starts a new group with a team member
    * @param {Student} student - Student needing assignment
    * @param {string} session - AM or PM
    * @param {string} program - Primary or Secondary
@@ -1432,47 +2785,47 @@ export class AutoAssignmentEngine {
    * @returns {Assignment[]} Array of assignments created
    */
   assignSmallGroupStudent(student, session, program, staff, schedule, students) {
-    // For 1:2 ratio, try to find a staff member who is already assigned
-    // to another 1:2 student in the same session, or assign a new staff member
-    
     // Defensive check: ensure schedule has the required method
-    if (typeof schedule.getAssignmentsForSession !== 'function') {
-      console.error('Schedule object missing getAssignmentsForSession method', schedule);
+    if (typeof schedule.getGroups !== 'function') {
+      console.error('Schedule object missing getGroups method', schedule);
       return [];
     }
-    
-    const sessionAssignments = schedule.getAssignmentsForSession(session, program);
-    
-    // Look for existing 1:2 groups that can accommodate this student
-    for (const assignment of sessionAssignments) {
-      const assignedStudent = this.findStudentById(assignment.studentId);
-      if (assignedStudent && assignedStudent.isSmallGroup(session)) {
-        // Check if this staff member can take another student
-        const staffAssignmentsInSession = sessionAssignments.filter(
-          a => a.staffId === assignment.staffId
-        );
-        
-        if (staffAssignmentsInSession.length === 1) { // Staff has room for one more
-          const staffMember = staff.find(s => s.id === assignment.staffId);
-          if (staffMember && this.canStaffWorkWithStudent(staffMember, student, schedule)) {
-            const newAssignment = new Assignment({
-              id: SchedulingUtils.generateAssignmentId(),
-              staffId: assignment.staffId,
-              staffName: staffMember.name,
-              studentId: student.id,
-              studentName: student.name,
-              session,
-              program,
-              date: schedule.date,
-              isLocked: false,
-              assignedBy: 'auto'
-            });
-            
-            this.log(`  Added ${student.name} to existing small group with ${staffMember.name}`);
-            return [newAssignment];
-          }
-        }
+
+    // Look for existing groups that can accommodate this student
+    const openGroups = schedule.getGroups(students).filter(group =>
+      group.session === session && group.program === program && !group.isFull()
+    );
+
+    for (const group of openGroups) {
+      const joinIssues = group.getJoinIssues(student, students);
+      if (joinIssues.length > 0) {
+        this.verboseLog(`  🚫 Cannot join ${group.name || `${group.staffName}'s group`}: ${joinIssues.join(', ')}`);
+        continue;
+      }
+
+      const staffMember = staff.find(s => s.id === group.staffId);
+      if (!staffMember || !student.teamIds.includes(staffMember.id) ||
+          this.isStaffInTrainingForStudent(staffMember, student) ||
+          this.isConsecutiveDaysBlocked(staffMember, student) ||
+          !this.canStaffWorkWithStudent(staffMember, student, schedule)) {
+        continue;
       }
+
+      const newAssignment = new Assignment({
+        id: SchedulingUtils.generateAssignmentId(),
+        staffId: staffMember.id,
+        staffName: staffMember.name,
+        studentId: student.id,
+        studentName: student.name,
+        session,
+        program,
+        date: schedule.date,
+        isLocked: false,
+        assignedBy: 'auto'
+      });
+
+      this.log(`  Added ${student.name} to existing small group with ${staffMember.name} (${group.studentIds.length + 1}/${group.getCapacity()})`);
+      return [newAssignment];
     }
 
     // No existing group found, assign new staff
@@ -1489,11 +2842,15 @@ export class AutoAssignmentEngine {
       if (this.isStaffInTrainingForStudent(staffMember, student)) {
         return false;
       }
+
+      if (this.isConsecutiveDaysBlocked(staffMember, student)) {
+        return false;
+      }
       
       // CRITICAL: EXCLUDE staff who have NO solo cases at all (training-only staff)
       const hasAnySoloCase = this.staffHasAnySoloCase(staffMember, students);
       if (!hasAnySoloCase) {
-        console.log(`  🚫 BLOCKING ${staffMember.name}: NO SOLO CASES - training-only staff cannot be auto-assigned`);
+        this.verboseLog(`  🚫 BLOCKING ${staffMember.name}: NO SOLO CASES - training-only staff cannot be auto-assigned`);
         return false;
       }
       
@@ -1532,9 +2889,10 @@ export class AutoAssignmentEngine {
    * Sort staff by preference for a specific student
    * @param {Student} student - Student to assign
    * @param {Staff[]} availableStaff - Staff available for assignment
+   * @param {Schedule} [schedule] - Current schedule, so day-based soft rules (same-day) are weighed too
    * @returns {Staff[]} Sorted staff array
    */
-  sortStaffForStudent(student, availableStaff) {
+  sortStaffForStudent(student, availableStaff, schedule = null) {
     return [...availableStaff].sort((a, b) => {
       // Team members first (staff assigned to this student's team)
       const aIsTeamMember = student.teamIds.includes(a.id);
@@ -1548,6 +2906,17 @@ export class AutoAssignmentEngine {
       if (aIsPreferred && !bIsPreferred) return -1;
       if (!aIsPreferred && bIsPreferred) return 1;
 
+      // Soft constraints - preferred pairs first, avoid-if-possible pairs and staff over
+      // the consecutive-days limit last (weights from the constraint registry)
+      const aCost = this.getSoftConstraintCost(a, student, schedule);
+      const bCost = this.getSoftConstraintCost(b, student, schedule);
+      if (aCost !== bCost) return aCost - bCost;
+
+      // Week planning: fewest sessions with this student so far this week goes first
+      const aPairCount = this.getRotationCount(a.id, student.id);
+      const bPairCount = this.getRotationCount(b.id, student.id);
+      if (aPairCount !== bPairCount) return aPairCount - bPairCount;
+
       // Then by hierarchy (lower level = higher priority)
       const aLevel = a.getRoleLevel();
       const bLevel = b.getRoleLevel();
@@ -1583,8 +2952,10 @@ export class AutoAssignmentEngine {
       roleLevel: staff.getRoleLevel(),
       isPreferred: staff.isPreferredDirectService(),
       caseload: schedule ? schedule.getStaffAssignments(staff.id).length : 0,
+      pairCount: this.getRotationCount(staff.id, student.id),
+      softCost: this.getSoftConstraintCost(staff, student, schedule),
       // Much stronger random factor for significant variation between runs
-      randomFactor: Math.random() * randomizationFactor
+      randomFactor: this.random() * randomizationFactor
     }));
 
     return staffWithPriority.sort((a, b) => {
@@ -1592,6 +2963,13 @@ export class AutoAssignmentEngine {
       if (a.isPreferred && !b.isPreferred) return -1;
       if (!a.isPreferred && b.isPreferred) return 1;
 
+      // Soft constraints - preferred pairs first, avoid-if-possible pairs and staff over
+      // the consecutive-days limit last (weights from the constraint registry)
+      if (a.softCost !== b.softCost) return a.softCost - b.softCost;
+
+      // Week planning: fewest sessions with this student so far this week goes first
+      if (a.pairCount !== b.pairCount) return a.pairCount - b.pairCount;
+
       // Balance caseload but with flexibility
       // Only strongly prefer lower caseload if the difference is significant (2+ assignments)
       if (schedule && Math.abs(a.caseload - b.caseload) >= 2) {
@@ -1621,9 +2999,9 @@ export class AutoAssignmentEngine {
       : [];
     
     return [...students].sort((a, b) => {
-      // 0. HIGHEST PRIORITY: Paired students (1:2 ratio) - they must be assigned together
-      const aIsPaired = a.isPaired && a.isPaired();
-      const bIsPaired = b.isPaired && b.isPaired();
+      // 0. HIGHEST PRIORITY: Paired students (1:2 ratio) and linked clusters - they must be assigned together
+      const aIsPaired = this.isLinkedStudent(a);
+      const bIsPaired = this.isLinkedStudent(b);
       if (aIsPaired && !bIsPaired) return -1;
       if (!aIsPaired && bIsPaired) return 1;
       
@@ -1665,12 +3043,17 @@ export class AutoAssignmentEngine {
    * @returns {number} Number of staff needed
    */
   getRequiredStaffCount(student, session = 'AM') {
+    // Linked cluster members need the cluster's staff count, whatever their own ratio
+    const cluster = LinkedCluster.getClusterForStudent(student.id);
+    if (cluster) return cluster.getRequiredStaff(session);
+
     const ratio = session === 'AM' ? student.ratioAM : student.ratioPM;
     switch (ratio) {
       case RATIOS.TWO_TO_ONE:
         return 2;
       case RATIOS.ONE_TO_ONE:
       case RATIOS.ONE_TO_TWO:
+      case RATIOS.ONE_TO_THREE:
       default:
         return 1;
     }
@@ -1723,6 +3106,13 @@ export class AutoAssignmentEngine {
     return studentAssignments.length > 0;
   }
 
+  /**
+   * Paired or in a linked cluster - assigned together with other clients, so swaps must not break it up
+   */
+  isLinkedStudent(student) {
+    return Boolean((student.isPaired && student.isPaired()) || LinkedCluster.getClusterForStudent(student.id));
+  }
+
   /**
    * Check if staff can work with a specific student
    * @param {Staff} staff - Staff member
@@ -1732,7 +3122,7 @@ export class AutoAssignmentEngine {
    */
   canStaffWorkWithStudent(staff, student, schedule) {
     // Check if staff has already worked with this student today
-    if (schedule.hasStaffWorkedWithStudentToday(staff.id, student.id)) {
+    if (SchedulingRules.isSameDayBlocked(schedule, staff.id, student.id)) {
       return false;
     }
 
@@ -1784,7 +3174,7 @@ export class AutoAssignmentEngine {
    */
   log(message) {
     if (this.debugMode) {
-      console.log(`[AutoAssignment] ${message}`);
+      this.verboseLog(`[AutoAssignment] ${message}`);
     }
   }
 
@@ -1904,30 +3294,22 @@ export class AutoAssignmentEngine {
       }
       
       // CRITICAL: Check if staff is already assigned to student1 in the OTHER session
-      // We don't want the same staff working with the same student all day
+      // We don't want the same staff working with the same student all day (same-day rule)
       const otherSession = session === 'AM' ? 'PM' : 'AM';
-      const alreadyWithStudent1InOtherSession = schedule.assignments.some(a =>
-        a.staffId === staffMember.id &&
-        a.studentId === student1.id &&
-        a.session === otherSession
-      );
-      
-      if (alreadyWithStudent1InOtherSession) {
+      if (SchedulingRules.isSameDayBlocked(schedule, staffMember.id, student1.id)) {
         this.log(`  🚫 SAME-DAY SKIP: ${staffMember.name} already with ${student1.name} in ${otherSession}`);
         return false;
       }
       
       // CRITICAL: Check if staff is already assigned to student2 in the OTHER session
-      const alreadyWithStudent2InOtherSession = schedule.assignments.some(a =>
-        a.staffId === staffMember.id &&
-        a.studentId === student2.id &&
-        a.session === otherSession
-      );
-      
-      if (alreadyWithStudent2InOtherSession) {
+      if (SchedulingRules.isSameDayBlocked(schedule, staffMember.id, student2.id)) {
         this.log(`  🚫 SAME-DAY SKIP: ${staffMember.name} already with ${student2.name} in ${otherSession}`);
         return false;
       }
+
+      if (this.isConsecutiveDaysBlocked(staffMember, student1) || this.isConsecutiveDaysBlocked(staffMember, student2)) {
+        return false;
+      }
       
       return true;
     });
@@ -1940,7 +3322,7 @@ export class AutoAssignmentEngine {
     }
 
     // Sort staff by hierarchy and preferences
-    const sortedStaff = this.sortStaffForStudent(student1, availableStaff);
+    const sortedStaff = this.sortStaffForStudent(student1, availableStaff, schedule);
 
     // For paired students, they should share the same staff
     // This is different from the regular assignment where each student gets their own staff
@@ -2084,6 +3466,75 @@ export class AutoAssignmentEngine {
     }
   }
 
+  /**
+   * Assign a linked cluster: the cluster's staff count, each of them with every member present
+   * Staff must be on every member's team and free to work with each of them today.
+   * @param {LinkedCluster} cluster - Cluster being covered
+   * @param {Student[]} members - Members who need cover this session
+   * @param {string} session - AM or PM
+   * @param {string} program - Primary or Secondary
+   * @param {Staff[]} staff - Available staff
+   * @param {Schedule} schedule - Current schedule
+   * @param {Student[]} students - All students (for training-only check)
+   * @returns {Assignment[]} Assignments created (empty if the cluster could not be fully staffed)
+   */
+  async assignLinkedCluster(cluster, members, session, program, staff, schedule, students) {
+    const required = cluster.getRequiredStaff(session);
+    this.log(`\n🔗 Assigning linked cluster ${cluster.getLabel()}: ${members.map(m => m.name).join(', ')} (${program} ${session}, ${required} staff)`);
+
+    if (members.length === 0) return [];
+
+    const [leadMember, ...otherMembers] = members;
+    const availableStaff = SchedulingUtils.getAvailableStaffForStudent(
+      leadMember, session, program, staff, schedule, students
+    ).filter(staffMember => members.every(member => {
+      if (!member.teamIds.includes(staffMember.id)) {
+        this.log(`  ❌ ${staffMember.name} is not on ${member.name}'s team`);
+        return false;
+      }
+      if (!this.canStaffWorkWithStudent(staffMember, member, schedule)) {
+        this.log(`  ❌ ${staffMember.name} already worked with ${member.name} today`);
+        return false;
+      }
+      return !this.isConsecutiveDaysBlocked(staffMember, member);
+    }));
+
+    if (availableStaff.length < required) {
+      this.log(`  ❌ INSUFFICIENT STAFF: Need ${required}, have ${availableStaff.length} on every member's team`);
+      return [];
+    }
+
+    const clusterStaff = this.sortStaffForStudent(leadMember, availableStaff, schedule).slice(0, required);
+    const assignments = [];
+    for (const staffMember of clusterStaff) {
+      for (const member of [leadMember, ...otherMembers]) {
+        const assignment = new Assignment({
+          id: SchedulingUtils.generateAssignmentId(),
+          staffId: staffMember.id,
+          staffName: staffMember.name,
+          studentId: member.id,
+          studentName: member.name,
+          session,
+          program,
+          date: schedule.date,
+          isLocked: false,
+          assignedBy: 'auto-paired'
+        });
+
+        // Validated against the schedule before the cluster, since members share staff
+        const validationErrors = SchedulingRules.validateAssignment(assignment, schedule, staff, students);
+        if (validationErrors.length > 0) {
+          this.log(`  Cannot assign ${staffMember.name} to ${member.name}: ${validationErrors.join(', ')}`);
+          return [];
+        }
+        assignments.push(assignment);
+      }
+    }
+
+    this.log(`  Assigned ${clusterStaff.map(s => s.name).join(' + ')} to ${cluster.getLabel()}`);
+    return assignments;
+  }
+
   /**
    * Perform intelligent staff reallocation to help unassigned students
    * @param {Schedule} schedule - Current schedule
@@ -2120,7 +3571,7 @@ export class AutoAssignmentEngine {
     );
 
     if (replacementErrors.length > 0) {
-      console.log(`      ❌ Replacement validation failed: ${replacementErrors.join(', ')}`);
+      this.verboseLog(`      ❌ Replacement validation failed: ${replacementErrors.join(', ')}`);
       return false;
     }
 
@@ -2143,7 +3594,7 @@ export class AutoAssignmentEngine {
     );
 
     if (newAssignmentErrors.length > 0) {
-      console.log(`      ❌ New assignment validation failed: ${newAssignmentErrors.join(', ')}`);
+      this.verboseLog(`      ❌ New assignment validation failed: ${newAssignmentErrors.join(', ')}`);
       return false;
     }
 
@@ -2201,7 +3652,7 @@ export class AutoAssignmentEngine {
         newAssignments: [replacementAssignment, newAssignment]
       };
     } catch (error) {
-      console.log(`      ❌ Swap execution failed: ${error.message}`);
+      this.verboseLog(`      ❌ Swap execution failed: ${error.message}`);
       return { success: false };
     }
   }
@@ -2387,6 +3838,7 @@ export class AutoAssignmentEngine {
    * Helper to check if staff has already worked with student today (including pending swap assignments)
    */
   hasStaffWorkedWithStudentIncludingPending(schedule, staffId, studentId) {
+    if (!ConstraintRegistry.isHard(CONSTRAINT_IDS.SAME_DAY)) return false;
     // Check existing schedule
     if (schedule.hasStaffWorkedWithStudentToday(staffId, studentId)) return true;
     // Check pending swap assignments from current optimization pass
@@ -2412,11 +3864,11 @@ export class AutoAssignmentEngine {
   async tryCascadingReassignment(gapStudent, session, program, staff, students, schedule, depth = 0, committedStaff = new Set()) {
     const MAX_DEPTH = 6;
     if (depth >= MAX_DEPTH) {
-      console.log(`      ⚠️ Max cascade depth reached for ${gapStudent.name}`);
+      this.verboseLog(`      ⚠️ Max cascade depth reached for ${gapStudent.name}`);
       return { success: false, assignments: [], removals: [] };
     }
 
-    console.log(`${'  '.repeat(depth)}🔗 CASCADE LEVEL ${depth + 1}: Finding assignment for ${gapStudent.name}`);
+    this.verboseLog(`${'  '.repeat(depth)}🔗 CASCADE LEVEL ${depth + 1}: Finding assignment for ${gapStudent.name}`);
 
     // Find team members of gap student, excluding staff already committed in this chain
     const gapTeamMembers = staff.filter(s =>
@@ -2426,10 +3878,11 @@ export class AutoAssignmentEngine {
       s.canWorkProgram(program) &&
       this.canStaffDoDirectService(s) &&
       !this.isStaffInTrainingForStudent(s, gapStudent) &&
+      !this.isConsecutiveDaysBlocked(s, gapStudent) &&
       !this.hasStaffWorkedWithStudentIncludingPending(schedule, s.id, gapStudent.id)
     );
 
-    console.log(`${'  '.repeat(depth)}   Team members available: ${gapTeamMembers.length}`);
+    this.verboseLog(`${'  '.repeat(depth)}   Team members available: ${gapTeamMembers.length}`);
 
     // Try each team member
     for (const teamStaff of gapTeamMembers) {
@@ -2443,7 +3896,7 @@ export class AutoAssignmentEngine {
 
       if (!currentAssignment) {
         // Staff is free - direct assignment!
-        console.log(`${'  '.repeat(depth)}   ✅ DIRECT: ${teamStaff.name} is free → ${gapStudent.name}`);
+        this.verboseLog(`${'  '.repeat(depth)}   ✅ DIRECT: ${teamStaff.name} is free → ${gapStudent.name}`);
 
         const newAssignment = new Assignment({
           id: SchedulingUtils.generateAssignmentId(),
@@ -2469,13 +3922,13 @@ export class AutoAssignmentEngine {
       const currentStudent = students.find(s => s.id === currentAssignment.studentId);
       if (!currentStudent) continue;
 
-      // Don't break paired students
-      if (currentStudent.isPaired && currentStudent.isPaired()) {
-        console.log(`${'  '.repeat(depth)}   ⚠️ Skip ${currentStudent.name} - paired student`);
+      // Don't break paired students or linked clusters
+      if (this.isLinkedStudent(currentStudent)) {
+        this.verboseLog(`${'  '.repeat(depth)}   ⚠️ Skip ${currentStudent.name} - paired/linked student`);
         continue;
       }
 
-      console.log(`${'  '.repeat(depth)}   🔄 ${teamStaff.name} currently with ${currentStudent.name}, need replacement...`);
+      this.verboseLog(`${'  '.repeat(depth)}   🔄 ${teamStaff.name} currently with ${currentStudent.name}, need replacement...`);
 
       // Commit this staff to gapStudent and recurse to fill currentStudent's slot
       const nextCommitted = new Set([...committedStaff, teamStaff.id]);
@@ -2484,7 +3937,7 @@ export class AutoAssignmentEngine {
       );
 
       if (cascadeResult.success) {
-        console.log(`${'  '.repeat(depth)}   ✅ CASCADE SUCCESS: ${teamStaff.name} → ${gapStudent.name}`);
+        this.verboseLog(`${'  '.repeat(depth)}   ✅ CASCADE SUCCESS: ${teamStaff.name} → ${gapStudent.name}`);
 
         // Create the assignment for gap student
         const newAssignment = new Assignment({
@@ -2508,7 +3961,7 @@ export class AutoAssignmentEngine {
       }
     }
 
-    console.log(`${'  '.repeat(depth)}   ❌ No cascade solution found for ${gapStudent.name}`);
+    this.verboseLog(`${'  '.repeat(depth)}   ❌ No cascade solution found for ${gapStudent.name}`);
     return { success: false, assignments: [], removals: [] };
   }
 
@@ -2528,8 +3981,13 @@ export class AutoAssignmentEngine {
    * - Dave is currently assigned to Student X
    * - Can Carol work with Student X? Check if X.teamIds.includes(Carol.id)
    * - If yes: Swap Carol → X, Dave → Lydia
+   *
+   * Pass options.seed (returned as result.seed) to reproduce an earlier run exactly
    */
-  async performSwapOptimization(schedule, staff, students, selectedDate = new Date()) {
+  async performSwapOptimization(schedule, staff, students, selectedDate = new Date(), options = {}) {
+    const seed = this.setSeed(options.seed);
+    this.verboseLog(`🎲 Smart Swap seed: ${seed}`);
+
     const swaps = [];
     const newAssignments = [];
     let totalSwapsMade = 0;
@@ -2550,15 +4008,16 @@ export class AutoAssignmentEngine {
     let swapsMade = 0;
     let gapsFilled = 0;
 
-    console.log(`\n🔄 SMART SWAP: Starting optimization pass...`);
+    this.verboseLog(`\n🔄 SMART SWAP: Starting optimization pass...`);
 
       for (const program of programs) {
         for (const session of sessions) {
-          console.log(`\n🔍 SMART SWAP: Checking ${program} ${session} for swap opportunities...`);
+          this.verboseLog(`\n🔍 SMART SWAP: Checking ${program} ${session} for swap opportunities...`);
+          this.reportProgress(`Smart Swap: ${program} ${session}`);
 
         const programStudents = activeStudents.filter(s => 
           s.program === program && 
-          s.isAvailableForSession(session)
+          s.isAvailableForSession(session, selectedDate)
         );
 
         for (const gapStudent of programStudents) {
@@ -2567,13 +4026,13 @@ export class AutoAssignmentEngine {
             continue; // Student already assigned
           }
 
-          console.log(`\n🔀 GAP DETECTED: ${gapStudent.name} (${program} ${session})`);
-          console.log(`   Team: ${gapStudent.teamIds.length} members`);
+          this.verboseLog(`\n🔀 GAP DETECTED: ${gapStudent.name} (${program} ${session})`);
+          this.verboseLog(`   Team: ${gapStudent.teamIds.length} members`);
 
           // CRITICAL CHECK: If gap student is paired, skip individual gap filling
           // Paired students must be assigned together with the same staff
-          if (gapStudent.isPaired && gapStudent.isPaired()) {
-            console.log(`   ⚠️ Skipping ${gapStudent.name} - paired student (must be assigned with partner)`);
+          if (this.isLinkedStudent(gapStudent)) {
+            this.verboseLog(`   ⚠️ Skipping ${gapStudent.name} - paired/linked student (must be assigned with partner)`);
             continue;
           }
 
@@ -2608,7 +4067,7 @@ export class AutoAssignmentEngine {
             );
             
             if (isAssignedAsTrainee) {
-              console.log(`   🎓 Excluding ${staffMember.name} - assigned as trainee in ${session}`);
+              this.verboseLog(`   🎓 Excluding ${staffMember.name} - assigned as trainee in ${session}`);
               return false;
             }
             
@@ -2619,7 +4078,7 @@ export class AutoAssignmentEngine {
           let gapFilled = false;
           
           if (unassignedStaff.length > 0) {
-            console.log(`   ✓ Found ${unassignedStaff.length} unassigned staff:`, unassignedStaff.map(s => s.name).join(', '));
+            this.verboseLog(`   ✓ Found ${unassignedStaff.length} unassigned staff:`, unassignedStaff.map(s => s.name).join(', '));
             
             for (const unassignedStaffMember of unassignedStaff) {
               // Check if this unassigned staff is on the gap student's team
@@ -2628,12 +4087,16 @@ export class AutoAssignmentEngine {
               if (isOnGapTeam) {
                 // CRITICAL CHECK: Don't use staff who are in training for gap student
                 if (this.isStaffInTrainingForStudent(unassignedStaffMember, gapStudent)) {
-                  console.log(`   🚫 EXCLUDING ${unassignedStaffMember.name} - in training for ${gapStudent.name} (trainee only)`);
+                  this.verboseLog(`   🚫 EXCLUDING ${unassignedStaffMember.name} - in training for ${gapStudent.name} (trainee only)`);
+                  continue;
+                }
+
+                if (this.isConsecutiveDaysBlocked(unassignedStaffMember, gapStudent)) {
                   continue;
                 }
                 
                 // DIRECT ASSIGNMENT - no swap needed!
-                console.log(`\n   ✅ DIRECT ASSIGNMENT: ${unassignedStaffMember.name} → ${gapStudent.name} (on team, available)`);
+                this.verboseLog(`\n   ✅ DIRECT ASSIGNMENT: ${unassignedStaffMember.name} → ${gapStudent.name} (on team, available)`);
                 
                 const newAssignment = new Assignment({
                   id: SchedulingUtils.generateAssignmentId(),
@@ -2663,7 +4126,7 @@ export class AutoAssignmentEngine {
               continue; // Move to next gap student
             }
           } else {
-            console.log(`   ℹ️ No unassigned staff - will try swap opportunities`);
+            this.verboseLog(`   ℹ️ No unassigned staff - will try swap opportunities`);
           }
 
           // STEP 3: If direct assignment not possible, look for swap opportunities
@@ -2671,17 +4134,21 @@ export class AutoAssignmentEngine {
           
           // ENHANCED LOGGING: Show gap student's team for debugging
           const gapStudentTeam = activeStaff.filter(s => gapStudent.teamIds.includes(s.id));
-          console.log(`\n   📋 ${gapStudent.name}'s team (${gapStudentTeam.length}):`, gapStudentTeam.map(s => s.name).join(', '));
+          this.verboseLog(`\n   📋 ${gapStudent.name}'s team (${gapStudentTeam.length}):`, gapStudentTeam.map(s => s.name).join(', '));
           
           // TRY 3A: Look for swaps using unassigned staff
           for (const unassignedStaffMember of unassignedStaff) {
-            console.log(`\n   🔍 Checking if ${unassignedStaffMember.name} can enable a swap for ${gapStudent.name}...`);
-            console.log(`      ${unassignedStaffMember.name} is ${gapStudent.teamIds.includes(unassignedStaffMember.id) ? 'ON' : 'NOT on'} ${gapStudent.name}'s team`);
+            this.verboseLog(`\n   🔍 Checking if ${unassignedStaffMember.name} can enable a swap for ${gapStudent.name}...`);
+            this.verboseLog(`      ${unassignedStaffMember.name} is ${gapStudent.teamIds.includes(unassignedStaffMember.id) ? 'ON' : 'NOT on'} ${gapStudent.name}'s team`);
 
             // CRITICAL CHECK: Don't use staff who are in training for gap student
             // They should only be assigned as trainees, not primary staff
             if (this.isStaffInTrainingForStudent(unassignedStaffMember, gapStudent)) {
-              console.log(`   🚫 EXCLUDING ${unassignedStaffMember.name} - in training for ${gapStudent.name} (trainee only)`);
+              this.verboseLog(`   🚫 EXCLUDING ${unassignedStaffMember.name} - in training for ${gapStudent.name} (trainee only)`);
+              continue;
+            }
+
+            if (this.isConsecutiveDaysBlocked(unassignedStaffMember, gapStudent)) {
               continue;
             }
 
@@ -2706,7 +4173,11 @@ export class AutoAssignmentEngine {
               // CRITICAL CHECK: Don't swap staff who are in training for gap student
               // They should only be assigned as trainees, not primary staff
               if (this.isStaffInTrainingForStudent(currentStaff, gapStudent)) {
-                console.log(`      🚫 EXCLUDING ${currentStaff.name} - in training for ${gapStudent.name} (trainee only)`);
+                this.verboseLog(`      🚫 EXCLUDING ${currentStaff.name} - in training for ${gapStudent.name} (trainee only)`);
+                continue;
+              }
+
+              if (this.isConsecutiveDaysBlocked(currentStaff, gapStudent)) {
                 continue;
               }
 
@@ -2717,43 +4188,43 @@ export class AutoAssignmentEngine {
               const canUnassignedWorkWithOther = otherStudent.teamIds.includes(unassignedStaffMember.id);
 
               // ENHANCED LOGGING: Show why this swap is being considered or rejected
-              console.log(`      📊 Evaluating swap: ${unassignedStaffMember.name} → ${otherStudent.name}, ${currentStaff.name} → ${gapStudent.name}`);
-              console.log(`         • ${currentStaff.name} on ${gapStudent.name}'s team? ${isCurrentStaffOnGapTeam ? '✓' : '✗'}`);
-              console.log(`         • ${unassignedStaffMember.name} on ${otherStudent.name}'s team? ${canUnassignedWorkWithOther ? '✓' : '✗'}`);
+              this.verboseLog(`      📊 Evaluating swap: ${unassignedStaffMember.name} → ${otherStudent.name}, ${currentStaff.name} → ${gapStudent.name}`);
+              this.verboseLog(`         • ${currentStaff.name} on ${gapStudent.name}'s team? ${isCurrentStaffOnGapTeam ? '✓' : '✗'}`);
+              this.verboseLog(`         • ${unassignedStaffMember.name} on ${otherStudent.name}'s team? ${canUnassignedWorkWithOther ? '✓' : '✗'}`);
 
               // CRITICAL CHECK: Don't break paired students (1:2 ratio)
-              const isPairedStudent = otherStudent.isPaired && otherStudent.isPaired();
+              const isPairedStudent = this.isLinkedStudent(otherStudent);
               if (isPairedStudent) {
-                console.log(`      ⚠️ Skipping ${otherStudent.name} - paired student (1:2 ratio), can't swap`);
+                this.verboseLog(`      ⚠️ Skipping ${otherStudent.name} - paired student (1:2 ratio), can't swap`);
                 continue;
               }
 
               // CRITICAL CHECK: Has staff already worked with this student today?
               const hasWorkedTogether = this.hasStaffWorkedWithStudentIncludingPending(schedule, unassignedStaffMember.id, otherStudent.id);
               if (hasWorkedTogether) {
-                console.log(`      ⚠️ Skipping - ${unassignedStaffMember.name} already worked with ${otherStudent.name} today`);
+                this.verboseLog(`      ⚠️ Skipping - ${unassignedStaffMember.name} already worked with ${otherStudent.name} today`);
                 continue;
               }
 
               // CRITICAL CHECK: Has freed staff already worked with gap student today?
               const freedStaffWorkedWithGap = this.hasStaffWorkedWithStudentIncludingPending(schedule, currentStaff.id, gapStudent.id);
               if (freedStaffWorkedWithGap) {
-                console.log(`      ⚠️ Skipping - ${currentStaff.name} already worked with ${gapStudent.name} today`);
+                this.verboseLog(`      ⚠️ Skipping - ${currentStaff.name} already worked with ${gapStudent.name} today`);
                 continue;
               }
 
               if (isCurrentStaffOnGapTeam && canUnassignedWorkWithOther) {
                 // FINAL SAFETY CHECK: Ensure assignment is not locked before swapping
                 if (currentAssignment.isLocked || schedule.isAssignmentLocked(currentAssignment.id)) {
-                  console.log(`      🔒 BLOCKED - Assignment is locked, cannot swap ${currentStaff.name} from ${otherStudent.name}`);
+                  this.verboseLog(`      🔒 BLOCKED - Assignment is locked, cannot swap ${currentStaff.name} from ${otherStudent.name}`);
                   continue;
                 }
 
                 // SWAP OPPORTUNITY FOUND!
-                console.log(`\n   ✅ SWAP OPPORTUNITY:`);
-                console.log(`      • ${unassignedStaffMember.name} can work with ${otherStudent.name}`);
-                console.log(`      • ${currentStaff.name} (currently with ${otherStudent.name}) can work with ${gapStudent.name}`);
-                console.log(`      SWAP: ${unassignedStaffMember.name} → ${otherStudent.name}, ${currentStaff.name} → ${gapStudent.name}`);
+                this.verboseLog(`\n   ✅ SWAP OPPORTUNITY:`);
+                this.verboseLog(`      • ${unassignedStaffMember.name} can work with ${otherStudent.name}`);
+                this.verboseLog(`      • ${currentStaff.name} (currently with ${otherStudent.name}) can work with ${gapStudent.name}`);
+                this.verboseLog(`      SWAP: ${unassignedStaffMember.name} → ${otherStudent.name}, ${currentStaff.name} → ${gapStudent.name}`);
 
                 // Execute the swap
                 // Don't mutate schedule here - let handleSmartSwap handle it
@@ -2810,12 +4281,13 @@ export class AutoAssignmentEngine {
           // TRY 3B: If no unassigned staff can help, try DIRECT STAFF SWAPS
           // Look for staff currently assigned who could swap positions
           if (!swapFound) {
-            console.log(`\n   🔍 Trying direct staff-to-staff swaps for ${gapStudent.name}...`);
+            this.verboseLog(`\n   🔍 Trying direct staff-to-staff swaps for ${gapStudent.name}...`);
             
             // Find all staff on gap student's team
             const gapTeamMembers = activeStaff.filter(s => 
               gapStudent.teamIds.includes(s.id) &&
-              !this.isStaffInTrainingForStudent(s, gapStudent)
+              !this.isStaffInTrainingForStudent(s, gapStudent) &&
+              !this.isConsecutiveDaysBlocked(s, gapStudent)
             );
             
             for (const gapTeamStaff of gapTeamMembers) {
@@ -2832,18 +4304,19 @@ export class AutoAssignmentEngine {
               const currentStudent = programStudents.find(s => s.id === gapTeamStaffAssignment.studentId);
               if (!currentStudent) continue;
               
-              // Don't break paired students
-              if (currentStudent.isPaired && currentStudent.isPaired()) continue;
+              // Don't break paired students or linked clusters
+              if (this.isLinkedStudent(currentStudent)) continue;
               
               // Check if this staff already worked with gap student today
-              if (schedule.hasStaffWorkedWithStudentToday(gapTeamStaff.id, gapStudent.id)) continue;
+              if (SchedulingRules.isSameDayBlocked(schedule, gapTeamStaff.id, gapStudent.id)) continue;
               
-              console.log(`   🔍 ${gapTeamStaff.name} is on gap team, currently with ${currentStudent.name}`);
+              this.verboseLog(`   🔍 ${gapTeamStaff.name} is on gap team, currently with ${currentStudent.name}`);
               
               // Find someone on current student's team who could take their place
               const replacementCandidates = activeStaff.filter(s =>
                 currentStudent.teamIds.includes(s.id) &&
                 !this.isStaffInTrainingForStudent(s, currentStudent) &&
+                !this.isConsecutiveDaysBlocked(s, currentStudent) &&
                 s.id !== gapTeamStaff.id &&
                 s.isAvailableForSession(session) &&
                 this.canStaffDoDirectService(s) &&
@@ -2855,9 +4328,9 @@ export class AutoAssignmentEngine {
               if (replacementCandidates.length > 0) {
                 const replacement = replacementCandidates[0];
                 
-                console.log(`   ✅ DIRECT SWAP FOUND:`);
-                console.log(`      • ${replacement.name} can replace ${gapTeamStaff.name} at ${currentStudent.name}`);
-                console.log(`      • ${gapTeamStaff.name} can move to ${gapStudent.name}`);
+                this.verboseLog(`   ✅ DIRECT SWAP FOUND:`);
+                this.verboseLog(`      • ${replacement.name} can replace ${gapTeamStaff.name} at ${currentStudent.name}`);
+                this.verboseLog(`      • ${gapTeamStaff.name} can move to ${gapStudent.name}`);
                 
                 // Execute swap
                 // Don't mutate schedule here - let handleSmartSwap handle it
@@ -2908,19 +4381,19 @@ export class AutoAssignmentEngine {
           }
 
           if (!swapFound) {
-            console.log(`   ❌ No simple swap found to fill ${gapStudent.name}'s gap`);
+            this.verboseLog(`   ❌ No simple swap found to fill ${gapStudent.name}'s gap`);
             
             // TRY 3C: AGGRESSIVE CASCADING REASSIGNMENT
-            console.log(`\n   🔗 Attempting CASCADING REASSIGNMENT for ${gapStudent.name}...`);
+            this.verboseLog(`\n   🔗 Attempting CASCADING REASSIGNMENT for ${gapStudent.name}...`);
             
             const cascadeResult = await this.tryCascadingReassignment(
               gapStudent, session, program, activeStaff, activeStudents, schedule, 0
             );
             
             if (cascadeResult.success) {
-              console.log(`\n   ✅ CASCADE SUCCESS for ${gapStudent.name}!`);
-              console.log(`      Removing ${cascadeResult.removals.length} old assignments`);
-              console.log(`      Adding ${cascadeResult.assignments.length} new assignments`);
+              this.verboseLog(`\n   ✅ CASCADE SUCCESS for ${gapStudent.name}!`);
+              this.verboseLog(`      Removing ${cascadeResult.removals.length} old assignments`);
+              this.verboseLog(`      Adding ${cascadeResult.assignments.length} new assignments`);
               
               // Remove old assignments
               for (const removal of cascadeResult.removals) {
@@ -2944,13 +4417,13 @@ export class AutoAssignmentEngine {
               gapsFilled++;
               swapFound = true;
             } else {
-              console.log(`   ❌ CASCADE FAILED for ${gapStudent.name}`);
-              console.log(`   📋 DIAGNOSTIC INFO:`);
-              console.log(`      • Gap student's team: ${gapStudentTeam.map(s => s.name).join(', ')}`);
-              console.log(`      • Available unassigned staff: ${unassignedStaff.map(s => s.name).join(', ')}`);
+              this.verboseLog(`   ❌ CASCADE FAILED for ${gapStudent.name}`);
+              this.verboseLog(`   📋 DIAGNOSTIC INFO:`);
+              this.verboseLog(`      • Gap student's team: ${gapStudentTeam.map(s => s.name).join(', ')}`);
+              this.verboseLog(`      • Available unassigned staff: ${unassignedStaff.map(s => s.name).join(', ')}`);
               
               // TRY DEEPER ANALYSIS: Show WHERE each team member is currently assigned
-              console.log(`\n   🔎 DEEP ANALYSIS: Where are ${gapStudent.name}'s team members?`);
+              this.verboseLog(`\n   🔎 DEEP ANALYSIS: Where are ${gapStudent.name}'s team members?`);
               for (const teamMember of gapStudentTeam) {
                 const assignment = schedule.assignments.find(a => 
                   a.staffId === teamMember.id && 
@@ -2960,24 +4433,25 @@ export class AutoAssignmentEngine {
                 
                 if (assignment) {
                   const assignedStudent = programStudents.find(s => s.id === assignment.studentId);
-                  console.log(`      • ${teamMember.name} → ${assignedStudent ? assignedStudent.name : 'Unknown'} (${assignment.isLocked ? 'LOCKED' : 'unlocked'})`);
+                  this.verboseLog(`      • ${teamMember.name} → ${assignedStudent ? assignedStudent.name : 'Unknown'} (${assignment.isLocked ? 'LOCKED' : 'unlocked'})`);
                   
                   if (assignedStudent && !assignment.isLocked) {
                     // Check who could replace this team member
                     const potentialReplacements = unassignedStaff.filter(us => 
                       assignedStudent.teamIds.includes(us.id) &&
                       !this.isStaffInTrainingForStudent(us, assignedStudent) &&
-                      !schedule.hasStaffWorkedWithStudentToday(us.id, assignedStudent.id)
+                      !this.isConsecutiveDaysBlocked(us, assignedStudent) &&
+                      !SchedulingRules.isSameDayBlocked(schedule, us.id, assignedStudent.id)
                     );
                     
                     if (potentialReplacements.length > 0) {
-                      console.log(`         ✓ Could be replaced by: ${potentialReplacements.map(p => p.name).join(', ')}`);
+                      this.verboseLog(`         ✓ Could be replaced by: ${potentialReplacements.map(p => p.name).join(', ')}`);
                     } else {
-                      console.log(`         ✗ No available replacements on ${assignedStudent.name}'s team`);
+                      this.verboseLog(`         ✗ No available replacements on ${assignedStudent.name}'s team`);
                     }
                   }
                 } else {
-                  console.log(`      • ${teamMember.name} → Available (not assigned in this session)`);
+                  this.verboseLog(`      • ${teamMember.name} → Available (not assigned in this session)`);
                 }
               }
             }
@@ -2986,13 +4460,14 @@ export class AutoAssignmentEngine {
       }
     }
 
-    console.log(`\n✅ SMART SWAP COMPLETE: ${swapsMade} swaps made, ${gapsFilled} gaps filled`);
+    this.verboseLog(`\n✅ SMART SWAP COMPLETE: ${swapsMade} swaps made, ${gapsFilled} gaps filled`);
 
     return {
       swapsMade: swapsMade,
       gapsFilled: gapsFilled,
       swaps,
-      newAssignments
+      newAssignments,
+      seed
     };
   }
 }
\ No newline at end of file
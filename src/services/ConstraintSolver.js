@@ -0,0 +1,568 @@
+import {
+  Assignment,
+  Schedule,
+  Group,
+  PROGRAMS,
+  LinkedCluster,
+  SchedulingUtils,
+  SchedulingRules,
+  ConstraintRegistry,
+  CONSTRAINT_IDS,
+  RUN_LOG_EVENT_TYPES
+} from '../types/index.js';
+
+// Converts the engine's soft constraint cost into edge cost. With the default weights a
+// consecutive-days pair (4) outweighs any role-priority tier (BS 500), and compatibility
+// (neutral 10, avoid 20) outweighs both
+const SOFT_CONSTRAINT_COST_SCALE = 150;
+
+// Reward per covered client, dwarfing every edge cost. Divisible by 1..16, so a unit's
+// per-slot share (client count / staff needed) stays a whole number
+const COVERAGE_REWARD = 720720 * 1000;
+
+/**
+ * Exact assignment solver for ABA scheduling
+ *
+ * Each session is modelled as a min-cost flow network:
+ *   source → staff (cap 1) → coverage unit (cap 1) → sink (cap = staff still needed)
+ * A coverage unit is one student, two paired students who share the same staff, a linked
+ * cluster, or a small group of 1:2 / 1:3 clients merged before solving so they share one staff member.
+ * A unit only counts when it gets all the staff it needs, so the objective is the number of
+ * client sessions fully covered. Each staff slot earns its unit's share of that reward
+ * (a 2:1 client's two slots earn half each), which makes the flow an upper bound on it;
+ * a unit the flow only partly covers is branched on - required (its slots outrank every
+ * other unit's) or dropped. Edge costs break ties: the engine's role hierarchy so RBTs are
+ * preferred over BSs, the week-planning rotation count when a week is being planned, and
+ * the weighted soft constraints from the constraint registry (compatibility, consecutive days).
+ *
+ * The same-day rule (a staff member may not work with the same student in AM and PM)
+ * couples the two sessions, so the search also branches on conflicting (staff, student)
+ * pairs. The solver keeps its own picks apart whenever the rule is on, hard or soft.
+ * The bound at every node is the sum of the two per-session flows, so when the search
+ * completes no other choice of staff covers more client sessions. Small groups are fixed
+ * first fit when the model is built, so that guarantee only holds for the groups chosen
+ * there - the result reports smallGroupsFixed and is then not marked optimal, the same as
+ * when the search stops at the node limit (nodeLimitReached).
+ */
+export class ConstraintSolver {
+  constructor(engine, options = {}) {
+    this.engine = engine;
+    this.maxNodes = options.maxNodes || 2000; // Safety cap on branch-and-bound nodes
+  }
+
+  /**
+   * Solve a full day exactly
+   * Assignments that are manual, loaded, locked or trainee are treated as fixed;
+   * everything else is re-planned from scratch.
+   * @param {Schedule} schedule - Current schedule
+   * @param {Staff[]} staff - All staff
+   * @param {Student[]} students - All students
+   * @param {Date} selectedDate - Day being scheduled
+   * @returns {Object} { assignments, unassigned, schedule, coverage, upperBound, isOptimal, nodeLimitReached,
+   *   smallGroupsFixed, nodesExplored } - coverage and upperBound count fully covered client sessions;
+   *   isOptimal only when the search completed on a model with no small groups merged up front
+   */
+  solveDay(schedule, staff, students, selectedDate = new Date()) {
+    const fixedAssignments = schedule.assignments.filter(a =>
+      a.assignedBy === 'manual' || a.assignedBy === 'loaded' || a.isLocked || a.isTrainee
+    );
+
+    const workingSchedule = new Schedule({
+      date: schedule.date,
+      assignments: [...fixedAssignments],
+      traineeAssignments: [...(schedule.traineeAssignments || [])]
+    });
+
+    const activeStaff = staff.filter(s => s.isActive);
+    const activeStudents = students.filter(s => s.isActive && s.isScheduledForDay(selectedDate));
+
+    const sessionModels = {
+      AM: this.buildSessionModel('AM', activeStaff, activeStudents, workingSchedule, selectedDate),
+      PM: this.buildSessionModel('PM', activeStaff, activeStudents, workingSchedule, selectedDate)
+    };
+
+    this.engine.verboseLog(`🧮 EXACT SOLVER: ${sessionModels.AM.units.length} AM units, ${sessionModels.PM.units.length} PM units`);
+
+    const searchState = {
+      best: this.findIncumbent(sessionModels),
+      nodesExplored: 0,
+      truncated: false,
+      openBound: null
+    };
+
+    this.branchAndBound(sessionModels, {
+      AM: { forbiddenPairs: new Set(), unitStates: new Map() },
+      PM: { forbiddenPairs: new Set(), unitStates: new Map() }
+    }, searchState);
+
+    const { best } = searchState;
+    const upperBound = this.getUpperBound(searchState);
+    const nodeLimitReached = searchState.truncated;
+    const smallGroupsFixed = ['AM', 'PM'].some(session =>
+      sessionModels[session].units.some(unit => unit.isGroup && unit.students.length > 1)
+    );
+    const isOptimal = !nodeLimitReached && !smallGroupsFixed;
+
+    const limits = [nodeLimitReached && 'node limit reached', smallGroupsFixed && 'small groups fixed first fit'].filter(Boolean);
+    this.engine.verboseLog(
+      `🧮 EXACT SOLVER: ${best.covered}/${upperBound} client sessions fully covered, ` +
+      `${searchState.nodesExplored} nodes explored${isOptimal ? ' (optimal)' : ` (${limits.join(', ')})`}`
+    );
+
+    const assignments = [];
+    const unassigned = [];
+
+    ['AM', 'PM'].forEach(session => {
+      const model = sessionModels[session];
+      const result = best[session];
+
+      model.units.forEach((unit, unitIndex) => {
+        const chosenStaff = result.picks
+          .filter(pick => pick.unitIndex === unitIndex)
+          .map(pick => model.staffList[pick.staffIndex]);
+
+        // A unit short of staff covers nobody - its staff stay free rather than half-cover it
+        const staffToAssign = chosenStaff.length >= unit.demand ? chosenStaff : [];
+
+        // Validate the whole unit against the schedule as it stood before the unit,
+        // since paired and grouped students legitimately share one staff member
+        const unitAssignments = [];
+        staffToAssign.forEach((staffMember, position) => {
+          unit.students.forEach((student, studentPosition) => {
+            if (position >= unit.required[studentPosition]) return;
+
+            const assignment = new Assignment({
+              id: SchedulingUtils.generateAssignmentId(),
+              staffId: staffMember.id,
+              staffName: staffMember.name,
+              studentId: student.id,
+              studentName: student.name,
+              session,
+              program: unit.program,
+              date: schedule.date,
+              isLocked: false,
+              assignedBy: unit.students.length > 1 && !unit.isGroup ? 'auto-paired' : 'auto'
+            });
+
+            const validationErrors = SchedulingRules.validateAssignment(
+              assignment, workingSchedule, activeStaff, activeStudents
+            );
+
+            if (validationErrors.length === 0) {
+              unitAssignments.push(assignment);
+            } else {
+              this.engine.verboseLog(`  🚫 EXACT SOLVER BLOCKED ${assignment.staffName} → ${assignment.studentName}: ${validationErrors.join(', ')}`);
+              this.engine.logEvent(RUN_LOG_EVENT_TYPES.BLOCKED, `${assignment.staffName} → ${assignment.studentName} (${session}): ${validationErrors.join(', ')}`, {
+                staffId: assignment.staffId, studentId: assignment.studentId, session, rule: 'validation'
+              });
+            }
+          });
+        });
+
+        unitAssignments.forEach(assignment => workingSchedule.addAssignment(assignment));
+        assignments.push(...unitAssignments);
+
+        // Gaps come from what passed validation, not from what the flow picked
+        unit.students.forEach((student, studentPosition) => {
+          const assignedCount = unitAssignments.filter(a => a.studentId === student.id).length;
+          const missing = unit.required[studentPosition] - assignedCount;
+          if (missing > 0) {
+            unassigned.push({ student, session, program: unit.program, missing });
+          }
+        });
+      });
+    });
+
+    return {
+      assignments,
+      unassigned,
+      schedule: workingSchedule,
+      coverage: best.covered,
+      upperBound,
+      isOptimal,
+      nodeLimitReached,
+      smallGroupsFixed,
+      nodesExplored: searchState.nodesExplored
+    };
+  }
+
+  /**
+   * Most client sessions any schedule could cover: the best found when the search completed,
+   * otherwise the highest bound among the nodes the node limit left unexplored
+   */
+  getUpperBound(searchState) {
+    if (!searchState.truncated) return searchState.best.covered;
+    return Math.max(searchState.best.covered, searchState.openBound);
+  }
+
+  /**
+   * Build the coverage units and staff eligibility for one session (both programs)
+   * @returns {Object} { session, staffList, units }
+   */
+  buildSessionModel(session, activeStaff, activeStudents, workingSchedule, selectedDate) {
+    const units = [];
+    const handled = new Set();
+
+    [PROGRAMS.PRIMARY, PROGRAMS.SECONDARY].forEach(program => {
+      const programStudents = activeStudents.filter(student =>
+        student.program === program &&
+        student.isAvailableForSession(session, selectedDate)
+      );
+
+      programStudents.forEach(student => {
+        if (handled.has(student.id)) return;
+        handled.add(student.id);
+
+        const stillNeeded = this.getStillNeeded(student, session, program, workingSchedule);
+        if (stillNeeded <= 0) return;
+
+        // Linked clusters share all their staff, so their uncovered members form a single unit
+        const cluster = LinkedCluster.getClusterForStudent(student.id);
+        if (cluster) {
+          const members = [student, ...cluster.getMembers(programStudents).filter(member => !handled.has(member.id))];
+          members.forEach(member => handled.add(member.id));
+          const required = members.map(member => this.getStillNeeded(member, session, program, workingSchedule));
+          const needing = required.map((needed, index) => ({ member: members[index], needed })).filter(entry => entry.needed > 0);
+          units.push({
+            program,
+            students: needing.map(entry => entry.member),
+            required: needing.map(entry => entry.needed),
+            demand: Math.max(...needing.map(entry => entry.needed))
+          });
+          return;
+        }
+
+        // Paired students share staff, so they form a single unit when both are uncovered
+        const partner = student.isPaired() ? student.getPairedStudent(programStudents) : null;
+        const partnerNeeded = partner && !handled.has(partner.id)
+          ? this.getStillNeeded(partner, session, program, workingSchedule)
+          : 0;
+
+        if (partner && partnerNeeded === this.engine.getRequiredStaffCount(partner, session)) {
+          handled.add(partner.id);
+          const bothSmallGroup = student.isSmallGroup(session) && partner.isSmallGroup(session);
+          const required = bothSmallGroup ? [1, 1] : [stillNeeded, partnerNeeded];
+          units.push({
+            program,
+            students: [student, partner],
+            required,
+            demand: Math.max(...required)
+          });
+          return;
+        }
+
+        units.push({ program, students: [student], required: [stillNeeded], demand: stillNeeded });
+      });
+    });
+
+    const staffList = activeStaff.filter(s => s.isAvailableForSession(session));
+
+    units.forEach(unit => {
+      unit.eligibleStaffIndexes = [];
+      staffList.forEach((staffMember, staffIndex) => {
+        if (this.isEligible(staffMember, unit, session, workingSchedule, activeStudents)) {
+          unit.eligibleStaffIndexes.push(staffIndex);
+        }
+      });
+    });
+
+    return { session, staffList, units: this.mergeSmallGroupUnits(session, units, activeStudents), schedule: workingSchedule };
+  }
+
+  /**
+   * Unpaired 1:2 / 1:3 clients share one staff member, so compatible ones (Group.getJoinIssues)
+   * with at least one eligible staff member in common become a single unit - first fit, in roster order
+   * @returns {Object[]} Units, small-group clients merged
+   */
+  mergeSmallGroupUnits(session, units, activeStudents) {
+    const merged = [];
+
+    units.forEach(unit => {
+      const [student] = unit.students;
+      const canShare = unit.students.length === 1 && unit.demand === 1 && student.isSmallGroup(session) &&
+        !student.isPaired() && !LinkedCluster.getClusterForStudent(student.id);
+      if (!canShare) {
+        merged.push(unit);
+        return;
+      }
+
+      for (const group of merged) {
+        if (!group.isGroup || group.program !== unit.program) continue;
+
+        const sharedStaffIndexes = group.eligibleStaffIndexes.filter(index => unit.eligibleStaffIndexes.includes(index));
+        if (sharedStaffIndexes.length === 0) continue;
+
+        const joinIssues = new Group({
+          program: unit.program,
+          session,
+          ratio: group.students[0].getSessionRatio(session),
+          studentIds: group.students.map(member => member.id)
+        }).getJoinIssues(student, activeStudents);
+        if (joinIssues.length > 0) continue;
+
+        group.students.push(student);
+        group.required.push(1);
+        group.eligibleStaffIndexes = sharedStaffIndexes;
+        return;
+      }
+
+      merged.push({ ...unit, students: [student], required: [1], isGroup: true });
+    });
+
+    return merged;
+  }
+
+  /**
+   * Number of main staff a student still needs after fixed assignments
+   */
+  getStillNeeded(student, session, program, workingSchedule) {
+    const covered = workingSchedule.getAssignmentsForSession(session, program)
+      .filter(a => a.studentId === student.id && !a.isTrainee).length;
+    return this.engine.getRequiredStaffCount(student, session) - covered;
+  }
+
+  /**
+   * Team, training, solo-case, role, availability and consecutive-days (hard) rules - same as greedy Phase 1
+   */
+  isEligible(staffMember, unit, session, workingSchedule, activeStudents) {
+    if (!staffMember.canAutoAssign()) return false;
+    if (!this.engine.canStaffDoDirectService(staffMember)) return false;
+    if (unit.students.some(student => this.engine.isConsecutiveDaysBlocked(staffMember, student))) return false;
+
+    return unit.students.every(student =>
+      SchedulingUtils.getAvailableStaffForStudent(
+        student, session, unit.program, [staffMember], workingSchedule, activeStudents
+      ).length > 0
+    );
+  }
+
+  /**
+   * Good starting solution: solve one session, then the other without the pairs already used
+   */
+  findIncumbent(sessionModels) {
+    const orders = [['AM', 'PM'], ['PM', 'AM']];
+    let best = null;
+
+    orders.forEach(([first, second]) => {
+      const firstResult = this.solveSession(sessionModels[first], new Set());
+      const usedPairs = this.getUsedPairs(sessionModels[first], firstResult);
+      const secondResult = this.solveSession(
+        sessionModels[second],
+        ConstraintRegistry.isEnabled(CONSTRAINT_IDS.SAME_DAY) ? usedPairs : new Set()
+      );
+      // Partly covered units count for nothing; solveDay leaves their staff free
+      const covered = firstResult.covered + secondResult.covered;
+      const cost = firstResult.cost + secondResult.cost;
+
+      if (!best || covered > best.covered || (covered === best.covered && cost < best.cost)) {
+        best = { [first]: firstResult, [second]: secondResult, covered, cost };
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Branch on units the flow only partly covers (required, then dropped), then on
+   * (staff, student) pairs that appear in both sessions
+   * @param {Object} branch - Per session { forbiddenPairs, unitStates } for this node
+   * @param {number} parentBound - Bound of the parent node, kept for nodes cut by the node limit
+   */
+  branchAndBound(sessionModels, branch, searchState, parentBound = Infinity) {
+    if (searchState.nodesExplored >= this.maxNodes) {
+      searchState.truncated = true;
+      searchState.openBound = Math.max(searchState.openBound ?? parentBound, parentBound);
+      return;
+    }
+    searchState.nodesExplored++;
+
+    const amResult = this.solveSession(sessionModels.AM, branch.AM.forbiddenPairs, branch.AM.unitStates);
+    const pmResult = this.solveSession(sessionModels.PM, branch.PM.forbiddenPairs, branch.PM.unitStates);
+    if (!amResult.isFeasible || !pmResult.isFeasible) return;
+
+    // Covered client sessions are whole numbers, so a fractional bound rounds down
+    const bound = Math.floor(amResult.bound + pmResult.bound + 1e-9);
+
+    if (bound <= searchState.best.covered) return;
+
+    const withBranch = (session, change) => ({
+      ...branch,
+      [session]: { ...branch[session], ...change(branch[session]) }
+    });
+
+    const partial = [['AM', amResult], ['PM', pmResult]]
+      .map(([session, result]) => ({ session, unitIndex: result.partialUnitIndexes[0] }))
+      .find(entry => entry.unitIndex !== undefined);
+
+    if (partial) {
+      const { session, unitIndex } = partial;
+      ['required', 'dropped'].forEach(state => {
+        this.branchAndBound(sessionModels, withBranch(session, ({ unitStates }) => ({
+          unitStates: new Map([...unitStates, [unitIndex, state]])
+        })), searchState, bound);
+      });
+      return;
+    }
+
+    const amPairs = this.getUsedPairs(sessionModels.AM, amResult);
+    const pmPairs = this.getUsedPairs(sessionModels.PM, pmResult);
+    // With the same-day rule off, a staff member may keep the same client all day
+    const conflict = ConstraintRegistry.isEnabled(CONSTRAINT_IDS.SAME_DAY)
+      ? [...amPairs].find(pair => pmPairs.has(pair))
+      : null;
+
+    if (!conflict) {
+      searchState.best = { AM: amResult, PM: pmResult, covered: amResult.covered + pmResult.covered, cost: amResult.cost + pmResult.cost };
+      return;
+    }
+
+    ['AM', 'PM'].forEach(session => {
+      this.branchAndBound(sessionModels, withBranch(session, ({ forbiddenPairs }) => ({
+        forbiddenPairs: new Set([...forbiddenPairs, conflict])
+      })), searchState, bound);
+    });
+  }
+
+  /**
+   * Set of "staffId__studentId" keys used by a session result
+   */
+  getUsedPairs(model, result) {
+    const pairs = new Set();
+    result.picks.forEach(pick => {
+      const staffMember = model.staffList[pick.staffIndex];
+      model.units[pick.unitIndex].students.forEach(student => {
+        pairs.add(`${staffMember.id}__${student.id}`);
+      });
+    });
+    return pairs;
+  }
+
+  /**
+   * Min-cost flow for a single session (successive shortest paths)
+   * Each slot is rewarded with its unit's share of COVERAGE_REWARD, so the flow maximizes
+   * fractional coverage and `bound` is an upper bound on the client sessions fully covered.
+   * @param {Object} model - Session model from buildSessionModel
+   * @param {Set<string>} forbiddenPairs - "staffId__studentId" keys that may not be used
+   * @param {Map<number, string>} unitStates - Unit index → 'required' (must be fully covered) or 'dropped'
+   * @returns {Object} { picks: [{ staffIndex, unitIndex }], cost, covered, bound, partialUnitIndexes, isFeasible }
+   */
+  solveSession(model, forbiddenPairs, unitStates = new Map()) {
+    const { staffList, units } = model;
+    const source = 0;
+    const staffOffset = 1;
+    const unitOffset = staffOffset + staffList.length;
+    const sink = unitOffset + units.length;
+    const graph = Array.from({ length: sink + 1 }, () => []);
+    const staffEdges = [];
+
+    // A required unit's slots are worth more than every other unit together
+    const studentCount = units.reduce((sum, unit) => sum + unit.students.length, 0);
+    const requiredReward = COVERAGE_REWARD * (studentCount + 1);
+
+    const addEdge = (from, to, capacity, cost) => {
+      graph[from].push({ to, capacity, cost, reverse: graph[to].length });
+      graph[to].push({ to: from, capacity: 0, cost: -cost, reverse: graph[from].length - 1 });
+      return graph[from][graph[from].length - 1];
+    };
+
+    staffList.forEach((staffMember, staffIndex) => {
+      addEdge(source, staffOffset + staffIndex, 1, 0);
+    });
+
+    units.forEach((unit, unitIndex) => {
+      const state = unitStates.get(unitIndex);
+      if (state === 'dropped') return;
+
+      const slotReward = state === 'required'
+        ? requiredReward
+        : COVERAGE_REWARD * unit.students.length / unit.demand;
+      addEdge(unitOffset + unitIndex, sink, unit.demand, -slotReward);
+
+      unit.eligibleStaffIndexes.forEach(staffIndex => {
+        const staffMember = staffList[staffIndex];
+        const isForbidden = unit.students.some(student =>
+          forbiddenPairs.has(`${staffMember.id}__${student.id}`)
+        );
+        if (!isForbidden) {
+          // Role preference dominates; in week planning, fewer sessions with the client this week breaks ties
+          const rotationCost = unit.students.reduce(
+            (sum, student) => sum + this.engine.getRotationCount(staffMember.id, student.id), 0
+          );
+          // Soft constraints (compatibility, consecutive days, same-day when soft) from the constraint registry
+          const softConstraintCost = unit.students.reduce(
+            (sum, student) => sum + this.engine.getSoftConstraintCost(staffMember, student, model.schedule), 0
+          ) * SOFT_CONSTRAINT_COST_SCALE;
+          const edge = addEdge(
+            staffOffset + staffIndex,
+            unitOffset + unitIndex,
+            1,
+            this.engine.getStaffPriorityScore(staffMember) * 10 + rotationCost + softConstraintCost
+          );
+          staffEdges.push({ staffIndex, unitIndex, edge });
+        }
+      });
+    });
+
+    // Bellman-Ford shortest path on the residual graph; networks here are small.
+    // Stops once no path earns more reward than it costs
+    for (;;) {
+      const distance = new Array(graph.length).fill(Infinity);
+      const previous = new Array(graph.length).fill(null);
+      distance[source] = 0;
+
+      for (let round = 0; round < graph.length; round++) {
+        let changed = false;
+        graph.forEach((edges, node) => {
+          if (distance[node] === Infinity) return;
+          edges.forEach((edge, edgeIndex) => {
+            if (edge.capacity > 0 && distance[node] + edge.cost < distance[edge.to]) {
+              distance[edge.to] = distance[node] + edge.cost;
+              previous[edge.to] = { node, edgeIndex };
+              changed = true;
+            }
+          });
+        });
+        if (!changed) break;
+      }
+
+      if (distance[sink] >= 0) break;
+
+      // Every augmenting path passes through a capacity-1 staff edge
+      let node = sink;
+      while (node !== source) {
+        const { node: from, edgeIndex } = previous[node];
+        const edge = graph[from][edgeIndex];
+        edge.capacity -= 1;
+        graph[node][edge.reverse].capacity += 1;
+        node = from;
+      }
+    }
+
+    const picks = staffEdges
+      .filter(({ edge }) => edge.capacity === 0)
+      .map(({ staffIndex, unitIndex }) => ({ staffIndex, unitIndex }));
+    const cost = staffEdges
+      .filter(({ edge }) => edge.capacity === 0)
+      .reduce((sum, { edge }) => sum + edge.cost, 0);
+
+    let covered = 0;
+    let partialCoverage = 0;
+    let isFeasible = true;
+    const partialUnitIndexes = [];
+
+    units.forEach((unit, unitIndex) => {
+      const slots = picks.filter(pick => pick.unitIndex === unitIndex).length;
+      if (slots >= unit.demand) {
+        covered += unit.students.length;
+        return;
+      }
+      if (unitStates.get(unitIndex) === 'required') isFeasible = false;
+      if (slots > 0) {
+        partialUnitIndexes.push(unitIndex);
+        partialCoverage += unit.students.length * slots / unit.demand;
+      }
+    });
+
+    return { picks, cost, covered, bound: covered + partialCoverage, partialUnitIndexes, isFeasible };
+  }
+}
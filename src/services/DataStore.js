@@ -0,0 +1,546 @@
+/**
+ * Storage backends the app can run on
+ */
+export const DATA_STORE_MODES = {
+  SHAREPOINT: 'sharepoint', // The site's SharePoint lists (sign-in required)
+  LOCAL: 'local' // This browser only (IndexedDB) - demos, training new schedulers, no tenant
+};
+
+/**
+ * Thrown by saveSchedule when someone else saved the same day after this schedule was loaded
+ * theirs is the schedule as it is saved now, for a three-way merge (SchedulingUtils.mergeSchedules)
+ */
+export class ScheduleConflictError extends Error {
+  constructor(theirs) {
+    super(`The schedule for ${theirs.date} was saved by ${theirs.lastModifiedBy || 'someone else'} after you loaded it`);
+    this.name = 'ScheduleConflictError';
+    this.theirs = theirs;
+  }
+}
+
+/**
+ * Thrown by a write that could not reach the backend because the connection is down
+ * The caller keeps the change (OfflineSyncQueue) and sends it again when the connection is back
+ */
+export class DataStoreOfflineError extends Error {
+  constructor(operation, cause = null) {
+    super(`Could not reach the server to ${operation}${cause ? `: ${cause.message}` : ''}`);
+    this.name = 'DataStoreOfflineError';
+    this.cause = cause;
+  }
+
+  /**
+   * True for the error fetch throws when there is no connection, or for any error while the browser is offline
+   */
+  static isNetworkError(error) {
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) return true;
+    return error instanceof TypeError && /fetch|network|load failed/i.test(error.message);
+  }
+}
+
+/**
+ * Data Store
+ * Everything the app loads and saves goes through one of these. SharePointService and
+ * LocalDataStore extend it; a backend only has to fill in the methods that throw here.
+ * Return shapes follow SharePointService, which the rest of the app was written against.
+ */
+export class DataStore {
+  /**
+   * Which DATA_STORE_MODES value this backend is
+   */
+  get mode() {
+    throw this.notImplemented('mode');
+  }
+
+  notImplemented(method) {
+    return new Error(`${this.constructor.name} does not implement ${method}()`);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Sign-in
+
+  /**
+   * Get the backend ready (e.g. MSAL, opening the database). Called once at start-up.
+   */
+  async initialize() {
+    throw this.notImplemented('initialize');
+  }
+
+  /**
+   * @returns {boolean} Whether the user can load and save right now without signing in
+   */
+  async checkAuthentication() {
+    throw this.notImplemented('checkAuthentication');
+  }
+
+  /**
+   * @returns {boolean} Whether sign-in succeeded
+   */
+  async login() {
+    throw this.notImplemented('login');
+  }
+
+  logout() {
+    throw this.notImplemented('logout');
+  }
+
+  /**
+   * Name recorded on saves and sign-offs
+   */
+  getCurrentUserName() {
+    return 'Unknown User';
+  }
+
+  // ---------------------------------------------------------------------------
+  // Staff and clients
+
+  /**
+   * @returns {Staff[]}
+   */
+  async loadStaff() {
+    throw this.notImplemented('loadStaff');
+  }
+
+  /**
+   * @param {Staff} staff
+   * @param {boolean} isUpdate - Update the existing record (by listItemId, then id) rather than add one
+   */
+  async saveStaff(staff, isUpdate = false) {
+    throw this.notImplemented('saveStaff');
+  }
+
+  /**
+   * @param {number} staffId - The staff member's listItemId
+   */
+  async deleteStaff(staffId) {
+    throw this.notImplemented('deleteStaff');
+  }
+
+  /**
+   * @returns {Student[]} With team, teamIds, teamTrainingStatus and teamPairPreferences filled in
+   */
+  async loadStudents() {
+    throw this.notImplemented('loadStudents');
+  }
+
+  /**
+   * Save a client and their team
+   * With requireTeamSync, the save only succeeds once the team (with its training statuses) is
+   * stored too - otherwise a backend that keeps the team separately may write it in the background.
+   */
+  async saveStudent(student, isUpdate = false, { requireTeamSync = false } = {}) {
+    throw this.notImplemented('saveStudent');
+  }
+
+  async deleteStudent(studentId) {
+    throw this.notImplemented('deleteStudent');
+  }
+
+  // ---------------------------------------------------------------------------
+  // Schedules
+
+  /**
+   * @param {Date|string} date - Day to load ('YYYY-MM-DD' or a local Date)
+   * @returns {Schedule} The saved schedule (hasSavedRecord = true, with its scheduleId), or an empty one
+   */
+  async loadSchedule(date) {
+    throw this.notImplemented('loadSchedule');
+  }
+
+  /**
+   * Save a day's schedule. With staff and students, that day's attendance is saved too.
+   * With detectConflicts, the save is refused with a ScheduleConflictError when the saved record's
+   * version is no longer schedule.version. On success schedule.version is set to the new version.
+   * auditEntries (AuditEntry[]) are appended to the audit log once the schedule is saved.
+   * Throws DataStoreOfflineError when the backend cannot be reached, so the save can be queued.
+   * @returns {boolean} Whether the save succeeded
+   */
+  async saveSchedule(schedule, staff = null, students = null, { detectConflicts = false, auditEntries = [] } = {}) {
+    throw this.notImplemented('saveSchedule');
+  }
+
+  /**
+   * Add entries to the schedule audit log - entries are only ever added, never changed
+   * @param {AuditEntry[]} entries
+   * @returns {boolean} Whether every entry was stored
+   */
+  async appendAuditEntries(entries) {
+    throw this.notImplemented('appendAuditEntries');
+  }
+
+  /**
+   * Audit log entries, newest first
+   * @param {Object} filter - { date } for one day's timeline, or { studentId, days } for a client's recent history
+   * @returns {AuditEntry[]}
+   */
+  async loadAuditLog({ date = null, studentId = null, days = 30 } = {}) {
+    throw this.notImplemented('loadAuditLog');
+  }
+
+  /**
+   * Saved assignments for the days before referenceDate (for the consecutive-days rule)
+   * @returns {Object[]} { date: 'YYYY-MM-DD', staffId, studentId, session, program }
+   */
+  async loadAssignmentHistory(referenceDate, days = 14) {
+    throw this.notImplemented('loadAssignmentHistory');
+  }
+
+  // ---------------------------------------------------------------------------
+  // Attendance
+
+  /**
+   * @returns {Object|null} { staff: { id: attendance }, students: { id: attendance } }, or null when none was saved
+   */
+  async loadAttendanceForDate(date) {
+    throw this.notImplemented('loadAttendanceForDate');
+  }
+
+  /**
+   * @returns {Object} { 'YYYY-MM-DD': { staff: { id: attendance }, students: { id: attendance } } }
+   */
+  async loadAttendanceForRange(startDate, endDate) {
+    throw this.notImplemented('loadAttendanceForRange');
+  }
+
+  /**
+   * Throws DataStoreOfflineError when the backend cannot be reached
+   * @returns {boolean} Whether every record was saved
+   */
+  async saveAttendanceForDate(date, staff = null, students = null) {
+    throw this.notImplemented('saveAttendanceForDate');
+  }
+
+  /**
+   * Clear the attendance flags kept on the staff and client records themselves (new day)
+   */
+  async clearAllAttendance(staff, students) {
+    throw this.notImplemented('clearAllAttendance');
+  }
+
+  /**
+   * Attendance of every active person as it would be saved for a day
+   */
+  buildExpectedAttendanceSnapshot(staff = [], students = []) {
+    const normalizeBoolean = value => !!value;
+
+    const buildPersonSnapshot = person => ({
+      absentAM: normalizeBoolean(person.absentAM),
+      absentPM: normalizeBoolean(person.absentPM),
+      absentFullDay: normalizeBoolean(person.absentFullDay),
+      outOfSessionAM: normalizeBoolean(person.outOfSessionAM),
+      outOfSessionPM: normalizeBoolean(person.outOfSessionPM),
+      outOfSessionFullDay: normalizeBoolean(person.outOfSessionFullDay),
+      status: this.getAttendanceStatusForPerson(person)
+    });
+
+    const snapshot = {
+      staff: {},
+      students: {}
+    };
+
+    (staff || []).forEach(staffMember => {
+      if (!staffMember?.isActive) return;
+      snapshot.staff[staffMember.id] = buildPersonSnapshot(staffMember);
+    });
+
+    (students || []).forEach(student => {
+      if (!student?.isActive) return;
+      snapshot.students[student.id] = buildPersonSnapshot(student);
+    });
+
+    return snapshot;
+  }
+
+  getAttendanceStatusForPerson(person) {
+    if (person.absentFullDay) {
+      return 'Absent Full Day';
+    }
+    if (person.absentAM && person.absentPM) {
+      return 'Absent Full Day';
+    }
+    if (person.outOfSessionFullDay) {
+      return 'Out Session Full Day';
+    }
+    if (person.outOfSessionAM && person.outOfSessionPM) {
+      return 'Out Session Full Day';
+    }
+    if (person.absentAM && person.outOfSessionPM) {
+      return 'Absent AM / Out Session PM';
+    }
+    if (person.outOfSessionAM && person.absentPM) {
+      return 'Out Session AM / Absent PM';
+    }
+    if (person.absentAM) {
+      return 'Absent AM';
+    }
+    if (person.absentPM) {
+      return 'Absent PM';
+    }
+    if (person.outOfSessionAM) {
+      return 'Out Session AM';
+    }
+    if (person.outOfSessionPM) {
+      return 'Out Session PM';
+    }
+    return 'Present';
+  }
+
+  // ---------------------------------------------------------------------------
+  // Training
+
+  /**
+   * Every trainee assignment on saved schedules
+   * @returns {Object[]} { StaffId, StudentId, Session, Program, TrainerId, TrainerName, ScheduleId, ScheduleDate, IsTrainee }
+   */
+  async getTrainingHistory(startDate = null, endDate = null) {
+    throw this.notImplemented('getTrainingHistory');
+  }
+
+  /**
+   * Main (non-trainee) assignments saved for one schedule
+   * @param {*} scheduleId - ScheduleId of a training history entry
+   * @returns {Object[]} { staffId, staffName, studentId, session, isLocked }
+   */
+  async loadMainAssignmentsForSchedule(scheduleId) {
+    throw this.notImplemented('loadMainAssignmentsForSchedule');
+  }
+
+  /**
+   * Fill in the trainer of training history entries saved before trainers were recorded: the
+   * main staff on the client's session that day, locked assignments first - the same inference
+   * as getMostRecentTrainingPairsForCandidates
+   * @param {Object[]} entries - From getTrainingHistory
+   * @returns {Object[]} The entries, with TrainerId/TrainerName inferred where they were missing
+   */
+  async inferTrainingHistoryTrainers(entries) {
+    const assignmentsBySchedule = new Map();
+    const sessionOf = value => String(value || '').trim().toUpperCase();
+    const inferred = [];
+
+    for (const entry of entries) {
+      if (entry.TrainerId !== null && entry.TrainerId !== undefined) {
+        inferred.push(entry);
+        continue;
+      }
+
+      if (!assignmentsBySchedule.has(entry.ScheduleId)) {
+        try {
+          assignmentsBySchedule.set(entry.ScheduleId, await this.loadMainAssignmentsForSchedule(entry.ScheduleId) || []);
+        } catch (error) {
+          console.warn('Could not load assignments to infer the trainer for schedule', entry.ScheduleId, error);
+          assignmentsBySchedule.set(entry.ScheduleId, []);
+        }
+      }
+
+      const trainer = assignmentsBySchedule.get(entry.ScheduleId)
+        .filter(a =>
+          String(a.studentId) === String(entry.StudentId) &&
+          sessionOf(a.session) === sessionOf(entry.Session) &&
+          String(a.staffId) !== String(entry.StaffId)
+        )
+        .sort((a, b) => (b.isLocked ? 1 : 0) - (a.isLocked ? 1 : 0))[0];
+
+      inferred.push(trainer
+        ? { ...entry, TrainerId: trainer.staffId, TrainerName: trainer.staffName || null }
+        : entry);
+    }
+
+    return inferred;
+  }
+
+  /**
+   * Record a staff member moving from overlap to solo on a client
+   */
+  async recordTrainingCompletion({ staffId, staffName, clientId, clientName, trainingType, totalSessions, startDate }) {
+    throw this.notImplemented('recordTrainingCompletion');
+  }
+
+  /**
+   * @returns {Object[]} { id, staffId, staffName, clientId, trainingType, completedDate, totalSessions, startDate }
+   */
+  async loadTrainingCompletions(daysBack = 90) {
+    throw this.notImplemented('loadTrainingCompletions');
+  }
+
+  /**
+   * Most recent trainee/trainer pairing for each candidate
+   * @param {Object[]} candidates - { traineeId, studentId }
+   * @returns {Object} { "traineeId__studentId": { scheduleDate, session, traineeId, traineeName, trainerId, trainerName, studentId, studentName } }
+   */
+  async getMostRecentTrainingPairsForCandidates(candidates = [], lookbackDays = 120) {
+    throw this.notImplemented('getMostRecentTrainingPairsForCandidates');
+  }
+
+  /**
+   * Get training session count for a specific staff-client pair
+   * Uses the schedule history to count trainee assignments
+   */
+  async getTrainingSessionCount(staffId, clientId) {
+    try {
+      // Get all historical trainee assignments for this staff-client pair
+      const trainingHistory = await this.getTrainingHistory();
+
+      // Older entries have no trainer - it is inferred so they count as BCBA or staff overlaps
+      const sessions = await this.inferTrainingHistoryTrainers(trainingHistory.filter(
+        h => h.StaffId === staffId && h.StudentId === clientId
+      ));
+
+      // Get the first session date
+      let firstSessionDate = null;
+      if (sessions.length > 0) {
+        const sortedSessions = sessions.sort((a, b) =>
+          new Date(a.ScheduleDate) - new Date(b.ScheduleDate)
+        );
+        firstSessionDate = new Date(sortedSessions[0].ScheduleDate);
+      }
+
+      return {
+        count: sessions.length,
+        firstSessionDate,
+        sessions // For TrainingPlan.getProgress (BCBA vs staff overlaps)
+      };
+
+    } catch (error) {
+      console.error('Error getting training session count:', error);
+      return { count: 0, firstSessionDate: null, sessions: [] };
+    }
+  }
+
+  /**
+   * Find the single most-recent trainee/trainer pairing from a candidate list.
+   * Returns one pair (or null) in candidate order.
+   */
+  async getMostRecentTrainingPairForCandidates(candidates = [], lookbackDays = 120) {
+    const resultsByKey = await this.getMostRecentTrainingPairsForCandidates(candidates, lookbackDays);
+    for (const candidate of candidates || []) {
+      const key = `${Number.isFinite(Number(candidate.traineeId)) ? Number(candidate.traineeId) : String(candidate.traineeId)}__${Number.isFinite(Number(candidate.studentId)) ? Number(candidate.studentId) : String(candidate.studentId)}`;
+      if (resultsByKey[key]) return resultsByKey[key];
+    }
+    return null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Site settings
+
+  /**
+   * Load a JSON setting
+   * @param {string} key - Setting key, e.g. 'RolePolicies'
+   * @returns {Object|null} { itemId, value }, or null if it was never saved
+   */
+  async loadAppSetting(key) {
+    throw this.notImplemented('loadAppSetting');
+  }
+
+  /**
+   * Save a JSON setting (any JSON-serializable value)
+   */
+  async saveAppSetting(key, value) {
+    throw this.notImplemented('saveAppSetting');
+  }
+
+  /**
+   * Load the site's role policies (null = use the built-in defaults)
+   */
+  async loadRolePolicies() {
+    const setting = await this.loadAppSetting('RolePolicies');
+    return setting ? setting.value : null;
+  }
+
+  /**
+   * Save the site's role policies
+   */
+  async saveRolePolicies(policies) {
+    return this.saveAppSetting('RolePolicies', policies);
+  }
+
+  /**
+   * Load the site's constraint settings ({ [ruleId]: { enabled, severity, weight } }, empty = built-in rules)
+   */
+  async loadConstraintSettings() {
+    const setting = await this.loadAppSetting('ConstraintSettings');
+    return setting && setting.value ? setting.value : {};
+  }
+
+  /**
+   * Save the site's constraint settings
+   */
+  async saveConstraintSettings(settings) {
+    return this.saveAppSetting('ConstraintSettings', settings);
+  }
+
+  /**
+   * Load the per-client training plans ({ default, [studentId]: plan }, empty = built-in default)
+   */
+  async loadTrainingPlans() {
+    const setting = await this.loadAppSetting('TrainingPlans');
+    return setting && setting.value ? setting.value : {};
+  }
+
+  /**
+   * Save the per-client training plans
+   */
+  async saveTrainingPlans(plans) {
+    return this.saveAppSetting('TrainingPlans', plans);
+  }
+
+  /**
+   * Load supervisor sign-offs per staff-client pair ({ 'staffId__studentId': { [step]: { approvedBy, date } } })
+   */
+  async loadTrainingSignOffs() {
+    const setting = await this.loadAppSetting('TrainingSignOffs');
+    return setting && setting.value ? setting.value : {};
+  }
+
+  /**
+   * Save supervisor sign-offs per staff-client pair
+   */
+  async saveTrainingSignOffs(signOffs) {
+    return this.saveAppSetting('TrainingSignOffs', signOffs);
+  }
+
+  /**
+   * Change the sign-offs without losing other supervisors' work. Every pair shares one setting,
+   * so it is read again and update() is applied to what is saved now, not to the page's copy.
+   * @param {Function} update - (signOffs) => new sign-offs
+   * @param {Object} loaded - The page's copy, used if nothing can be read back
+   * @returns {Object} The sign-offs as saved
+   */
+  async updateTrainingSignOffs(update, loaded = {}) {
+    const setting = await this.loadAppSetting('TrainingSignOffs');
+    const updated = update(setting && setting.value ? setting.value : loaded);
+    await this.saveTrainingSignOffs(updated);
+    return updated;
+  }
+
+  /**
+   * Load the site's standing small-group definitions (empty = no standing groups)
+   */
+  async loadClientGroups() {
+    const setting = await this.loadAppSetting('ClientGroups');
+    return setting && Array.isArray(setting.value) ? setting.value : [];
+  }
+
+  /**
+   * Save the site's standing small-group definitions
+   */
+  async saveClientGroups(groups) {
+    return this.saveAppSetting('ClientGroups', groups);
+  }
+
+  /**
+   * Load the site's linked-client clusters (empty = only pairedWith pairs)
+   */
+  async loadLinkedClusters() {
+    const setting = await this.loadAppSetting('LinkedClusters');
+    return setting && Array.isArray(setting.value) ? setting.value : [];
+  }
+
+  /**
+   * Save the site's linked-client clusters
+   */
+  async saveLinkedClusters(clusters) {
+    return this.saveAppSetting('LinkedClusters', clusters);
+  }
+}
+
+export default DataStore;
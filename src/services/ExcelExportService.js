@@ -36,10 +36,14 @@ export class ExcelExportService {
       // Generate client attendance data
       const clientAttendanceData = this.generateClientAttendanceData(students);
 
+      // Generate small group data
+      const groupsData = this.generateGroupsData(schedule, students);
+
       // Create worksheets
       const scheduleSheet = XLSX.utils.aoa_to_sheet(scheduleData);
       const absencesSheet = XLSX.utils.aoa_to_sheet(absencesData);
       const clientAttendanceSheet = XLSX.utils.aoa_to_sheet(clientAttendanceData);
+      const groupsSheet = XLSX.utils.aoa_to_sheet(groupsData);
 
       // Set column widths for better readability
       scheduleSheet['!cols'] = [
@@ -61,10 +65,22 @@ export class ExcelExportService {
         { wch: 20 }  // Status
       ];
 
+      groupsSheet['!cols'] = [
+        { wch: 10 }, // Session
+        { wch: 15 }, // Program
+        { wch: 20 }, // Group
+        { wch: 15 }, // Location
+        { wch: 25 }, // Staff
+        { wch: 50 }, // Clients
+        { wch: 10 }, // Size
+        { wch: 50 }  // Issues
+      ];
+
       // Add worksheets to workbook
       XLSX.utils.book_append_sheet(workbook, scheduleSheet, 'Schedule');
       XLSX.utils.book_append_sheet(workbook, absencesSheet, 'Staff Attendance');
       XLSX.utils.book_append_sheet(workbook, clientAttendanceSheet, 'Client Attendance');
+      XLSX.utils.book_append_sheet(workbook, groupsSheet, 'Groups');
 
       // Format the date for filename
       const dateStr = date.toLocaleDateString('en-US', { 
@@ -406,6 +422,46 @@ export class ExcelExportService {
     return data;
   }
 
+  /**
+   * Generate small group data array for Excel - one row per group (1:2 / 1:3)
+   * @param {Object} schedule - Schedule object
+   * @param {Array} students - Array of students
+   * @returns {Array} 2D array for Excel sheet
+   */
+  static generateGroupsData(schedule, students) {
+    const data = [];
+
+    // Header row
+    data.push([
+      'Session',
+      'Program',
+      'Group',
+      'Location',
+      'Staff',
+      'Clients',
+      'Size',
+      'Issues'
+    ]);
+
+    const groups = typeof schedule.getGroups === 'function' ? schedule.getGroups(students) : [];
+    groups
+      .sort((a, b) => a.session.localeCompare(b.session) || a.program.localeCompare(b.program) || (a.name || '').localeCompare(b.name || ''))
+      .forEach(group => {
+        data.push([
+          group.session,
+          group.program,
+          group.name || `${group.ratio} group`,
+          group.location || '',
+          this.formatStaffName(group.staffName),
+          group.getMembers(students).map(member => member.name).join(', '),
+          `${group.studentIds.length}/${group.getCapacity()}`,
+          group.getIssues(students).join('; ')
+        ]);
+      });
+
+    return data;
+  }
+
   /**
    * Generate client attendance data array for Excel
    * @param {Array} students - Array of students
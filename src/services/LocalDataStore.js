@@ -0,0 +1,562 @@
+import { Staff, Student, Schedule, EngineSnapshot, AuditEntry, TRAINING_STATUS } from '../types/index.js';
+import { DataStore, DATA_STORE_MODES, ScheduleConflictError } from './DataStore.js';
+import { sampleStaff, sampleStudents } from '../data/sampleData.js';
+
+const DB_NAME = 'EvokeScheduleLocal';
+const DB_VERSION = 1;
+const STORE_NAME = 'collections'; // One record per collection below, keyed by its name
+
+const COLLECTIONS = {
+  STAFF: 'staff', // Staff[] as plain objects
+  STUDENTS: 'students', // Student[] as plain objects, teams included
+  SCHEDULES: 'schedules', // { 'YYYY-MM-DD': schedule }
+  ATTENDANCE: 'attendance', // { 'YYYY-MM-DD': { staff: { id: attendance }, students: { id: attendance } } }
+  TRAINING_COMPLETIONS: 'trainingCompletions', // Completion records, newest last
+  AUDIT_LOG: 'auditLog', // AuditEntry[] as plain objects, oldest first
+  SETTINGS: 'settings' // { key: value } - same keys as the AppSettings list
+};
+
+const emptyCollections = () => ({
+  [COLLECTIONS.STAFF]: [],
+  [COLLECTIONS.STUDENTS]: [],
+  [COLLECTIONS.SCHEDULES]: {},
+  [COLLECTIONS.ATTENDANCE]: {},
+  [COLLECTIONS.TRAINING_COMPLETIONS]: [],
+  [COLLECTIONS.AUDIT_LOG]: [],
+  [COLLECTIONS.SETTINGS]: {}
+});
+
+const EXPORT_VERSION = 1;
+const DEMO_TEAM_SIZE = 6;
+
+const toDateKey = (date) => typeof date === 'string'
+  ? date.split('T')[0]
+  : `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+const normalizeId = (value) => {
+  const numeric = Number(value);
+  return Number.isFinite(numeric) ? numeric : String(value);
+};
+
+/**
+ * Local Data Store
+ * Keeps everything in this browser's IndexedDB instead of SharePoint, for demos, training
+ * new schedulers and running the app with no tenant. The first run is seeded with the
+ * sample staff and clients (with generated teams). The whole store can be exported to a
+ * JSON file and imported again, e.g. to hand a prepared scenario to a trainee.
+ * Where IndexedDB is not available (tests, private browsing) the data lives in memory only.
+ */
+export class LocalDataStore extends DataStore {
+  constructor() {
+    super();
+    this.db = null;
+    this.memory = {}; // Used instead of IndexedDB when it cannot be opened
+    this.isInitialized = false;
+    this.accessToken = null; // No SharePoint token - People Picker search is unavailable
+  }
+
+  get mode() {
+    return DATA_STORE_MODES.LOCAL;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Storage
+
+  async initialize() {
+    if (this.isInitialized) return;
+
+    try {
+      this.db = await this.openDatabase();
+    } catch (error) {
+      console.warn('⚠️ Could not open the local database - data will only last until the page is closed:', error);
+      this.db = null;
+    }
+    this.isInitialized = true;
+
+    const staff = await this.read(COLLECTIONS.STAFF);
+    if (!staff) {
+      await this.seedDemoData();
+    }
+    console.log(`✅ Local data store ready (${this.db ? 'IndexedDB' : 'in memory'})`);
+  }
+
+  openDatabase() {
+    if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME);
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async read(collection) {
+    if (!this.isInitialized) await this.initialize();
+
+    if (!this.db) {
+      const value = this.memory[collection];
+      return value === undefined ? null : JSON.parse(JSON.stringify(value));
+    }
+
+    return new Promise((resolve, reject) => {
+      const request = this.db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).get(collection);
+      request.onsuccess = () => resolve(request.result === undefined ? null : request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async write(collection, value) {
+    if (!this.isInitialized) await this.initialize();
+
+    // Stored as plain JSON data, the same as an exported file
+    const data = JSON.parse(JSON.stringify(value));
+    if (!this.db) {
+      this.memory[collection] = data;
+      return;
+    }
+
+    await new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(STORE_NAME, 'readwrite');
+      transaction.objectStore(STORE_NAME).put(data, collection);
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Sample staff and clients, with each client given a team from the staff who can work their program
+   */
+  static buildDemoData() {
+    const students = sampleStudents.map(student => {
+      const eligible = sampleStaff.filter(s => s.isActive && s.canWorkProgram(student.program) && s.canDoDirectSessions());
+      const start = eligible.length > 0 ? (student.id * 7) % eligible.length : 0;
+      const members = Array.from({ length: Math.min(DEMO_TEAM_SIZE, eligible.length) }, (_, i) => eligible[(start + i) % eligible.length]);
+
+      // Every fifth client has a team member still in training, so the training views have something to show
+      const team = members.map((staffMember, i) => ({
+        id: staffMember.id,
+        title: staffMember.name,
+        name: staffMember.name,
+        email: staffMember.email,
+        trainingStatus: student.id % 5 === 0 && i === members.length - 1 ? TRAINING_STATUS.OVERLAP_STAFF : TRAINING_STATUS.SOLO
+      }));
+
+      return {
+        ...student,
+        team,
+        teamIds: team.map(member => member.id),
+        teamTrainingStatus: Object.fromEntries(team.map(member => [member.id, member.trainingStatus]))
+      };
+    });
+
+    return {
+      ...emptyCollections(),
+      [COLLECTIONS.STAFF]: sampleStaff.map(s => ({ ...s, listItemId: s.id })),
+      [COLLECTIONS.STUDENTS]: students
+    };
+  }
+
+  async seedDemoData() {
+    console.log('🌱 Seeding the local data store with demo staff and clients...');
+    await this.writeAll(LocalDataStore.buildDemoData());
+  }
+
+  async writeAll(collections) {
+    const data = { ...emptyCollections(), ...collections };
+    for (const name of Object.values(COLLECTIONS)) {
+      await this.write(name, data[name] ?? emptyCollections()[name]);
+    }
+  }
+
+  /**
+   * Everything in the store, ready to save as a JSON file
+   */
+  async exportData() {
+    const collections = {};
+    for (const name of Object.values(COLLECTIONS)) {
+      collections[name] = await this.read(name);
+    }
+    return { version: EXPORT_VERSION, exportedAt: new Date().toISOString(), collections };
+  }
+
+  /**
+   * Replace everything in the store with an exported file's contents
+   */
+  async importData(data) {
+    const collections = data?.collections;
+    if (!collections || !Array.isArray(collections[COLLECTIONS.STAFF]) || !Array.isArray(collections[COLLECTIONS.STUDENTS])) {
+      throw new Error('This file is not an exported schedule data file');
+    }
+    if (data.version > EXPORT_VERSION) {
+      throw new Error('This file was exported by a newer version of the app');
+    }
+
+    await this.writeAll(collections);
+    console.log(`✅ Imported ${collections[COLLECTIONS.STAFF].length} staff and ${collections[COLLECTIONS.STUDENTS].length} clients`);
+  }
+
+  /**
+   * Throw away all local data and start again from the demo data
+   */
+  async reset() {
+    await this.seedDemoData();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Sign-in (nothing to sign in to)
+
+  async checkAuthentication() {
+    await this.initialize();
+    return true;
+  }
+
+  async login() {
+    await this.initialize();
+    return true;
+  }
+
+  logout() {}
+
+  getCurrentUserName() {
+    return 'Local User';
+  }
+
+  // ---------------------------------------------------------------------------
+  // Staff and clients
+
+  async loadStaff() {
+    const staff = await this.read(COLLECTIONS.STAFF) || [];
+    return staff.map(s => new Staff(s));
+  }
+
+  async saveStaff(staff, isUpdate = false) {
+    const records = await this.read(COLLECTIONS.STAFF) || [];
+
+    if (isUpdate) {
+      const itemId = staff.listItemId || staff.id;
+      const index = records.findIndex(s => (s.listItemId || s.id) === itemId);
+      if (index === -1) throw new Error(`Failed to save staff: no staff member with ID ${itemId}`);
+      records[index] = { ...staff };
+    } else {
+      const id = records.some(s => s.id === staff.id) ? Math.max(0, ...records.map(s => s.id)) + 1 : staff.id;
+      records.push({ ...staff, id, listItemId: id });
+    }
+
+    await this.write(COLLECTIONS.STAFF, records);
+    return true;
+  }
+
+  async deleteStaff(staffId) {
+    const records = await this.read(COLLECTIONS.STAFF) || [];
+    await this.write(COLLECTIONS.STAFF, records.filter(s => (s.listItemId || s.id) !== staffId));
+    console.log(`✅ Staff member ${staffId} deleted successfully`);
+    return true;
+  }
+
+  async loadStudents() {
+    const students = await this.read(COLLECTIONS.STUDENTS) || [];
+    return students.map(s => new Student(s));
+  }
+
+  // The team is part of the client record here, so it is always saved with it
+  async saveStudent(student, isUpdate = false, { requireTeamSync = false } = {}) {
+    const records = await this.read(COLLECTIONS.STUDENTS) || [];
+
+    if (isUpdate) {
+      const index = records.findIndex(s => s.id === student.id);
+      if (index === -1) throw new Error(`Failed to save student: no client with ID ${student.id}`);
+      records[index] = { ...student };
+    } else {
+      const id = Math.max(0, ...records.map(s => Number(s.id) || 0)) + 1;
+      records.push({ ...student, id });
+    }
+
+    await this.write(COLLECTIONS.STUDENTS, records);
+    return true;
+  }
+
+  async deleteStudent(studentId) {
+    const records = await this.read(COLLECTIONS.STUDENTS) || [];
+    await this.write(COLLECTIONS.STUDENTS, records.filter(s => s.id !== studentId));
+    console.log(`✅ Student ${studentId} deleted successfully`);
+    return true;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Schedules
+
+  async loadSchedule(date) {
+    const dateString = toDateKey(date);
+    const schedules = await this.read(COLLECTIONS.SCHEDULES) || {};
+    const saved = schedules[dateString];
+
+    if (!saved) {
+      return new Schedule({
+        date: dateString,
+        assignments: [],
+        traineeAssignments: [],
+        lockedAssignments: new Set(),
+        isFinalized: false
+      });
+    }
+
+    const schedule = EngineSnapshot.toSchedule(saved);
+    schedule.hasSavedRecord = true;
+    schedule.scheduleId = dateString;
+    return schedule;
+  }
+
+  async saveSchedule(schedule, staff = null, students = null, { detectConflicts = false, auditEntries = [] } = {}) {
+    const schedules = await this.read(COLLECTIONS.SCHEDULES) || {};
+    const savedVersion = schedules[schedule.date]?.version ?? null;
+    if (detectConflicts && savedVersion !== (schedule.version ?? null)) {
+      console.warn(`⚠️ Schedule for ${schedule.date} is at version ${savedVersion}, not ${schedule.version} - not saving over it`);
+      throw new ScheduleConflictError(await this.loadSchedule(schedule.date));
+    }
+
+    // Versions count saves of the day, so another tab's save is noticed
+    schedule.version = (savedVersion || 0) + 1;
+    schedules[schedule.date] = {
+      ...EngineSnapshot.fromSchedule(schedule),
+      lastModified: new Date().toISOString()
+    };
+    await this.write(COLLECTIONS.SCHEDULES, schedules);
+    schedule.hasSavedRecord = true;
+    schedule.scheduleId = schedule.date;
+
+    if (staff && students) {
+      await this.saveAttendanceForDate(schedule.date, staff, students);
+    }
+    if (auditEntries.length > 0) {
+      await this.appendAuditEntries(auditEntries);
+    }
+
+    console.log('✅ Schedule saved locally:', schedule.date);
+    return true;
+  }
+
+  async appendAuditEntries(entries) {
+    const log = await this.read(COLLECTIONS.AUDIT_LOG) || [];
+    await this.write(COLLECTIONS.AUDIT_LOG, [...log, ...entries]);
+    console.log(`📜 ${entries.length} audit entr${entries.length === 1 ? 'y' : 'ies'} recorded`);
+    return true;
+  }
+
+  async loadAuditLog({ date = null, studentId = null, days = 30 } = {}) {
+    const since = new Date();
+    since.setDate(since.getDate() - days);
+    const firstDay = toDateKey(since);
+    const log = await this.read(COLLECTIONS.AUDIT_LOG) || [];
+
+    return log
+      .map(entry => AuditEntry.fromJSON(entry))
+      .filter(entry => date
+        ? entry.date === toDateKey(date)
+        : entry.date >= firstDay && (studentId === null || entry.involvesStudent(studentId)))
+      .sort((a, b) => b.changedAt.localeCompare(a.changedAt));
+  }
+
+  async loadAssignmentHistory(referenceDate, days = 14) {
+    const firstDay = toDateKey(new Date(referenceDate.getFullYear(), referenceDate.getMonth(), referenceDate.getDate() - days));
+    const lastDay = toDateKey(new Date(referenceDate.getFullYear(), referenceDate.getMonth(), referenceDate.getDate() - 1));
+    const schedules = await this.read(COLLECTIONS.SCHEDULES) || {};
+
+    return Object.entries(schedules)
+      .filter(([date]) => date >= firstDay && date <= lastDay)
+      .flatMap(([date, schedule]) => (schedule.assignments || []).map(a => ({
+        date,
+        staffId: a.staffId,
+        studentId: a.studentId,
+        session: a.session,
+        program: a.program
+      })));
+  }
+
+  // ---------------------------------------------------------------------------
+  // Attendance
+
+  async loadAttendanceForDate(date) {
+    const attendance = await this.read(COLLECTIONS.ATTENDANCE) || {};
+    return attendance[toDateKey(date)] || null;
+  }
+
+  async loadAttendanceForRange(startDate, endDate) {
+    const first = toDateKey(startDate);
+    const last = toDateKey(endDate);
+    const attendance = await this.read(COLLECTIONS.ATTENDANCE) || {};
+    return Object.fromEntries(Object.entries(attendance).filter(([date]) => date >= first && date <= last));
+  }
+
+  async saveAttendanceForDate(date, staff = null, students = null) {
+    const attendance = await this.read(COLLECTIONS.ATTENDANCE) || {};
+    attendance[toDateKey(date)] = this.buildExpectedAttendanceSnapshot(staff || [], students || []);
+    await this.write(COLLECTIONS.ATTENDANCE, attendance);
+    return true;
+  }
+
+  async clearAllAttendance(staff, students) {
+    const clear = record => ({
+      ...record,
+      absentAM: false,
+      absentPM: false,
+      absentFullDay: false,
+      absentAMArrivalTime: '',
+      absentPMDepartureTime: ''
+    });
+
+    await this.write(COLLECTIONS.STAFF, (await this.read(COLLECTIONS.STAFF) || []).map(clear));
+    await this.write(COLLECTIONS.STUDENTS, (await this.read(COLLECTIONS.STUDENTS) || []).map(clear));
+    console.log('✅ Attendance cleared for', staff.length, 'staff and', students.length, 'students');
+    return true;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Training
+
+  async getTrainingHistory(startDate = null, endDate = null) {
+    const first = startDate ? toDateKey(new Date(startDate)) : null;
+    const last = endDate ? toDateKey(new Date(endDate)) : null;
+    const schedules = await this.read(COLLECTIONS.SCHEDULES) || {};
+
+    return Object.keys(schedules)
+      .filter(date => (!first || date >= first) && (!last || date <= last))
+      .sort()
+      .reverse()
+      .flatMap(date => (schedules[date].traineeAssignments || []).map(assignment => ({
+        StaffId: assignment.staffId,
+        StudentId: assignment.studentId,
+        Session: assignment.session,
+        Program: assignment.program || '',
+        TrainerId: assignment.trainerId ?? null,
+        TrainerName: assignment.trainerName || null,
+        ScheduleId: date,
+        ScheduleDate: date,
+        IsTrainee: true
+      })));
+  }
+
+  async loadMainAssignmentsForSchedule(scheduleId) {
+    const saved = (await this.read(COLLECTIONS.SCHEDULES) || {})[scheduleId];
+    if (!saved) return [];
+
+    return (saved.assignments || []).map(a => ({
+      staffId: a.staffId,
+      staffName: a.staffName || '',
+      studentId: a.studentId,
+      session: a.session,
+      isLocked: Boolean(a.isLocked)
+    }));
+  }
+
+  async recordTrainingCompletion({ staffId, staffName, clientId, clientName, trainingType, totalSessions, startDate }) {
+    const completions = await this.read(COLLECTIONS.TRAINING_COMPLETIONS) || [];
+    completions.push({
+      id: Math.max(0, ...completions.map(c => c.id)) + 1,
+      staffId,
+      staffName,
+      clientId,
+      clientName,
+      // Same values as the TrainingCompletions list
+      trainingType: trainingType === 'overlap-bcba' ? 'BCBA Overlap' :
+                    trainingType === 'overlap-staff' ? 'Staff Overlap' : 'Unknown',
+      completedDate: new Date().toISOString(),
+      totalSessions: totalSessions || 0,
+      startDate: startDate ? new Date(startDate).toISOString() : null
+    });
+    await this.write(COLLECTIONS.TRAINING_COMPLETIONS, completions);
+    console.log(`✅ Training completion recorded: ${staffName} completed training on ${clientName}`);
+    return true;
+  }
+
+  async loadTrainingCompletions(daysBack = 90) {
+    const since = new Date();
+    since.setDate(since.getDate() - daysBack);
+    const completions = await this.read(COLLECTIONS.TRAINING_COMPLETIONS) || [];
+
+    return completions
+      .filter(c => new Date(c.completedDate) >= since)
+      .sort((a, b) => new Date(b.completedDate) - new Date(a.completedDate))
+      .map(c => ({
+        id: c.id,
+        staffId: c.staffId,
+        staffName: c.staffName || 'Unknown',
+        clientId: c.clientId,
+        trainingType: c.trainingType,
+        completedDate: c.completedDate ? new Date(c.completedDate) : null,
+        totalSessions: c.totalSessions || 0,
+        startDate: c.startDate ? new Date(c.startDate) : null
+      }));
+  }
+
+  async getMostRecentTrainingPairsForCandidates(candidates = [], lookbackDays = 120) {
+    if (!Array.isArray(candidates) || candidates.length === 0) {
+      return {};
+    }
+
+    const candidateKeySet = new Set(candidates.map(c => `${normalizeId(c.traineeId)}__${normalizeId(c.studentId)}`));
+    const since = new Date();
+    since.setDate(since.getDate() - lookbackDays);
+    const first = toDateKey(since);
+    const schedules = await this.read(COLLECTIONS.SCHEDULES) || {};
+    const resultsByKey = {};
+
+    const dates = Object.keys(schedules).filter(date => date >= first).sort().reverse();
+    for (const date of dates) {
+      const schedule = schedules[date];
+
+      for (const ta of schedule.traineeAssignments || []) {
+        const traineeId = normalizeId(ta.staffId);
+        const studentId = normalizeId(ta.studentId);
+        const key = `${traineeId}__${studentId}`;
+        if (!candidateKeySet.has(key) || resultsByKey[key]) continue;
+
+        let trainerId = ta.trainerId != null ? normalizeId(ta.trainerId) : null;
+        let trainerName = ta.trainerName || null;
+
+        // Older records: the trainer is whoever covered the client that session (locked first)
+        if (!trainerId) {
+          const trainer = (schedule.assignments || [])
+            .filter(a => normalizeId(a.studentId) === studentId && a.session === ta.session && normalizeId(a.staffId) !== traineeId)
+            .sort((a, b) => (b.isLocked ? 1 : 0) - (a.isLocked ? 1 : 0))[0];
+          if (!trainer) continue;
+          trainerId = normalizeId(trainer.staffId);
+          trainerName = trainer.staffName || null;
+        }
+
+        resultsByKey[key] = {
+          scheduleDate: date,
+          session: ta.session,
+          traineeId,
+          traineeName: ta.staffName || null,
+          trainerId,
+          trainerName,
+          studentId,
+          studentName: ta.studentName || null
+        };
+      }
+    }
+
+    return resultsByKey;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Site settings
+
+  async loadAppSetting(key) {
+    const settings = await this.read(COLLECTIONS.SETTINGS) || {};
+    return settings[key] === undefined ? null : { itemId: key, value: settings[key] };
+  }
+
+  async saveAppSetting(key, value) {
+    const settings = await this.read(COLLECTIONS.SETTINGS) || {};
+    settings[key] = value;
+    await this.write(COLLECTIONS.SETTINGS, settings);
+    console.log(`✅ App setting saved: ${key}`);
+    return true;
+  }
+}
+
+export default LocalDataStore;
@@ -0,0 +1,406 @@
+import { Staff, Student, EngineSnapshot, AuditEntry } from '../types/index.js';
+import { DataStoreOfflineError, ScheduleConflictError } from './DataStore.js';
+
+const DB_NAME = 'EvokeScheduleOffline';
+const DB_VERSION = 1;
+const STORE_NAME = 'pendingWrites'; // One record per queued write, keyed by its id
+
+// While writes are waiting, try again this often even if the browser never fires 'online'
+const RETRY_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Writes the queue can hold
+ */
+export const SYNC_WRITE_TYPES = {
+  SCHEDULE: 'schedule', // saveSchedule - the day's schedule and, when it was the open day, that day's attendance
+  ATTENDANCE: 'attendance' // saveAttendanceForDate
+};
+
+export const SYNC_ENTRY_STATUS = {
+  PENDING: 'pending', // Waiting to be sent
+  CONFLICT: 'conflict' // Someone else saved the day first - waits for the user to merge
+};
+
+const toPlain = (value) => JSON.parse(JSON.stringify(value));
+
+/**
+ * Offline Sync Queue
+ * Keeps saves that could not reach the data store (the network dropped) in this browser's
+ * IndexedDB, so they survive a reload, and sends them again in order when the connection is
+ * back - on the browser's 'online' event and every minute while anything is waiting.
+ * There is one entry per write type and day: a newer save of the same day replaces the
+ * waiting one. A queued schedule is sent with the same version check as a live save; if
+ * someone else saved the day meanwhile, the entry is kept as a conflict for the user to merge.
+ * Where IndexedDB is not available (tests, private browsing) the queue lives in memory only.
+ */
+export class OfflineSyncQueue {
+  /**
+   * @param {DataStore} dataStore - Where queued writes are sent
+   */
+  constructor(dataStore) {
+    this.dataStore = dataStore;
+    this.db = null;
+    this.entries = []; // Oldest first - the same records as the database
+    this.isInitialized = false;
+    this.isSyncing = false;
+    this.isOnline = !OfflineSyncQueue.isOffline();
+    this.lastError = null;
+    this.listeners = new Set();
+    this.retryTimer = null;
+    this.handleOnline = () => {
+      this.isOnline = true;
+      this.notify();
+      this.replay();
+    };
+    this.handleOffline = () => {
+      this.isOnline = false;
+      this.notify();
+    };
+  }
+
+  /**
+   * True when the browser knows it has no connection
+   */
+  static isOffline() {
+    return typeof navigator !== 'undefined' && navigator.onLine === false;
+  }
+
+  async initialize() {
+    if (this.isInitialized) return;
+
+    try {
+      this.db = await this.openDatabase();
+      this.entries = await this.readAll();
+    } catch (error) {
+      console.warn('⚠️ Could not open the offline queue - unsynced saves will only last until the page is closed:', error);
+      this.db = null;
+    }
+    this.entries.sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+    this.isInitialized = true;
+
+    if (typeof window !== 'undefined') {
+      window.addEventListener('online', this.handleOnline);
+      window.addEventListener('offline', this.handleOffline);
+    }
+    this.retryTimer = setInterval(() => {
+      if (this.getStatus().pending > 0) this.replay();
+    }, RETRY_INTERVAL_MS);
+
+    console.log(`✅ Offline queue ready (${this.entries.length} write(s) waiting)`);
+    this.notify();
+    if (this.entries.length > 0) this.replay();
+  }
+
+  dispose() {
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('online', this.handleOnline);
+      window.removeEventListener('offline', this.handleOffline);
+    }
+    clearInterval(this.retryTimer);
+    this.retryTimer = null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Storage
+
+  openDatabase() {
+    if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  readAll() {
+    if (!this.db) return Promise.resolve([]);
+
+    return new Promise((resolve, reject) => {
+      const request = this.db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).getAll();
+      request.onsuccess = () => resolve(request.result || []);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async persist(entry, remove = false) {
+    if (!this.db) return;
+
+    await new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(STORE_NAME, 'readwrite');
+      const store = transaction.objectStore(STORE_NAME);
+      if (remove) {
+        store.delete(entry.id);
+      } else {
+        store.put(entry);
+      }
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  async put(entry) {
+    const index = this.entries.findIndex(e => e.id === entry.id);
+    this.entries = index > -1
+      ? this.entries.map(e => (e.id === entry.id ? entry : e))
+      : [...this.entries, entry];
+    await this.persist(entry);
+    this.notify();
+  }
+
+  async remove(entry) {
+    this.entries = this.entries.filter(e => e.id !== entry.id);
+    await this.persist(entry, true);
+    this.notify();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Status
+
+  /**
+   * @returns {Object} { pending, conflicts, conflictDates, isSyncing, isOnline, lastError }
+   */
+  getStatus() {
+    const conflicted = this.entries.filter(e => e.status === SYNC_ENTRY_STATUS.CONFLICT);
+    return {
+      pending: this.entries.filter(e => e.status === SYNC_ENTRY_STATUS.PENDING).length,
+      conflicts: conflicted.length,
+      conflictDates: conflicted.map(e => e.date),
+      isSyncing: this.isSyncing,
+      isOnline: this.isOnline,
+      lastError: this.lastError
+    };
+  }
+
+  /**
+   * Listen for status changes and for writes that synced or hit a conflict
+   * @param {Function} listener - Called with (status, event); event is { type: 'synced' | 'conflict', entry, schedule }
+   *   when a write finished, and null for other changes. Called straight away with the current status.
+   * @returns {Function} Stops listening
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    listener(this.getStatus(), null);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify(event = null) {
+    const status = this.getStatus();
+    this.listeners.forEach(listener => listener(status, event));
+  }
+
+  /**
+   * Whether anything for this day is still waiting - a new save of the day has to queue behind it
+   */
+  hasPending(dateKey) {
+    return this.entries.some(e => e.date === dateKey);
+  }
+
+  /**
+   * The day as saved on this device but not synced yet
+   * @returns {Object|null} { schedule, base, staff, students } - schedule and base are null when only attendance is waiting
+   */
+  getQueuedDay(dateKey) {
+    const entries = this.entries.filter(e => e.date === dateKey && e.status === SYNC_ENTRY_STATUS.PENDING);
+    if (entries.length === 0) return null;
+
+    // Week-plan days other than the open one are queued without attendance
+    const latest = [...entries].reverse().find(e => e.staff);
+    const scheduleEntry = entries.find(e => e.type === SYNC_WRITE_TYPES.SCHEDULE);
+    return {
+      schedule: scheduleEntry ? EngineSnapshot.toSchedule(scheduleEntry.schedule) : null,
+      base: scheduleEntry?.base ? EngineSnapshot.toSchedule(scheduleEntry.base) : null,
+      staff: latest ? latest.staff.map(s => new Staff(s)) : null,
+      students: latest ? latest.students.map(s => new Student(s)) : null
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Queueing
+
+  /**
+   * Keep a schedule save (with the day's attendance) until it can be sent
+   * @param {Schedule} schedule - As it would have been saved; its version is the base's
+   * @param {Schedule} base - The saved day it was edited from, for a merge if someone else saves first
+   * @param {Staff[]|null} staff - With the day's attendance; null saves the schedule only
+   * @param {Student[]|null} students - With the day's attendance; null saves the schedule only
+   * @param {AuditEntry[]} auditEntries - Changes made since the last save, added to those already waiting
+   */
+  async enqueueSchedule(schedule, base, staff, students, auditEntries = []) {
+    const id = `${SYNC_WRITE_TYPES.SCHEDULE}_${schedule.date}`;
+    const existing = this.entries.find(e => e.id === id);
+    // A day already waiting was never sent, so the check is still against what it was edited from
+    const queuedBase = existing ? existing.base : (base ? toPlain(EngineSnapshot.fromSchedule(base)) : null);
+
+    // The schedule carries the day's attendance, so an attendance save waiting for the same day is covered
+    const attendanceEntry = this.entries.find(e => e.id === `${SYNC_WRITE_TYPES.ATTENDANCE}_${schedule.date}`);
+    if (attendanceEntry && staff && students) await this.remove(attendanceEntry);
+
+    await this.put({
+      id,
+      type: SYNC_WRITE_TYPES.SCHEDULE,
+      date: schedule.date,
+      status: SYNC_ENTRY_STATUS.PENDING,
+      schedule: toPlain({ ...EngineSnapshot.fromSchedule(schedule), version: queuedBase?.version ?? null }),
+      base: queuedBase,
+      theirs: null,
+      staff: staff && students ? toPlain(staff) : (existing?.staff ?? null),
+      students: staff && students ? toPlain(students) : (existing?.students ?? null),
+      auditEntries: [...(existing?.auditEntries || []), ...toPlain(auditEntries)],
+      queuedAt: new Date().toISOString(),
+      revision: (existing?.revision || 0) + 1,
+      attempts: 0,
+      lastError: null
+    });
+    console.log(`📥 Schedule for ${schedule.date} queued to sync (${this.getStatus().pending} waiting)`);
+  }
+
+  async enqueueAttendance(dateKey, staff, students) {
+    const existing = this.entries.find(e => e.id === `${SYNC_WRITE_TYPES.ATTENDANCE}_${dateKey}`);
+    await this.put({
+      id: `${SYNC_WRITE_TYPES.ATTENDANCE}_${dateKey}`,
+      type: SYNC_WRITE_TYPES.ATTENDANCE,
+      date: dateKey,
+      status: SYNC_ENTRY_STATUS.PENDING,
+      staff: toPlain(staff || []),
+      students: toPlain(students || []),
+      queuedAt: new Date().toISOString(),
+      revision: (existing?.revision || 0) + 1,
+      attempts: 0,
+      lastError: null
+    });
+    console.log(`📥 Attendance for ${dateKey} queued to sync (${this.getStatus().pending} waiting)`);
+  }
+
+  /**
+   * Take a day's conflicted schedule out of the queue to merge it
+   * @returns {Object|null} { base, mine, theirs } as Schedules, and the auditEntries waiting with mine
+   */
+  async takeConflict(dateKey) {
+    const entry = this.entries.find(e =>
+      e.type === SYNC_WRITE_TYPES.SCHEDULE && e.date === dateKey && e.status === SYNC_ENTRY_STATUS.CONFLICT
+    );
+    if (!entry) return null;
+
+    await this.remove(entry);
+    return {
+      base: entry.base ? EngineSnapshot.toSchedule(entry.base) : EngineSnapshot.toSchedule({ date: dateKey }),
+      mine: EngineSnapshot.toSchedule(entry.schedule),
+      theirs: EngineSnapshot.toSchedule(entry.theirs),
+      auditEntries: (entry.auditEntries || []).map(data => AuditEntry.fromJSON(data))
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Sync
+
+  /**
+   * Send everything waiting, oldest first. Stops at the first write that finds the connection
+   * still down; a write that fails for another reason stays queued and is tried again next time.
+   */
+  async replay() {
+    if (this.isSyncing || OfflineSyncQueue.isOffline()) return;
+    if (this.getStatus().pending === 0) return;
+
+    this.isSyncing = true;
+    this.notify();
+    try {
+      for (const entry of [...this.entries]) {
+        if (entry.status !== SYNC_ENTRY_STATUS.PENDING) continue;
+
+        const outcome = await this.send(entry);
+        if (outcome === 'offline') break;
+      }
+    } finally {
+      this.isSyncing = false;
+      this.notify();
+    }
+  }
+
+  async send(entry) {
+    const staff = entry.staff ? entry.staff.map(s => new Staff(s)) : null;
+    const students = entry.students ? entry.students.map(s => new Student(s)) : null;
+    const schedule = entry.type === SYNC_WRITE_TYPES.SCHEDULE ? EngineSnapshot.toSchedule(entry.schedule) : null;
+
+    try {
+      const success = schedule
+        ? await this.dataStore.saveSchedule(schedule, staff, students, {
+          detectConflicts: true,
+          auditEntries: (entry.auditEntries || []).map(data => AuditEntry.fromJSON(data))
+        })
+        : await this.dataStore.saveAttendanceForDate(entry.date, staff, students);
+
+      if (success) {
+        console.log(`✅ Synced queued ${entry.type} for ${entry.date}`);
+        this.lastError = null;
+        await this.settle(entry, current => this.remove(current), current => this.rebase(current, entry, schedule));
+        this.notify({ type: 'synced', entry, schedule });
+        return 'synced';
+      }
+      if (OfflineSyncQueue.isOffline()) return 'offline';
+
+      await this.settle(entry, current => this.put({ ...current, attempts: current.attempts + 1, lastError: 'Save failed - see the browser console' }));
+      this.lastError = `Could not sync ${entry.type} for ${entry.date}`;
+      return 'failed';
+    } catch (error) {
+      if (error instanceof DataStoreOfflineError) return 'offline';
+
+      if (error instanceof ScheduleConflictError) {
+        console.warn(`⚠️ Queued schedule for ${entry.date} conflicts with a newer save - waiting for a merge`);
+        const conflicted = { ...entry, status: SYNC_ENTRY_STATUS.CONFLICT, theirs: toPlain(EngineSnapshot.fromSchedule(error.theirs)) };
+        // A newer save of the day queued meanwhile is sent next and finds the conflict itself
+        const isCurrent = await this.settle(entry, () => this.put(conflicted));
+        if (isCurrent) this.notify({ type: 'conflict', entry: conflicted, schedule });
+        return 'conflict';
+      }
+
+      console.error(`❌ Error syncing queued ${entry.type} for ${entry.date}:`, error);
+      await this.settle(entry, current => this.put({ ...current, attempts: current.attempts + 1, lastError: error.message }));
+      this.lastError = `Could not sync ${entry.type} for ${entry.date}: ${error.message}`;
+      return 'failed';
+    }
+  }
+
+  /**
+   * Apply the outcome of a send to the entry as it is stored now. The day may have been saved
+   * again while the request was out - that newer save is under the same id and must not be
+   * removed or overwritten by the older one's result.
+   * @param {Object} sent - The entry as it was sent
+   * @param {Function} update - Called with the stored entry when it is still the one sent
+   * @param {Function} onReplaced - Called with the newer entry when the day was queued again
+   * @returns {boolean} Whether the stored entry was still the one sent
+   */
+  async settle(sent, update, onReplaced = null) {
+    const current = this.entries.find(e => e.id === sent.id);
+    if (!current) return false;
+
+    if (current.revision === sent.revision && current.queuedAt === sent.queuedAt) {
+      await update(current);
+      return true;
+    }
+
+    if (onReplaced) await onReplaced(current);
+    return false;
+  }
+
+  /**
+   * A newer save of a day queued while the older one was syncing was edited on top of it,
+   * so once the older one is saved it becomes the newer one's base - with the version it
+   * was saved as, and without the audit entries it already recorded
+   */
+  async rebase(current, sent, savedSchedule) {
+    if (current.type !== SYNC_WRITE_TYPES.SCHEDULE || !savedSchedule) return;
+
+    const version = savedSchedule.version ?? null;
+    const sentAuditIds = new Set((sent.auditEntries || []).map(data => data.id));
+    await this.put({
+      ...current,
+      base: { ...sent.schedule, version },
+      schedule: { ...current.schedule, version },
+      auditEntries: (current.auditEntries || []).filter(data => !sentAuditIds.has(data.id))
+    });
+  }
+}
@@ -1,12 +1,20 @@
-import { Staff, Student, Assignment, Schedule, PROGRAMS } from '../types/index.js';
+import { Staff, Student, Assignment, Schedule, EngineRunLog, AuditEntry, PROGRAMS, PAIR_PREFERENCE, SchedulingUtils } from '../types/index.js';
 import { PublicClientApplication } from '@azure/msal-browser';
+import { DataStore, DATA_STORE_MODES, ScheduleConflictError, DataStoreOfflineError } from './DataStore.js';
+
+// Operations sent per $batch request; larger days are split over several requests
+const SP_BATCH_SIZE = 100;
+
+// List the schedule audit trail is appended to (see SCHEDULE_AUDIT_LOG.md)
+const AUDIT_LOG_LIST = 'ScheduleAuditLog';
 
 /**
  * SharePoint REST API integration service with MSAL authentication
  * For external hosting (GitHub Pages, etc.)
  */
-export class SharePointService {
+export class SharePointService extends DataStore {
   constructor(config) {
+    super();
     console.log('🔧 SharePointService constructor received config:', config);
     
     this.config = {
@@ -48,6 +56,12 @@ export class SharePointService {
     this.teamMembersCache = null;
     this.teamMembersCacheExpiry = null;
     this.CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
+
+    // Optional ScheduleHistory columns found so far: InternalName → exists
+    this.scheduleHistoryFields = {};
+
+    // Days whose ScheduleHistory row this session wrote but whose save did not finish: date → { from, to } ETags
+    this.unfinishedScheduleSaves = new Map();
     
     // ✅ FIXED: Use correct SharePoint domain (not site path)
     this.loginRequest = {
@@ -67,6 +81,22 @@ export class SharePointService {
     });
   }
 
+  get mode() {
+    return DATA_STORE_MODES.SHAREPOINT;
+  }
+
+  async initialize() {
+    await this.initializeMSAL();
+  }
+
+  logout() {
+    this.forceLogout();
+  }
+
+  getCurrentUserName() {
+    return this.currentUser?.displayName || 'Unknown User';
+  }
+
   /**
    * Initialize MSAL instance
    */
@@ -368,6 +398,143 @@ export class SharePointService {
     }
   }
 
+  /**
+   * Run list item creates, updates and deletes as SharePoint $batch requests instead of one
+   * call each. Every operation gets its own changeset, so one bad item does not stop the
+   * rest. Items that fail with a retryable status (throttling, server errors, no response)
+   * are sent again on their own in the next round.
+   * @param {Object[]} operations - { method: 'POST' | 'MERGE' | 'DELETE', url, body } - url is the
+   *   item URL for MERGE/DELETE and the items URL for POST; body is the JSON item for POST/MERGE
+   * @returns {Object[]} One result per operation, in order: { success, status, id, data, error }
+   */
+  async executeBatch(operations) {
+    const results = new Array(operations.length);
+    let pending = operations.map((operation, index) => ({ operation, index }));
+
+    for (let attempt = 0; pending.length > 0; attempt++) {
+      const retry = [];
+
+      for (let start = 0; start < pending.length; start += SP_BATCH_SIZE) {
+        const chunk = pending.slice(start, start + SP_BATCH_SIZE);
+        const responses = await this.sendBatch(chunk.map(entry => entry.operation));
+
+        chunk.forEach((entry, i) => {
+          const response = responses[i] || { status: 0, body: 'No response for this item in the batch' };
+          results[entry.index] = this.toBatchResult(response);
+          if (!results[entry.index].success && this.isRetryableBatchStatus(response.status)) {
+            retry.push(entry);
+          }
+        });
+      }
+
+      if (retry.length === 0 || attempt >= this.maxRetries) break;
+
+      const delay = this.retryDelay * Math.pow(2, attempt);
+      console.log(`⏳ Retrying ${retry.length} failed batch item(s) in ${delay}ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      pending = retry;
+    }
+
+    return results;
+  }
+
+  /**
+   * Send one $batch request
+   * @returns {Object[]} { status, body } per operation, in order - empty if the request itself failed
+   * @throws The fetch error when the connection is lost
+   */
+  async sendBatch(operations) {
+    const batchId = `batch_${Date.now()}_${Math.random().toString(36).slice(2)}`;
+    const lines = [];
+
+    operations.forEach((operation, index) => {
+      const changesetId = `changeset_${batchId}_${index}`;
+      lines.push(
+        `--${batchId}`,
+        `Content-Type: multipart/mixed; boundary="${changesetId}"`,
+        'Content-Transfer-Encoding: binary',
+        '',
+        `--${changesetId}`,
+        'Content-Type: application/http',
+        'Content-Transfer-Encoding: binary',
+        '',
+        `POST ${operation.url} HTTP/1.1`,
+        'Accept: application/json;odata=verbose',
+        'Content-Type: application/json;odata=verbose'
+      );
+      if (operation.method !== 'POST') {
+        lines.push(`X-HTTP-Method: ${operation.method}`, 'If-Match: *');
+      }
+      lines.push('', operation.body ? JSON.stringify(operation.body) : '', '', `--${changesetId}--`, '');
+    });
+    lines.push(`--${batchId}--`, '');
+
+    try {
+      const response = await this.retryFetch(`${this.siteUrl}/_api/$batch`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${this.accessToken}`,
+          'Accept': 'application/json;odata=verbose',
+          'Content-Type': `multipart/mixed; boundary="${batchId}"`,
+          'X-RequestDigest': await this.getRequestDigest()
+        },
+        body: lines.join('\r\n')
+      });
+
+      const text = await response.text();
+      if (!response.ok) {
+        console.error(`❌ $batch request failed (${response.status}):`, text);
+        return [];
+      }
+
+      return this.parseBatchResponse(text);
+    } catch (error) {
+      // A lost connection has to reach the caller so the save can be queued, not counted as item failures
+      if (DataStoreOfflineError.isNetworkError(error)) throw error;
+      console.error('❌ $batch request failed:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Split a $batch response into its item responses, in request order
+   * @returns {Object[]} { status, body }
+   */
+  parseBatchResponse(text) {
+    return `\n${text}`
+      .split(/\r?\n--[^\r\n]*/) // Batch and changeset boundary lines
+      .map(part => {
+        const statusLine = part.match(/HTTP\/1\.1 (\d{3})[^\r\n]*/);
+        if (!statusLine) return null;
+
+        const afterStatus = part.slice(statusLine.index + statusLine[0].length);
+        const bodyStart = afterStatus.search(/\r?\n\r?\n/);
+        return {
+          status: Number(statusLine[1]),
+          body: bodyStart === -1 ? '' : afterStatus.slice(bodyStart).trim()
+        };
+      })
+      .filter(Boolean);
+  }
+
+  toBatchResult({ status, body }) {
+    if (status >= 200 && status < 300) {
+      let data = null;
+      try {
+        data = body ? JSON.parse(body).d : null;
+      } catch (error) {
+        data = null; // MERGE and DELETE answer 204 with no body
+      }
+      return { success: true, status, id: data?.ID ?? data?.Id ?? null, data };
+    }
+
+    return { success: false, status, error: body || `HTTP ${status}` };
+  }
+
+  isRetryableBatchStatus(status) {
+    return status === 0 || status === 408 || status === 429 || status >= 500;
+  }
+
   /**
    * Load staff data using SharePoint REST API
    */
@@ -580,12 +747,15 @@ export class SharePointService {
       console.log('🔍 Loading client team members from ClientTeamMembers list...');
 
       const headers = await this.getHeaders();
+
+      // Pair compatibility columns are optional - older sites may not have them yet
+      const pairPreferenceFields = await this.getClientTeamMemberPairFields();
       
       // Optimize: Only load essential fields
       // For Lookup fields: Use ClientId to get the ID value directly (no expand needed)
       // For Person fields: Expand StaffMember to get full details
       const url = `${this.config.siteUrl}/_api/web/lists/getbytitle('ClientTeamMembers')/items?` +
-        `$select=ClientId,StaffMember/Id,StaffMember/Title,StaffMember/EMail,TrainingStatus&` +
+        `$select=${['ClientId', 'StaffMember/Id', 'StaffMember/Title', 'StaffMember/EMail', 'TrainingStatus', ...pairPreferenceFields].join(',')}&` +
         `$expand=StaffMember&` +
         `$top=5000`;
 
@@ -628,7 +798,9 @@ export class SharePointService {
             title: item.StaffMember.Title,
             name: item.StaffMember.Title,
             email: item.StaffMember.EMail || '',
-            trainingStatus: this.normalizeTrainingStatus(item.TrainingStatus)
+            trainingStatus: this.normalizeTrainingStatus(item.TrainingStatus),
+            pairPreference: this.normalizePairPreference(item.PairPreference),
+            pairNotes: item.PairNotes || ''
           });
         }
       });
@@ -648,6 +820,61 @@ export class SharePointService {
     }
   }
   
+  /**
+   * Which pair compatibility columns (PairPreference, PairNotes) exist on ClientTeamMembers
+   * Checked once per session so loads and saves work before the columns are added
+   */
+  async getClientTeamMemberPairFields() {
+    if (this.clientTeamMemberPairFields) {
+      return this.clientTeamMemberPairFields;
+    }
+
+    const candidates = ['PairPreference', 'PairNotes'];
+    try {
+      const headers = await this.getHeaders();
+      const fieldsUrl = `${this.config.siteUrl}/_api/web/lists/getbytitle('ClientTeamMembers')/fields?` +
+        `$select=InternalName&` +
+        `$top=5000`;
+      const response = await this.makeRequest(fieldsUrl, { headers });
+
+      if (!response.ok) {
+        console.warn('⚠️ Could not inspect ClientTeamMembers fields; pair preferences disabled');
+        return [];
+      }
+
+      const data = await response.json();
+      const fieldNames = new Set((data.d.results || []).map(field => field.InternalName));
+      this.clientTeamMemberPairFields = candidates.filter(fieldName => fieldNames.has(fieldName));
+      console.log('📋 ClientTeamMembers pair fields available:', this.clientTeamMemberPairFields.length > 0 ? this.clientTeamMemberPairFields.join(', ') : 'none');
+      return this.clientTeamMemberPairFields;
+    } catch (error) {
+      console.warn('⚠️ Failed to inspect ClientTeamMembers fields; pair preferences disabled', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Map SharePoint PairPreference choice ('Preferred' / 'Neutral' / 'Avoid') to app value
+   */
+  normalizePairPreference(value) {
+    const normalized = String(value || '').trim().toLowerCase();
+    if (normalized.startsWith('prefer')) return PAIR_PREFERENCE.PREFERRED;
+    if (normalized.startsWith('avoid')) return PAIR_PREFERENCE.AVOID;
+    return PAIR_PREFERENCE.NEUTRAL;
+  }
+
+  /**
+   * Map app pair preference to the SharePoint PairPreference choice
+   */
+  toSharePointPairPreference(preference) {
+    const mappings = {
+      [PAIR_PREFERENCE.PREFERRED]: 'Preferred',
+      [PAIR_PREFERENCE.NEUTRAL]: 'Neutral',
+      [PAIR_PREFERENCE.AVOID]: 'Avoid'
+    };
+    return mappings[preference] || 'Neutral';
+  }
+
   /**
    * Clear the team members cache
    * Call this after updating team data to force a refresh
@@ -799,6 +1026,7 @@ export class SharePointService {
       let team = [];
       let teamIds = [];
       let teamTrainingStatus = {};
+      let teamPairPreferences = {};
 
       // Load team from ClientTeamMembers list (should always exist now)
       if (useClientTeamMembersList) {
@@ -812,6 +1040,10 @@ export class SharePointService {
         team.forEach(member => {
           const status = member.trainingStatus || 'overlap-staff';
           teamTrainingStatus[member.id] = status;
+
+          if (member.pairPreference !== PAIR_PREFERENCE.NEUTRAL || member.pairNotes) {
+            teamPairPreferences[member.id] = { preference: member.pairPreference, notes: member.pairNotes };
+          }
           
           // Log when defaulting for missing training status
           if (!member.trainingStatus) {
@@ -837,8 +1069,8 @@ export class SharePointService {
         ? item.Title.trim()
         : `Client ${item.Id}`;
       const normalizedProgram = item.Program === PROGRAMS.SECONDARY ? PROGRAMS.SECONDARY : PROGRAMS.PRIMARY;
-      const normalizedRatioAM = ['1:1', '2:1', '1:2'].includes(item.RatioAM) ? item.RatioAM : '1:1';
-      const normalizedRatioPM = ['1:1', '2:1', '1:2'].includes(item.RatioPM) ? item.RatioPM : '1:1';
+      const normalizedRatioAM = ['1:1', '2:1', '1:2', '1:3'].includes(item.RatioAM) ? item.RatioAM : '1:1';
+      const normalizedRatioPM = ['1:1', '2:1', '1:2', '1:3'].includes(item.RatioPM) ? item.RatioPM : '1:1';
       const normalizedPairedWith = Number.isFinite(Number(item.PairedWith)) ? Number(item.PairedWith) : null;
 
       const student = new Student({
@@ -855,6 +1087,7 @@ export class SharePointService {
           absentPM: toBool(item.AbsentPM),
           absentFullDay: toBool(item.AbsentFullDay),
         teamTrainingStatus: teamTrainingStatus,
+        teamPairPreferences: teamPairPreferences,
         // Days of week schedule (default to true if not set)
         scheduledMonday: item.ScheduledMonday !== false,
         scheduledTuesday: item.ScheduledTuesday !== false,
@@ -972,7 +1205,7 @@ export class SharePointService {
       // Step 2: Load all assignments for this schedule from DailyAssignments (paginated)
       const assignmentsUrl = `${this.siteUrl}/_api/web/lists/getbytitle('DailyAssignments')/items?` +
         `$filter=ScheduleID eq ${scheduleId}&` +
-        `$select=ID,ScheduleID,ScheduleDate,StaffID,StaffName,StudentID,StudentName,Session,Program,AssignmentType,IsLocked&` +
+        `$select=${await this.getDailyAssignmentSelectFields()}&` +
         `$top=5000`;
 
       console.log('🔍 Fetching assignments from:', assignmentsUrl);
@@ -1004,7 +1237,9 @@ export class SharePointService {
           program: normalizedProgram,
           date: item.ScheduleDate,
           isLocked: item.IsLocked || false,
-          assignedBy: 'loaded'
+          assignedBy: 'loaded',
+          startTime: item.StartTime || null,
+          endTime: item.EndTime || null
         });
       });
 
@@ -1027,7 +1262,10 @@ export class SharePointService {
         lockedAssignments: new Set(),
         isFinalized: scheduleRecord.IsFinalized || false,
         lastModified: scheduleRecord.LastModified,
-        lastModifiedBy: scheduleRecord.LastModifiedBy
+        lastModifiedBy: scheduleRecord.LastModifiedBy,
+        seed: scheduleRecord.EngineSeed ?? null,
+        runLog: EngineRunLog.fromJSON(scheduleRecord.EngineRunLog),
+        version: scheduleRecord.__metadata?.etag ?? null
       });
       schedule.hasSavedRecord = true;
       schedule.scheduleId = scheduleId;
@@ -1131,7 +1369,7 @@ export class SharePointService {
    * Save client team member to ClientTeamMembers list
    * This replaces the need to save team data as JSON
    */
-  async saveClientTeamMember(clientId, clientName, staffMember, trainingStatus = 'solo', isUpdate = false, itemId = null) {
+  async saveClientTeamMember(clientId, clientName, staffMember, trainingStatus = 'solo', isUpdate = false, itemId = null, pairPreference = null) {
     try {
       const headers = await this.getHeaders(true);
       
@@ -1154,6 +1392,17 @@ export class SharePointService {
         DateAdded: new Date().toISOString()
       };
 
+      // Pair compatibility (only if the columns exist on this site)
+      if (pairPreference) {
+        const pairFields = await this.getClientTeamMemberPairFields();
+        if (pairFields.includes('PairPreference')) {
+          body.PairPreference = this.toSharePointPairPreference(pairPreference.preference);
+        }
+        if (pairFields.includes('PairNotes')) {
+          body.PairNotes = pairPreference.notes || '';
+        }
+      }
+
       const response = await this.makeRequest(url, {
         method: 'POST',
         headers,
@@ -1252,7 +1501,13 @@ export class SharePointService {
             student.id,
             student.name,
             staffMember,
-            trainingStatus
+            trainingStatus,
+            false,
+            null,
+            {
+              preference: student.getStaffPairPreference(staffId),
+              notes: student.getStaffPairNotes(staffId)
+            }
           );
         }
       }
@@ -1269,7 +1524,11 @@ export class SharePointService {
             { id: member.StaffMember.Id, name: member.StaffMember.Title },
             trainingStatus,
             true,
-            member.Id
+            member.Id,
+            {
+              preference: student.getStaffPairPreference(member.StaffMember.Id),
+              notes: student.getStaffPairNotes(member.StaffMember.Id)
+            }
           );
         }
       }
@@ -1286,7 +1545,7 @@ export class SharePointService {
     }
   }
 
-  async saveStudent(student, isUpdate = false) {
+  async saveStudent(student, isUpdate = false, { requireTeamSync = false } = {}) {
     try {
       const headers = await this.getHeaders(true);
       
@@ -1343,10 +1602,18 @@ export class SharePointService {
       }
       
       // Sync team members to ClientTeamMembers list (for both new and updated students)
-      this.syncStudentTeamToList(studentToSync).catch(err => {
-        console.warn('⚠️ Failed to sync team to ClientTeamMembers list:', err.message);
-        console.log('  → Falling back to legacy Team field storage');
-      });
+      const teamSync = this.syncStudentTeamToList(studentToSync);
+      if (requireTeamSync) {
+        // Training statuses are only stored in ClientTeamMembers, so the caller needs to know it failed
+        if (!await teamSync) {
+          throw new Error(`Could not save the team for ${student.name} to the ClientTeamMembers list`);
+        }
+      } else {
+        teamSync.catch(err => {
+          console.warn('⚠️ Failed to sync team to ClientTeamMembers list:', err.message);
+          console.log('  → Falling back to legacy Team field storage');
+        });
+      }
 
       return response;
     } catch (error) {
@@ -1419,7 +1686,7 @@ export class SharePointService {
     }
   }
 
-  async saveSchedule(schedule, staff = null, students = null) {
+  async saveSchedule(schedule, staff = null, students = null, { detectConflicts = false, auditEntries = [] } = {}) {
     // Cache staff and students for use in saveAttendanceForDate
     this.cachedStaff = staff;
     this.cachedStudents = students;
@@ -1509,6 +1776,7 @@ export class SharePointService {
           return false;
         }
       } catch (error) {
+        if (DataStoreOfflineError.isNetworkError(error)) throw error;
         console.error('❌ Error retrieving lists:', error);
         return false;
       }
@@ -1531,11 +1799,13 @@ export class SharePointService {
 
       let scheduleId = null;
       let isUpdate = false;
+      let savedVersion = null;
 
       if (existingScheduleResponse.ok) {
         const existingData = await existingScheduleResponse.json();
         if (existingData.d.results && existingData.d.results.length > 0) {
           scheduleId = existingData.d.results[0].ID;
+          savedVersion = existingData.d.results[0].__metadata?.etag ?? null;
           isUpdate = true;
           console.log('📝 Found existing schedule record, will UPDATE ID:', scheduleId);
           console.log('📝 Existing record details:', {
@@ -1548,6 +1818,17 @@ export class SharePointService {
         }
       }
 
+      // A save of ours that wrote the row but not its assignments moved the ETag - that is not someone else's save
+      const loadedVersion = schedule.version ?? null;
+      const unfinishedSave = this.unfinishedScheduleSaves.get(schedule.date);
+      const expectedVersion = unfinishedSave && unfinishedSave.from === loadedVersion ? unfinishedSave.to : loadedVersion;
+
+      // Someone saved this day since it was loaded - their changes must be merged, not overwritten
+      if (detectConflicts && savedVersion !== expectedVersion) {
+        console.warn(`⚠️ ScheduleHistory ${scheduleId} has ETag ${savedVersion}, loaded ${schedule.version} - not saving over it`);
+        throw new ScheduleConflictError(await this.loadSchedule(schedule.date));
+      }
+
       // Prepare schedule metadata with proper SharePoint REST API format
       const scheduleData = {
         __metadata: { type: this.scheduleHistoryEntityType },
@@ -1558,6 +1839,12 @@ export class SharePointService {
         AssignmentsSummary: this.generateAssignmentsSummary(schedule.assignments),
         traineeAssignments: schedule.traineeAssignments ? JSON.stringify(schedule.traineeAssignments) : '[]'
       };
+      if (await this.hasScheduleHistoryField('EngineSeed')) {
+        scheduleData.EngineSeed = schedule.seed ?? null; // Seed of the auto-assign run, for reproducing it later
+      }
+      if (schedule.runLog && await this.hasScheduleHistoryField('EngineRunLog')) {
+        scheduleData.EngineRunLog = JSON.stringify(schedule.runLog); // Auto Assign run details, for audit
+      }
       
       console.log('💾 Prepared schedule data for SharePoint:', scheduleData);
 
@@ -1574,12 +1861,17 @@ export class SharePointService {
               'Content-Type': 'application/json;odata=verbose',
               'X-RequestDigest': await this.getRequestDigest(),
               'X-HTTP-Method': 'MERGE',
-              'If-Match': '*'
+              'If-Match': detectConflicts ? savedVersion : '*' // 412 if it changed since the check above
             },
             body: JSON.stringify(scheduleData)
           }
         );
 
+        if (updateResponse.status === 412) {
+          console.warn(`⚠️ ScheduleHistory ${scheduleId} changed while saving - not saving over it`);
+          throw new ScheduleConflictError(await this.loadSchedule(schedule.date));
+        }
+
         if (!updateResponse.ok) {
           const errorText = await updateResponse.text();
           console.error('Failed to update schedule metadata:', errorText);
@@ -1614,6 +1906,11 @@ export class SharePointService {
         scheduleId = scheduleResult.d.ID;
         console.log('✅ Schedule metadata saved with ID:', scheduleId);
       }
+      schedule.hasSavedRecord = true;
+      schedule.scheduleId = scheduleId;
+      // The version only moves once everything below is saved; until then a retry is matched against this
+      const writtenVersion = await this.getScheduleRecordVersion(scheduleId);
+      this.unfinishedScheduleSaves.set(schedule.date, { from: loadedVersion, to: writtenVersion });
 
       // Synchronize DailyAssignments in-place so we don't delete everything up front.
       // This prevents data loss when only some writes fail.
@@ -1679,13 +1976,250 @@ export class SharePointService {
         console.log('ℹ️ Skipping attendance sync during schedule save (staff/students not provided)');
       }
 
+      schedule.version = writtenVersion;
+      this.unfinishedScheduleSaves.delete(schedule.date);
+
+      // The schedule is saved - a failed audit append is logged, not reported as a failed save
+      if (auditEntries.length > 0) {
+        await this.appendAuditEntries(auditEntries);
+      }
+
       return true;
     } catch (error) {
+      if (error instanceof ScheduleConflictError || error instanceof DataStoreOfflineError) {
+        throw error;
+      }
+      if (DataStoreOfflineError.isNetworkError(error)) {
+        throw new DataStoreOfflineError('save the schedule', error);
+      }
       console.error('Error saving schedule:', error);
       return false;
     }
   }
 
+  /**
+   * Current ETag of a ScheduleHistory record, so the next save can be checked against it
+   */
+  async getScheduleRecordVersion(scheduleId) {
+    const response = await this.retryFetch(
+      `${this.siteUrl}/_api/web/lists/getbytitle('ScheduleHistory')/items(${scheduleId})?$select=ID`,
+      {
+        method: 'GET',
+        headers: {
+          'Authorization': `Bearer ${this.accessToken}`,
+          'Accept': 'application/json;odata=verbose'
+        }
+      }
+    );
+
+    if (!response.ok) {
+      console.warn(`⚠️ Could not read the version of ScheduleHistory ${scheduleId}:`, response.status);
+      return null;
+    }
+
+    const data = await response.json();
+    return data.d?.__metadata?.etag ?? null;
+  }
+
+  /**
+   * Append entries to the ScheduleAuditLog list (one item per entry, sent as $batch creates)
+   */
+  async appendAuditEntries(entries) {
+    if (entries.length === 0) return true;
+
+    try {
+      const itemsUrl = `${this.siteUrl}/_api/web/lists/getbytitle('${AUDIT_LOG_LIST}')/items`;
+      const results = await this.executeBatch(entries.map(entry => ({
+        method: 'POST',
+        url: itemsUrl,
+        body: this.buildAuditLogItem(entry)
+      })));
+
+      const failures = results.filter(result => !result.success);
+      if (failures.length > 0) {
+        console.warn(`⚠️ ${failures.length} of ${entries.length} audit entries were not recorded - does the ${AUDIT_LOG_LIST} list exist?`, failures.slice(0, 3));
+        return false;
+      }
+
+      console.log(`📜 ${entries.length} audit entr${entries.length === 1 ? 'y' : 'ies'} recorded`);
+      return true;
+    } catch (error) {
+      console.warn('⚠️ Could not record audit entries:', error.message);
+      return false;
+    }
+  }
+
+  buildAuditLogItem(entry) {
+    const toNumber = id => (id === null || id === undefined || !Number.isFinite(Number(id))) ? null : Number(id);
+
+    return {
+      __metadata: { type: `SP.Data.${AUDIT_LOG_LIST}ListItem` },
+      Title: entry.describe().slice(0, 255),
+      EntryId: entry.id,
+      ScheduleDate: entry.date,
+      ChangeType: entry.changeType,
+      Action: entry.action,
+      Session: entry.session || '',
+      Program: this.normalizeAssignmentProgram(entry.program),
+      StaffID: toNumber(entry.staffId),
+      StaffName: entry.staffName || '',
+      StudentID: toNumber(entry.studentId),
+      StudentName: entry.studentName || '',
+      FromStudentID: toNumber(entry.before?.studentId),
+      IsTrainee: Boolean(entry.isTrainee),
+      Details: JSON.stringify({ before: entry.before, after: entry.after }),
+      ChangedBy: entry.changedBy || '',
+      ChangedAt: entry.changedAt
+    };
+  }
+
+  /**
+   * Load ScheduleAuditLog entries for a day, or for a client over the last few days
+   */
+  async loadAuditLog({ date = null, studentId = null, days = 30 } = {}) {
+    if (!this.isAuthenticated()) {
+      console.error('Cannot load the audit log - not authenticated');
+      return [];
+    }
+
+    const filters = [];
+    if (date) {
+      const { start, end } = this.getDateRangeForDay(date);
+      filters.push(`ScheduleDate ge datetime'${start}' and ScheduleDate le datetime'${end}'`);
+    } else {
+      const since = new Date();
+      since.setDate(since.getDate() - days);
+      filters.push(`ScheduleDate ge datetime'${this.getDateRangeForDay(since).start}'`);
+      if (studentId !== null) {
+        filters.push(`(StudentID eq ${Number(studentId)} or FromStudentID eq ${Number(studentId)})`);
+      }
+    }
+
+    const url = `${this.siteUrl}/_api/web/lists/getbytitle('${AUDIT_LOG_LIST}')/items?` +
+      `$select=ID,EntryId,ScheduleDate,ChangeType,Action,Session,Program,StaffID,StaffName,StudentID,StudentName,IsTrainee,Details,ChangedBy,ChangedAt&` +
+      `$filter=${filters.join(' and ')}&` +
+      `$orderby=ChangedAt desc&` +
+      `$top=5000`;
+
+    try {
+      const rows = await this.fetchAllPages(url);
+      return rows.map(row => {
+        let details = {};
+        try {
+          details = row.Details ? JSON.parse(row.Details) : {};
+        } catch (error) {
+          console.warn(`⚠️ Unreadable details on audit entry ${row.ID}`);
+        }
+        return new AuditEntry({
+          id: row.EntryId || `sp-${row.ID}`,
+          date: String(row.ScheduleDate).split('T')[0],
+          changeType: row.ChangeType,
+          action: row.Action,
+          session: row.Session,
+          program: row.Program,
+          staffId: row.StaffID,
+          staffName: row.StaffName,
+          studentId: row.StudentID,
+          studentName: row.StudentName,
+          isTrainee: Boolean(row.IsTrainee),
+          before: details.before || null,
+          after: details.after || null,
+          changedBy: row.ChangedBy,
+          changedAt: row.ChangedAt
+        });
+      });
+    } catch (error) {
+      console.error(`Error loading the audit log (does the ${AUDIT_LOG_LIST} list exist?):`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Which split coverage columns (StartTime, EndTime) exist on DailyAssignments
+   * Checked once per session so saves keep working before the columns are added
+   */
+  async getDailyAssignmentTimeFields() {
+    if (this.dailyAssignmentTimeFields) {
+      return this.dailyAssignmentTimeFields;
+    }
+
+    const candidates = ['StartTime', 'EndTime'];
+    try {
+      const headers = await this.getHeaders();
+      const fieldsUrl = `${this.siteUrl}/_api/web/lists/getbytitle('DailyAssignments')/fields?` +
+        `$select=InternalName&` +
+        `$top=5000`;
+      const response = await this.makeRequest(fieldsUrl, { headers });
+
+      if (!response.ok) {
+        console.warn('⚠️ Could not inspect DailyAssignments fields; split coverage times will not be saved');
+        return [];
+      }
+
+      const data = await response.json();
+      const fieldNames = new Set((data.d.results || []).map(field => field.InternalName));
+      this.dailyAssignmentTimeFields = candidates.filter(fieldName => fieldNames.has(fieldName));
+      console.log('📋 DailyAssignments time fields available:', this.dailyAssignmentTimeFields.length > 0 ? this.dailyAssignmentTimeFields.join(', ') : 'none');
+      return this.dailyAssignmentTimeFields;
+    } catch (error) {
+      console.warn('⚠️ Failed to inspect DailyAssignments fields; split coverage times will not be saved', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Whether an optional column (EngineSeed, EngineRunLog) exists on ScheduleHistory
+   * Checked once per column per session so saves keep working before the column is added
+   */
+  async hasScheduleHistoryField(internalName) {
+    if (this.scheduleHistoryFields[internalName] !== undefined) {
+      return this.scheduleHistoryFields[internalName];
+    }
+
+    try {
+      const headers = await this.getHeaders();
+      const fieldsUrl = `${this.siteUrl}/_api/web/lists/getbytitle('ScheduleHistory')/fields?` +
+        `$select=InternalName&` +
+        `$filter=InternalName eq '${internalName}'`;
+      const response = await this.makeRequest(fieldsUrl, { headers });
+
+      if (!response.ok) {
+        console.warn(`⚠️ Could not inspect ScheduleHistory fields; ${internalName} will not be saved`);
+        return false;
+      }
+
+      const data = await response.json();
+      this.scheduleHistoryFields[internalName] = (data.d.results || []).length > 0;
+      console.log(`📋 ScheduleHistory ${internalName} column available:`, this.scheduleHistoryFields[internalName]);
+      return this.scheduleHistoryFields[internalName];
+    } catch (error) {
+      console.warn(`⚠️ Failed to inspect ScheduleHistory fields; ${internalName} will not be saved`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * $select list for DailyAssignments rows, including the optional time columns
+   */
+  async getDailyAssignmentSelectFields() {
+    const timeFields = await this.getDailyAssignmentTimeFields();
+    return ['ID', 'ScheduleID', 'ScheduleDate', 'StaffID', 'StaffName', 'StudentID', 'StudentName',
+      'Session', 'Program', 'AssignmentType', 'IsLocked', ...timeFields].join(',');
+  }
+
+  /**
+   * Add split coverage start/end times to a DailyAssignments item body (if the columns exist)
+   */
+  async applyAssignmentTimeFields(assignmentData, assignment) {
+    const timeFields = await this.getDailyAssignmentTimeFields();
+    if (timeFields.includes('StartTime')) {
+      assignmentData.StartTime = assignment.startTime || null;
+    }
+    if (timeFields.includes('EndTime')) {
+      assignmentData.EndTime = assignment.endTime || null;
+    }
+  }
+
   generateAssignmentsSummary(assignments) {
     const summary = {
       totalAssignments: assignments.length,
@@ -1706,25 +2240,34 @@ export class SharePointService {
     return JSON.stringify(summary);
   }
 
+  /**
+   * DailyAssignments list item for an assignment
+   */
+  async buildAssignmentItem(assignment, scheduleId, scheduleDate) {
+    const normalizedSession = this.normalizeAssignmentSession(assignment.session);
+    const normalizedProgram = this.normalizeAssignmentProgram(assignment.program);
+
+    const assignmentData = {
+      __metadata: { type: this.dailyAssignmentsEntityType || 'SP.Data.DailyAssignmentsListItem' },
+      Title: `Assignment_${assignment.staffId}_${assignment.studentId}_${normalizedSession}`,
+      ScheduleID: scheduleId,
+      ScheduleDate: scheduleDate,
+      StaffID: assignment.staffId,
+      StaffName: assignment.staffName || '',
+      StudentID: assignment.studentId,
+      StudentName: assignment.studentName || '',
+      Session: normalizedSession,
+      Program: normalizedProgram,
+      AssignmentType: assignment.type || 'Standard',
+      IsLocked: assignment.isLocked || false
+    };
+    await this.applyAssignmentTimeFields(assignmentData, assignment);
+    return assignmentData;
+  }
+
   async saveAssignmentToHistory(assignment, scheduleId, scheduleDate) {
     try {
-      const normalizedSession = this.normalizeAssignmentSession(assignment.session);
-      const normalizedProgram = this.normalizeAssignmentProgram(assignment.program);
-
-      const assignmentData = {
-        __metadata: { type: this.dailyAssignmentsEntityType || 'SP.Data.DailyAssignmentsListItem' },
-        Title: `Assignment_${assignment.staffId}_${assignment.studentId}_${normalizedSession}`,
-        ScheduleID: scheduleId,
-        ScheduleDate: scheduleDate,
-        StaffID: assignment.staffId,
-        StaffName: assignment.staffName || '',
-        StudentID: assignment.studentId,
-        StudentName: assignment.studentName || '',
-        Session: normalizedSession,
-        Program: normalizedProgram,
-        AssignmentType: assignment.type || 'Standard',
-        IsLocked: assignment.isLocked || false
-      };
+      const assignmentData = await this.buildAssignmentItem(assignment, scheduleId, scheduleDate);
 
       console.log('💾 Saving assignment to DailyAssignments list:', assignmentData);
 
@@ -1759,23 +2302,7 @@ export class SharePointService {
 
   async updateAssignmentInHistory(itemId, assignment, scheduleId, scheduleDate) {
     try {
-      const normalizedSession = this.normalizeAssignmentSession(assignment.session);
-      const normalizedProgram = this.normalizeAssignmentProgram(assignment.program);
-
-      const assignmentData = {
-        __metadata: { type: this.dailyAssignmentsEntityType || 'SP.Data.DailyAssignmentsListItem' },
-        Title: `Assignment_${assignment.staffId}_${assignment.studentId}_${normalizedSession}`,
-        ScheduleID: scheduleId,
-        ScheduleDate: scheduleDate,
-        StaffID: assignment.staffId,
-        StaffName: assignment.staffName || '',
-        StudentID: assignment.studentId,
-        StudentName: assignment.studentName || '',
-        Session: normalizedSession,
-        Program: normalizedProgram,
-        AssignmentType: assignment.type || 'Standard',
-        IsLocked: assignment.isLocked || false
-      };
+      const assignmentData = await this.buildAssignmentItem(assignment, scheduleId, scheduleDate);
 
       const response = await this.retryFetch(
         `${this.siteUrl}/_api/web/lists/getbytitle('DailyAssignments')/items(${itemId})`,
@@ -1885,12 +2412,51 @@ export class SharePointService {
 
     const assignmentsUrl = `${this.siteUrl}/_api/web/lists/getbytitle('DailyAssignments')/items?` +
       `$filter=ScheduleDate ge datetime'${start}' and ScheduleDate le datetime'${end}'&` +
-      `$select=ID,ScheduleID,ScheduleDate,StaffID,StaffName,StudentID,StudentName,Session,Program,AssignmentType,IsLocked&` +
+      `$select=${await this.getDailyAssignmentSelectFields()}&` +
       `$top=5000`;
 
     return this.fetchAllPages(assignmentsUrl);
   }
 
+  /**
+   * Load saved DailyAssignments for the days before referenceDate (consecutive-days rule)
+   * @param {Date} referenceDate - Day being scheduled (not included)
+   * @param {number} days - Calendar days to look back
+   * @returns {Array} [{ date: 'YYYY-MM-DD', staffId, studentId, session, program }]
+   */
+  async loadAssignmentHistory(referenceDate, days = 14) {
+    if (!this.isAuthenticated()) {
+      console.error('Cannot load assignment history - not authenticated');
+      return [];
+    }
+
+    const firstDay = new Date(referenceDate.getFullYear(), referenceDate.getMonth(), referenceDate.getDate() - days);
+    const lastDay = new Date(referenceDate.getFullYear(), referenceDate.getMonth(), referenceDate.getDate() - 1);
+    const { start } = this.getDateRangeForDay(firstDay);
+    const { end } = this.getDateRangeForDay(lastDay);
+
+    const historyUrl = `${this.siteUrl}/_api/web/lists/getbytitle('DailyAssignments')/items?` +
+      `$filter=ScheduleDate ge datetime'${start}' and ScheduleDate le datetime'${end}'&` +
+      `$select=ID,ScheduleDate,StaffID,StudentID,Session,Program&` +
+      `$top=5000`;
+
+    try {
+      const rows = await this.fetchAllPages(historyUrl);
+      console.log(`📆 Loaded ${rows.length} DailyAssignments rows from the last ${days} days`);
+
+      return rows.map(row => ({
+        date: String(row.ScheduleDate).split('T')[0],
+        staffId: this.normalizeAssignmentId(row.StaffID),
+        studentId: this.normalizeAssignmentId(row.StudentID),
+        session: this.normalizeAssignmentSession(row.Session),
+        program: this.normalizeAssignmentProgram(row.Program)
+      }));
+    } catch (error) {
+      console.error('Error loading assignment history:', error);
+      return [];
+    }
+  }
+
   async cleanupAssignmentsForDate(scheduleDate, keepScheduleId) {
     try {
       const rows = await this.loadAssignmentsForDate(scheduleDate);
@@ -1941,6 +2507,7 @@ export class SharePointService {
 
       return { success: true, deleted: deleteResults.length };
     } catch (error) {
+      if (DataStoreOfflineError.isNetworkError(error)) throw error;
       console.error('❌ Error in cleanupAssignmentsForDate:', error);
       return { success: false, deleted: 0, failedDeletes: [{ error: error.message }] };
     }
@@ -1949,24 +2516,25 @@ export class SharePointService {
   async loadAssignmentsForSchedule(scheduleId) {
     const assignmentsUrl = `${this.siteUrl}/_api/web/lists/getbytitle('DailyAssignments')/items?` +
       `$filter=ScheduleID eq ${scheduleId}&` +
-      `$select=ID,ScheduleID,ScheduleDate,StaffID,StaffName,StudentID,StudentName,Session,Program,AssignmentType,IsLocked&` +
+      `$select=${await this.getDailyAssignmentSelectFields()}&` +
       `$top=5000`;
 
     return this.fetchAllPages(assignmentsUrl);
   }
 
+  async loadMainAssignmentsForSchedule(scheduleId) {
+    const items = await this.loadAssignmentsForSchedule(scheduleId);
+    return (items || []).map(item => ({
+      staffId: item.StaffID,
+      staffName: item.StaffName || '',
+      studentId: item.StudentID,
+      session: this.normalizeAssignmentSession(item.Session),
+      isLocked: item.IsLocked === true
+    }));
+  }
+
   async syncAssignmentsForSchedule(scheduleId, assignments, scheduleDate) {
     try {
-      const executeInBatches = async (items, handler, batchSize = 10) => {
-        const results = [];
-        for (let index = 0; index < items.length; index += batchSize) {
-          const chunk = items.slice(index, index + batchSize);
-          const chunkResults = await Promise.all(chunk.map(handler));
-          results.push(...chunkResults);
-        }
-        return results;
-      };
-
       const existingItems = await this.loadAssignmentsForSchedule(scheduleId);
 
       const existingByKey = new Map();
@@ -2010,7 +2578,9 @@ export class SharePointService {
           (existing.StaffName || '') !== (assignment.staffName || '') ||
           (existing.StudentName || '') !== (assignment.studentName || '') ||
           (existing.AssignmentType || 'Standard') !== (assignment.type || 'Standard') ||
-          !!existing.IsLocked !== !!assignment.isLocked;
+          !!existing.IsLocked !== !!assignment.isLocked ||
+          (existing.StartTime || null) !== (assignment.startTime || null) ||
+          (existing.EndTime || null) !== (assignment.endTime || null);
 
         if (needsUpdate) {
           toUpdate.push({ itemId: existing.ID, assignment });
@@ -2027,18 +2597,33 @@ export class SharePointService {
         toDelete.push(itemId);
       });
 
-      const createResults = await executeInBatches(
-        toCreate,
-        assignment => this.saveAssignmentToHistory(assignment, scheduleId, scheduleDate)
-      );
-      const updateResults = await executeInBatches(
-        toUpdate,
-        entry => this.updateAssignmentInHistory(entry.itemId, entry.assignment, scheduleId, scheduleDate)
-      );
-      const deleteResults = await executeInBatches(
-        toDelete,
-        itemId => this.deleteAssignmentById(itemId)
-      );
+      // Sent as $batch requests (see executeBatch) instead of one request per assignment
+      const itemsUrl = `${this.siteUrl}/_api/web/lists/getbytitle('DailyAssignments')/items`;
+      const operations = [
+        ...await Promise.all(toCreate.map(async assignment => ({
+          method: 'POST',
+          url: itemsUrl,
+          body: await this.buildAssignmentItem(assignment, scheduleId, scheduleDate)
+        }))),
+        ...await Promise.all(toUpdate.map(async entry => ({
+          method: 'MERGE',
+          url: `${itemsUrl}(${entry.itemId})`,
+          body: await this.buildAssignmentItem(entry.assignment, scheduleId, scheduleDate)
+        }))),
+        ...toDelete.map(itemId => ({ method: 'DELETE', url: `${itemsUrl}(${itemId})` }))
+      ];
+      const batchResults = await this.executeBatch(operations);
+
+      const createResults = toCreate.map((assignment, i) => ({ ...batchResults[i], assignment }));
+      const updateResults = toUpdate.map((entry, i) => ({
+        ...batchResults[toCreate.length + i],
+        id: entry.itemId,
+        assignment: entry.assignment
+      }));
+      const deleteResults = toDelete.map((itemId, i) => ({
+        ...batchResults[toCreate.length + toUpdate.length + i],
+        id: itemId
+      }));
 
       const failedCreates = createResults.filter(r => !r.success);
       const failedUpdates = updateResults.filter(r => !r.success);
@@ -2064,6 +2649,7 @@ export class SharePointService {
         failedDeletes
       };
     } catch (error) {
+      if (DataStoreOfflineError.isNetworkError(error)) throw error;
       console.error('❌ Error in syncAssignmentsForSchedule:', error);
       return {
         success: false,
@@ -2133,6 +2719,7 @@ export class SharePointService {
       console.log(`✅ Assignment persistence repaired for schedule ${scheduleId}: ${verifiedCount} rows present`);
       return { success: true, repaired: repairedCount, existing: verifiedCount };
     } catch (error) {
+      if (DataStoreOfflineError.isNetworkError(error)) throw error;
       console.error('❌ Error verifying/repairing assignment persistence:', error);
       return {
         success: false,
@@ -2221,41 +2808,6 @@ export class SharePointService {
     }
   }
 
-  /**
-   * Save attendance data for all staff and students for a specific date
-   * This replaces the old saveAttendanceHistory method
-   */
-  buildExpectedAttendanceSnapshot(staff = [], students = []) {
-    const normalizeBoolean = value => !!value;
-
-    const buildPersonSnapshot = person => ({
-      absentAM: normalizeBoolean(person.absentAM),
-      absentPM: normalizeBoolean(person.absentPM),
-      absentFullDay: normalizeBoolean(person.absentFullDay),
-      outOfSessionAM: normalizeBoolean(person.outOfSessionAM),
-      outOfSessionPM: normalizeBoolean(person.outOfSessionPM),
-      outOfSessionFullDay: normalizeBoolean(person.outOfSessionFullDay),
-      status: this.getAttendanceStatusForPerson(person)
-    });
-
-    const snapshot = {
-      staff: {},
-      students: {}
-    };
-
-    (staff || []).forEach(staffMember => {
-      if (!staffMember?.isActive) return;
-      snapshot.staff[staffMember.id] = buildPersonSnapshot(staffMember);
-    });
-
-    (students || []).forEach(student => {
-      if (!student?.isActive) return;
-      snapshot.students[student.id] = buildPersonSnapshot(student);
-    });
-
-    return snapshot;
-  }
-
   normalizeAttendancePersonType(personType) {
     const normalized = String(personType || '').trim().toLowerCase();
     if (normalized === 'staff') {
@@ -2272,40 +2824,6 @@ export class SharePointService {
     return `${canonicalType}__${personId}`;
   }
 
-  getAttendanceStatusForPerson(person) {
-    if (person.absentFullDay) {
-      return 'Absent Full Day';
-    }
-    if (person.absentAM && person.absentPM) {
-      return 'Absent Full Day';
-    }
-    if (person.outOfSessionFullDay) {
-      return 'Out Session Full Day';
-    }
-    if (person.outOfSessionAM && person.outOfSessionPM) {
-      return 'Out Session Full Day';
-    }
-    if (person.absentAM && person.outOfSessionPM) {
-      return 'Absent AM / Out Session PM';
-    }
-    if (person.outOfSessionAM && person.absentPM) {
-      return 'Out Session AM / Absent PM';
-    }
-    if (person.absentAM) {
-      return 'Absent AM';
-    }
-    if (person.absentPM) {
-      return 'Absent PM';
-    }
-    if (person.outOfSessionAM) {
-      return 'Out Session AM';
-    }
-    if (person.outOfSessionPM) {
-      return 'Out Session PM';
-    }
-    return 'Present';
-  }
-
   compareAttendanceMaps(existingMap = {}, expectedMap = {}) {
     const existingKeys = Object.keys(existingMap || {});
     const expectedKeys = Object.keys(expectedMap || {});
@@ -2470,16 +2988,6 @@ export class SharePointService {
       const dateStr = typeof date === 'string' ? date : `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
       console.log(`💾 Saving attendance for ${dateStr}...`);
 
-      const executeInBatches = async (items, handler, batchSize = 10) => {
-        const results = [];
-        for (let index = 0; index < items.length; index += batchSize) {
-          const chunk = items.slice(index, index + batchSize);
-          const chunkResults = await Promise.all(chunk.map(handler));
-          results.push(...chunkResults);
-        }
-        return results;
-      };
-
       // Use provided staff/students if available, otherwise load fresh
       // If passed from App.js, these will have the current attendance flags
       if (!staff || !students) {
@@ -2490,9 +2998,6 @@ export class SharePointService {
         console.log(`✅ Using provided staff (${staff.length}) and students (${students.length}) with current attendance data`);
       }
 
-      // Get request digest once
-      const digest = await this.getRequestDigest();
-
       const start = `${dateStr}T00:00:00Z`;
       const end = `${dateStr}T23:59:59Z`;
 
@@ -2616,61 +3121,13 @@ export class SharePointService {
 
       console.log(`📝 Attendance changes for ${dateStr}: ${toCreate.length} to create, ${toUpdate.length} to update`);
 
-      const createResults = await executeInBatches(toCreate, async record => {
-        try {
-          const response = await this.retryFetch(
-            `${this.siteUrl}/_api/web/lists/getbytitle('DailyAttendance')/items`,
-            {
-              method: 'POST',
-              headers: {
-                'Authorization': `Bearer ${this.accessToken}`,
-                'Accept': 'application/json;odata=verbose',
-                'Content-Type': 'application/json;odata=verbose',
-                'X-RequestDigest': digest
-              },
-              body: JSON.stringify(record)
-            }
-          );
-
-          if (!response.ok) {
-            const errorText = await response.text();
-            return { success: false, error: errorText, person: record.PersonName };
-          }
-
-          return { success: true };
-        } catch (error) {
-          return { success: false, error: error.message, person: record.PersonName };
-        }
-      });
-
-      const updateResults = await executeInBatches(toUpdate, async entry => {
-        try {
-          const response = await this.retryFetch(
-            `${this.siteUrl}/_api/web/lists/getbytitle('DailyAttendance')/items(${entry.id})`,
-            {
-              method: 'POST',
-              headers: {
-                'Authorization': `Bearer ${this.accessToken}`,
-                'Accept': 'application/json;odata=verbose',
-                'Content-Type': 'application/json;odata=verbose',
-                'X-RequestDigest': digest,
-                'X-HTTP-Method': 'MERGE',
-                'If-Match': '*'
-              },
-              body: JSON.stringify(entry.record)
-            }
-          );
-
-          if (!response.ok) {
-            const errorText = await response.text();
-            return { success: false, error: errorText, person: entry.record.PersonName };
-          }
-
-          return { success: true };
-        } catch (error) {
-          return { success: false, error: error.message, person: entry.record.PersonName };
-        }
-      });
+      const itemsUrl = `${this.siteUrl}/_api/web/lists/getbytitle('DailyAttendance')/items`;
+      const batchResults = await this.executeBatch([
+        ...toCreate.map(record => ({ method: 'POST', url: itemsUrl, body: record })),
+        ...toUpdate.map(entry => ({ method: 'MERGE', url: `${itemsUrl}(${entry.id})`, body: entry.record }))
+      ]);
+      const createResults = toCreate.map((record, i) => ({ ...batchResults[i], person: record.PersonName }));
+      const updateResults = toUpdate.map((entry, i) => ({ ...batchResults[toCreate.length + i], person: entry.record.PersonName }));
 
       const allResults = [...createResults, ...updateResults];
       const successCount = allResults.filter(result => result.success).length;
@@ -2683,6 +3140,9 @@ export class SharePointService {
       console.log(`✅ Attendance upsert complete: ${successCount}/${allResults.length} records saved`);
       return failureCount === 0;
     } catch (error) {
+      if (DataStoreOfflineError.isNetworkError(error)) {
+        throw new DataStoreOfflineError('save attendance', error);
+      }
       console.warn('⚠️ Attendance sync failed (schedule save already completed):', error.message);
       return false;
     }
@@ -2884,75 +3344,75 @@ export class SharePointService {
     }
   }
 
-  // Method to load schedule history for rule checking
-  async getScheduleHistory(staffId, studentId, days = 7) {
+  /**
+   * Load attendance already entered for a range of dates (e.g. known future absences)
+   * @param {Date} startDate - First date (inclusive)
+   * @param {Date} endDate - Last date (inclusive)
+   * @returns {Object} { 'YYYY-MM-DD': { staff: { id: attendance }, students: { id: attendance } } }
+   */
+  async loadAttendanceForRange(startDate, endDate) {
+    const byDate = {};
     try {
       if (!this.isAuthenticated()) {
-        console.error('Cannot load schedule history - not authenticated');
-        return [];
+        console.error('Cannot load attendance - not authenticated');
+        return byDate;
       }
 
-      const endDate = new Date();
-      const startDate = new Date(endDate);
-      startDate.setDate(startDate.getDate() - days);
+      const formatDate = date => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+      const start = `${formatDate(startDate)}T00:00:00Z`;
+      const end = `${formatDate(endDate)}T23:59:59Z`;
+      console.log(`📥 Loading attendance from ${formatDate(startDate)} to ${formatDate(endDate)}...`);
 
-      const filter = `StaffID eq ${staffId} and StudentID eq ${studentId} and ScheduleDate ge '${startDate.toISOString().split('T')[0]}' and ScheduleDate le '${endDate.toISOString().split('T')[0]}'`;
-      
-      const response = await fetch(
-        `${this.siteUrl}/_api/web/lists/getbytitle('ABAAssignments')/items?$filter=${encodeURIComponent(filter)}&$orderby=ScheduleDate desc`,
-        {
-          method: 'GET',
-          headers: {
-            'Authorization': `Bearer ${this.accessToken}`,
-            'Accept': 'application/json;odata=verbose'
-          }
-        }
-      );
+      const records = await this.fetchAllPages(`${this.siteUrl}/_api/web/lists/getbytitle('DailyAttendance')/items?` +
+        `$filter=AttendanceDate ge datetime'${start}' and AttendanceDate le datetime'${end}'&` +
+        `$select=AttendanceDate,PersonType,PersonID,AbsentAM,AbsentPM,AbsentFullDay,OutOfSessionAM,OutOfSessionPM,OutOfSessionFullDay&` +
+        `$top=5000`);
 
-      if (!response.ok) {
-        console.error('Failed to load schedule history');
-        return [];
-      }
+      records.forEach(record => {
+        const dateKey = String(record.AttendanceDate || '').slice(0, 10);
+        if (!dateKey) return;
+        if (!byDate[dateKey]) byDate[dateKey] = { staff: {}, students: {} };
 
-      const data = await response.json();
-      return data.d.results.map(item => ({
-        date: item.ScheduleDate,
-        staffId: item.StaffID,
-        studentId: item.StudentID,
-        session: item.Session,
-        program: item.Program
-      }));
+        const canonicalType = this.normalizeAttendancePersonType(record.PersonType);
+        const personData = {
+          absentAM: record.AbsentAM || false,
+          absentPM: record.AbsentPM || false,
+          absentFullDay: record.AbsentFullDay || false,
+          outOfSessionAM: record.OutOfSessionAM || false,
+          outOfSessionPM: record.OutOfSessionPM || false,
+          outOfSessionFullDay: record.OutOfSessionFullDay || false
+        };
+
+        if (canonicalType === 'Staff') {
+          byDate[dateKey].staff[record.PersonID] = personData;
+        } else if (canonicalType === 'Client') {
+          byDate[dateKey].students[record.PersonID] = personData;
+        }
+      });
+
+      console.log(`✅ Found ${records.length} attendance records across ${Object.keys(byDate).length} day(s)`);
+      return byDate;
     } catch (error) {
-      console.error('Error loading schedule history:', error);
-      return [];
+      console.error('Error loading attendance range:', error);
+      return byDate;
     }
   }
 
+  // Method to load schedule history for rule checking
+  async getScheduleHistory(staffId, studentId, days = 7) {
+    const history = await this.loadAssignmentHistory(new Date(), days);
+    return history
+      .filter(entry => String(entry.staffId) === String(staffId) && String(entry.studentId) === String(studentId))
+      .sort((a, b) => b.date.localeCompare(a.date));
+  }
+
   // Method to check consecutive days rule
   async checkConsecutiveDaysRule(staffId, studentId, maxDays = 3) {
     try {
-      const history = await this.getScheduleHistory(staffId, studentId, maxDays + 2);
-      
-      if (history.length === 0) return { allowed: true, consecutiveDays: 0 };
-
-      // Sort by date and check for consecutive days
-      const sortedHistory = history.sort((a, b) => new Date(a.date) - new Date(b.date));
-      
-      let consecutiveDays = 0;
-      let currentStreak = 0;
-      const today = new Date().toISOString().split('T')[0];
-      
-      for (let i = sortedHistory.length - 1; i >= 0; i--) {
-        const historyDate = sortedHistory[i].date;
-        const expectedDate = new Date();
-        expectedDate.setDate(expectedDate.getDate() - (consecutiveDays + 1));
-        
-        if (historyDate === expectedDate.toISOString().split('T')[0]) {
-          consecutiveDays++;
-        } else {
-          break;
-        }
-      }
+      // Look back far enough to cover weekends between the school days
+      const history = await this.loadAssignmentHistory(new Date(), (maxDays + 2) * 2);
+      const streaks = SchedulingUtils.getConsecutiveDayStreaks(history, new Date());
+      const consecutiveDays = streaks.get(`${staffId}__${studentId}`) || 0;
 
       return {
         allowed: consecutiveDays < maxDays,
@@ -3074,7 +3534,7 @@ export class SharePointService {
    * Clear attendance flags for all staff and students in SharePoint
    * Should be called after saving attendance history
    */
-  async clearAllAttendanceInSharePoint(staff, students) {
+  async clearAllAttendance(staff, students) {
     try {
       if (!this.isAuthenticated()) {
         console.error('Cannot clear attendance - not authenticated');
@@ -3186,6 +3646,8 @@ export class SharePointService {
                   StudentId: assignment.studentId,
                   Session: assignment.session,
                   Program: assignment.program || '',
+                  TrainerId: assignment.trainerId ?? null, // Who the trainee overlapped with (not on older records)
+                  TrainerName: assignment.trainerName || null,
                   ScheduleId: schedule.Id,
                   ScheduleDate: schedule.ScheduleDate,
                   IsTrainee: true
@@ -3334,39 +3796,6 @@ export class SharePointService {
 
   // ---------------------------------------------------------------------------
 
-  /**
-   * Get training session count for a specific staff-client pair
-   * Uses the schedule history to count trainee assignments
-   */
-  async getTrainingSessionCount(staffId, clientId) {
-    try {
-      // Get all historical trainee assignments for this staff-client pair
-      const trainingHistory = await this.getTrainingHistory();
-      
-      const sessions = trainingHistory.filter(
-        h => h.StaffId === staffId && h.StudentId === clientId
-      );
-
-      // Get the first session date
-      let firstSessionDate = null;
-      if (sessions.length > 0) {
-        const sortedSessions = sessions.sort((a, b) => 
-          new Date(a.ScheduleDate) - new Date(b.ScheduleDate)
-        );
-        firstSessionDate = new Date(sortedSessions[0].ScheduleDate);
-      }
-
-      return {
-        count: sessions.length,
-        firstSessionDate
-      };
-
-    } catch (error) {
-      console.error('Error getting training session count:', error);
-      return { count: 0, firstSessionDate: null };
-    }
-  }
-
   /**
    * Find most-recent trainee/trainer pairing for each candidate from schedule history.
    * candidates: [{ traineeId, studentId }]
@@ -3506,16 +3935,87 @@ export class SharePointService {
     }
   }
 
+  // ---------------------------------------------------------------------------
+
   /**
-   * Find the single most-recent trainee/trainer pairing from a candidate list.
-   * Returns one pair (or null) in candidate order.
+   * Load a JSON setting from the AppSettings list (Title = key, Value = JSON text)
+   * @param {string} key - Setting key, e.g. 'RolePolicies'
+   * @returns {Object|null} Parsed value with its list item ID, or null if missing
    */
-  async getMostRecentTrainingPairForCandidates(candidates = [], lookbackDays = 120) {
-    const resultsByKey = await this.getMostRecentTrainingPairsForCandidates(candidates, lookbackDays);
-    for (const candidate of candidates || []) {
-      const key = `${Number.isFinite(Number(candidate.traineeId)) ? Number(candidate.traineeId) : String(candidate.traineeId)}__${Number.isFinite(Number(candidate.studentId)) ? Number(candidate.studentId) : String(candidate.studentId)}`;
-      if (resultsByKey[key]) return resultsByKey[key];
+  async loadAppSetting(key) {
+    try {
+      if (!this.isAuthenticated()) {
+        console.error('Cannot load app setting - not authenticated');
+        return null;
+      }
+
+      const headers = await this.getHeaders();
+      const url = `${this.siteUrl}/_api/web/lists/getbytitle('AppSettings')/items?` +
+        `$select=Id,Title,Value&` +
+        `$filter=Title eq '${encodeURIComponent(key)}'&` +
+        `$top=1`;
+
+      const response = await this.makeRequest(url, { headers });
+
+      if (!response.ok) {
+        // If list doesn't exist yet, fall back to defaults (non-critical)
+        if (response.status === 404) {
+          console.warn('⚠️ AppSettings list not found - using default settings');
+          return null;
+        }
+        const errorText = await response.text();
+        console.error(`Failed to load app setting ${key}:`, response.status, errorText);
+        return null;
+      }
+
+      const data = await response.json();
+      const item = (data.d.results || [])[0];
+      if (!item || !item.Value) return null;
+
+      return { itemId: item.Id, value: JSON.parse(item.Value) };
+    } catch (error) {
+      console.error(`Error loading app setting ${key}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Save a JSON setting to the AppSettings list (creates the item on first save)
+   * @param {string} key - Setting key
+   * @param {Object} value - Any JSON-serializable value
+   */
+  async saveAppSetting(key, value) {
+    const existing = await this.loadAppSetting(key);
+    const headers = await this.getHeaders(true);
+
+    if (existing) {
+      headers['X-HTTP-Method'] = 'MERGE';
+      headers['If-Match'] = '*';
     }
-    return null;
+
+    const url = existing
+      ? `${this.siteUrl}/_api/web/lists/getbytitle('AppSettings')/items(${existing.itemId})`
+      : `${this.siteUrl}/_api/web/lists/getbytitle('AppSettings')/items`;
+
+    const body = {
+      __metadata: { type: 'SP.Data.AppSettingsListItem' },
+      Title: key,
+      Value: JSON.stringify(value)
+    };
+
+    const response = await this.makeRequest(url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error(`Failed to save app setting ${key}:`, response.status, errorText);
+      throw new Error(`Failed to save app setting ${key}: ${response.status}`);
+    }
+
+    console.log(`✅ App setting saved: ${key}`);
+    return true;
   }
 }
\ No newline at end of file
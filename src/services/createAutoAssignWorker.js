@@ -0,0 +1,5 @@
+/**
+ * Start the Auto Assign Web Worker. Kept in its own module (and loaded with import())
+ * because `import.meta` only exists in the browser bundle, not in the Jest test run.
+ */
+export const createAutoAssignWorker = () => new Worker(new URL('./AutoAssignWorker.js', import.meta.url));
@@ -1,5 +1,7 @@
-import { SchedulingRules, SchedulingUtils, Schedule } from '../types/index.js';
+import { SchedulingRules, SchedulingUtils, Schedule, Assignment, Staff, Student, PROGRAMS, RATIOS } from '../types/index.js';
 import { AutoAssignmentEngine } from '../services/AutoAssignmentEngine.js';
+import { ConstraintSolver } from '../services/ConstraintSolver.js';
+import { SharePointService } from '../services/SharePointService.js';
 import { sampleStaff, sampleStudents, createTestSchedule, getTestScenarios } from '../data/sampleData.js';
 
 /**
@@ -28,6 +30,15 @@ export class SchedulingTestSuite {
     
     // Auto-assignment tests
     await this.testAutoAssignment();
+
+    // Exact solver tests
+    await this.testExactSolver();
+
+    // SharePoint $batch tests
+    await this.testSharePointBatch();
+
+    // Schedule merge tests
+    await this.testScheduleMerge();
     
     // Performance tests
     await this.testPerformance();
@@ -246,6 +257,301 @@ export class SchedulingTestSuite {
     console.log('✅ Auto-Assignment tests completed\n');
   }
 
+  /**
+   * Test the exact solver's coverage model
+   */
+  async testExactSolver() {
+    console.log('🧮 Testing Exact Solver...');
+
+    const solver = new ConstraintSolver(this.autoAssignEngine);
+    const rbt = id => new Staff({ id, name: `RBT ${id}`, role: 'RBT', primaryProgram: true, isActive: true });
+    const client = (id, ratio) => new Student({ id, name: `Client ${id}`, program: PROGRAMS.PRIMARY, ratio, isActive: true });
+    const unit = (students, required, eligibleStaffIndexes) => ({
+      program: PROGRAMS.PRIMARY, students, required, demand: Math.max(...required), eligibleStaffIndexes
+    });
+    const solveModels = (sessionModels) => {
+      const searchState = { best: solver.findIncumbent(sessionModels), nodesExplored: 0, truncated: false, openBound: null };
+      solver.branchAndBound(sessionModels, {
+        AM: { forbiddenPairs: new Set(), unitStates: new Map() },
+        PM: { forbiddenPairs: new Set(), unitStates: new Map() }
+      }, searchState);
+      return searchState;
+    };
+
+    // A 2:1 client with one staff member is not covered - that staff member belongs elsewhere
+    this.test('Exact solver counts only fully covered units', () => {
+      const staffList = [rbt(1), rbt(2), rbt(3)];
+      const twoToOne = client(201, RATIOS.TWO_TO_ONE);
+      const am = {
+        session: 'AM',
+        staffList,
+        schedule: new Schedule({ date: new Date() }),
+        units: [
+          unit([twoToOne], [2], [0, 1]),
+          unit([client(202, RATIOS.ONE_TO_ONE)], [1], [0]),
+          unit([client(203, RATIOS.ONE_TO_ONE)], [1], [2])
+        ]
+      };
+      const pm = { ...am, session: 'PM', units: [] };
+
+      // The flow alone half-covers the 2:1 client; its slot share makes the bound 2.5
+      const relaxed = solver.solveSession(am, new Set());
+      const required = solver.solveSession(am, new Set(), new Map([[0, 'required']]));
+      const searchState = solveModels({ AM: am, PM: pm });
+
+      return relaxed.bound === 2.5 && relaxed.covered === 2 && relaxed.partialUnitIndexes.join() === '0' &&
+        required.isFeasible && required.picks.filter(pick => pick.unitIndex === 0).length === 2 &&
+        searchState.best.covered === 2 && solver.getUpperBound(searchState) === 2;
+    });
+
+    this.test('Exact solver reports a search cut short by the node limit', () => {
+      const limited = new ConstraintSolver(this.autoAssignEngine, { maxNodes: 1 });
+      const staffList = [rbt(1), rbt(2), rbt(3)];
+      const am = {
+        session: 'AM',
+        staffList,
+        schedule: new Schedule({ date: new Date() }),
+        units: [
+          unit([client(205, RATIOS.TWO_TO_ONE)], [2], [0, 1]),
+          unit([client(206, RATIOS.ONE_TO_ONE)], [1], [0]),
+          unit([client(207, RATIOS.ONE_TO_ONE)], [1], [2])
+        ]
+      };
+      // An empty incumbent, so the root is branched on rather than pruned
+      const searchState = { best: { covered: 0, cost: 0 }, nodesExplored: 0, truncated: false, openBound: null };
+      limited.branchAndBound({ AM: am, PM: { ...am, session: 'PM', units: [] } }, {
+        AM: { forbiddenPairs: new Set(), unitStates: new Map() },
+        PM: { forbiddenPairs: new Set(), unitStates: new Map() }
+      }, searchState);
+
+      // The root half-covers the 2:1 client, so both of its branches are left unexplored
+      return searchState.truncated && searchState.nodesExplored === 1 &&
+        searchState.openBound === 2 && limited.getUpperBound(searchState) === 2;
+    });
+
+    this.test('Exact solver prefers the unit that covers more clients', () => {
+      const staffList = [rbt(1), rbt(2)];
+      const twoToOne = client(211, RATIOS.TWO_TO_ONE);
+      const pair = [client(212, RATIOS.ONE_TO_ONE), client(213, RATIOS.ONE_TO_ONE)];
+      const am = {
+        session: 'AM',
+        staffList,
+        schedule: new Schedule({ date: new Date() }),
+        units: [unit([twoToOne], [2], [0, 1]), unit(pair, [1, 1], [0])]
+      };
+      const searchState = solveModels({ AM: am, PM: { ...am, session: 'PM', units: [] } });
+      const pairedSlots = searchState.best.AM.picks.filter(pick => pick.unitIndex === 1).length;
+
+      // Staff 1 on the pair covers two clients; the 2:1 client alone would cover one
+      return searchState.best.covered === 2 && pairedSlots === 1;
+    });
+
+    this.test('Exact solver lets small-group clients share one staff member', () => {
+      const first = client(221, RATIOS.ONE_TO_TWO);
+      const second = client(222, RATIOS.ONE_TO_TWO);
+      const third = client(223, RATIOS.ONE_TO_TWO);
+      const merged = solver.mergeSmallGroupUnits('AM', [
+        unit([first], [1], [0, 1]),
+        unit([second], [1], [1]),
+        unit([third], [1], [0, 1]),
+        unit([client(224, RATIOS.ONE_TO_ONE)], [1], [0])
+      ], [first, second, third]);
+
+      // 1:2 holds two clients, so the third starts a group of its own
+      return merged.length === 3 &&
+        merged[0].isGroup && merged[0].students.length === 2 &&
+        merged[0].eligibleStaffIndexes.join() === '1' &&
+        merged[1].students[0].id === 223 && !merged[2].isGroup;
+    });
+
+    this.test('Exact solver plans a day with whole units and shared small groups', () => {
+      const date = new Date(2026, 9, 19); // A Monday
+      const staff = [rbt(1), rbt(2), rbt(3)];
+      const students = [
+        new Student({ id: 231, name: 'Client 231', program: PROGRAMS.PRIMARY, ratio: RATIOS.TWO_TO_ONE, isActive: true, teamIds: [1, 2] }),
+        new Student({ id: 232, name: 'Client 232', program: PROGRAMS.PRIMARY, ratio: RATIOS.ONE_TO_ONE, isActive: true, teamIds: [1] }),
+        new Student({ id: 233, name: 'Client 233', program: PROGRAMS.PRIMARY, ratio: RATIOS.ONE_TO_TWO, isActive: true, teamIds: [3] }),
+        new Student({ id: 234, name: 'Client 234', program: PROGRAMS.PRIMARY, ratio: RATIOS.ONE_TO_TWO, isActive: true, teamIds: [3] })
+      ];
+      const result = solver.solveDay(new Schedule({ date }), staff, students, date);
+
+      const sessionAssignments = (studentId, session) =>
+        result.assignments.filter(a => a.studentId === studentId && a.session === session);
+      const twoToOneHalfCovered = ['AM', 'PM'].some(session => sessionAssignments(231, session).length === 1);
+      const groupShared = ['AM', 'PM'].some(session => {
+        const [first] = sessionAssignments(233, session);
+        const [second] = sessionAssignments(234, session);
+        return first && second && first.staffId === second.staffId;
+      });
+      // Every gap is what the validated assignments still leave open
+      const gapsMatch = result.unassigned.every(gap =>
+        gap.missing > 0 &&
+        sessionAssignments(gap.student.id, gap.session).length + gap.missing ===
+          this.autoAssignEngine.getRequiredStaffCount(gap.student, gap.session)
+      );
+
+      // Staff 3 runs the small group in one session only (same-day rule), so 4 client sessions is the most possible.
+      // The group was fixed before the search, so the result must not claim to be optimal
+      return !result.isOptimal && result.smallGroupsFixed && !result.nodeLimitReached &&
+        result.coverage === 4 && !twoToOneHalfCovered && groupShared && gapsMatch;
+    });
+
+    console.log('✅ Exact Solver tests completed\n');
+  }
+
+  /**
+   * Test SharePoint $batch response parsing and item retries
+   */
+  async testSharePointBatch() {
+    console.log('📦 Testing SharePoint Batch...');
+
+    // No constructor - these tests never authenticate or reach SharePoint
+    const createService = () => {
+      const service = Object.create(SharePointService.prototype);
+      service.maxRetries = 3;
+      service.retryDelay = 1;
+      return service;
+    };
+
+    this.test('Batch response parsing keeps each item status in order', () => {
+      const service = createService();
+      const text = [
+        '--batchresponse_1',
+        'Content-Type: multipart/mixed; boundary=changesetresponse_1',
+        '',
+        '--changesetresponse_1',
+        'Content-Type: application/http',
+        'Content-Transfer-Encoding: binary',
+        '',
+        'HTTP/1.1 201 Created',
+        'Content-Type: application/json;odata=verbose',
+        '',
+        '{"d":{"ID":42,"Title":"New"}}',
+        '--changesetresponse_1--',
+        '--batchresponse_1',
+        'Content-Type: multipart/mixed; boundary=changesetresponse_2',
+        '',
+        '--changesetresponse_2',
+        'Content-Type: application/http',
+        'Content-Transfer-Encoding: binary',
+        '',
+        'HTTP/1.1 204 No Content',
+        '',
+        '',
+        '--changesetresponse_2--',
+        '--batchresponse_1',
+        'Content-Type: multipart/mixed; boundary=changesetresponse_3',
+        '',
+        '--changesetresponse_3',
+        'Content-Type: application/http',
+        'Content-Transfer-Encoding: binary',
+        '',
+        'HTTP/1.1 400 Bad Request',
+        'Content-Type: application/json;odata=verbose',
+        '',
+        '{"error":{"message":{"value":"Column \'Bogus\' does not exist"}}}',
+        '--changesetresponse_3--',
+        '--batchresponse_1--',
+        ''
+      ].join('\r\n');
+
+      const responses = service.parseBatchResponse(text);
+      const results = responses.map(response => service.toBatchResult(response));
+
+      return responses.map(response => response.status).join() === '201,204,400' &&
+        results[0].success && results[0].id === 42 &&
+        results[1].success && results[1].data === null &&
+        !results[2].success && results[2].error.includes('Bogus');
+    });
+
+    this.test('Batch retries an item that got no response', async () => {
+      const service = createService();
+      const sent = [];
+      service.sendBatch = async (operations) => {
+        sent.push(operations.map(operation => operation.body.Title));
+        // The first batch only answers its first item
+        return sent.length === 1
+          ? [{ status: 201, body: '{"d":{"ID":1}}' }]
+          : [{ status: 201, body: '{"d":{"ID":2}}' }];
+      };
+
+      const results = await service.executeBatch([
+        { method: 'POST', url: '/items', body: { Title: 'First' } },
+        { method: 'POST', url: '/items', body: { Title: 'Second' } }
+      ]);
+
+      return sent.length === 2 && sent[1].join() === 'Second' &&
+        results.every(result => result.success) &&
+        results.map(result => result.id).join() === '1,2';
+    });
+
+    console.log('✅ SharePoint Batch tests completed\n');
+  }
+
+  /**
+   * Test the three-way merge of two edits of the same day
+   */
+  async testScheduleMerge() {
+    console.log('🔀 Testing Schedule Merge...');
+
+    const date = new Date(2026, 9, 19);
+    const assignment = (id, staffId, studentId) => new Assignment({
+      id, staffId, staffName: `Staff ${staffId}`, studentId, studentName: `Client ${studentId}`,
+      session: 'AM', program: PROGRAMS.PRIMARY, date, assignedBy: 'manual'
+    });
+    const schedule = (assignments, version = '1') => new Schedule({ date, assignments, version });
+
+    this.test('Merge flags a conflict when both sides edit the same client session', () => {
+      const base = schedule([assignment('a1', 1, 101)]);
+      const mine = schedule([assignment('a2', 2, 101)]);
+      const theirs = schedule([assignment('a3', 3, 101)], '2');
+
+      const merge = SchedulingUtils.mergeSchedules(base, mine, theirs);
+      const [conflict] = merge.conflicts;
+      const keptMine = SchedulingUtils.applyScheduleMerge(merge);
+      const tookTheirs = SchedulingUtils.applyScheduleMerge(merge, { [conflict.key]: 'theirs' });
+
+      return merge.conflicts.length === 1 && conflict.studentId === 101 &&
+        keptMine.assignments.map(a => a.staffId).join() === '2' &&
+        tookTheirs.assignments.map(a => a.staffId).join() === '3' &&
+        tookTheirs.version === '2';
+    });
+
+    this.test('Merge combines edits to different client sessions', () => {
+      const base = schedule([assignment('a1', 1, 101), assignment('a2', 2, 102)]);
+      const mine = schedule([assignment('a3', 3, 101), assignment('a2', 2, 102)]);
+      const theirs = schedule([assignment('a1', 1, 101), assignment('a4', 4, 102)], '2');
+
+      const merge = SchedulingUtils.mergeSchedules(base, mine, theirs);
+      const statusOf = studentId => merge.units.find(unit => unit.studentId === studentId).status;
+      const merged = SchedulingUtils.applyScheduleMerge(merge);
+      const staffFor = studentId => merged.assignments.filter(a => a.studentId === studentId).map(a => a.staffId).join();
+
+      return merge.conflicts.length === 0 &&
+        statusOf(101) === 'mine' && statusOf(102) === 'theirs' &&
+        staffFor(101) === '3' && staffFor(102) === '4' &&
+        merged.version === '2';
+    });
+
+    this.test('Merge flags separate edits that double-book the same staff member', () => {
+      const base = schedule([assignment('a1', 1, 101), assignment('a2', 2, 102), assignment('a3', 3, 103)]);
+      // Mine swaps staff 1 and 2; theirs moves staff 1 onto client 103 instead
+      const mine = schedule([assignment('a4', 2, 101), assignment('a5', 1, 102), assignment('a3', 3, 103)]);
+      const theirs = schedule([assignment('a1', 1, 101), assignment('a2', 2, 102), assignment('a6', 1, 103)], '2');
+
+      const merge = SchedulingUtils.mergeSchedules(base, mine, theirs);
+      const keyOf = studentId => merge.units.find(unit => unit.studentId === studentId).key;
+      const mixed = { [keyOf(102)]: 'mine', [keyOf(103)]: 'theirs' };
+      const [clash] = SchedulingUtils.findMergeStaffClashes(merge, mixed);
+
+      return merge.conflicts.map(unit => unit.studentId).sort().join() === '102,103' &&
+        SchedulingUtils.findMergeStaffClashes(merge).length === 0 &&
+        clash && clash.staffId === 1 && clash.unitKeys.length === 2;
+    });
+
+    console.log('✅ Schedule Merge tests completed\n');
+  }
+
   /**
    * Test system performance
    */
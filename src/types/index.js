@@ -40,9 +40,138 @@ export const SESSION_TIMES = {
 export const RATIOS = {
   ONE_TO_ONE: '1:1',
   TWO_TO_ONE: '2:1',
-  ONE_TO_TWO: '1:2'
+  ONE_TO_TWO: '1:2',
+  ONE_TO_THREE: '1:3'
 };
 
+// Consecutive-days rule: same staff with same client on too many consecutive school days
+export const RULE_ENFORCEMENT = {
+  OFF: 'off',
+  SOFT: 'soft', // Penalize during staff sorting, still allowed
+  HARD: 'hard'  // Never auto-assign past the limit
+};
+
+export const CONSECUTIVE_DAYS_RULE_DEFAULTS = {
+  maxDays: 3, // More than this many consecutive days is a violation
+  lookbackDays: 14, // Calendar days of DailyAssignments history to read
+  enforcement: RULE_ENFORCEMENT.SOFT
+};
+
+// Phase 0 training placement - how many overlap sessions one trainer may run
+export const TRAINER_CAPACITY_DEFAULTS = {
+  placeTrainingPairs: false, // Place trainee + trainer pairs before Auto Assign fills the day
+  maxOverlapsPerDay: 1, // Leaves the trainer's other session for their own clients
+  maxOverlapsPerWeek: 4 // Monday-Friday, counting saved schedules earlier in the week
+};
+
+// Auto-assignment solver modes
+export const ASSIGNMENT_MODES = {
+  GREEDY: 'greedy', // Phase 1 greedy + reshuffle + swap optimization
+  EXACT: 'exact'    // Min-cost flow with branch-and-bound - most client sessions fully covered
+};
+
+const ALL_RATIOS = [RATIOS.ONE_TO_ONE, RATIOS.ONE_TO_TWO, RATIOS.ONE_TO_THREE, RATIOS.TWO_TO_ONE];
+const GROUP_RATIOS = [RATIOS.ONE_TO_TWO, RATIOS.ONE_TO_THREE, RATIOS.TWO_TO_ONE];
+
+// Small-group ratios - one staff member runs a group of clients
+const SMALL_GROUP_RATIOS = [RATIOS.ONE_TO_TWO, RATIOS.ONE_TO_THREE];
+
+// Default role policies - what each role may do in scheduling
+// directService: may work directly with clients at all
+// autoAssign: picked by Auto Assign / Smart Swap (others are manual-only)
+// priority: LOWER is BETTER when sorting candidates (RBT before BS)
+// allowedRatios: session ratios the role may cover (no '1:1' = not 1:1 eligible)
+export const DEFAULT_ROLE_POLICIES = {
+  RBT: { directService: true, autoAssign: true, priority: 1, allowedRatios: ALL_RATIOS },
+  BS: { directService: true, autoAssign: true, priority: 50, allowedRatios: ALL_RATIOS },
+  'Behavior Specialist': { directService: true, autoAssign: false, priority: 50, allowedRatios: ALL_RATIOS },
+  'Senior RBT': { directService: true, autoAssign: false, priority: 50, allowedRatios: ALL_RATIOS },
+  BCBA: { directService: false, autoAssign: false, priority: 999, allowedRatios: GROUP_RATIOS },
+  EA: { directService: false, autoAssign: false, priority: 999, allowedRatios: ALL_RATIOS },
+  'MH Specialist': { directService: false, autoAssign: false, priority: 21, allowedRatios: ALL_RATIOS },
+  'MH Coordinator': { directService: false, autoAssign: false, priority: 21, allowedRatios: ALL_RATIOS },
+  'MH Clinician': { directService: false, autoAssign: false, priority: 21, allowedRatios: ALL_RATIOS },
+  CC: { directService: false, autoAssign: false, priority: 999, allowedRatios: ALL_RATIOS },
+  Trainer: { directService: false, autoAssign: false, priority: 999, allowedRatios: GROUP_RATIOS },
+  Teacher: { directService: false, autoAssign: false, priority: 999, allowedRatios: GROUP_RATIOS },
+  Director: { directService: false, autoAssign: false, priority: 999, allowedRatios: GROUP_RATIOS }
+};
+
+// Used for roles that have no policy (e.g. a new role typed into the Staff list)
+const UNKNOWN_ROLE_POLICY = { directService: false, autoAssign: false, priority: 50, allowedRatios: ALL_RATIOS };
+
+let activeRolePolicies = DEFAULT_ROLE_POLICIES;
+
+/**
+ * Role policy registry
+ * Single source of truth for role eligibility - read by Staff, the auto-assign
+ * engine, the exact solver and the Rules/Settings screens
+ */
+export class RolePolicy {
+  /**
+   * Fill in missing fields and drop unknown ratios so a partial policy is safe to use
+   */
+  static normalize(policy = {}, fallback = UNKNOWN_ROLE_POLICY) {
+    const priority = Number(policy.priority);
+    const allowedRatios = Array.isArray(policy.allowedRatios)
+      ? ALL_RATIOS.filter(ratio => policy.allowedRatios.includes(ratio))
+      : [...fallback.allowedRatios];
+
+    return {
+      directService: typeof policy.directService === 'boolean' ? policy.directService : fallback.directService,
+      autoAssign: typeof policy.autoAssign === 'boolean' ? policy.autoAssign : fallback.autoAssign,
+      priority: Number.isFinite(priority) ? priority : fallback.priority,
+      allowedRatios
+    };
+  }
+
+  /**
+   * Get the policy for a role - exact match first, then case-insensitive ('TEACHER')
+   */
+  static get(role) {
+    if (!role) return UNKNOWN_ROLE_POLICY;
+    if (activeRolePolicies[role]) return activeRolePolicies[role];
+
+    const key = Object.keys(activeRolePolicies).find(name => name.toLowerCase() === String(role).toLowerCase());
+    return key ? activeRolePolicies[key] : UNKNOWN_ROLE_POLICY;
+  }
+
+  static getPolicies() {
+    return activeRolePolicies;
+  }
+
+  /**
+   * Replace the active policies. Roles missing from `policies` keep their defaults.
+   * @param {Object} policies - { [role]: { directService, autoAssign, priority, allowedRatios } }
+   * @returns {Object} The normalized active policies
+   */
+  static setPolicies(policies) {
+    const merged = {};
+    Object.entries(DEFAULT_ROLE_POLICIES).forEach(([role, policy]) => {
+      merged[role] = RolePolicy.normalize(policies?.[role], policy);
+    });
+    Object.entries(policies || {}).forEach(([role, policy]) => {
+      if (!merged[role]) merged[role] = RolePolicy.normalize(policy);
+    });
+
+    activeRolePolicies = merged;
+    return activeRolePolicies;
+  }
+
+  static resetPolicies() {
+    activeRolePolicies = DEFAULT_ROLE_POLICIES;
+    return activeRolePolicies;
+  }
+
+  static getDefaultPolicy() {
+    return UNKNOWN_ROLE_POLICY;
+  }
+
+  static getAllRatios() {
+    return ALL_RATIOS;
+  }
+}
+
 /**
  * Staff member data structure
  */
@@ -123,23 +252,39 @@ export class Staff {
   }
 
   /**
-   * Check if staff member is eligible for 1:1 sessions
-   * Teachers, Trainers, Directors, and BCBAs should not do 1:1 sessions
+   * Check if staff member is eligible for 1:1 sessions (role policy allowed ratios)
    * @returns {boolean} True if staff can do 1:1 sessions
    */
   canDo1To1Sessions() {
-    const restrictedRoles = ['Teacher', 'Trainer', 'Director', 'BCBA'];
-    return !restrictedRoles.includes(this.role);
+    return this.canCoverRatio(RATIOS.ONE_TO_ONE);
+  }
+
+  /**
+   * Check if staff member's role may cover a session ratio
+   * @param {string} ratio - '1:1', '1:2' or '2:1'
+   * @returns {boolean} True if the ratio is in the role policy's allowed ratios
+   */
+  canCoverRatio(ratio) {
+    if (!ratio) return true;
+    return RolePolicy.get(this.role).allowedRatios.includes(ratio);
   }
 
   /**
    * Check if staff member is eligible for direct client sessions (all ratios)
-   * Only RBTs and Behavior Specialists should do direct client work
+   * Set per role in the role policy (RBTs and Behavior Specialists by default)
    * @returns {boolean} True if staff can do direct client sessions
    */
   canDoDirectSessions() {
-    const directServiceRoles = ['RBT', 'BS', 'Behavior Specialist', 'Senior RBT'];
-    return directServiceRoles.includes(this.role);
+    return RolePolicy.get(this.role).directService;
+  }
+
+  /**
+   * Check if Auto Assign / Smart Swap may pick this staff member
+   * @returns {boolean} True if the role is direct-service and auto-assignable
+   */
+  canAutoAssign() {
+    const policy = RolePolicy.get(this.role);
+    return policy.directService && policy.autoAssign;
   }
 
   /**
@@ -155,6 +300,31 @@ export class Staff {
     return true;
   }
 
+  /**
+   * Part of a session this staff member is present for
+   * Late arrivals (absentAMArrivalTime) and early departures (absentPMDepartureTime)
+   * free up part of the session - every other absence covers the whole session
+   * @param {string} session - 'AM' or 'PM'
+   * @param {Object} window - { start, end } session window in minutes since midnight
+   * @returns {Object|null} { start, end } in minutes, or null if not present at all
+   */
+  getAvailableWindow(session, window) {
+    if (this.isAvailableForSession(session)) return window;
+    if (!this.isActive || this.absentFullDay || this.outOfSessionFullDay) return null;
+
+    if (session === 'AM' && this.absentAM && !this.outOfSessionAM) {
+      const arrival = SchedulingUtils.parseTimeToMinutes(this.absentAMArrivalTime);
+      if (arrival === null || arrival >= window.end) return null;
+      return { start: Math.max(arrival, window.start), end: window.end };
+    }
+    if (session === 'PM' && this.absentPM && !this.outOfSessionPM) {
+      const departure = SchedulingUtils.parseTimeToMinutes(this.absentPMDepartureTime);
+      if (departure === null || departure <= window.start) return null;
+      return { start: window.start, end: Math.min(departure, window.end) };
+    }
+    return null;
+  }
+
   /**
    * Get attendance status string
    * @returns {string} 'Present', 'Absent AM', 'Absent PM', 'Absent Full Day', 'Out AM', 'Out PM', or 'Out Full Day'
@@ -176,12 +346,11 @@ export class Staff {
 
   /**
    * Check if staff member is a preferred direct service provider
-   * RBTs and BSs are preferred over EAs and other roles
+   * Direct-service roles (RBTs and BSs by default) are preferred over EAs and other roles
    * @returns {boolean} True if staff is preferred for direct service
    */
   isPreferredDirectService() {
-    const preferredRoles = ['RBT', 'BS', 'Behavior Specialist', 'Senior RBT'];
-    return preferredRoles.includes(this.role);
+    return this.canDoDirectSessions();
   }
 }
 
@@ -194,6 +363,160 @@ export const TRAINING_STATUS = {
   SOLO: 'solo' // Default - working independently (legacy/no training needed)
 };
 
+// Default training plan - what a trainee needs before they are proposed for solo
+export const DEFAULT_TRAINING_PLAN = {
+  targetOverlaps: 6, // Total overlap sessions (trainee shadows) with the client
+  requiredBcbaOverlaps: 1, // Of those, sessions overlapping a BCBA
+  requiredStaffOverlaps: 3, // Of those, sessions overlapping another team member
+  signOffSteps: ['Trainer sign-off', 'BCBA sign-off'] // Supervisor checks, in order
+};
+
+// Per-client training plans (AppSettings 'TrainingPlans') - set by the app on load
+let activeTrainingPlans = {};
+
+/**
+ * Training plan for a client - overlap targets and sign-off steps that decide
+ * when a staff member in overlap training is ready to work with them solo
+ */
+export class TrainingPlan {
+  constructor({
+    studentId = null, // null = the site default plan
+    targetOverlaps = DEFAULT_TRAINING_PLAN.targetOverlaps,
+    requiredBcbaOverlaps = DEFAULT_TRAINING_PLAN.requiredBcbaOverlaps,
+    requiredStaffOverlaps = DEFAULT_TRAINING_PLAN.requiredStaffOverlaps,
+    signOffSteps = DEFAULT_TRAINING_PLAN.signOffSteps
+  } = {}) {
+    const count = (value, fallback) => {
+      const number = parseInt(value, 10);
+      return Number.isFinite(number) && number >= 0 ? number : fallback;
+    };
+
+    this.studentId = studentId;
+    this.targetOverlaps = count(targetOverlaps, DEFAULT_TRAINING_PLAN.targetOverlaps);
+    this.requiredBcbaOverlaps = count(requiredBcbaOverlaps, DEFAULT_TRAINING_PLAN.requiredBcbaOverlaps);
+    this.requiredStaffOverlaps = count(requiredStaffOverlaps, DEFAULT_TRAINING_PLAN.requiredStaffOverlaps);
+    this.signOffSteps = Array.isArray(signOffSteps)
+      ? signOffSteps.map(step => String(step).trim()).filter(Boolean)
+      : [...DEFAULT_TRAINING_PLAN.signOffSteps];
+  }
+
+  /**
+   * Whether an overlap session was with a BCBA or another staff member
+   * Uses the trainer recorded on the trainee assignment; for older history the data store
+   * infers it from the session's assignments (DataStore.inferTrainingHistoryTrainers)
+   * @param {Object} session - Training history entry ({ TrainerId })
+   * @param {Staff[]} staff - All staff
+   * @returns {string|null} 'bcba', 'staff' or null if the trainer is unknown
+   */
+  static getOverlapType(session, staff = []) {
+    if (session.TrainerId === null || session.TrainerId === undefined) return null;
+    const trainer = staff.find(s => String(s.id) === String(session.TrainerId));
+    if (!trainer) return null;
+    return String(trainer.role || '').toUpperCase() === 'BCBA' ? 'bcba' : 'staff';
+  }
+
+  /**
+   * Progress of one staff-client pair against this plan
+   * @param {Object[]} sessions - Training history entries for the pair
+   * @param {Staff[]} staff - All staff (to tell BCBA overlaps from staff overlaps)
+   * @param {Object} signOffs - { [step]: { approvedBy, date } } for the pair
+   * @returns {Object} { total, bcba, staff, unclassified, signedSteps, missing, isReady }
+   */
+  getProgress(sessions = [], staff = [], signOffs = {}) {
+    const types = sessions.map(session => TrainingPlan.getOverlapType(session, staff));
+    const progress = {
+      total: sessions.length,
+      bcba: types.filter(type => type === 'bcba').length,
+      staff: types.filter(type => type === 'staff').length,
+      unclassified: types.filter(type => type === null).length,
+      signedSteps: this.signOffSteps.filter(step => signOffs && signOffs[step]),
+      missing: []
+    };
+
+    if (progress.total < this.targetOverlaps) {
+      progress.missing.push(`${this.targetOverlaps - progress.total} more overlap session(s)`);
+    }
+    if (progress.bcba < this.requiredBcbaOverlaps) {
+      progress.missing.push(`${this.requiredBcbaOverlaps - progress.bcba} more BCBA overlap(s)`);
+    }
+    if (progress.staff < this.requiredStaffOverlaps) {
+      progress.missing.push(`${this.requiredStaffOverlaps - progress.staff} more staff overlap(s)`);
+    }
+    this.signOffSteps
+      .filter(step => !progress.signedSteps.includes(step))
+      .forEach(step => progress.missing.push(step));
+
+    progress.isReady = progress.missing.length === 0;
+    return progress;
+  }
+
+  /**
+   * Replace the active plans
+   * @param {Object} plans - { default: plan, [studentId]: plan }
+   * @returns {Object} The normalized active plans
+   */
+  static setPlans(plans) {
+    activeTrainingPlans = {};
+    Object.entries(plans || {}).forEach(([key, plan]) => {
+      activeTrainingPlans[key] = new TrainingPlan({ ...plan, studentId: key === 'default' ? null : plan.studentId ?? key });
+    });
+    return activeTrainingPlans;
+  }
+
+  static getPlans() {
+    return activeTrainingPlans;
+  }
+
+  static getDefaultPlan() {
+    return activeTrainingPlans.default || new TrainingPlan();
+  }
+
+  /**
+   * The client's own plan, or the site default plan
+   */
+  static getPlanForStudent(studentId) {
+    return activeTrainingPlans[studentId] || TrainingPlan.getDefaultPlan();
+  }
+
+  /**
+   * Key for a staff-client pair in the sign-off store
+   */
+  static getPairKey(staffId, studentId) {
+    return `${staffId}__${studentId}`;
+  }
+}
+
+// Staff-client compatibility weights (stored per team member in ClientTeamMembers)
+export const PAIR_PREFERENCE = {
+  PREFERRED: 'preferred', // Strong match - auto-assign picks them first
+  NEUTRAL: 'neutral', // Default
+  AVOID: 'avoid' // Avoid if possible - only used when nobody else can fill the slot
+};
+
+// Rules that can exclude a team member from an auto-assignment (used in gap diagnostics)
+export const EXCLUSION_RULES = {
+  NOT_FOUND: 'not-found', // Team member is not in the staff list
+  INACTIVE: 'inactive',
+  ABSENT: 'absent',
+  OUT_OF_SESSION: 'out-of-session',
+  WRONG_PROGRAM: 'wrong-program',
+  IN_TRAINING: 'in-training', // Overlap status for this student - trainee only
+  TRAINING_ONLY: 'training-only', // No solo case with any student
+  ROLE_BLOCKED: 'role-blocked', // Cannot do direct sessions / 1:1 sessions / not RBT or BS
+  ALREADY_BOOKED: 'already-booked', // Already assigned in this session
+  WORKED_TODAY: 'worked-today', // Already worked with this student today
+  CONSECUTIVE_DAYS: 'consecutive-days', // Hit the consecutive-days limit (hard enforcement only)
+  ELIGIBLE: 'eligible' // Nothing blocks this staff member
+};
+
+// Kinds of change between two versions of a day's schedule (previewed before they are applied)
+export const SCHEDULE_CHANGE_TYPES = {
+  ADD: 'add',
+  REMOVE: 'remove',
+  MOVE: 'move', // Same staff member and session, different client
+  RETIME: 'retime' // Same staff member and client, different split coverage times
+};
+
 /**
  * Student/Kid data structure
  */
@@ -214,6 +537,7 @@ export class Student {
       absentPM = false, // Absent for PM session
       absentFullDay = false, // Absent for full day (both sessions)
       teamTrainingStatus = {}, // Training status for each team member: { staffId: 'certified' | 'overlap-bcba' | 'overlap-staff' }
+      teamPairPreferences = {}, // Compatibility for each team member: { staffId: { preference: PAIR_PREFERENCE, notes } }
       // Days of week schedule (all default to true = scheduled)
       scheduledMonday = true,
       scheduledTuesday = true,
@@ -259,6 +583,9 @@ export class Student {
     
     // Training status tracking: { staffId: status }
     this.teamTrainingStatus = teamTrainingStatus || {};
+
+    // Pair compatibility tracking: { staffId: { preference, notes } }
+    this.teamPairPreferences = teamPairPreferences || {};
     
     // Days of week schedule (default all true)
     this.scheduledMonday = scheduledMonday;
@@ -304,6 +631,27 @@ export class Student {
     };
   }
 
+  /**
+   * Session window in minutes since midnight (custom times or program defaults)
+   * @param {string} session - 'AM' or 'PM'
+   * @returns {Object} { start, end }
+   */
+  getSessionWindow(session) {
+    const times = this.getScheduleTimes();
+    const [start, end] = session === 'AM' ? [times.amStart, times.amEnd] : [times.pmStart, times.pmEnd];
+    const window = { start: SchedulingUtils.parseTimeToMinutes(start), end: SchedulingUtils.parseTimeToMinutes(end) };
+
+    if (window.start === null || window.end === null || window.start >= window.end) {
+      // Unreadable custom times - fall back to the program session times
+      const programTimes = SESSION_TIMES[this.program === 'Secondary' ? 'SECONDARY' : 'PRIMARY'][session === 'AM' ? 'AM' : 'PM'];
+      return {
+        start: SchedulingUtils.parseTimeToMinutes(programTimes.start),
+        end: SchedulingUtils.parseTimeToMinutes(programTimes.end)
+      };
+    }
+    return window;
+  }
+
   requiresMultipleStaff(session = 'AM') {
     const ratio = session === 'AM' ? this.ratioAM : this.ratioPM;
     // If ratio is 2:1 but no paired student ID, treat as 1:1 (single assignment)
@@ -319,7 +667,16 @@ export class Student {
 
   isSmallGroup(session = 'AM') {
     const ratio = session === 'AM' ? this.ratioAM : this.ratioPM;
-    return ratio === RATIOS.ONE_TO_TWO;
+    return SMALL_GROUP_RATIOS.includes(ratio);
+  }
+
+  /**
+   * Number of clients one staff member may run in this student's small group
+   * @param {string} session - 'AM' or 'PM'
+   * @returns {number} 3 for 1:3, 2 for 1:2, 1 otherwise
+   */
+  getGroupCapacity(session = 'AM') {
+    return Group.getCapacityForRatio(this.getSessionRatio(session));
   }
 
   /**
@@ -422,6 +779,34 @@ export class Student {
     this.teamTrainingStatus[staffId] = status;
   }
 
+  /**
+   * Get compatibility weight for a specific staff member
+   * @param {number|string} staffId - Staff member ID
+   * @returns {string} 'preferred', 'neutral', or 'avoid'
+   */
+  getStaffPairPreference(staffId) {
+    return this.teamPairPreferences[staffId]?.preference || PAIR_PREFERENCE.NEUTRAL;
+  }
+
+  /**
+   * Get compatibility notes for a specific staff member
+   * @param {number|string} staffId - Staff member ID
+   * @returns {string} Notes ('' if none)
+   */
+  getStaffPairNotes(staffId) {
+    return this.teamPairPreferences[staffId]?.notes || '';
+  }
+
+  /**
+   * Update compatibility weight and notes for a staff member
+   * @param {number|string} staffId - Staff member ID
+   * @param {string} preference - PAIR_PREFERENCE value
+   * @param {string} notes - Why the pair is preferred/avoided
+   */
+  setStaffPairPreference(staffId, preference, notes = '') {
+    this.teamPairPreferences[staffId] = { preference, notes };
+  }
+
   /**
    * Check if a staff member is fully certified for this student
    * @param {number|string} staffId - Staff member ID
@@ -448,7 +833,9 @@ export class Assignment {
     date,
     isLocked = false,
     assignedBy = 'auto', // 'auto' or 'manual'
-    isTrainee = false // Track if this is a trainee assignment
+    isTrainee = false, // Track if this is a trainee assignment
+    startTime = null, // Split coverage block start ('h:mm AM'), null = from session start
+    endTime = null // Split coverage block end ('h:mm AM'), null = to session end
   }) {
     this.id = id;
     this.staffId = staffId;
@@ -461,11 +848,258 @@ export class Assignment {
     this.isLocked = isLocked;
     this.assignedBy = assignedBy;
     this.isTrainee = isTrainee; // Mark trainee assignments
+    this.startTime = startTime;
+    this.endTime = endTime;
   }
 
   getSessionTimes() {
     return SESSION_TIMES[this.program.toUpperCase()][this.session];
   }
+
+  /**
+   * True if this assignment only covers part of the session
+   */
+  isPartial() {
+    return Boolean(this.startTime || this.endTime);
+  }
+}
+
+// Standing group definitions (AppSettings 'ClientGroups') - set by the app on load
+let activeGroupDefinitions = [];
+
+/**
+ * Small group (1:2 / 1:3) - one staff member running several clients together.
+ * Groups on a day are derived from the schedule (Schedule.getGroups); standing group
+ * definitions add the name, room, capacity and which clients may share a group.
+ */
+export class Group {
+  constructor({
+    id,
+    name = '',
+    program,
+    session = null, // 'AM' or 'PM' for a scheduled group, null for a standing definition
+    ratio = RATIOS.ONE_TO_TWO,
+    capacity = null, // null = from ratio (1:2 -> 2, 1:3 -> 3)
+    location = '', // Room the group runs in
+    studentIds = [],
+    staffId = null,
+    staffName = ''
+  }) {
+    this.id = id;
+    this.name = name;
+    this.program = program;
+    this.session = session;
+    this.ratio = ratio;
+    this.capacity = capacity;
+    this.location = location;
+    this.studentIds = studentIds;
+    this.staffId = staffId;
+    this.staffName = staffName;
+  }
+
+  static getCapacityForRatio(ratio) {
+    if (ratio === RATIOS.ONE_TO_THREE) return 3;
+    if (ratio === RATIOS.ONE_TO_TWO) return 2;
+    return 1;
+  }
+
+  getCapacity() {
+    const capacity = Number(this.capacity);
+    return Number.isFinite(capacity) && capacity > 0 ? capacity : Group.getCapacityForRatio(this.ratio);
+  }
+
+  isFull() {
+    return this.studentIds.length >= this.getCapacity();
+  }
+
+  hasStudent(studentId) {
+    return this.studentIds.some(id => String(id) === String(studentId));
+  }
+
+  getMembers(students = []) {
+    return this.studentIds.map(id => students.find(s => String(s.id) === String(id))).filter(Boolean);
+  }
+
+  /**
+   * Reasons a student cannot join this group (empty = compatible)
+   * Checks ratio, program, session times, capacity and standing group membership
+   * @param {Student} student - Student who would join
+   * @param {Student[]} students - All students (to resolve current members)
+   * @returns {string[]} Issues
+   */
+  getJoinIssues(student, students = []) {
+    const issues = [];
+    const session = this.session || 'AM';
+    const ratio = student.getSessionRatio(session);
+
+    if (this.hasStudent(student.id)) {
+      return issues;
+    }
+    if (!student.isSmallGroup(session)) {
+      issues.push(`${student.name} is ${ratio || '1:1'} in ${session}, not a small group`);
+      return issues;
+    }
+    if (ratio !== this.ratio) {
+      issues.push(`${student.name} is ${ratio}, group is ${this.ratio}`);
+    }
+    if (this.program && student.program && student.program.toLowerCase() !== this.program.toLowerCase()) {
+      issues.push(`${student.name} is in ${student.program}, group is ${this.program}`);
+    }
+    if (this.isFull()) {
+      issues.push(`Group is full (${this.studentIds.length}/${this.getCapacity()})`);
+    }
+
+    const window = student.getSessionWindow(session);
+    const definition = Group.getDefinitionForStudent(student.id);
+    this.getMembers(students).forEach(member => {
+      const memberWindow = member.getSessionWindow(session);
+      if (memberWindow.start !== window.start || memberWindow.end !== window.end) {
+        issues.push(`${student.name} runs ${SchedulingUtils.formatMinutesAsTime(window.start)}–${SchedulingUtils.formatMinutesAsTime(window.end)}, ${member.name} runs ${SchedulingUtils.formatMinutesAsTime(memberWindow.start)}–${SchedulingUtils.formatMinutesAsTime(memberWindow.end)}`);
+      }
+      // Clients in a standing group only share a group with its other members
+      if (definition !== Group.getDefinitionForStudent(member.id)) {
+        issues.push(`${student.name} and ${member.name} are not in the same standing group`);
+      }
+    });
+
+    return issues;
+  }
+
+  /**
+   * Problems with the group as a whole - over capacity or incompatible members
+   * @param {Student[]} students - All students
+   * @returns {string[]} Issues
+   */
+  getIssues(students = []) {
+    const issues = [];
+    if (this.studentIds.length > this.getCapacity()) {
+      issues.push(`${this.staffName || 'Group'} has ${this.studentIds.length} clients in ${this.session} (${this.ratio} allows ${this.getCapacity()})`);
+    }
+
+    const members = this.getMembers(students);
+    members.forEach((member, index) => {
+      const others = new Group({ ...this, studentIds: members.slice(0, index).map(m => m.id), capacity: members.length });
+      others.getJoinIssues(member, students).forEach(issue => issues.push(issue));
+    });
+
+    return issues;
+  }
+
+  /**
+   * Standing group definitions - { id, name, program, ratio, location, capacity, studentIds }
+   */
+  static getDefinitions() {
+    return activeGroupDefinitions;
+  }
+
+  static setDefinitions(definitions) {
+    activeGroupDefinitions = (Array.isArray(definitions) ? definitions : []).map(definition => new Group({
+      ...definition,
+      session: null,
+      studentIds: Array.isArray(definition.studentIds) ? definition.studentIds : []
+    }));
+    return activeGroupDefinitions;
+  }
+
+  static getDefinitionForStudent(studentId) {
+    return activeGroupDefinitions.find(definition => definition.hasStudent(studentId)) || null;
+  }
+}
+
+// Linked-client clusters (AppSettings 'LinkedClusters') - set by the app on load
+let activeLinkedClusters = [];
+
+/**
+ * Linked-client cluster - clients who are always covered together by the same staff,
+ * e.g. three clients sharing two staff. Student.pairedWith links exactly two clients;
+ * a cluster can have any number of members and sets how many staff it needs per session.
+ * Every cluster staff member is assigned to every member present that session.
+ */
+export class LinkedCluster {
+  constructor({
+    id,
+    name = '',
+    program,
+    studentIds = [],
+    staffCountAM = 2, // Staff the whole cluster needs in AM
+    staffCountPM = 2
+  }) {
+    this.id = id;
+    this.name = name;
+    this.program = program;
+    this.studentIds = studentIds;
+    this.staffCountAM = staffCountAM;
+    this.staffCountPM = staffCountPM;
+  }
+
+  getRequiredStaff(session = 'AM') {
+    const count = Number(session === 'PM' ? this.staffCountPM : this.staffCountAM);
+    return Number.isFinite(count) && count > 0 ? count : 1;
+  }
+
+  hasStudent(studentId) {
+    return this.studentIds.some(id => String(id) === String(studentId));
+  }
+
+  getMembers(students = []) {
+    return this.studentIds.map(id => students.find(s => String(s.id) === String(id))).filter(Boolean);
+  }
+
+  getLabel() {
+    return this.name || 'Linked cluster';
+  }
+
+  /**
+   * Problems with how the cluster is covered in a session - the members present must
+   * share the same staff, and that many staff as the cluster needs
+   * @param {Schedule} schedule - Day's schedule
+   * @param {Student[]} students - All students
+   * @param {string} session - 'AM' or 'PM'
+   * @returns {string[]} Issues (empty when nobody in the cluster is covered yet)
+   */
+  getCoverageIssues(schedule, students, session) {
+    const issues = [];
+    const staffByMember = this.getMembers(students).map(member => ({
+      member,
+      staffIds: schedule.assignments
+        .filter(a => String(a.studentId) === String(member.id) && a.session === session && !a.isTrainee && !(a.isPartial && a.isPartial()))
+        .map(a => String(a.staffId))
+    })).filter(entry => entry.staffIds.length > 0);
+
+    if (staffByMember.length === 0) return issues;
+
+    const clusterStaffIds = new Set(staffByMember.flatMap(entry => entry.staffIds));
+    const required = this.getRequiredStaff(session);
+    if (clusterStaffIds.size !== required) {
+      issues.push(`${this.getLabel()} has ${clusterStaffIds.size} staff in ${session} (needs ${required})`);
+    }
+    staffByMember
+      .filter(entry => entry.staffIds.length !== clusterStaffIds.size)
+      .forEach(entry => {
+        issues.push(`${entry.member.name} has ${entry.staffIds.length} of the ${clusterStaffIds.size} ${this.getLabel()} staff in ${session}`);
+      });
+
+    return issues;
+  }
+
+  /**
+   * Saved cluster definitions - { id, name, program, studentIds, staffCountAM, staffCountPM }
+   */
+  static getClusters() {
+    return activeLinkedClusters;
+  }
+
+  static setClusters(clusters) {
+    activeLinkedClusters = (Array.isArray(clusters) ? clusters : []).map(cluster => new LinkedCluster({
+      ...cluster,
+      studentIds: Array.isArray(cluster.studentIds) ? cluster.studentIds : []
+    }));
+    return activeLinkedClusters;
+  }
+
+  static getClusterForStudent(studentId) {
+    return activeLinkedClusters.find(cluster => cluster.hasStudent(studentId)) || null;
+  }
 }
 
 /**
@@ -479,7 +1113,10 @@ export class Schedule {
     lockedAssignments = new Set(),
     isFinalized = false,
     lastModified = null, // Timestamp of last modification
-    lastModifiedBy = null // User who last modified the schedule
+    lastModifiedBy = null, // User who last modified the schedule
+    seed = null, // Random seed of the last auto-assign / Smart Swap run (re-run with it to reproduce)
+    runLog = null, // EngineRunLog of the last auto-assign run, saved with the schedule for audit
+    version = null // Version of the saved record this was loaded from (SharePoint ETag), null = not saved yet
   }) {
     this.date = date;
     this.assignments = assignments; // Array of Assignment objects
@@ -488,6 +1125,9 @@ export class Schedule {
     this.isFinalized = isFinalized;
     this.lastModified = lastModified; // Track when schedule was last saved
     this.lastModifiedBy = lastModifiedBy; // Track who last saved the schedule
+    this.seed = seed;
+    this.runLog = runLog;
+    this.version = version; // Checked on save so a concurrent edit is merged, not overwritten
   }
 
   getAssignmentsForSession(session, program) {
@@ -505,25 +1145,72 @@ export class Schedule {
     return this.assignments.filter(a => String(a.studentId) === String(studentId));
   }
 
-  isStaffAvailable(staffId, session, program) {
+  isStaffAvailable(staffId, session, program, window = null, students = []) {
     // Check for conflicts in the SAME SESSION across ALL PROGRAMS
     // A staff member can't work both Primary and Secondary in the same session
     // Normalize session values to ensure case-insensitive comparison (AM/am/Am all match)
+    // With a time window ({ start, end } minutes), only overlapping assignments conflict
     const normalizedSession = String(session || '').trim().toUpperCase();
+    const conflicts = a => a.staffId === staffId &&
+      (!window || SchedulingUtils.windowsOverlap(window, SchedulingUtils.getAssignmentWindow(a, students)));
+
     const sessionAssignments = this.assignments.filter(a => 
       String(a.session || '').trim().toUpperCase() === normalizedSession
     );
-    const isInRegularAssignment = sessionAssignments.some(a => a.staffId === staffId);
+    const isInRegularAssignment = sessionAssignments.some(conflicts);
     
     // Also check if staff is assigned as a trainee in this session
     const sessionTraineeAssignments = this.traineeAssignments.filter(a => 
       String(a.session || '').trim().toUpperCase() === normalizedSession
     );
-    const isInTraineeAssignment = sessionTraineeAssignments.some(a => a.staffId === staffId);
+    const isInTraineeAssignment = sessionTraineeAssignments.some(conflicts);
     
     return !isInRegularAssignment && !isInTraineeAssignment;
   }
 
+  /**
+   * Small groups on this schedule - small-group clients sharing a staff member in a session
+   * Split coverage blocks and trainee shadows are not group members
+   * @param {Student[]} students - All students
+   * @returns {Group[]} Groups with name, location and capacity from the matching standing definition
+   */
+  getGroups(students = []) {
+    const groupsByKey = new Map();
+
+    this.assignments.forEach(assignment => {
+      if (assignment.isPartial && assignment.isPartial()) return;
+      const student = students.find(s => String(s.id) === String(assignment.studentId));
+      if (!student || !student.isSmallGroup(assignment.session)) return;
+
+      const key = `${assignment.program}-${assignment.session}-${assignment.staffId}`;
+      if (!groupsByKey.has(key)) {
+        groupsByKey.set(key, new Group({
+          id: `group-${key}`,
+          program: assignment.program,
+          session: assignment.session,
+          ratio: student.getSessionRatio(assignment.session),
+          staffId: assignment.staffId,
+          staffName: assignment.staffName
+        }));
+      }
+      const group = groupsByKey.get(key);
+      if (!group.hasStudent(student.id)) group.studentIds.push(student.id);
+    });
+
+    return [...groupsByKey.values()].map(group => {
+      const definition = group.studentIds.map(id => Group.getDefinitionForStudent(id)).find(Boolean);
+      if (!definition) return group;
+      group.name = definition.name;
+      group.location = definition.location;
+      group.capacity = definition.capacity;
+      return group;
+    });
+  }
+
+  getStudentGroup(studentId, session, students = []) {
+    return this.getGroups(students).find(group => group.session === session && group.hasStudent(studentId)) || null;
+  }
+
   hasStaffWorkedWithStudentToday(staffId, studentId) {
     return this.assignments.some(a => 
       String(a.staffId) === String(staffId) && String(a.studentId) === String(studentId)
@@ -634,45 +1321,892 @@ export class Schedule {
   }
 }
 
+// Attendance fields a sandbox may override - everything else comes from the live record
+export const SANDBOX_STAFF_ATTENDANCE_FIELDS = [
+  'absentAM', 'absentPM', 'absentFullDay', 'absentAMArrivalTime', 'absentPMDepartureTime',
+  'outOfSessionAM', 'outOfSessionPM', 'outOfSessionFullDay'
+];
+export const SANDBOX_STUDENT_ATTENDANCE_FIELDS = ['absentAM', 'absentPM', 'absentFullDay'];
+
 /**
- * Validation rules for scheduling
+ * What-if sandbox - a named copy of a day's schedule plus attendance overrides.
+ * Sandboxes are kept in the browser only; nothing in one reaches SharePoint unless
+ * its schedule is promoted to the live schedule (attendance overrides never are).
  */
-export class SchedulingRules {
-  static validateAssignment(assignment, schedule, staff, student) {
-    const errors = [];
+export class Sandbox {
+  constructor({
+    id,
+    name = '',
+    date, // 'YYYY-MM-DD' of the live schedule it was copied from
+    schedule = null,
+    staffOverrides = {}, // { staffId: { absentAM, ... } } - only fields that differ from live
+    studentOverrides = {}, // { studentId: { absentAM, absentPM, absentFullDay } }
+    createdBy = '',
+    createdAt = null,
+    updatedAt = null
+  }) {
+    this.id = id;
+    this.name = name;
+    this.date = date;
+    this.schedule = schedule instanceof Schedule ? schedule : Sandbox.scheduleFromJSON(schedule || { date });
+    this.staffOverrides = staffOverrides;
+    this.studentOverrides = studentOverrides;
+    this.createdBy = createdBy;
+    this.createdAt = createdAt;
+    this.updatedAt = updatedAt;
+  }
 
-    // Check if staff can work this program
-    const staffMember = staff.find(s => s.id === assignment.staffId);
-    if (!staffMember) {
-      errors.push('Staff member not found');
-      return errors;
-    }
+  getLabel() {
+    return this.name || 'Untitled sandbox';
+  }
 
-    if (!staffMember.canWorkProgram(assignment.program)) {
-      errors.push(`${staffMember.name} is not assigned to ${assignment.program} program`);
-    }
+  getOverrideCount() {
+    return Object.keys(this.staffOverrides).length + Object.keys(this.studentOverrides).length;
+  }
+
+  /**
+   * Live staff with this sandbox's attendance overrides applied (live records are not changed)
+   */
+  applyStaffOverrides(staff = []) {
+    return staff.map(s => this.staffOverrides[s.id] ? new Staff({ ...s, ...this.staffOverrides[s.id] }) : s);
+  }
+
+  applyStudentOverrides(students = []) {
+    return students.map(s => this.studentOverrides[s.id] ? new Student({ ...s, ...this.studentOverrides[s.id] }) : s);
+  }
+
+  /**
+   * Attendance fields that differ between the live people and the sandbox copies
+   * @returns {Object} { personId: { field: sandboxValue } } for people with any difference
+   */
+  static diffAttendance(livePeople = [], sandboxPeople = [], fields = []) {
+    const overrides = {};
+    sandboxPeople.forEach(person => {
+      const live = livePeople.find(p => p.id === person.id);
+      if (!live) return;
+      const changed = fields.filter(field => (live[field] || false) !== (person[field] || false));
+      if (changed.length > 0) {
+        overrides[person.id] = Object.fromEntries(changed.map(field => [field, person[field]]));
+      }
+    });
+    return overrides;
+  }
+
+  /**
+   * Copy of a schedule with its own assignment objects, so edits never reach the original
+   */
+  static copySchedule(schedule) {
+    return new Schedule({
+      ...schedule,
+      assignments: schedule.assignments.map(a => new Assignment({ ...a })),
+      traineeAssignments: (schedule.traineeAssignments || []).map(a => ({ ...a })),
+      lockedAssignments: new Set(schedule.lockedAssignments)
+    });
+  }
+
+  static scheduleFromJSON(data = {}) {
+    return new Schedule({
+      ...data,
+      assignments: (data.assignments || []).map(a => new Assignment(a)),
+      traineeAssignments: data.traineeAssignments || [],
+      lockedAssignments: new Set(data.lockedAssignments || [])
+    });
+  }
+
+  toJSON() {
+    return {
+      ...this,
+      schedule: { ...this.schedule, lockedAssignments: Array.from(this.schedule.lockedAssignments || []) }
+    };
+  }
+
+  /**
+   * Coverage of the live schedule against a sandbox schedule, per program and session
+   * @param {Object} live - { schedule, students } as they are now
+   * @param {Object} sandbox - { schedule, students } with the sandbox's overrides applied
+   * @param {Date} date - Day being compared (for each client's days and recurring absences)
+   * @returns {Object[]} { program, session, live, sandbox, newlyUncovered[], newlyCovered[] }
+   *   where live/sandbox are { present, covered, coveredIds[], uncovered[], staffUsed }
+   */
+  static compareCoverage(live, sandbox, date) {
+    const coverageFor = ({ schedule, students }, session, program) => {
+      const present = students.filter(s => s.program === program && s.isAvailableForSession(session, date));
+      const sessionAssignments = schedule.assignments.filter(a => a.session === session && a.program === program && !a.isTrainee);
+      const uncovered = present.filter(s => !sessionAssignments.some(a => a.studentId === s.id));
+      return {
+        present: present.length,
+        covered: present.length - uncovered.length,
+        coveredIds: present.filter(s => !uncovered.includes(s)).map(s => s.id),
+        uncovered,
+        staffUsed: new Set(sessionAssignments.map(a => a.staffId)).size
+      };
+    };
+
+    const rows = [];
+    Object.values(PROGRAMS).forEach(program => {
+      ['AM', 'PM'].forEach(session => {
+        const liveCoverage = coverageFor(live, session, program);
+        const sandboxCoverage = coverageFor(sandbox, session, program);
+        rows.push({
+          program,
+          session,
+          live: liveCoverage,
+          sandbox: sandboxCoverage,
+          newlyUncovered: sandboxCoverage.uncovered.filter(s => !liveCoverage.uncovered.some(u => u.id === s.id)),
+          newlyCovered: liveCoverage.uncovered.filter(s => sandboxCoverage.coveredIds.includes(s.id))
+        });
+      });
+    });
+    return rows;
+  }
+}
+
+// Kinds of entry in an engine run log
+export const RUN_LOG_EVENT_TYPES = {
+  ASSIGN: 'assign', // Staff member placed with a client
+  SWAP: 'swap', // Existing assignment moved to free someone up
+  BLOCKED: 'blocked', // Candidate rejected - by validation or an exclusion rule
+  GAP: 'gap', // Client (or trainee) left without cover
+  INFO: 'info'
+};
+
+const RUN_LOG_MAX_EVENTS = 1000; // Keeps the log small enough to save with the schedule
+
+/**
+ * Structured log of one Auto Assign run - the phases with their timings, and the decisions
+ * made in each (assignments, swaps, blocked candidates, gaps). The engine returns it as
+ * result.runLog; it is shown under Run details and saved with the schedule for audit.
+ */
+export class EngineRunLog {
+  constructor({
+    mode = ASSIGNMENT_MODES.GREEDY,
+    seed = null,
+    date = null, // 'YYYY-MM-DD' being scheduled
+    startedAt = new Date().toISOString(),
+    durationMs = null, // Set when the run finishes
+    phases = [], // [{ name, startedAt, durationMs, summary }] - startedAt = ms since the run started
+    events = [], // [{ at, phase, type, message, ...details }] - at = ms since the run started
+    droppedEvents = 0, // Events past RUN_LOG_MAX_EVENTS (counted, not kept)
+    totals = {}
+  } = {}) {
+    this.mode = mode;
+    this.seed = seed;
+    this.date = date;
+    this.startedAt = startedAt;
+    this.durationMs = durationMs;
+    this.phases = phases;
+    this.events = events;
+    this.droppedEvents = droppedEvents;
+    this.totals = totals;
+  }
+
+  getElapsed() {
+    return Date.now() - new Date(this.startedAt).getTime();
+  }
+
+  getCurrentPhase() {
+    const phase = this.phases[this.phases.length - 1];
+    return phase && phase.durationMs === null ? phase : null;
+  }
 
-    // Check if staff is already assigned in this session
-    if (!schedule.isStaffAvailable(assignment.staffId, assignment.session, assignment.program)) {
-      errors.push(`${staffMember.name} is already assigned in ${assignment.session} session`);
+  startPhase(name) {
+    this.endPhase();
+    this.phases.push({ name, startedAt: this.getElapsed(), durationMs: null, summary: {} });
+  }
+
+  endPhase(summary = {}) {
+    const phase = this.getCurrentPhase();
+    if (!phase) return;
+    phase.durationMs = this.getElapsed() - phase.startedAt;
+    phase.summary = { ...phase.summary, ...summary };
+  }
+
+  add(type, message, details = {}) {
+    if (this.events.length >= RUN_LOG_MAX_EVENTS) {
+      this.droppedEvents++;
+      return;
     }
+    const phase = this.getCurrentPhase();
+    this.events.push({ at: this.getElapsed(), phase: phase ? phase.name : null, type, message, ...details });
+  }
+
+  finish(totals = {}) {
+    this.endPhase();
+    this.durationMs = this.getElapsed();
+    this.totals = totals;
+    return this;
+  }
+
+  getEvents(type) {
+    return this.events.filter(event => event.type === type);
+  }
 
-    // Check if staff has already worked with this student today
-    if (schedule.hasStaffWorkedWithStudentToday(assignment.staffId, assignment.studentId)) {
-      errors.push(`${staffMember.name} has already worked with this student today`);
+  static fromJSON(data) {
+    if (!data) return null;
+    try {
+      return new EngineRunLog(typeof data === 'string' ? JSON.parse(data) : data);
+    } catch (error) {
+      console.warn('⚠️ Could not read engine run log:', error);
+      return null;
     }
+  }
+}
+
+// What made a change to the schedule, recorded on each audit entry
+export const AUDIT_ACTIONS = {
+  MANUAL: 'manual', // Assigned, removed, locked or unlocked by hand
+  AUTO: 'auto', // Auto Assign run
+  AUTO_TRAINING: 'auto-training', // Training pair placed by Auto Assign (Phase 0)
+  SMART_SWAP: 'smart-swap', // Smart Swap or Trace & Swap
+  ATTENDANCE: 'attendance', // Removal or re-plan after an attendance change
+  SANDBOX: 'sandbox', // Promoted from a what-if sandbox
+  CLEAR: 'clear' // Clear or Total Clear
+};
+
+// Kinds of audit entry - the schedule changes plus locking
+export const AUDIT_CHANGE_TYPES = {
+  ...SCHEDULE_CHANGE_TYPES,
+  LOCK: 'lock',
+  UNLOCK: 'unlock'
+};
+
+// Engine-placed assignments whose assignedBy names a more specific action than the run itself
+const AUDIT_ACTIONS_BY_ASSIGNED_BY = {
+  'auto-training': AUDIT_ACTIONS.AUTO_TRAINING,
+  'smart-swap': AUDIT_ACTIONS.SMART_SWAP,
+  'chain-swap': AUDIT_ACTIONS.SMART_SWAP
+};
+
+/**
+ * One change to one assignment on a day's schedule - who made it, when and with which action.
+ * Entries are recorded as the schedule is edited, saved with the schedule and never changed
+ * afterwards, so a day's entries read as its timeline. For a move, studentId is the client the
+ * staff member moved to and before.studentId the one they left.
+ */
+export class AuditEntry {
+  constructor({
+    id = `audit-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    date, // 'YYYY-MM-DD' of the schedule
+    changeType, // AUDIT_CHANGE_TYPES
+    action = AUDIT_ACTIONS.MANUAL, // AUDIT_ACTIONS
+    session = null,
+    program = null,
+    staffId = null,
+    staffName = '',
+    studentId = null,
+    studentName = '',
+    isTrainee = false,
+    before = null, // { staffId, staffName, studentId, studentName, program, startTime, endTime, isLocked, assignedBy } - null for an add
+    after = null, // Same shape - null for a removal
+    changedBy = 'Unknown User',
+    changedAt = new Date().toISOString()
+  }) {
+    this.id = id;
+    this.date = date;
+    this.changeType = changeType;
+    this.action = action;
+    this.session = session;
+    this.program = program;
+    this.staffId = staffId;
+    this.staffName = staffName;
+    this.studentId = studentId;
+    this.studentName = studentName;
+    this.isTrainee = isTrainee;
+    this.before = before;
+    this.after = after;
+    this.changedBy = changedBy;
+    this.changedAt = changedAt;
+  }
 
-    // Note: Additional student requirements validation can be added here
-    // Note: excludedStaff validation removed - now using team-based assignments
+  /**
+   * Whether the entry concerns this client - as the client now, or the one a move took staff from
+   */
+  involvesStudent(studentId) {
+    const matches = id => id !== null && id !== undefined && String(id) === String(studentId);
+    return matches(this.studentId) || Boolean(this.before && matches(this.before.studentId));
+  }
 
-    return errors;
+  /**
+   * One-line description, e.g. "Jane Doe moved from Client A to Client B"
+   */
+  describe() {
+    const staffName = this.staffName || `Staff ${this.staffId}`;
+    const studentName = this.studentName || `Client ${this.studentId}`;
+    const trainee = this.isTrainee ? ' (trainee)' : '';
+    const times = side => side && (side.startTime || side.endTime)
+      ? `${side.startTime || 'start'}–${side.endTime || 'end'}`
+      : 'whole session';
+
+    switch (this.changeType) {
+      case AUDIT_CHANGE_TYPES.ADD:
+        return `${staffName}${trainee} assigned to ${studentName}`;
+      case AUDIT_CHANGE_TYPES.REMOVE:
+        return `${staffName}${trainee} removed from ${studentName}`;
+      case AUDIT_CHANGE_TYPES.MOVE:
+        return `${staffName}${trainee} moved from ${this.before?.studentName || `Client ${this.before?.studentId}`} to ${studentName}`;
+      case AUDIT_CHANGE_TYPES.RETIME:
+        return `${staffName}${trainee} with ${studentName} re-timed from ${times(this.before)} to ${times(this.after)}`;
+      case AUDIT_CHANGE_TYPES.LOCK:
+        return `${staffName}${trainee} with ${studentName} locked`;
+      case AUDIT_CHANGE_TYPES.UNLOCK:
+        return `${staffName}${trainee} with ${studentName} unlocked`;
+      default:
+        return `${staffName}${trainee} with ${studentName} changed`;
+    }
   }
 
-  static validateSchedule(schedule, staff, students) {
-    const errors = [];
-    
-    // Check all assignments for violations
+  static snapshotAssignment(assignment, schedule) {
+    if (!assignment) return null;
+    return {
+      staffId: assignment.staffId,
+      staffName: assignment.staffName || '',
+      studentId: assignment.studentId,
+      studentName: assignment.studentName || '',
+      program: assignment.program || null,
+      startTime: assignment.startTime || null,
+      endTime: assignment.endTime || null,
+      isLocked: Boolean(assignment.isLocked || schedule?.lockedAssignments?.has(assignment.id)),
+      assignedBy: assignment.assignedBy || null
+    };
+  }
+
+  /**
+   * Audit entries for everything that differs between two versions of a day's schedule:
+   * the changes from SchedulingUtils.diffSchedules, plus assignments locked or unlocked.
+   * With AUDIT_ACTIONS.AUTO, assignments the engine marked as training or swap placements get
+   * those actions instead.
+   * @returns {AuditEntry[]}
+   */
+  static fromSchedules(before, after, { action = AUDIT_ACTIONS.MANUAL, changedBy, changedAt = new Date().toISOString() } = {}) {
+    const actionFor = assignment => (action === AUDIT_ACTIONS.AUTO && AUDIT_ACTIONS_BY_ASSIGNED_BY[assignment.assignedBy]) || action;
+    const entryFor = (changeType, oldAssignment, newAssignment, { session, program, isTrainee }) => {
+      const assignment = newAssignment || oldAssignment;
+      return new AuditEntry({
+        date: after.date || before.date,
+        changeType,
+        action: actionFor(assignment),
+        session: String(session || '').toUpperCase(),
+        program,
+        staffId: assignment.staffId,
+        staffName: assignment.staffName || '',
+        studentId: assignment.studentId,
+        studentName: assignment.studentName || '',
+        isTrainee,
+        before: AuditEntry.snapshotAssignment(oldAssignment, before),
+        after: AuditEntry.snapshotAssignment(newAssignment, after),
+        changedBy,
+        changedAt
+      });
+    };
+
+    const entries = SchedulingUtils.diffSchedules(before, after).map(change =>
+      entryFor(change.type, change.before, change.after, change)
+    );
+
+    ['assignments', 'traineeAssignments'].forEach(list => {
+      (after[list] || []).forEach(assignment => {
+        const previous = (before[list] || []).find(a => a.id === assignment.id);
+        if (!previous) return;
+        const wasLocked = AuditEntry.snapshotAssignment(previous, before).isLocked;
+        const isLocked = AuditEntry.snapshotAssignment(assignment, after).isLocked;
+        if (wasLocked === isLocked) return;
+        entries.push(entryFor(isLocked ? AUDIT_CHANGE_TYPES.LOCK : AUDIT_CHANGE_TYPES.UNLOCK, previous, assignment, {
+          session: assignment.session,
+          program: assignment.program,
+          isTrainee: list === 'traineeAssignments' || Boolean(assignment.isTrainee)
+        }));
+      });
+    });
+
+    return entries;
+  }
+
+  static fromJSON(data) {
+    return new AuditEntry(typeof data === 'string' ? JSON.parse(data) : data);
+  }
+}
+
+// Constraint severity - hard rules block an assignment, soft rules only cost it
+export const CONSTRAINT_SEVERITY = {
+  HARD: 'hard', // Never auto-assigned; reported as an error
+  SOFT: 'soft'  // Allowed but scored against; reported as a warning
+};
+
+export const CONSTRAINT_IDS = {
+  PROGRAM_QUALIFICATION: 'program-qualification',
+  DOUBLE_BOOKING: 'double-booking',
+  SAME_DAY: 'same-day',
+  STAFF_RATIO: 'staff-ratio',
+  SMALL_GROUPS: 'small-groups',
+  LINKED_CLUSTERS: 'linked-clusters',
+  CLIENT_PROGRAM: 'client-program',
+  PAIR_PREFERENCE: 'pair-preference',
+  CONSECUTIVE_DAYS: 'consecutive-days',
+  FLOATING_STAFF: 'floating-staff',
+  ROLE_HIERARCHY: 'role-hierarchy',
+  SESSION_TIMES: 'session-times',
+  STAFF_CAPACITY: 'staff-capacity',
+  UNASSIGNED_CLIENTS: 'unassigned-clients',
+  WORKLOAD_BALANCE: 'workload-balance'
+};
+
+const normalizeSession = session => String(session || '').trim().toUpperCase();
+
+/**
+ * Built-in scheduling constraints
+ * Each rule may define any of:
+ *   checkAssignment({ assignment, schedule, staffMember, students }) - one assignment against the rest of the day
+ *   checkSchedule({ schedule, staff, students, assignmentHistory, consecutiveDaysRule }) - the whole day
+ *   getCost({ staffMember, student, schedule, overConsecutiveDays, floatingDemand }) - 0 (fine) and up, times the weight when sorting candidates
+ * A check returns a message, a list of messages, or null. Rules with no checks are shown on the Rules tab only.
+ */
+const DEFAULT_CONSTRAINTS = [
+  {
+    id: CONSTRAINT_IDS.STAFF_RATIO,
+    title: 'Staff-Student Ratios',
+    severity: CONSTRAINT_SEVERITY.HARD,
+    description: 'Each student must have the correct number of staff assigned based on their ratio requirement',
+    examples: ['1:1 ratio = 1 staff member', '2:1 ratio = 2 staff members', '1:2 ratio = 1 staff for up to 2 students', '1:3 ratio = 1 staff for up to 3 students'],
+    checkSchedule: ({ schedule, students }) => students.filter(s => s.isActive).flatMap(student => ['AM', 'PM'].map(session => {
+      const assigned = schedule.getStudentAssignments(student.id)
+        .filter(a => normalizeSession(a.session) === session && !a.isTrainee).length;
+      const cluster = LinkedCluster.getClusterForStudent(student.id);
+      const ratio = student.getSessionRatio ? student.getSessionRatio(session) : student.ratio;
+      const required = cluster ? cluster.getRequiredStaff(session) : (ratio === RATIOS.TWO_TO_ONE ? 2 : 1);
+      return assigned > 0 && assigned < required
+        ? `${student.name} requires ${required} staff but has only ${assigned} assigned in ${session} session`
+        : null;
+    }))
+  },
+  {
+    id: CONSTRAINT_IDS.SMALL_GROUPS,
+    title: 'Small Groups',
+    severity: CONSTRAINT_SEVERITY.HARD,
+    description: 'Students sharing a staff member form a group, checked as a unit: same ratio, program and session times, within capacity, and only with members of their standing group (Settings tab)',
+    examples: ['A 1:3 group holds at most 3 students', 'A 1:2 student is never grouped with a 1:3 student'],
+    checkSchedule: ({ schedule, students }) => schedule.getGroups(students).flatMap(group => {
+      const label = `${group.name || `${group.staffName}'s group`} (${group.program} ${group.session})`;
+      return group.getIssues(students).map(issue => `${label}: ${issue}`);
+    })
+  },
+  {
+    id: CONSTRAINT_IDS.LINKED_CLUSTERS,
+    title: 'Linked Clients',
+    severity: CONSTRAINT_SEVERITY.HARD,
+    description: 'Clients in a linked cluster (Settings tab) are covered together: every cluster staff member works with every member, and the cluster gets its set number of staff each session',
+    examples: ['3 clients sharing 2 staff = both staff assigned to all 3 clients', 'Staff must be on every member\'s team'],
+    checkSchedule: ({ schedule, students }) => LinkedCluster.getClusters()
+      .flatMap(cluster => ['AM', 'PM'].flatMap(session => cluster.getCoverageIssues(schedule, students, session)))
+  },
+  {
+    id: CONSTRAINT_IDS.DOUBLE_BOOKING,
+    title: 'One Client per Session',
+    severity: CONSTRAINT_SEVERITY.HARD,
+    description: 'A staff member works with one client (or one small group or linked cluster) per session, unless split coverage times do not overlap',
+    examples: ['If John has Student A in AM, he cannot also have Student B in AM'],
+    checkAssignment: ({ assignment, schedule, staffMember, students }) => {
+      const window = SchedulingUtils.getAssignmentWindow(assignment, students);
+      if (schedule.isStaffAvailable(assignment.staffId, assignment.session, assignment.program, window, students) ||
+          SchedulingRules.isLinkedClusterShare(assignment, schedule)) {
+        return null;
+      }
+      const joinIssues = SchedulingRules.getGroupJoinIssues(assignment, schedule, students);
+      return joinIssues === null
+        ? `${staffMember.name} is already assigned in ${assignment.session} session`
+        : joinIssues.map(issue => `Cannot join ${staffMember.name}'s group: ${issue}`);
+    }
+  },
+  {
+    id: CONSTRAINT_IDS.SAME_DAY,
+    title: 'Same-Day Restriction',
+    severity: CONSTRAINT_SEVERITY.HARD,
+    weight: 25,
+    canDisable: true,
+    canChangeSeverity: true,
+    description: 'No staff member can be assigned to the same student for both AM and PM sessions',
+    examples: ['If John works with Student A in AM, he cannot work with Student A in PM'],
+    checkAssignment: ({ assignment, schedule, staffMember }) => (
+      schedule.hasStaffWorkedWithStudentToday(assignment.staffId, assignment.studentId)
+        ? `${staffMember.name} has already worked with this student today`
+        : null
+    ),
+    getCost: ({ staffMember, student, schedule }) => (
+      schedule && schedule.hasStaffWorkedWithStudentToday(staffMember.id, student.id) ? 1 : 0
+    )
+  },
+  {
+    id: CONSTRAINT_IDS.PROGRAM_QUALIFICATION,
+    title: 'Program Qualifications',
+    severity: CONSTRAINT_SEVERITY.HARD,
+    description: 'Staff can only be assigned to programs they are qualified for',
+    examples: ['Primary program staff cannot be assigned to Secondary program students'],
+    checkAssignment: ({ assignment, staffMember }) => (
+      staffMember.canWorkProgram(assignment.program)
+        ? null
+        : `${staffMember.name} is not assigned to ${assignment.program} program`
+    )
+  },
+  {
+    id: CONSTRAINT_IDS.CLIENT_PROGRAM,
+    title: 'Client Program',
+    severity: CONSTRAINT_SEVERITY.HARD,
+    description: 'Assignments are made in the program the client belongs to',
+    examples: ['A Secondary client is never scheduled in the Primary program'],
+    checkSchedule: ({ schedule, students }) => schedule.assignments.map(assignment => {
+      const student = students.find(s => s.id === assignment.studentId);
+      return student && student.program !== assignment.program
+        ? `${student.name} is assigned to ${assignment.program} program but belongs to ${student.program} program`
+        : null;
+    })
+  },
+  {
+    id: CONSTRAINT_IDS.PAIR_PREFERENCE,
+    title: 'Staff-Client Compatibility',
+    severity: CONSTRAINT_SEVERITY.SOFT,
+    weight: 10,
+    canDisable: true,
+    description: 'Preferred pairs are picked first and avoid-if-possible pairs only when nobody else can cover (set per team member on the Teams tab)',
+    examples: ['Preferred costs nothing, neutral 1 × weight, avoid 2 × weight'],
+    checkSchedule: ({ schedule, staff, students }) => schedule.assignments
+      .filter(a => !a.isTrainee)
+      .map(assignment => {
+        const student = students.find(s => s.id === assignment.studentId);
+        if (!student || !student.getStaffPairPreference || student.getStaffPairPreference(assignment.staffId) !== PAIR_PREFERENCE.AVOID) {
+          return null;
+        }
+        const staffMember = staff.find(s => s.id === assignment.staffId);
+        return `${staffMember?.name || assignment.staffName} with ${student.name} (${assignment.session}) is marked avoid if possible`;
+      }),
+    getCost: ({ staffMember, student }) => {
+      const preference = student.getStaffPairPreference
+        ? student.getStaffPairPreference(staffMember.id)
+        : PAIR_PREFERENCE.NEUTRAL;
+      if (preference === PAIR_PREFERENCE.PREFERRED) return 0;
+      return preference === PAIR_PREFERENCE.AVOID ? 2 : 1;
+    }
+  },
+  {
+    id: CONSTRAINT_IDS.CONSECUTIVE_DAYS,
+    title: 'Consecutive Days',
+    severity: CONSTRAINT_SEVERITY.SOFT,
+    weight: 4,
+    description: 'Rotate staff so nobody works with the same client too many school days in a row (limit and enforcement are set below)',
+    examples: ['With a limit of 3, a 4th day in a row is scored against (soft) or never auto-assigned (hard)'],
+    checkSchedule: ({ schedule, staff, students, assignmentHistory = [], consecutiveDaysRule = CONSECUTIVE_DAYS_RULE_DEFAULTS }) => {
+      if (consecutiveDaysRule.enforcement === RULE_ENFORCEMENT.OFF || assignmentHistory.length === 0) return [];
+
+      const [year, month, day] = String(schedule.date).split('T')[0].split('-').map(Number);
+      const streaks = SchedulingUtils.getConsecutiveDayStreaks(assignmentHistory, new Date(year, month - 1, day));
+      const reported = new Set();
+
+      return schedule.assignments.filter(a => !a.isTrainee).map(assignment => {
+        const key = `${assignment.staffId}__${assignment.studentId}`;
+        const streak = streaks.get(key) || 0;
+        if (streak < consecutiveDaysRule.maxDays || reported.has(key)) return null;
+        reported.add(key);
+
+        const staffMember = staff.find(s => s.id === assignment.staffId);
+        const student = students.find(s => s.id === assignment.studentId);
+        return `${staffMember?.name || assignment.staffName} with ${student?.name || assignment.studentName} ` +
+          `${streak + 1} consecutive days (max ${consecutiveDaysRule.maxDays}) - consider rotating staff`;
+      });
+    },
+    getCost: ({ overConsecutiveDays }) => (overConsecutiveDays ? 1 : 0)
+  },
+  {
+    id: CONSTRAINT_IDS.FLOATING_STAFF,
+    title: 'Cross-Program Floating Staff',
+    severity: CONSTRAINT_SEVERITY.SOFT,
+    weight: 50,
+    canDisable: true,
+    description: 'Staff who work both programs are kept for the clients nobody else can cover - Auto Assign plans Primary and Secondary together for each session',
+    examples: ['A Secondary client whose only available team member also works Primary keeps that staff member, unless Primary has nobody else'],
+    getCost: ({ floatingDemand = 0 }) => (floatingDemand > 0 ? 1 : 0)
+  },
+  {
+    id: CONSTRAINT_IDS.ROLE_HIERARCHY,
+    title: 'Role Hierarchy',
+    severity: CONSTRAINT_SEVERITY.SOFT,
+    description: 'Staff assignments follow the role policy priority for optimal matches (edit on the Settings tab)',
+    examples: []
+  },
+  {
+    id: CONSTRAINT_IDS.SESSION_TIMES,
+    title: 'Session Times',
+    severity: CONSTRAINT_SEVERITY.HARD,
+    description: 'Assignments must respect program-specific session times',
+    examples: ['Primary AM: 8:45-11:30, PM: 12:00-15:00', 'Secondary AM: 8:45-12:00, PM: 12:30-15:00']
+  },
+  {
+    id: CONSTRAINT_IDS.STAFF_CAPACITY,
+    title: 'Staff Capacity',
+    severity: CONSTRAINT_SEVERITY.SOFT,
+    canDisable: true,
+    canChangeSeverity: true,
+    description: 'Staff are not given more clients in a session than their maximum, and every active staff member has work',
+    examples: ['A staff member with a maximum of 1 is flagged when given 2 clients in AM'],
+    checkSchedule: ({ schedule, staff }) => staff.filter(s => s.isActive).flatMap(staffMember => {
+      const assignments = schedule.getStaffAssignments(staffMember.id);
+      const sessionCounts = { AM: 0, PM: 0 };
+      assignments.forEach(assignment => {
+        const session = normalizeSession(assignment.session);
+        if (sessionCounts.hasOwnProperty(session)) sessionCounts[session]++;
+      });
+
+      const messages = Object.entries(sessionCounts)
+        .filter(([, count]) => count > staffMember.maxStudents)
+        .map(([session, count]) => `${staffMember.name} is assigned to ${count} students in ${session} session (max: ${staffMember.maxStudents})`);
+      if (assignments.length === 0) messages.push(`${staffMember.name} has no assignments`);
+      return messages;
+    })
+  },
+  {
+    id: CONSTRAINT_IDS.UNASSIGNED_CLIENTS,
+    title: 'Full Coverage',
+    severity: CONSTRAINT_SEVERITY.SOFT,
+    canDisable: true,
+    canChangeSeverity: true,
+    description: 'Every active client has staff for both sessions',
+    examples: ['A client with nobody in PM is flagged'],
+    checkSchedule: ({ schedule, students }) => students.filter(s => s.isActive).flatMap(student => {
+      const assignments = schedule.getStudentAssignments(student.id);
+      return ['AM', 'PM']
+        .filter(session => !assignments.some(a => normalizeSession(a.session) === session))
+        .map(session => `${student.name} has no assignment for ${session} session`);
+    })
+  },
+  {
+    id: CONSTRAINT_IDS.WORKLOAD_BALANCE,
+    title: 'Workload Balance',
+    severity: CONSTRAINT_SEVERITY.SOFT,
+    canDisable: true,
+    canChangeSeverity: true,
+    description: 'Assignments are spread evenly - no staff member has more than 2 assignments more than another',
+    examples: ['4 assignments for one staff member and 1 for another is flagged'],
+    checkSchedule: ({ schedule, staff }) => {
+      const counts = staff.filter(s => s.isActive).map(s => schedule.getStaffAssignments(s.id).length);
+      if (counts.length === 0) return null;
+      const max = Math.max(...counts);
+      const min = Math.min(...counts);
+      return max - min > 2
+        ? `Uneven workload distribution: some staff have ${max} assignments while others have ${min}`
+        : null;
+    }
+  }
+];
+
+let registeredConstraints = DEFAULT_CONSTRAINTS;
+let activeConstraintSettings = {};
+
+/**
+ * Constraint registry
+ * One list of scheduling rules shared by SchedulingRules (and through it the engine and the
+ * exact solver), the engine's candidate scoring, ValidationPanel and the Rules tab.
+ * Sites can switch rules off, change their severity or weight (AppSettings 'ConstraintSettings').
+ */
+export class ConstraintRegistry {
+  /**
+   * Add a rule, or replace the rule with the same id
+   */
+  static register(rule) {
+    registeredConstraints = [...registeredConstraints.filter(r => r.id !== rule.id), rule];
+    return ConstraintRegistry.getRule(rule.id);
+  }
+
+  /**
+   * A rule with the site's settings applied - { ...rule, enabled, severity, weight }
+   */
+  static getRule(id) {
+    const rule = registeredConstraints.find(r => r.id === id);
+    if (!rule) return null;
+
+    const settings = activeConstraintSettings[id] || {};
+    return {
+      ...rule,
+      weight: settings.weight ?? rule.weight ?? 0,
+      severity: settings.severity || rule.severity,
+      enabled: settings.enabled ?? true
+    };
+  }
+
+  static getRules() {
+    return registeredConstraints.map(rule => ConstraintRegistry.getRule(rule.id));
+  }
+
+  static isEnabled(id) {
+    const rule = ConstraintRegistry.getRule(id);
+    return !!rule && rule.enabled;
+  }
+
+  static isHard(id) {
+    const rule = ConstraintRegistry.getRule(id);
+    return !!rule && rule.enabled && rule.severity === CONSTRAINT_SEVERITY.HARD;
+  }
+
+  /**
+   * Keep only what each rule allows a site to change
+   * @param {Object} settings - { [ruleId]: { enabled, severity, weight } }
+   */
+  static normalizeSettings(settings = {}) {
+    const normalized = {};
+    registeredConstraints.forEach(rule => {
+      const saved = settings?.[rule.id];
+      if (!saved) return;
+
+      const entry = {};
+      if (rule.canDisable && typeof saved.enabled === 'boolean') entry.enabled = saved.enabled;
+      if (rule.canChangeSeverity && Object.values(CONSTRAINT_SEVERITY).includes(saved.severity)) entry.severity = saved.severity;
+      const weight = Number(saved.weight);
+      if (rule.getCost && saved.weight !== undefined && Number.isFinite(weight) && weight >= 0) entry.weight = weight;
+      if (Object.keys(entry).length > 0) normalized[rule.id] = entry;
+    });
+    return normalized;
+  }
+
+  static getSettings() {
+    return activeConstraintSettings;
+  }
+
+  /**
+   * Replace the site's rule settings. Rules missing from `settings` use their defaults.
+   * @returns {Object} The normalized active settings
+   */
+  static setSettings(settings) {
+    activeConstraintSettings = ConstraintRegistry.normalizeSettings(settings);
+    return activeConstraintSettings;
+  }
+
+  static resetSettings() {
+    activeConstraintSettings = {};
+    return activeConstraintSettings;
+  }
+
+  /**
+   * Run every enabled rule's assignment check
+   * @returns {Object[]} [{ ruleId, severity, message }]
+   */
+  static checkAssignment(context) {
+    return ConstraintRegistry.collect('checkAssignment', context);
+  }
+
+  /**
+   * Run every enabled rule's whole-schedule check
+   * @returns {Object[]} [{ ruleId, severity, message }]
+   */
+  static checkSchedule(context) {
+    return ConstraintRegistry.collect('checkSchedule', context);
+  }
+
+  static collect(checkName, context) {
+    return ConstraintRegistry.getRules()
+      .filter(rule => rule.enabled && rule[checkName])
+      .flatMap(rule => [].concat(rule[checkName](context) || [])
+        .filter(Boolean)
+        .map(message => ({ ruleId: rule.id, severity: rule.severity, message })));
+  }
+
+  /**
+   * Weighted cost of the enabled soft rules for one staff member with one client - LOWER is BETTER
+   * Hard rules are left out: candidates that break them are never considered
+   */
+  static getCandidateCost(context) {
+    return ConstraintRegistry.getRules()
+      .filter(rule => rule.enabled && rule.severity === CONSTRAINT_SEVERITY.SOFT && rule.getCost)
+      .reduce((sum, rule) => sum + rule.weight * rule.getCost(context), 0);
+  }
+}
+
+/**
+ * Validation rules for scheduling
+ */
+export class SchedulingRules {
+  /**
+   * Hard constraint violations for one assignment against the rest of the schedule
+   * @param {Student[]} student - Students, for small-group, linked-cluster and split coverage checks
+   * @returns {string[]} Error messages (empty = the assignment may be made)
+   */
+  static validateAssignment(assignment, schedule, staff, student) {
+    const staffMember = staff.find(s => s.id === assignment.staffId);
+    if (!staffMember) {
+      return ['Staff member not found'];
+    }
+
+    return ConstraintRegistry.checkAssignment({
+      assignment,
+      schedule,
+      staffMember,
+      students: Array.isArray(student) ? student : []
+    })
+      .filter(violation => violation.severity === CONSTRAINT_SEVERITY.HARD)
+      .map(violation => violation.message);
+  }
+
+  /**
+   * Same-day rule as the engine applies it - only blocks while the rule is on and hard
+   */
+  static isSameDayBlocked(schedule, staffId, studentId) {
+    return ConstraintRegistry.isHard(CONSTRAINT_IDS.SAME_DAY) && schedule.hasStaffWorkedWithStudentToday(staffId, studentId);
+  }
+
+  /**
+   * Joining a staff member's small group is not a double booking when the client is compatible
+   * @returns {string[]|null} Join issues (empty = may join), or null if the staff member's
+   *   session assignments are not a single small group the client could join
+   */
+  static getGroupJoinIssues(assignment, schedule, students = []) {
+    const student = students.find(s => String(s.id) === String(assignment.studentId));
+    if (!student || !student.isSmallGroup(assignment.session) || (assignment.isPartial && assignment.isPartial())) {
+      return null;
+    }
+
+    const sameSession = a => String(a.staffId) === String(assignment.staffId) &&
+      String(a.session || '').trim().toUpperCase() === String(assignment.session || '').trim().toUpperCase();
+    const group = schedule.getGroups(students).find(g => sameSession(g) && g.program === assignment.program);
+    if (!group) return null;
+
+    // Anything else the staff member has this session (1:1 client, trainee shadow, split block) is a real conflict
+    const hasOtherWork = schedule.assignments.some(a => sameSession(a) && !group.hasStudent(a.studentId)) ||
+      schedule.traineeAssignments.some(sameSession);
+    if (hasOtherWork) return null;
+
+    return group.getJoinIssues(student, students);
+  }
+
+  /**
+   * Linked clients share their cluster's staff - not a double booking when everything else
+   * the staff member has this session is with the same cluster
+   */
+  static isLinkedClusterShare(assignment, schedule) {
+    const cluster = LinkedCluster.getClusterForStudent(assignment.studentId);
+    if (!cluster || (assignment.isPartial && assignment.isPartial())) return false;
+
+    const sameSession = a => String(a.staffId) === String(assignment.staffId) &&
+      String(a.session || '').trim().toUpperCase() === String(assignment.session || '').trim().toUpperCase();
+    return !schedule.traineeAssignments.some(sameSession) &&
+      schedule.assignments.filter(sameSession).every(a => cluster.hasStudent(a.studentId) && !(a.isPartial && a.isPartial()));
+  }
+
+  /**
+   * Check a whole day against every enabled constraint
+   * @param {Object} options - { assignmentHistory, consecutiveDaysRule } for the consecutive-days rule
+   * @returns {Object} { errors, warnings, violations } - hard rules are errors, soft rules warnings
+   */
+  static evaluateSchedule(schedule, staff, students, options = {}) {
+    const violations = [];
+
+    // Rules use the Schedule helpers, so a plain { ...schedule, assignments } copy is wrapped first
+    if (!(schedule instanceof Schedule)) {
+      schedule = new Schedule({ ...schedule });
+    }
+
+    // Each assignment against the rest of the day
     for (const assignment of schedule.assignments) {
+      const staffMember = staff.find(s => s.id === assignment.staffId);
+      if (!staffMember) {
+        violations.push({ ruleId: null, severity: CONSTRAINT_SEVERITY.HARD, message: `Assignment ${assignment.id}: Staff member not found` });
+        continue;
+      }
+
       // Create a temporary schedule without the current assignment for validation
       const tempSchedule = new Schedule({ 
         date: schedule.date,
@@ -680,28 +2214,23 @@ export class SchedulingRules {
         lockedAssignments: schedule.lockedAssignments,
         isFinalized: schedule.isFinalized
       });
-      
-      const assignmentErrors = this.validateAssignment(assignment, tempSchedule, staff, students);
-      errors.push(...assignmentErrors.map(err => `Assignment ${assignment.id}: ${err}`));
-    }
 
-    // Check ratio requirements are met
-    const studentRatioCounts = {};
-    for (const assignment of schedule.assignments) {
-      const student = students.find(s => s.id === assignment.studentId);
-      if (student) {
-        const key = `${assignment.session}-${assignment.program}-${student.id}`;
-        studentRatioCounts[key] = (studentRatioCounts[key] || 0) + 1;
-        
-        // Check ratio requirements using the session-specific ratio
-        const sessionRatio = student.getSessionRatio ? student.getSessionRatio(assignment.session) : student.ratio;
-        if (sessionRatio === RATIOS.TWO_TO_ONE && studentRatioCounts[key] < 2) {
-          errors.push(`${student.name} requires 2:1 ratio but only has ${studentRatioCounts[key]} staff assigned`);
-        }
-      }
+      ConstraintRegistry.checkAssignment({ assignment, schedule: tempSchedule, staffMember, students })
+        .forEach(violation => violations.push({ ...violation, message: `Assignment ${assignment.id}: ${violation.message}` }));
     }
 
-    return errors;
+    // Whole-day rules - ratios, small groups, linked clusters, coverage, workload...
+    violations.push(...ConstraintRegistry.checkSchedule({ schedule, staff, students, ...options }));
+
+    return {
+      errors: violations.filter(v => v.severity === CONSTRAINT_SEVERITY.HARD).map(v => v.message),
+      warnings: violations.filter(v => v.severity === CONSTRAINT_SEVERITY.SOFT).map(v => v.message),
+      violations
+    };
+  }
+
+  static validateSchedule(schedule, staff, students) {
+    return this.evaluateSchedule(schedule, staff, students).errors;
   }
 }
 
@@ -713,10 +2242,404 @@ export class SchedulingUtils {
     return `assignment_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
 
+  /**
+   * Parse '8:45 AM', '12:05 PM' or 24-hour '13:30' into minutes since midnight
+   * @returns {number|null} Minutes, or null if the value is not a time
+   */
+  static parseTimeToMinutes(value) {
+    const raw = String(value || '').trim();
+    const twelve = raw.match(/^(0?[1-9]|1[0-2]):([0-5]\d)\s*([AP]M)$/i);
+    if (twelve) {
+      const hour = parseInt(twelve[1], 10) % 12 + (twelve[3].toUpperCase() === 'PM' ? 12 : 0);
+      return hour * 60 + parseInt(twelve[2], 10);
+    }
+    const twentyFour = raw.match(/^([01]?\d|2[0-3]):([0-5]\d)$/);
+    if (twentyFour) {
+      return parseInt(twentyFour[1], 10) * 60 + parseInt(twentyFour[2], 10);
+    }
+    return null;
+  }
+
+  /**
+   * Format minutes since midnight as 'h:mm AM' (the format used for student schedule times)
+   */
+  static formatMinutesAsTime(minutes) {
+    const hour24 = Math.floor(minutes / 60);
+    const hour12 = hour24 % 12 === 0 ? 12 : hour24 % 12;
+    return `${hour12}:${String(minutes % 60).padStart(2, '0')} ${hour24 >= 12 ? 'PM' : 'AM'}`;
+  }
+
+  /**
+   * Time window an assignment covers, in minutes since midnight
+   * Split coverage blocks use their own start/end; full-session assignments use the
+   * student's session window, or the program default if the student is not in `students`
+   * @returns {Object} { start, end }
+   */
+  static getAssignmentWindow(assignment, students = []) {
+    const session = String(assignment.session || '').trim().toUpperCase();
+    const student = students.find(s => String(s.id) === String(assignment.studentId));
+
+    let window;
+    if (student && student.getSessionWindow) {
+      window = student.getSessionWindow(session);
+    } else {
+      const programTimes = SESSION_TIMES[String(assignment.program || 'Primary').toUpperCase()] || SESSION_TIMES.PRIMARY;
+      const times = programTimes[session] || programTimes.AM;
+      window = { start: SchedulingUtils.parseTimeToMinutes(times.start), end: SchedulingUtils.parseTimeToMinutes(times.end) };
+    }
+
+    const start = SchedulingUtils.parseTimeToMinutes(assignment.startTime);
+    const end = SchedulingUtils.parseTimeToMinutes(assignment.endTime);
+    return {
+      start: start !== null ? start : window.start,
+      end: end !== null ? end : window.end
+    };
+  }
+
+  static windowsOverlap(a, b) {
+    return a.start < b.end && b.start < a.end;
+  }
+
+  /**
+   * New random seed for the assignment engine (unsigned 32-bit integer)
+   */
+  static generateSeed() {
+    return Math.floor(Math.random() * 0x100000000);
+  }
+
+  /**
+   * Seeded replacement for Math.random (mulberry32) - same seed, same sequence
+   * @param {number} seed - Unsigned 32-bit integer
+   * @returns {Function} () => number in [0, 1)
+   */
+  static createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
   static formatDate(date) {
     return date.toISOString().split('T')[0];
   }
 
+  /**
+   * Consecutive school-day streaks for every staff-student pair, ending the day before referenceDate
+   * Weekends and days with no saved assignments at all (holidays, closures) are skipped rather than
+   * breaking a streak.
+   * @param {Array} history - [{ date: 'YYYY-MM-DD', staffId, studentId }] from DailyAssignments
+   * @param {Date} referenceDate - Day being scheduled (not counted)
+   * @returns {Map<string, number>} "staffId__studentId" -> consecutive days
+   */
+  static getConsecutiveDayStreaks(history, referenceDate) {
+    const referenceKey = `${referenceDate.getFullYear()}-${String(referenceDate.getMonth() + 1).padStart(2, '0')}-${String(referenceDate.getDate()).padStart(2, '0')}`;
+
+    const pairsByDate = new Map();
+    (history || []).forEach(entry => {
+      if (!entry.date || entry.date >= referenceKey) return;
+      if (!pairsByDate.has(entry.date)) pairsByDate.set(entry.date, new Set());
+      pairsByDate.get(entry.date).add(`${entry.staffId}__${entry.studentId}`);
+    });
+
+    // Working days, most recent first
+    const workingDays = [...pairsByDate.keys()]
+      .filter(dateKey => {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        const dayOfWeek = new Date(year, month - 1, day).getDay();
+        return dayOfWeek !== 0 && dayOfWeek !== 6;
+      })
+      .sort()
+      .reverse();
+
+    const streaks = new Map();
+    if (workingDays.length === 0) return streaks;
+
+    pairsByDate.get(workingDays[0]).forEach(pairKey => {
+      let streak = 0;
+      for (const dateKey of workingDays) {
+        if (!pairsByDate.get(dateKey).has(pairKey)) break;
+        streak++;
+      }
+      streaks.set(pairKey, streak);
+    });
+
+    return streaks;
+  }
+
+  /**
+   * Changes that turn one version of a day's schedule into another
+   * Assignments are matched by content (staff, client, session, program, times), not by id, so a run
+   * that recreates the same pairing shows no change. A removal and an addition for the same staff
+   * member and session are shown as one move (or a retime when the client is the same too).
+   * dependsOn lists the changes that free this change's staff member or client slot - applying it
+   * without them would double-book.
+   * @returns {Array} [{ id, type, list, isTrainee, session, program, before, after, dependsOn }]
+   */
+  static diffSchedules(before, after) {
+    const keyOf = a => [
+      a.staffId, a.studentId, String(a.session || '').toUpperCase(), a.program,
+      a.isTrainee ? 'trainee' : 'main', a.startTime || '', a.endTime || ''
+    ].join('|');
+    const sameSlot = (a, b) => a.staffId === b.staffId &&
+      String(a.session || '').toUpperCase() === String(b.session || '').toUpperCase();
+    const changes = [];
+    const addChange = (type, list, oldAssignment, newAssignment) => {
+      const assignment = newAssignment || oldAssignment;
+      changes.push({
+        id: `change-${changes.length}`,
+        type,
+        list,
+        isTrainee: list === 'traineeAssignments' || Boolean(assignment.isTrainee),
+        session: String(assignment.session || '').toUpperCase(),
+        program: assignment.program,
+        before: oldAssignment,
+        after: newAssignment,
+        dependsOn: []
+      });
+    };
+
+    ['assignments', 'traineeAssignments'].forEach(list => {
+      const added = [...(after[list] || [])];
+      const removed = [];
+      (before[list] || []).forEach(assignment => {
+        const index = added.findIndex(candidate => keyOf(candidate) === keyOf(assignment));
+        if (index > -1) {
+          added.splice(index, 1);
+        } else {
+          removed.push(assignment);
+        }
+      });
+
+      const pairUp = (type, matches) => {
+        [...removed].forEach(oldAssignment => {
+          const index = added.findIndex(newAssignment => matches(oldAssignment, newAssignment));
+          if (index === -1) return;
+          addChange(type, list, oldAssignment, added[index]);
+          added.splice(index, 1);
+          removed.splice(removed.indexOf(oldAssignment), 1);
+        });
+      };
+      pairUp(SCHEDULE_CHANGE_TYPES.RETIME, (a, b) => sameSlot(a, b) && a.studentId === b.studentId && a.program === b.program);
+      pairUp(SCHEDULE_CHANGE_TYPES.MOVE, sameSlot);
+
+      removed.forEach(assignment => addChange(SCHEDULE_CHANGE_TYPES.REMOVE, list, assignment, null));
+      added.forEach(assignment => addChange(SCHEDULE_CHANGE_TYPES.ADD, list, null, assignment));
+    });
+
+    changes.forEach(change => {
+      if (!change.after) return;
+      change.dependsOn = changes
+        .filter(other => other !== change && other.before && (
+          sameSlot(other.before, change.after) ||
+          (!other.isTrainee && !change.isTrainee && other.session === change.session &&
+            other.before.studentId === change.after.studentId && other.before.program === change.after.program)
+        ))
+        .map(other => other.id);
+    });
+
+    return changes;
+  }
+
+  /**
+   * Schedule with only the accepted changes from diffSchedules(before, after) applied
+   * Date, locks and seed come from the proposed schedule
+   */
+  static applyScheduleChanges(before, after, changes, acceptedIds) {
+    const accepted = changes.filter(change => acceptedIds.includes(change.id));
+    const lists = {};
+
+    ['assignments', 'traineeAssignments'].forEach(list => {
+      const replaced = new Set(accepted.filter(c => c.list === list && c.before).map(c => c.before));
+      lists[list] = [
+        ...(before[list] || []).filter(assignment => !replaced.has(assignment)),
+        ...accepted.filter(c => c.list === list && c.after).map(c => c.after)
+      ];
+    });
+
+    return new Schedule({ ...after, ...lists });
+  }
+
+  /**
+   * Three-way merge of two edits of the same day made from a common base
+   * The day is split into one unit per client, session and program, holding that client's staff and
+   * trainee assignments. A unit only one side changed takes that side; a unit both sides changed
+   * differently is a conflict for the user to settle with applyScheduleMerge. So is a unit that
+   * would double-book a staff member with another unit taken from the other side (see findMergeStaffClashes).
+   * @param {Schedule} base - The saved schedule both edits started from (empty if there was none)
+   * @param {Schedule} mine - The schedule being saved
+   * @param {Schedule} theirs - The schedule saved meanwhile by someone else
+   * @returns {Object} { base, mine, theirs, units, conflicts } - each unit is
+   *   { key, studentId, studentName, session, program, base[], mine[], theirs[], status }
+   *   with status 'same', 'mine', 'theirs' or 'conflict'
+   */
+  static mergeSchedules(base, mine, theirs) {
+    const unitKeyOf = a => [a.studentId, String(a.session || '').toUpperCase(), a.program].join('|');
+    const signatureOf = (schedule, list) => list
+      .map(a => [
+        a.staffId, (schedule.traineeAssignments || []).includes(a) ? 'trainee' : 'main', a.startTime || '', a.endTime || '',
+        (a.isLocked || schedule.lockedAssignments?.has(a.id)) ? 'locked' : ''
+      ].join('|'))
+      .sort()
+      .join(',');
+
+    const units = new Map();
+    const sides = { base, mine, theirs };
+    Object.entries(sides).forEach(([side, schedule]) => {
+      [...(schedule?.assignments || []), ...(schedule?.traineeAssignments || [])].forEach(assignment => {
+        const key = unitKeyOf(assignment);
+        if (!units.has(key)) {
+          units.set(key, {
+            key,
+            studentId: assignment.studentId,
+            studentName: assignment.studentName || '',
+            session: String(assignment.session || '').toUpperCase(),
+            program: assignment.program,
+            base: [],
+            mine: [],
+            theirs: []
+          });
+        }
+        const unit = units.get(key);
+        unit[side].push(assignment);
+        if (!unit.studentName && assignment.studentName) unit.studentName = assignment.studentName;
+      });
+    });
+
+    units.forEach(unit => {
+      const [baseSignature, mineSignature, theirsSignature] = Object.keys(sides)
+        .map(side => signatureOf(sides[side] || {}, unit[side]));
+      if (mineSignature === theirsSignature) {
+        unit.status = 'same';
+      } else if (mineSignature === baseSignature) {
+        unit.status = 'theirs';
+      } else if (theirsSignature === baseSignature) {
+        unit.status = 'mine';
+      } else {
+        unit.status = 'conflict';
+      }
+    });
+
+    const allUnits = [...units.values()];
+    const merge = { base, mine, theirs, units: allUnits };
+
+    // Units are merged one at a time, so a staff member one side moved onto a client and the
+    // other side onto another would be double-booked - those units need the user's decision too
+    for (;;) {
+      const clashing = new Set(SchedulingUtils.findMergeStaffClashes(merge).flatMap(clash => clash.unitKeys));
+      const flagged = allUnits.filter(unit => clashing.has(unit.key) && (unit.status === 'mine' || unit.status === 'theirs'));
+      if (flagged.length === 0) break;
+      flagged.forEach(unit => {
+        unit.status = 'conflict';
+      });
+    }
+
+    merge.conflicts = allUnits.filter(unit => unit.status === 'conflict');
+    return merge;
+  }
+
+  /**
+   * Which side of a unit from mergeSchedules ends up in the merged schedule
+   * @param {Object} choices - { unitKey: 'mine' | 'theirs' } for conflicts, default 'mine'
+   */
+  static getMergeSide(unit, choices = {}) {
+    if (unit.status === 'conflict') return choices[unit.key] || 'mine';
+    return unit.status === 'theirs' ? 'theirs' : 'mine';
+  }
+
+  /**
+   * Staff members the merged schedule would put with several clients in one session, where
+   * neither version had them with all of those clients
+   * @param {Object} merge - From mergeSchedules
+   * @param {Object} choices - { unitKey: 'mine' | 'theirs' } for conflicts, default 'mine'
+   * @returns {Object[]} { staffId, staffName, session, unitKeys }
+   */
+  static findMergeStaffClashes(merge, choices = {}) {
+    const bookingsOf = sideOfUnit => {
+      const bookings = new Map();
+      merge.units.forEach(unit => {
+        const side = sideOfUnit(unit);
+        const schedule = merge[side] || {};
+        unit[side]
+          .filter(assignment => !(schedule.traineeAssignments || []).includes(assignment))
+          .forEach(assignment => {
+            const key = `${assignment.staffId}|${unit.session}`;
+            if (!bookings.has(key)) {
+              bookings.set(key, { staffId: assignment.staffId, staffName: assignment.staffName || '', session: unit.session, unitKeys: new Set() });
+            }
+            bookings.get(key).unitKeys.add(unit.key);
+          });
+      });
+      return bookings;
+    };
+
+    const merged = bookingsOf(unit => SchedulingUtils.getMergeSide(unit, choices));
+    const mine = bookingsOf(() => 'mine');
+    const theirs = bookingsOf(() => 'theirs');
+    const isWithin = (keys, booking) => booking && [...keys].every(key => booking.unitKeys.has(key));
+
+    return [...merged.entries()]
+      .filter(([key, booking]) =>
+        booking.unitKeys.size > 1 && !isWithin(booking.unitKeys, mine.get(key)) && !isWithin(booking.unitKeys, theirs.get(key))
+      )
+      .map(([, booking]) => ({ ...booking, unitKeys: [...booking.unitKeys] }));
+  }
+
+  /**
+   * Merged schedule from mergeSchedules, ready to save over theirs
+   * Conflicts take the side picked in choices ({ unitKey: 'mine' | 'theirs' }, default 'mine').
+   * Everything else about the day (finalized, seed, run log) comes from mine; the version comes
+   * from theirs so the save is checked against the record it was merged with.
+   */
+  static applyScheduleMerge(merge, choices = {}) {
+    const { mine, theirs } = merge;
+    const assignments = [];
+    const traineeAssignments = [];
+    const lockedAssignments = new Set();
+
+    merge.units.forEach(unit => {
+      const side = SchedulingUtils.getMergeSide(unit, choices);
+      const source = side === 'theirs' ? theirs : mine;
+      unit[side].forEach(assignment => {
+        if ((source.traineeAssignments || []).includes(assignment)) {
+          traineeAssignments.push({ ...assignment });
+          return;
+        }
+        assignments.push(new Assignment({ ...assignment }));
+        if (assignment.isLocked || source.lockedAssignments?.has(assignment.id)) {
+          lockedAssignments.add(assignment.id);
+        }
+      });
+    });
+
+    return new Schedule({
+      ...mine,
+      assignments,
+      traineeAssignments,
+      lockedAssignments,
+      version: theirs.version
+    });
+  }
+
+  /**
+   * The audit entries from mine that still hold in the merged schedule - entries for client
+   * sessions where theirs was taken are dropped, as theirs were logged with their own save
+   * @param {AuditEntry[]} entries - Recorded while editing mine
+   */
+  static filterAuditEntriesForMerge(entries, merge, choices = {}) {
+    const sideOf = new Map(merge.units.map(unit => [unit.key, SchedulingUtils.getMergeSide(unit, choices)]));
+
+    return entries.filter(entry => {
+      const keys = [[entry.studentId, entry.session, entry.program]];
+      if (entry.before) keys.push([entry.before.studentId, entry.session, entry.before.program || entry.program]);
+      const sides = keys.map(key => sideOf.get(key.join('|'))).filter(Boolean);
+      return sides.length === 0 || sides.includes('mine');
+    });
+  }
+
   static sortStaffByHierarchy(staff) {
     return [...staff].sort((a, b) => a.getRoleLevel() - b.getRoleLevel());
   }
@@ -739,7 +2662,7 @@ export class SchedulingUtils {
       if (!schedule.isStaffAvailable(staffMember.id, session, program)) return false;
       
       // Must not have worked with this student already today
-      if (schedule.hasStaffWorkedWithStudentToday(staffMember.id, student.id)) return false;
+      if (SchedulingRules.isSameDayBlocked(schedule, staffMember.id, student.id)) return false;
       
       // EXCLUDE staff who are in training for THIS specific student
       // They should only be manually assigned via the trainee dropdown
@@ -778,13 +2701,89 @@ export class SchedulingUtils {
         return false; // BCBA/Director/Trainer can't do direct client sessions
       }
       
-      // Check 1:1 eligibility - if student needs 1:1, staff must be eligible
+      // Check ratio eligibility - the role policy must allow the session's ratio
       const sessionRatio = session === 'AM' ? student.ratioAM : student.ratioPM;
-      if (sessionRatio === RATIOS.ONE_TO_ONE && !staffMember.canDo1To1Sessions()) {
-        return false; // Teacher/Trainer/Director/BCBA can't do 1:1 sessions
+      if (!staffMember.canCoverRatio(sessionRatio)) {
+        return false; // e.g. Teacher/Trainer/Director/BCBA can't do 1:1 sessions by default
       }
       
       return true;
     });
   }
-}
\ No newline at end of file
+}
+/**
+ * Plain-data copy of everything an auto-assign run reads, so the run can be handed to a
+ * Web Worker and rebuilt there. Posting a message drops class prototypes, and the worker
+ * has its own copy of the module-level registries (role policies, rules, groups, ...).
+ */
+export class EngineSnapshot {
+  /**
+   * Site settings the engine reads from module-level registries. Rules added with
+   * ConstraintRegistry.register() hold functions and cannot be copied - only their settings are.
+   */
+  static captureRegistries() {
+    return {
+      rolePolicies: RolePolicy.getPolicies(),
+      trainingPlans: TrainingPlan.getPlans(),
+      groupDefinitions: Group.getDefinitions(),
+      linkedClusters: LinkedCluster.getClusters(),
+      constraintSettings: ConstraintRegistry.getSettings()
+    };
+  }
+
+  static applyRegistries(registries = {}) {
+    RolePolicy.setPolicies(registries.rolePolicies);
+    TrainingPlan.setPlans(registries.trainingPlans);
+    Group.setDefinitions(registries.groupDefinitions);
+    LinkedCluster.setClusters(registries.linkedClusters);
+    ConstraintRegistry.setSettings(registries.constraintSettings);
+  }
+
+  static fromSchedule(schedule) {
+    return {
+      ...schedule,
+      assignments: schedule.assignments.map(a => ({ ...a })),
+      traineeAssignments: (schedule.traineeAssignments || []).map(a => ({ ...a })),
+      lockedAssignments: Array.from(schedule.lockedAssignments || [])
+    };
+  }
+
+  static toSchedule(data) {
+    return Sandbox.scheduleFromJSON({ ...data, runLog: EngineRunLog.fromJSON(data.runLog) });
+  }
+
+  /**
+   * @returns {Object} { schedule, staff, students, registries } - safe to post to a worker
+   */
+  static capture({ schedule, staff, students }) {
+    return {
+      schedule: EngineSnapshot.fromSchedule(schedule),
+      staff: staff.map(s => ({ ...s })),
+      students: students.map(s => ({ ...s })),
+      registries: EngineSnapshot.captureRegistries()
+    };
+  }
+
+  /**
+   * Apply a snapshot's registries and rebuild its schedule, staff and students
+   */
+  static restore(snapshot) {
+    EngineSnapshot.applyRegistries(snapshot.registries);
+    return {
+      schedule: EngineSnapshot.toSchedule(snapshot.schedule),
+      staff: snapshot.staff.map(s => new Staff(s)),
+      students: snapshot.students.map(s => new Student(s))
+    };
+  }
+
+  /**
+   * Rebuild an engine result posted back from the worker (assignments and the run log)
+   */
+  static toResult(data) {
+    const result = { ...data };
+    if (data.assignments) result.assignments = data.assignments.map(a => new Assignment(a));
+    if (data.newAssignments) result.newAssignments = data.newAssignments.map(a => new Assignment(a));
+    if (data.runLog) result.runLog = EngineRunLog.fromJSON(data.runLog);
+    return result;
+  }
+}